@@ -1,11 +1,15 @@
 const { app } = require("@azure/functions");
 const {
   getContainerAppsClient,
-  getExecutionMapping,
-  removeExecutionMapping,
   structuredLog,
   LOG_PREFIX,
 } = require("./ProcessTranscriptQueue");
+const { markCancelled, getCancellation } = require("../lib/cancellationStore");
+const {
+  STATUSES,
+  getExecution,
+  updateExecution,
+} = require("../lib/executionRegistry");
 
 /**
  * Generate HTML response page for browser requests
@@ -152,12 +156,38 @@ function isRunningStatus(status) {
   return status === "Running" || status === "Processing";
 }
 
+/**
+ * Live status of the target execution. With a known executionName (from the
+ * execution registry) this is a single keyed read; without one, fall back to
+ * listing every execution of the job.
+ */
 async function getExecutionSnapshot(
   client,
   resourceGroup,
   jobName,
   executionName,
 ) {
+  if (executionName) {
+    let targetExecution = null;
+    try {
+      targetExecution = await client.jobExecution(
+        resourceGroup,
+        jobName,
+        executionName,
+      );
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+    return {
+      total: targetExecution ? 1 : 0,
+      runningExecutions:
+        targetExecution && isRunningStatus(targetExecution.status)
+          ? [targetExecution]
+          : [],
+      targetExecution,
+    };
+  }
+
   const executions = [];
   for await (const execution of client.jobsExecutions.list(
     resourceGroup,
@@ -166,18 +196,29 @@ async function getExecutionSnapshot(
     executions.push(execution);
   }
 
-  const runningExecutions = executions.filter((e) => isRunningStatus(e.status));
-  const targetExecution = executionName
-    ? executions.find((e) => e.name === executionName)
-    : null;
-
   return {
     total: executions.length,
-    runningExecutions,
-    targetExecution,
+    runningExecutions: executions.filter((e) => isRunningStatus(e.status)),
+    targetExecution: null,
   };
 }
 
+/**
+ * Look up the run in the execution registry. A registry outage degrades to
+ * the list-all-executions fallback rather than failing the cancel.
+ */
+async function lookupExecution(context, executionId) {
+  try {
+    return await getExecution(executionId);
+  } catch (err) {
+    structuredLog(context, "warn", "Execution registry lookup failed", {
+      executionId,
+      error: err.message,
+    });
+    return null;
+  }
+}
+
 function getRequestDiagnostics(request) {
   return {
     method: request.method,
@@ -221,38 +262,73 @@ function createResponse(request, success, message, statusCode, details = {}) {
  *   - jobName: Container App Job name
  *   - resourceGroup: Resource group name
  *   - subscriptionId: Azure subscription ID
+ *   - requestedBy / requestedByName: (optional) recipient the cancel link was
+ *     issued to, recorded as "cancelled by" on the marker
  *
  * This function:
- *   1. Validates that the target job execution is still running
- *   2. Stops the execution through the Container Apps API after explicit confirmation
+ *   1. Resolves the job execution from the execution registry and validates
+ *      that it is still running
+ *   2. Records a shared cancellation marker (who + when)
+ *   3. Stops the execution through the Container Apps API after explicit confirmation
+ *   4. Marks the run "cancelled" in the execution registry
  */
 
-// Best-effort in-memory cancellation marker used only so the running container
-// can classify the SIGTERM as user-cancelled and send a "cancelled" Teams
-// notification with the same participant metadata as failed/completed notices.
-// TODO: Move this marker to shared storage (Cosmos/Table/Blob) so
-// CheckCancellation works reliably across multiple Azure Function instances.
-const cancelledExecutions = new Set();
-const cancelledTimestamps = new Map();
-const CANCELLED_TTL_MS = 30 * 60 * 1000; // 30 minutes
-
-function markAsCancelled(executionId) {
-  cancelledExecutions.add(executionId);
-  cancelledTimestamps.set(executionId, Date.now());
-
-  if (cancelledExecutions.size > 100) {
-    const now = Date.now();
-    for (const [id, ts] of cancelledTimestamps) {
-      if (now - ts > CANCELLED_TTL_MS) {
-        cancelledExecutions.delete(id);
-        cancelledTimestamps.delete(id);
-      }
-    }
+// Cancellation markers live in the shared state store (see
+// lib/cancellationStore.js) so CheckCancellation answers correctly no matter
+// which Function instance the container's poll lands on. The running
+// container uses the marker to classify the SIGTERM as user-cancelled and
+// send a "cancelled" Teams notification naming who stopped the run.
+
+/**
+ * Work out who clicked cancel. App Service authentication headers win when
+ * Easy Auth is enabled; otherwise fall back to the per-recipient
+ * requestedBy/requestedByName parameters on the cancel link in the card.
+ */
+function getCancelledBy(request) {
+  const principalId = request.headers.get("x-ms-client-principal-id");
+  const principalName = request.headers.get("x-ms-client-principal-name");
+  if (principalId || principalName) {
+    return { userId: principalId, displayName: principalName };
   }
+  return {
+    userId: request.query.get("requestedBy"),
+    displayName: request.query.get("requestedByName"),
+  };
 }
 
-function isCancelled(executionId) {
-  return cancelledExecutions.has(executionId);
+/**
+ * Persist the cancellation marker before stopping the execution. A store
+ * failure must not block the stop itself - the job still stops, the card
+ * just falls back to the generic "failed/terminated" path.
+ */
+async function recordCancellation(context, executionId, cancelledBy) {
+  try {
+    await markCancelled(executionId, cancelledBy);
+  } catch (err) {
+    structuredLog(context, "warn", "Could not persist cancellation marker", {
+      executionId,
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Mark the run cancelled in the execution registry once the stop succeeded.
+ * Best-effort: the container also reports "cancelled" when it traps SIGTERM.
+ */
+async function recordCancelledExecution(context, executionId, cancelledBy) {
+  try {
+    await updateExecution(
+      executionId,
+      { status: STATUSES.CANCELLED, cancelledBy },
+      { detail: "Stopped via CancelProcessing" },
+    );
+  } catch (err) {
+    structuredLog(context, "warn", "Could not record cancelled execution", {
+      executionId,
+      error: err.message,
+    });
+  }
 }
 
 app.http("CancelProcessing", {
@@ -266,10 +342,11 @@ app.http("CancelProcessing", {
     const resourceGroup = request.query.get("resourceGroup");
     const subscriptionIdParam = request.query.get("subscriptionId");
     const userId = request.query.get("userId");
+    const cancelledBy = getCancelledBy(request);
 
     if (request.method === "GET") {
-      const mapping = getExecutionMapping(executionId);
-      const executionName = mapping?.executionName;
+      const record = await lookupExecution(context, executionId);
+      const executionName = record?.executionName;
 
       structuredLog(context, "info", "Cancel confirmation viewed", {
         ...getRequestDiagnostics(request),
@@ -390,6 +467,7 @@ app.http("CancelProcessing", {
       resourceGroup,
       subscriptionId: subscriptionIdParam,
       userId,
+      cancelledBy,
     });
 
     // Validate required parameters
@@ -402,19 +480,19 @@ app.http("CancelProcessing", {
       );
     }
 
-    // Try to look up from in-memory cache first (works if same instance)
-    const mapping = getExecutionMapping(executionId);
-    let executionName = mapping?.executionName;
+    // Resolve the job execution from the registry (works from any instance)
+    const record = await lookupExecution(context, executionId);
+    let executionName = record?.executionName;
 
     try {
       const client = getContainerAppsClient(subscriptionIdParam);
 
-      // If no mapping found, list running executions and find/stop them
+      // If the run isn't registered, list running executions and find/stop them
       if (!executionName) {
         structuredLog(
           context,
           "info",
-          "Mapping not found, listing running executions",
+          "Execution not registered, listing running executions",
           {
             executionId,
             jobName,
@@ -465,7 +543,7 @@ app.http("CancelProcessing", {
         // Stop the single running execution
         const targetExecution = runningExecutions[0];
         try {
-          markAsCancelled(executionId);
+          await recordCancellation(context, executionId, cancelledBy);
           await client.jobs.beginStopExecutionAndWait(
             resourceGroup,
             jobName,
@@ -500,7 +578,6 @@ app.http("CancelProcessing", {
           !snapshot.targetExecution ||
           !isRunningStatus(snapshot.targetExecution.status)
         ) {
-          removeExecutionMapping(executionId);
           return createResponse(
             request,
             false,
@@ -510,23 +587,22 @@ app.http("CancelProcessing", {
           );
         }
 
-        markAsCancelled(executionId);
+        await recordCancellation(context, executionId, cancelledBy);
         await client.jobs.beginStopExecutionAndWait(
           resourceGroup,
           jobName,
           executionName,
         );
-        structuredLog(context, "info", "Job execution stopped from cache", {
+        structuredLog(context, "info", "Job execution stopped", {
           jobName,
           executionName,
           resourceGroup,
           previousStatus: snapshot.targetExecution.status,
         });
-
-        // Remove from mapping cache
-        removeExecutionMapping(executionId);
       }
 
+      await recordCancelledExecution(context, executionId, cancelledBy);
+
       return createResponse(
         request,
         true,
@@ -567,16 +643,41 @@ app.http("CheckCancellation", {
       };
     }
 
-    const cancelled = isCancelled(executionId);
+    let marker;
+    try {
+      marker = await getCancellation(executionId);
+    } catch (err) {
+      // entrypoint.sh treats any non-JSON/failed poll as "not cancelled"
+      // and simply polls again in 15s
+      structuredLog(context, "warn", "Cancellation lookup failed", {
+        executionId,
+        error: err.message,
+      });
+      return {
+        status: 503,
+        jsonBody: { error: true, message: "Cancellation state unavailable" },
+      };
+    }
+
+    const cancelled = !!marker;
 
     // Only log when actually cancelled (reduce log noise)
     if (cancelled) {
-      structuredLog(context, "info", "Cancellation confirmed", { executionId });
+      structuredLog(context, "info", "Cancellation confirmed", {
+        executionId,
+        cancelledBy: marker.cancelledBy,
+      });
     }
 
     return {
       status: 200,
-      jsonBody: { cancelled },
+      jsonBody: cancelled
+        ? {
+            cancelled,
+            cancelledAt: marker.cancelledAt,
+            cancelledBy: marker.cancelledBy,
+          }
+        : { cancelled },
     };
   },
 });
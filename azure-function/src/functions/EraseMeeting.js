@@ -0,0 +1,43 @@
+const { app } = require("@azure/functions");
+const { getContainerAppsClient, structuredLog } = require("./ProcessTranscriptQueue");
+const { getErasureRole } = require("../lib/entraAuth");
+const { json, withQueryAuth } = require("../lib/queryApi");
+const { parseErasureTarget, requestedByFromClaims, startErasureJob } = require("../lib/erasureJob");
+
+/**
+ * DELETE /api/projects/{project}/meetings/{meetingId} - delete a meeting.
+ *
+ * Starts the Container App Job in erasure mode, which removes the published
+ * dashboard and its versions, the meeting record, its action items and any
+ * local artefacts, then writes an audit record (processor/erasure.js).
+ *
+ * Query parameters:
+ *   - reason : recorded in the audit record
+ *
+ * Requires an Entra ID bearer token with the erasure role
+ * (QUERY_API_ERASURE_ROLE, default "Meetings.Erase").
+ *
+ * Returns 202 { status: "accepted", executionName }.
+ */
+app.http("EraseMeeting", {
+  methods: ["DELETE"],
+  authLevel: "anonymous",
+  route: "projects/{project}/meetings/{meetingId}",
+  handler: withQueryAuth(
+    "EraseMeeting",
+    async (request, context, claims) => {
+      const { executionName } = await startErasureJob(
+        {
+          mode: "delete-meeting",
+          projectName: parseErasureTarget(request.params.project, "project"),
+          meetingId: parseErasureTarget(request.params.meetingId, "meetingId"),
+          requestedBy: requestedByFromClaims(claims),
+          reason: request.query.get("reason") || null,
+        },
+        { getContainerAppsClient, structuredLog, context },
+      );
+      return json(202, { status: "accepted", executionName });
+    },
+    { structuredLog, requiredRole: getErasureRole() },
+  ),
+});
@@ -0,0 +1,65 @@
+const { app } = require("@azure/functions");
+const { structuredLog } = require("./ProcessTranscriptQueue");
+const {
+  isValidErasureRequestToken,
+  getErasureRequest,
+  removeErasureRequest,
+} = require("../lib/erasureRequests");
+
+/**
+ * HTTP trigger for the erasure job to collect a forget-person request
+ * (see lib/erasureRequests.js). Called from processor/eraseData.js using
+ * the ERASURE_REQUEST_URL built by ForgetPerson.
+ *
+ * Query parameters (all part of ERASURE_REQUEST_URL):
+ *   - requestId : the stored request
+ *   - expiresAt : token expiry timestamp in milliseconds
+ *   - token     : HMAC signature over requestId + expiresAt
+ *
+ * GET returns { person, aliases }; DELETE removes the request once read.
+ */
+app.http("ErasureRequest", {
+  methods: ["GET", "DELETE"],
+  authLevel: "anonymous", // Authenticated by the signed token instead
+  handler: async (request, context) => {
+    const requestId = request.query.get("requestId");
+    const expiresAt = request.query.get("expiresAt");
+    const token = request.query.get("token");
+
+    if (!isValidErasureRequestToken({ requestId, expiresAt, token })) {
+      structuredLog(context, "warn", "Erasure request rejected: invalid token", {
+        requestId,
+      });
+      return {
+        status: 403,
+        jsonBody: { error: true, message: "Invalid or expired token" },
+      };
+    }
+
+    try {
+      if (request.method === "DELETE") {
+        await removeErasureRequest(requestId);
+        structuredLog(context, "info", "Erasure request collected", { requestId });
+        return { status: 204 };
+      }
+
+      const erasureRequest = await getErasureRequest(requestId);
+      if (!erasureRequest) {
+        return {
+          status: 404,
+          jsonBody: { error: true, message: "Unknown or expired requestId" },
+        };
+      }
+      return { status: 200, jsonBody: erasureRequest };
+    } catch (err) {
+      structuredLog(context, "warn", "Erasure request lookup failed", {
+        requestId,
+        error: err.message,
+      });
+      return {
+        status: 503,
+        jsonBody: { error: true, message: "State store unavailable" },
+      };
+    }
+  },
+});
@@ -0,0 +1,42 @@
+const { app } = require("@azure/functions");
+const { getContainerAppsClient, structuredLog } = require("./ProcessTranscriptQueue");
+const { getErasureRole } = require("../lib/entraAuth");
+const { json, withQueryAuth } = require("../lib/queryApi");
+const {
+  parseForgetPersonBody,
+  requestedByFromClaims,
+  startErasureJob,
+} = require("../lib/erasureJob");
+
+/**
+ * POST /api/forget-person - redact a participant from all stored meetings.
+ *
+ * Body: { name, aliases?: string[], projectName?, reason? }
+ *
+ * Starts the Container App Job in erasure mode, which replaces the name in
+ * every stored analysis, action item, published dashboard and local
+ * artefact, then writes an audit record holding a hash of the name
+ * (processor/erasure.js).
+ *
+ * Requires an Entra ID bearer token with the erasure role
+ * (QUERY_API_ERASURE_ROLE, default "Meetings.Erase").
+ *
+ * Returns 202 { status: "accepted", executionName }.
+ */
+app.http("ForgetPerson", {
+  methods: ["POST"],
+  authLevel: "anonymous",
+  route: "forget-person",
+  handler: withQueryAuth(
+    "ForgetPerson",
+    async (request, context, claims) => {
+      const body = parseForgetPersonBody(await request.json().catch(() => null));
+      const { executionName } = await startErasureJob(
+        { mode: "forget-person", ...body, requestedBy: requestedByFromClaims(claims) },
+        { getContainerAppsClient, structuredLog, context },
+      );
+      return json(202, { status: "accepted", executionName });
+    },
+    { structuredLog, requiredRole: getErasureRole() },
+  ),
+});
@@ -0,0 +1,32 @@
+const { app } = require("@azure/functions");
+const { structuredLog } = require("./ProcessTranscriptQueue");
+const { getMeeting } = require("../lib/meetingStore");
+const { json, parseExcludeConsolidated, withQueryAuth } = require("../lib/queryApi");
+
+/**
+ * GET /api/projects/{project}/meetings/{meetingId} - one meeting record.
+ *
+ * Query parameters:
+ *   - excludeConsolidated : "true" to omit the large consolidated analysis
+ *
+ * Requires an Entra ID bearer token (see lib/entraAuth.js).
+ */
+app.http("GetMeeting", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "projects/{project}/meetings/{meetingId}",
+  handler: withQueryAuth(
+    "GetMeeting",
+    async (request) => {
+      const meeting = await getMeeting({
+        projectName: request.params.project,
+        meetingId: request.params.meetingId,
+        excludeConsolidated: parseExcludeConsolidated(request),
+      });
+      return meeting
+        ? json(200, meeting)
+        : json(404, { error: true, message: "Meeting not found" });
+    },
+    { structuredLog },
+  ),
+});
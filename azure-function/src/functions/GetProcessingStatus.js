@@ -0,0 +1,225 @@
+const { app } = require("@azure/functions");
+const { structuredLog } = require("./ProcessTranscriptQueue");
+const { getExecution } = require("../lib/executionRegistry");
+const { buildProcessingStatus } = require("../lib/processingStatus");
+
+/**
+ * HTTP trigger showing which pipeline stage a run is in.
+ * Linked from the "started" Teams card (statusUrl).
+ *
+ * Query parameters:
+ *   - executionId : the run to show (pseudo-token, like CancelProcessing)
+ *
+ * Returns HTML for browsers (auto-refreshing while the run is active) and
+ * JSON for `Accept: application/json`. Data comes from the execution
+ * registry, fed by ReportExecutionStatus with stage events from
+ * processor/index.js and claudeRunner.js.
+ */
+
+const REFRESH_SECONDS = 15;
+
+const STAGE_LABELS = {
+  download: "Download transcript",
+  analysis: "Claude analysis",
+  validation: "Validate dashboard",
+  deploy: "Deploy dashboard",
+  persist: "Save meeting history",
+};
+
+const STAGE_ICONS = {
+  pending: "⚪",
+  running: "🔄",
+  completed: "✅",
+  failed: "❌",
+  skipped: "⏭️",
+  interrupted: "⏹️",
+};
+
+const STATUS_LABELS = {
+  starting: "Starting",
+  started: "Starting",
+  running: "In progress",
+  completed: "Completed",
+  failed: "Failed",
+  cancelled: "Cancelled",
+  skipped: "Skipped",
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatElapsed(ms) {
+  if (ms === null || ms === undefined) return "";
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+function generateStatusPage(view) {
+  const stageRows = view.stages
+    .map(
+      (stage) => `
+      <tr class="stage-${escapeHtml(stage.status)}">
+        <td class="stage-icon">${STAGE_ICONS[stage.status] || ""}</td>
+        <td>${escapeHtml(STAGE_LABELS[stage.name] || stage.name)}${
+          stage.error
+            ? `<div class="stage-error">${escapeHtml(stage.error)}</div>`
+            : ""
+        }</td>
+        <td class="elapsed">${escapeHtml(formatElapsed(stage.elapsedMs))}</td>
+      </tr>`,
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  ${view.active ? `<meta http-equiv="refresh" content="${REFRESH_SECONDS}">` : ""}
+  <title>Processing Status - SSW Tiger</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      min-height: 100vh;
+      margin: 0;
+      background: #f5f5f5;
+      color: #333;
+    }
+    .card {
+      background: white;
+      border-radius: 12px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.1);
+      padding: 40px;
+      max-width: 480px;
+      width: 100%;
+    }
+    .title { font-size: 24px; font-weight: 600; margin-bottom: 4px; text-align: center; }
+    .subtitle { color: #777; font-size: 14px; text-align: center; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 10px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+    .stage-icon { width: 28px; }
+    .stage-pending { color: #999; }
+    .stage-running { font-weight: 600; }
+    .stage-error { color: #721c24; font-size: 12px; margin-top: 4px; }
+    .elapsed { text-align: right; color: #777; white-space: nowrap; }
+    .preview {
+      margin-top: 20px;
+      padding: 12px;
+      border-radius: 8px;
+      background: #f8f9fa;
+      font-family: ui-monospace, Menlo, Consolas, monospace;
+      font-size: 12px;
+      color: #555;
+      overflow-wrap: anywhere;
+    }
+    .error {
+      margin-top: 20px;
+      padding: 12px;
+      border-radius: 8px;
+      background: #f8d7da;
+      color: #721c24;
+      border: 1px solid #f5c6cb;
+    }
+    .link { margin-top: 20px; text-align: center; }
+    .link a { color: #CC4141; font-weight: 600; }
+    .details { font-size: 11px; color: #888; margin-top: 24px; overflow-wrap: anywhere; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <div class="title">${escapeHtml(STATUS_LABELS[view.status] || view.status)}</div>
+    <div class="subtitle">Elapsed ${escapeHtml(formatElapsed(view.elapsedMs))}${
+      view.active ? ` · refreshes every ${REFRESH_SECONDS}s` : ""
+    }</div>
+    <table>${stageRows}
+    </table>
+    ${
+      view.lastPreview && view.active
+        ? `<div class="preview">${escapeHtml(view.lastPreview.text)}</div>`
+        : ""
+    }
+    ${view.error ? `<div class="error">${escapeHtml(view.error)}</div>` : ""}
+    ${
+      view.deployedUrl
+        ? `<div class="link"><a href="${escapeHtml(view.deployedUrl)}">Open dashboard</a></div>`
+        : ""
+    }
+    <div class="details"><strong>Execution:</strong> ${escapeHtml(view.executionId)}</div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Return response based on request type (HTML for browser, JSON for API)
+ */
+function createResponse(request, statusCode, view, message) {
+  const acceptHeader = request.headers.get("accept") || "";
+  const isJsonRequest = acceptHeader.includes("application/json");
+
+  if (isJsonRequest) {
+    return {
+      status: statusCode,
+      headers: { "Cache-Control": "no-store" },
+      jsonBody: view || { error: true, message },
+    };
+  }
+
+  return {
+    status: statusCode,
+    headers: {
+      "Content-Type": "text/html",
+      "Cache-Control": "no-store",
+      "X-Robots-Tag": "noindex, nofollow",
+    },
+    body: view
+      ? generateStatusPage(view)
+      : `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Processing Status - SSW Tiger</title></head><body><p>${escapeHtml(message)}</p></body></html>`,
+  };
+}
+
+app.http("GetProcessingStatus", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  // Note: The executionId acts as a pseudo-authentication token
+  // Only users who received the notification have the status URL
+  handler: async (request, context) => {
+    const executionId = request.query.get("executionId");
+
+    if (!executionId) {
+      return createResponse(request, 400, null, "Missing executionId");
+    }
+
+    let record;
+    try {
+      record = await getExecution(executionId);
+    } catch (err) {
+      structuredLog(context, "warn", "Processing status lookup failed", {
+        executionId,
+        error: err.message,
+      });
+      return createResponse(
+        request,
+        503,
+        null,
+        "Processing status is temporarily unavailable. Please try again in a minute.",
+      );
+    }
+
+    if (!record) {
+      return createResponse(request, 404, null, "No run found for this executionId.");
+    }
+
+    return createResponse(request, 200, buildProcessingStatus(record));
+  },
+});
@@ -0,0 +1,40 @@
+const { app } = require("@azure/functions");
+const { structuredLog } = require("./ProcessTranscriptQueue");
+const { queryMeetings } = require("../lib/meetingStore");
+const {
+  json,
+  parsePaging,
+  parseDate,
+  parseExcludeConsolidated,
+  withQueryAuth,
+} = require("../lib/queryApi");
+
+/**
+ * GET /api/projects/{project}/meetings - a project's meetings, newest first.
+ *
+ * Query parameters:
+ *   - from, to             : inclusive meeting date range (YYYY-MM-DD)
+ *   - excludeConsolidated  : "true" to omit the large consolidated analysis
+ *   - pageSize, continuationToken (see lib/queryApi.js)
+ *
+ * Requires an Entra ID bearer token (see lib/entraAuth.js).
+ */
+app.http("ListMeetings", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "projects/{project}/meetings",
+  handler: withQueryAuth(
+    "ListMeetings",
+    async (request) => {
+      const page = await queryMeetings({
+        projectName: request.params.project,
+        from: parseDate(request, "from"),
+        to: parseDate(request, "to"),
+        excludeConsolidated: parseExcludeConsolidated(request),
+        ...parsePaging(request),
+      });
+      return json(200, page);
+    },
+    { structuredLog },
+  ),
+});
@@ -0,0 +1,21 @@
+const { app } = require("@azure/functions");
+const { structuredLog } = require("./ProcessTranscriptQueue");
+const { listProjects } = require("../lib/meetingStore");
+const { json, parsePaging, withQueryAuth } = require("../lib/queryApi");
+
+/**
+ * GET /api/projects - project names with meeting records, alphabetical.
+ *
+ * Query parameters: pageSize, continuationToken (see lib/queryApi.js).
+ * Requires an Entra ID bearer token (see lib/entraAuth.js).
+ */
+app.http("ListProjects", {
+  methods: ["GET"],
+  authLevel: "anonymous",
+  route: "projects",
+  handler: withQueryAuth(
+    "ListProjects",
+    async (request) => json(200, await listProjects(parsePaging(request))),
+    { structuredLog },
+  ),
+});
@@ -2,6 +2,17 @@ const { app } = require("@azure/functions");
 const { DefaultAzureCredential } = require("@azure/identity");
 const { ContainerAppsAPIClient } = require("@azure/arm-appcontainers");
 const crypto = require("crypto");
+const { claimLease, releaseLease } = require("../lib/dedupStore");
+const {
+  STATUSES,
+  createExecution,
+  updateExecution,
+} = require("../lib/executionRegistry");
+const {
+  STATUS_REPORT_TOKEN_TTL_MS,
+  createStatusReportSignature,
+} = require("../lib/statusReportToken");
+const { buildProcessorSettingsEnv } = require("../lib/jobEnv");
 
 /**
  * Processes transcript notifications from the queue.
@@ -37,95 +48,19 @@ let containerAppsClient = null;
 let azureCredential = null;
 
 /**
- * Simple in-memory deduplication cache.
- * Key: `${meetingId}-${transcriptId}`, Value: timestamp
+ * Deduplication lease for queue messages, held in the shared dedup store so
+ * every Function instance sees it.
+ * Key: see dedupKey in the handler, Value: lease owner + claim time
  * TTL: 10 minutes (Graph may retry within this window)
- *
- * Note: This is per-instance only. For multi-instance scenarios,
- * consider using Azure Table Storage or Redis.
  */
-const processedCache = new Map();
-const CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
-
-function isDuplicate(meetingId, transcriptId) {
-  const key = `${meetingId}-${transcriptId}`;
-  const cachedTime = processedCache.get(key);
-
-  if (cachedTime && Date.now() - cachedTime < CACHE_TTL_MS) {
-    return true;
-  }
-
-  return false;
-}
-
-function markAsProcessed(meetingId, transcriptId) {
-  const key = `${meetingId}-${transcriptId}`;
-  processedCache.set(key, Date.now());
-
-  // Cleanup old entries to prevent memory leak
-  if (processedCache.size > 1000) {
-    const now = Date.now();
-    for (const [k, v] of processedCache) {
-      if (now - v > CACHE_TTL_MS) {
-        processedCache.delete(k);
-      }
-    }
-  }
-}
-
-function removeFromCache(meetingId, transcriptId) {
-  const key = `${meetingId}-${transcriptId}`;
-  processedCache.delete(key);
-}
+const DEDUP_SCOPE = "queue";
+const DEDUP_TTL_MS = 10 * 60 * 1000; // 10 minutes
 
-/**
- * Execution mapping cache for cancel functionality.
- * Maps executionId -> { executionName, jobName, resourceGroup, subscriptionId, startedAt }
- * TTL: 2 hours (processing should complete within this time)
- */
-const executionMappingCache = new Map();
-const EXECUTION_CACHE_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours
+// Restart links in the failed/cancelled cards stay valid for 14 days.
+// Execution records themselves live in the shared execution registry (see
+// lib/executionRegistry.js) so cancel/restart work from any instance.
 const RESTART_TOKEN_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
 
-function storeExecutionMapping(executionId, data) {
-  executionMappingCache.set(executionId, data);
-
-  // Cleanup old entries
-  if (executionMappingCache.size > 100) {
-    const now = Date.now();
-    for (const [k, v] of executionMappingCache) {
-      if (now - v.startedAt > EXECUTION_CACHE_TTL_MS) {
-        executionMappingCache.delete(k);
-      }
-    }
-  }
-}
-
-function getExecutionMapping(executionId) {
-  return executionMappingCache.get(executionId);
-}
-
-function removeExecutionMapping(executionId) {
-  executionMappingCache.delete(executionId);
-}
-
-/**
- * Find a cached execution mapping for a given meeting + transcript.
- * Used by RestartProcessing to detect a job already running for the meeting.
- *
- * Per-instance only — if the running job was started by a different Function
- * instance, this returns undefined. Caller should treat that as "no match" and
- * rely on the live Container Apps API check + queue-level dedup as backstops.
- */
-function findActiveExecutionForMeeting(meetingId, transcriptId) {
-  for (const [executionId, data] of executionMappingCache) {
-    if (data.meetingId === meetingId && data.transcriptId === transcriptId) {
-      return { executionId, ...data };
-    }
-  }
-  return undefined;
-}
-
 function getContainerAppsClient(subscriptionId) {
   if (!containerAppsClient) {
     azureCredential = new DefaultAzureCredential();
@@ -247,7 +182,17 @@ app.storageQueue("ProcessTranscriptQueue", {
     } else {
       dedupKey = `${meetingId}-${transcriptId}`;
     }
-    if (processedCache.has(dedupKey) && Date.now() - processedCache.get(dedupKey) < CACHE_TTL_MS) {
+
+    // Claim the lease BEFORE triggering to prevent race conditions.
+    // The claim is atomic across instances: if two messages arrive
+    // simultaneously, only the first will proceed. If the store is
+    // unreachable, throw so the message is retried rather than risking a
+    // duplicate job run.
+    const claimed = await claimLease(DEDUP_SCOPE, dedupKey, {
+      ttlMs: DEDUP_TTL_MS,
+      owner: context.invocationId,
+    });
+    if (!claimed) {
       structuredLog(context, "info", "SKIP: Duplicate notification", {
         meetingId,
         transcriptId,
@@ -257,22 +202,47 @@ app.storageQueue("ProcessTranscriptQueue", {
       return;
     }
 
-    // Mark as processed BEFORE triggering to prevent race conditions
-    // If two messages arrive simultaneously, only the first will proceed
-    processedCache.set(dedupKey, Date.now());
+    let triggerType = "webhook";
+    if (restartTrigger) {
+      triggerType = "restart";
+    } else if (manualTrigger) {
+      triggerType = "manual";
+    }
 
     try {
-      await triggerContainerAppJob({ userId, meetingId, transcriptId, skipSubjectFilter }, context);
+      await triggerContainerAppJob(
+        {
+          userId,
+          meetingId,
+          transcriptId,
+          skipSubjectFilter,
+          triggerType,
+          restartedFromExecutionId,
+        },
+        context,
+      );
     } catch (err) {
-      // Remove from cache on failure to allow retry
-      processedCache.delete(dedupKey);
+      // Release the lease on failure to allow retry
+      await releaseLease(DEDUP_SCOPE, dedupKey).catch((releaseErr) => {
+        structuredLog(context, "warn", "Failed to release dedup lease", {
+          dedupKey,
+          error: releaseErr.message,
+        });
+      });
       throw err;
     }
   },
 });
 
 async function triggerContainerAppJob(params, context) {
-  const { userId, meetingId, transcriptId, skipSubjectFilter } = params;
+  const {
+    userId,
+    meetingId,
+    transcriptId,
+    skipSubjectFilter,
+    triggerType,
+    restartedFromExecutionId,
+  } = params;
 
   // Validate all required environment variables
   const subscriptionId = process.env.SUBSCRIPTION_ID;
@@ -358,10 +328,51 @@ async function triggerContainerAppJob(params, context) {
       )
     : "";
 
+  // Build status report URL (same host) - the container posts its status
+  // transitions (running/completed/failed/...) to the execution registry
+  const statusReportExpiresAt = Date.now() + STATUS_REPORT_TOKEN_TTL_MS;
+  const statusReportUrl = cancelFunctionUrl
+    ? appendQueryParams(
+        buildSiblingFunctionUrl(cancelFunctionUrl, "ReportExecutionStatus"),
+        {
+          executionId,
+          expiresAt: String(statusReportExpiresAt),
+          token: createStatusReportSignature({
+            executionId,
+            expiresAt: statusReportExpiresAt,
+          }),
+        },
+      )
+    : "";
+
+  // Build processing status page URL (same host) - linked from the
+  // "started" card so users can follow the run's stage progress
+  const statusUrl = cancelFunctionUrl
+    ? appendQueryParams(
+        buildSiblingFunctionUrl(cancelFunctionUrl, "GetProcessingStatus"),
+        { executionId },
+      )
+    : "";
+
+  // Register the run BEFORE starting the job so cancel/restart can always
+  // resolve it. If the registry is unavailable, throw so the message is
+  // retried (the dedup lease is released by the caller).
+  await createExecution({
+    executionId,
+    jobName,
+    resourceGroup,
+    subscriptionId,
+    userId,
+    meetingId,
+    transcriptId,
+    triggerType,
+    restartedFromExecutionId: restartedFromExecutionId || null,
+  });
+
   // Use singleton client for better performance
   const client = getContainerAppsClient(subscriptionId);
 
-  structuredLog(context, "info", "Starting Container App Job", { jobName, userId, meetingId, transcriptId });
+  structuredLog(context, "info", "Starting Container App Job", { jobName, userId, meetingId, transcriptId, triggerType });
 
   try {
     // beginStart() returns a poller for the LRO (Long Running Operation)
@@ -384,6 +395,10 @@ async function triggerContainerAppJob(params, context) {
               { name: "CHECK_CANCELLATION_URL", value: checkCancellationUrl },
               // Restart URL — sent in failed/cancelled Teams cards so users can re-run
               { name: "RESTART_URL", value: restartUrl },
+              // Status report URL — container reports run status to the execution registry
+              { name: "STATUS_REPORT_URL", value: statusReportUrl },
+              // Status page URL — sent in the "started" Teams card
+              { name: "STATUS_URL", value: statusUrl },
               // Manual trigger: skip subject filter when explicitly requested
               ...(skipSubjectFilter
                 ? [{ name: "SKIP_SUBJECT_FILTER", value: "true" }]
@@ -403,6 +418,8 @@ async function triggerContainerAppJob(params, context) {
               { name: "COSMOS_ENDPOINT", value: process.env.COSMOS_ENDPOINT || "" },
               // Claude model override
               { name: "CLAUDE_MODEL", value: process.env.CLAUDE_MODEL || "" },
+              // Publishers, exporters, redaction etc. (see lib/jobEnv.js)
+              ...buildProcessorSettingsEnv(),
             ],
           },
         ],
@@ -411,25 +428,27 @@ async function triggerContainerAppJob(params, context) {
 
     // Get the initial result (job execution info) without waiting for completion
     const initialResult = poller.getOperationState().result;
-    const executionName = initialResult?.name || "unknown";
-
-    // Store mapping of executionId -> executionName for cancel functionality
-    // This allows the cancel endpoint to find the actual job execution.
-    // meetingId/transcriptId enable findActiveExecutionForMeeting() (used by RestartProcessing
-    // to detect a job already running for the same meeting).
-    storeExecutionMapping(executionId, {
-      executionName,
-      jobName,
-      resourceGroup,
-      subscriptionId,
-      meetingId,
-      transcriptId,
-      startedAt: Date.now(),
-    });
+    const executionName = initialResult?.name || null;
+
+    // Record executionId -> executionName so CancelProcessing and
+    // RestartProcessing can look up the live job execution directly.
+    // The job is already running, so a registry failure is only logged.
+    try {
+      await updateExecution(executionId, {
+        status: STATUSES.STARTED,
+        executionName,
+      });
+    } catch (registryErr) {
+      structuredLog(context, "warn", "Failed to record started execution", {
+        executionId,
+        executionName,
+        error: registryErr.message,
+      });
+    }
 
     structuredLog(context, "info", "Container App Job started", {
       jobName,
-      executionName,
+      executionName: executionName || "unknown",
       executionId,
       cancelUrl: cancelUrl || "(not configured)",
       userId,
@@ -444,6 +463,16 @@ async function triggerContainerAppJob(params, context) {
       transcriptId,
       error: err.message,
     });
+    await updateExecution(
+      executionId,
+      { status: STATUSES.FAILED, error: err.message },
+      { detail: "Container App Job failed to start" },
+    ).catch((registryErr) => {
+      structuredLog(context, "warn", "Failed to record failed execution", {
+        executionId,
+        error: registryErr.message,
+      });
+    });
     throw err; // Re-throw to trigger queue retry
   }
 }
@@ -451,9 +480,6 @@ async function triggerContainerAppJob(params, context) {
 // Export shared utilities for CancelProcessing and RestartProcessing functions
 module.exports = {
   getContainerAppsClient,
-  getExecutionMapping,
-  removeExecutionMapping,
-  findActiveExecutionForMeeting,
   structuredLog,
   LOG_PREFIX,
 };
@@ -0,0 +1,173 @@
+const { app } = require("@azure/functions");
+const { structuredLog } = require("./ProcessTranscriptQueue");
+const {
+  STATUSES,
+  STAGES,
+  STAGE_STATUSES,
+  updateExecution,
+  recordStage,
+  recordPreview,
+} = require("../lib/executionRegistry");
+const { isValidStatusReportToken } = require("../lib/statusReportToken");
+
+/**
+ * HTTP trigger for the running container to report status transitions, stage
+ * progress and progress previews to the execution registry. Called from
+ * entrypoint.sh (via processor/reportStatus.js), processor/index.js and
+ * claudeRunner.js using the STATUS_REPORT_URL built by ProcessTranscriptQueue.
+ * GetProcessingStatus renders what is reported here.
+ *
+ * Query parameters (all part of STATUS_REPORT_URL):
+ *   - executionId : the run being reported
+ *   - expiresAt   : token expiry timestamp in milliseconds
+ *   - token       : HMAC signature over executionId + expiresAt
+ *
+ * JSON body - exactly one of:
+ *   Run status:
+ *   - status      : running | completed | failed | cancelled | skipped
+ *   - detail      : (optional) note stored with the transition
+ *   - deployedUrl : (optional) dashboard URL, for "completed"
+ *   - error       : (optional) error message, for "failed"
+ *   Stage event:
+ *   - stage       : download | analysis | validation | deploy | persist
+ *   - stageStatus : running | completed | failed | skipped
+ *   - error       : (optional) failure reason
+ *   Progress preview:
+ *   - preview     : latest Claude progress line (extractEventPreview)
+ */
+
+const REPORTABLE_STATUSES = new Set([
+  STATUSES.RUNNING,
+  STATUSES.COMPLETED,
+  STATUSES.FAILED,
+  STATUSES.CANCELLED,
+  STATUSES.SKIPPED,
+]);
+
+const MAX_FIELD_LENGTH = 2000;
+
+function clip(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  return String(value).slice(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Validate a report body. Returns an error message, or null if valid.
+ */
+function validateReport(body) {
+  if (body.stage !== undefined) {
+    if (!STAGES.includes(body.stage)) {
+      return `stage must be one of: ${STAGES.join(", ")}`;
+    }
+    if (!STAGE_STATUSES.has(body.stageStatus)) {
+      return `stageStatus must be one of: ${[...STAGE_STATUSES].join(", ")}`;
+    }
+    return null;
+  }
+  if (body.preview !== undefined) {
+    return clip(body.preview) ? null : "preview must be a non-empty string";
+  }
+  if (!REPORTABLE_STATUSES.has(body.status)) {
+    return `status must be one of: ${[...REPORTABLE_STATUSES].join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Apply a validated report to the registry. Returns null when the execution
+ * is unknown.
+ */
+async function applyReport(executionId, body) {
+  if (body.stage !== undefined) {
+    return recordStage(executionId, body.stage, body.stageStatus, {
+      error: clip(body.error),
+    });
+  }
+
+  if (body.preview !== undefined) {
+    return recordPreview(executionId, clip(body.preview));
+  }
+
+  const changes = { status: body.status };
+  const deployedUrl = clip(body.deployedUrl);
+  const error = clip(body.error);
+  if (deployedUrl) changes.deployedUrl = deployedUrl;
+  if (error) changes.error = error;
+
+  return updateExecution(executionId, changes, {
+    detail: clip(body.detail) || null,
+  });
+}
+
+app.http("ReportExecutionStatus", {
+  methods: ["POST"],
+  authLevel: "anonymous", // Authenticated by the signed token instead
+  handler: async (request, context) => {
+    const executionId = request.query.get("executionId");
+    const expiresAt = request.query.get("expiresAt");
+    const token = request.query.get("token");
+
+    if (!isValidStatusReportToken({ executionId, expiresAt, token })) {
+      structuredLog(context, "warn", "Status report rejected: invalid token", {
+        executionId,
+      });
+      return {
+        status: 403,
+        jsonBody: { error: true, message: "Invalid or expired token" },
+      };
+    }
+
+    let body;
+    try {
+      body = (await request.json()) || {};
+    } catch {
+      return {
+        status: 400,
+        jsonBody: { error: true, message: "Body must be JSON" },
+      };
+    }
+
+    const validationError = validateReport(body);
+    if (validationError) {
+      return {
+        status: 400,
+        jsonBody: { error: true, message: validationError },
+      };
+    }
+
+    let record;
+    try {
+      record = await applyReport(executionId, body);
+    } catch (err) {
+      structuredLog(context, "warn", "Status report failed", {
+        executionId,
+        error: err.message,
+      });
+      return {
+        status: 503,
+        jsonBody: { error: true, message: "Execution registry unavailable" },
+      };
+    }
+
+    if (!record) {
+      return {
+        status: 404,
+        jsonBody: { error: true, message: "Unknown executionId" },
+      };
+    }
+
+    // Previews arrive every few seconds during analysis - don't log them
+    if (!body.preview) {
+      structuredLog(context, "info", "Execution status reported", {
+        executionId,
+        reported: body.status || `${body.stage}:${body.stageStatus}`,
+        status: record.status,
+      });
+    }
+
+    return {
+      status: 200,
+      jsonBody: { executionId, status: record.status },
+    };
+  },
+});
@@ -2,9 +2,13 @@ const { app, output } = require("@azure/functions");
 const crypto = require("crypto");
 const {
   getContainerAppsClient,
-  findActiveExecutionForMeeting,
   structuredLog,
 } = require("./ProcessTranscriptQueue");
+const {
+  STATUSES,
+  findActiveExecutionForMeeting,
+  updateExecution,
+} = require("../lib/executionRegistry");
 
 const TIGER_LOGO_URL =
   process.env.TIGER_LOGO_URL ||
@@ -24,8 +28,8 @@ const TIGER_LOGO_URL =
  *   - token         : HMAC signature for the restart request
  *
  * Concurrency defence:
- *   1. List Container App Job executions and check if one is already running
- *      for this meeting (matched via the shared executionMappingCache).
+ *   1. Look up the meeting's active run in the execution registry and confirm
+ *      its job execution is still running (single keyed Container Apps read).
  *   2. In-process restart-in-flight set blocks rapid double-clicks within the
  *      window between this endpoint and ProcessTranscriptQueue picking up the
  *      message.
@@ -37,8 +41,8 @@ const TIGER_LOGO_URL =
 //
 // Purpose: bridge the brief window between this endpoint enqueuing a message
 // and ProcessTranscriptQueue picking it up and starting a container. Once the
-// container starts, executionMappingCache picks up the slack and Layer 1
-// (Azure API check) handles further restart attempts.
+// container starts, the execution registry picks up the slack and Layer 1
+// (registry + live status check) handles further restart attempts.
 //
 // 30s is enough to absorb double-clicks from a single user; a longer TTL
 // would block legitimate retries when a freshly-started container fails fast.
@@ -70,21 +74,9 @@ function isRestartInFlight(meetingId, transcriptId) {
   return true;
 }
 
-function executionMatchesMeeting(execution, meetingId, transcriptId) {
-  const containers = execution?.template?.containers;
-  if (!Array.isArray(containers)) return false;
-  for (const c of containers) {
-    if (!Array.isArray(c.env)) continue;
-    const envMap = new Map(c.env.map((e) => [e.name, e.value]));
-    if (
-      envMap.get("GRAPH_MEETING_ID") === meetingId &&
-      envMap.get("GRAPH_TRANSCRIPT_ID") === transcriptId
-    ) {
-      return true;
-    }
-  }
-  return false;
-}
+// A "starting" run has no executionName until beginStart() returns. Treat it
+// as running for this long; after that the start evidently failed silently.
+const STARTING_GRACE_MS = 5 * 60 * 1000; // 5 minutes
 
 function escapeHtml(value = "") {
   return String(value)
@@ -392,72 +384,64 @@ app.http("RestartProcessing", {
      * Check whether a job for this meeting is already running. Returns:
      * - true: running execution found
      * - false: no running execution found
-     * - null: status unknown because config/API lookup failed
+     * - null: status unknown because config/registry/API lookup failed
+     *
+     * The registry says which run is active; the live job status is
+     * authoritative, since a container that crashed hard never reports a
+     * final status. Such stale records are marked failed here.
      */
     async function checkAlreadyRunning() {
       if (!subscriptionId || !resourceGroup || !jobName) return null;
       try {
-        const client = getContainerAppsClient(subscriptionId);
-        const cachedActive = findActiveExecutionForMeeting(
+        const active = await findActiveExecutionForMeeting(
           meetingId,
           transcriptId,
         );
-
-        if (cachedActive) {
-          try {
-            let liveExec = null;
-            for await (const exec of client.jobsExecutions.list(
-              resourceGroup,
-              jobName,
-            )) {
-              if (exec.name === cachedActive.executionName) {
-                liveExec = exec;
-                break;
-              }
-            }
-            if (
-              liveExec &&
-              (liveExec.status === "Running" ||
-                liveExec.status === "Processing")
-            ) {
-              structuredLog(context, "info", "Already running (cache hit)", {
-                meetingId,
-                transcriptId,
-                runningExecutionName: cachedActive.executionName,
-              });
-              return true;
-            }
-          } catch (liveCheckErr) {
-            structuredLog(
-              context,
-              "warn",
-              "Live execution check failed, falling through",
-              {
-                executionName: cachedActive.executionName,
-                error: liveCheckErr.message,
-              },
-            );
+        if (!active) return false;
+
+        if (!active.executionName) {
+          const age = Date.now() - Date.parse(active.createdAt);
+          if (age < STARTING_GRACE_MS) {
+            structuredLog(context, "info", "Already running (starting)", {
+              meetingId,
+              transcriptId,
+              runningExecutionId: active.executionId,
+            });
+            return true;
           }
+          await markStale(active, "never received a job execution name");
+          return false;
         }
 
-        // Cross-instance / cold-start fallback
-        for await (const exec of client.jobsExecutions.list(
-          resourceGroup,
-          jobName,
-        )) {
-          if (exec.status !== "Running" && exec.status !== "Processing") {
-            continue;
-          }
-          if (!executionMatchesMeeting(exec, meetingId, transcriptId)) {
-            continue;
-          }
-          structuredLog(context, "info", "Already running (live API scan)", {
+        const client = getContainerAppsClient(subscriptionId);
+        let liveExec = null;
+        try {
+          liveExec = await client.jobExecution(
+            active.resourceGroup || resourceGroup,
+            active.jobName || jobName,
+            active.executionName,
+          );
+        } catch (err) {
+          if (err.statusCode !== 404) throw err;
+        }
+
+        if (
+          liveExec &&
+          (liveExec.status === "Running" || liveExec.status === "Processing")
+        ) {
+          structuredLog(context, "info", "Already running (registry)", {
             meetingId,
             transcriptId,
-            runningExecutionName: exec.name,
+            runningExecutionId: active.executionId,
+            runningExecutionName: active.executionName,
           });
           return true;
         }
+
+        await markStale(
+          active,
+          `job execution is ${liveExec ? liveExec.status : "gone"}`,
+        );
       } catch (err) {
         structuredLog(
           context,
@@ -470,6 +454,27 @@ app.http("RestartProcessing", {
       return false;
     }
 
+    async function markStale(record, reason) {
+      structuredLog(context, "warn", "Stale active execution", {
+        executionId: record.executionId,
+        executionName: record.executionName,
+        reason,
+      });
+      await updateExecution(
+        record.executionId,
+        {
+          status: STATUSES.FAILED,
+          error: record.error || "Execution ended without reporting a status",
+        },
+        { detail: `Marked stale by RestartProcessing: ${reason}` },
+      ).catch((err) => {
+        structuredLog(context, "warn", "Could not mark execution stale", {
+          executionId: record.executionId,
+          error: err.message,
+        });
+      });
+    }
+
     if (request.method === "GET") {
       const runningStatus = await checkAlreadyRunning();
       if (runningStatus === null) {
@@ -1,4 +1,5 @@
 const { app, output } = require("@azure/functions");
+const { claimLease } = require("../lib/dedupStore");
 
 /**
  * Receives Microsoft Graph webhook notifications for new transcripts.
@@ -12,42 +13,18 @@ const { app, output } = require("@azure/functions");
 const LOG_PREFIX = "[TIGER]";
 
 /**
- * In-memory deduplication cache for webhook notifications.
+ * Deduplication lease for webhook notifications.
  * Prevents duplicate queue messages when Graph sends the same notification twice.
- * Key: `${meetingId}-${transcriptId}`, Value: timestamp
+ * Key: `${meetingId}-${transcriptId}` in the shared dedup store, so retries that
+ * land on a different (or freshly cold-started) instance are still caught.
  * TTL: 10 minutes
  *
- * This works because duplicate Graph notifications typically hit the same
- * function instance within seconds. The queue-level dedup in ProcessTranscriptQueue
- * remains as a secondary safety net for cross-instance scenarios.
+ * The queue-level lease in ProcessTranscriptQueue remains as a secondary
+ * safety net (e.g. if the store is unreachable and we fail open here).
  */
-const webhookDedupCache = new Map();
+const DEDUP_SCOPE = "webhook";
 const DEDUP_TTL_MS = 10 * 60 * 1000; // 10 minutes
 
-function isWebhookDuplicate(meetingId, transcriptId) {
-  const key = `${meetingId}-${transcriptId}`;
-  const cachedTime = webhookDedupCache.get(key);
-  if (cachedTime && Date.now() - cachedTime < DEDUP_TTL_MS) {
-    return true;
-  }
-  return false;
-}
-
-function markWebhookProcessed(meetingId, transcriptId) {
-  const key = `${meetingId}-${transcriptId}`;
-  webhookDedupCache.set(key, Date.now());
-
-  // Cleanup old entries to prevent memory leak
-  if (webhookDedupCache.size > 1000) {
-    const now = Date.now();
-    for (const [k, v] of webhookDedupCache) {
-      if (now - v > DEDUP_TTL_MS) {
-        webhookDedupCache.delete(k);
-      }
-    }
-  }
-}
-
 /**
  * Structured logging helper for consistent log format
  */
@@ -155,12 +132,25 @@ app.http("TranscriptWebhook", {
 
       // Deduplicate at webhook level to prevent duplicate queue messages
       // Graph may send the same notification multiple times (at-least-once delivery)
-      if (isWebhookDuplicate(meetingId, transcriptId)) {
+      let claimed = true;
+      try {
+        claimed = await claimLease(DEDUP_SCOPE, `${meetingId}-${transcriptId}`, {
+          ttlMs: DEDUP_TTL_MS,
+          owner: context.invocationId,
+        });
+      } catch (err) {
+        // Fail open - the queue-level lease still blocks a duplicate job run
+        structuredLog(context, "warn", "Dedup store unavailable, queuing anyway", {
+          meetingId,
+          transcriptId,
+          error: err.message,
+        });
+      }
+      if (!claimed) {
         structuredLog(context, "info", "SKIP: Duplicate webhook notification", { meetingId, transcriptId });
         skippedCount++;
         continue;
       }
-      markWebhookProcessed(meetingId, transcriptId);
 
       queueMessages.push({
         userId,
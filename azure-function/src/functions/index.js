@@ -5,3 +5,11 @@ require("./RenewSubscription");
 require("./CancelProcessing");
 require("./TriggerProcessing");
 require("./RestartProcessing");
+require("./ReportExecutionStatus");
+require("./GetProcessingStatus");
+require("./ListProjects");
+require("./ListMeetings");
+require("./GetMeeting");
+require("./EraseMeeting");
+require("./ForgetPerson");
+require("./ErasureRequest");
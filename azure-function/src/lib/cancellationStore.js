@@ -0,0 +1,51 @@
+/**
+ * Shared cancellation markers.
+ *
+ * CancelProcessing writes a marker before stopping a job execution; the
+ * running container polls CheckCancellation (every 15s from entrypoint.sh)
+ * so it can classify the SIGTERM as user-requested and send a "cancelled"
+ * Teams card. The poll can land on any Function instance, so the marker
+ * lives in the shared state store rather than in process memory.
+ *
+ * Each marker records who cancelled and when, so the card can say who
+ * stopped the run.
+ */
+
+const { getStateTable } = require("./stateStore");
+
+const CANCELLATION_TABLE = "cancellations";
+// Long enough to outlive the job's own timeout, so a late poll or a
+// restart page view still sees the marker.
+const CANCELLED_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Record that an execution was cancelled.
+ *
+ * @param {string} executionId
+ * @param {Object} [cancelledBy] - { userId, displayName } of whoever clicked cancel (if known)
+ * @returns {Promise<Object>} the stored marker
+ */
+async function markCancelled(executionId, cancelledBy = {}) {
+  const marker = {
+    executionId,
+    cancelledAt: new Date().toISOString(),
+    cancelledBy: {
+      userId: cancelledBy.userId || null,
+      displayName: cancelledBy.displayName || null,
+    },
+  };
+  await getStateTable(CANCELLATION_TABLE).upsert(executionId, marker, {
+    ttlMs: CANCELLED_TTL_MS,
+  });
+  return marker;
+}
+
+/**
+ * Get the cancellation marker for an execution, or null if not cancelled.
+ */
+async function getCancellation(executionId) {
+  const entry = await getStateTable(CANCELLATION_TABLE).get(executionId);
+  return entry ? entry.value : null;
+}
+
+module.exports = { markCancelled, getCancellation, CANCELLED_TTL_MS };
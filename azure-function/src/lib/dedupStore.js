@@ -0,0 +1,61 @@
+/**
+ * Cross-instance dedup leases for webhook and queue processing.
+ *
+ * Graph delivers notifications at-least-once and Azure Queue redelivers on
+ * failure, so the same meeting can reach several Function instances (or a
+ * freshly cold-started one). Before starting work, a caller atomically claims
+ * a lease on its dedup key; only the claimant proceeds. Leases expire after
+ * their TTL, or are released early when the work fails so a retry can claim.
+ *
+ * Each caller uses its own scope ("webhook", "queue") so the webhook's lease
+ * on a meeting never blocks the queue from claiming the same meeting.
+ */
+
+const { getStateTable } = require("./stateStore");
+
+const LEASE_TABLE = "leases";
+
+function leaseKey(scope, key) {
+  return `${scope}:${key}`;
+}
+
+/**
+ * Atomically claim a lease.
+ *
+ * @param {string} scope - caller namespace, e.g. "queue"
+ * @param {string} key - dedup key, e.g. `${meetingId}-${transcriptId}`
+ * @param {Object} options
+ * @param {number} options.ttlMs - lease lifetime
+ * @param {string} [options.owner] - who holds the lease (for diagnostics)
+ * @returns {Promise<boolean>} true if this caller now holds the lease
+ */
+async function claimLease(scope, key, { ttlMs, owner } = {}) {
+  const etag = await getStateTable(LEASE_TABLE).insert(
+    leaseKey(scope, key),
+    {
+      scope,
+      key,
+      owner: owner || null,
+      claimedAt: new Date().toISOString(),
+    },
+    { ttlMs },
+  );
+  return etag !== null;
+}
+
+/**
+ * Release a lease before its TTL (e.g. the guarded work failed).
+ */
+async function releaseLease(scope, key) {
+  await getStateTable(LEASE_TABLE).remove(leaseKey(scope, key));
+}
+
+/**
+ * Read the current holder of a lease, or null if unclaimed/expired.
+ */
+async function getLease(scope, key) {
+  const entry = await getStateTable(LEASE_TABLE).get(leaseKey(scope, key));
+  return entry ? { ...entry.value, expiresAt: entry.expiresAt } : null;
+}
+
+module.exports = { claimLease, releaseLease, getLease };
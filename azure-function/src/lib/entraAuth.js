@@ -0,0 +1,94 @@
+/**
+ * Entra ID bearer token validation for the query API.
+ *
+ * Callers (internal tools, dashboards) send an access token issued for the
+ * query API's app registration: `Authorization: Bearer <jwt>`. The token's
+ * signature is checked against the tenant's published signing keys, plus
+ * issuer, audience, expiry and (optionally) an app role.
+ *
+ * Env vars:
+ *   QUERY_API_AUDIENCE       - app ID URI or client ID the token must be issued for (required)
+ *   QUERY_API_TENANT_ID      - tenant (default: GRAPH_TENANT_ID)
+ *   QUERY_API_REQUIRED_ROLE  - app role the token must carry, e.g. "Meetings.Read" (optional)
+ *   QUERY_API_ERASURE_ROLE   - app role for the erasure endpoints (default: "Meetings.Erase")
+ */
+
+const { createRemoteJWKSet, jwtVerify } = require("jose");
+
+let _keySet = null;
+let _keySetTenant = null;
+
+function getTenantId() {
+  return process.env.QUERY_API_TENANT_ID || process.env.GRAPH_TENANT_ID;
+}
+
+/**
+ * Tenant signing keys (lazy singleton; jose caches and refreshes them).
+ */
+function getKeySet(tenantId) {
+  if (!_keySet || _keySetTenant !== tenantId) {
+    _keySet = createRemoteJWKSet(
+      new URL(`https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys`),
+    );
+    _keySetTenant = tenantId;
+  }
+  return _keySet;
+}
+
+function denied(status, message) {
+  return { ok: false, status, message };
+}
+
+/**
+ * Validate the request's bearer token.
+ *
+ * @param {Object} request - Azure Functions HttpRequest
+ * @param {Object} [options]
+ * @param {Function} [options.keySet] - jose key set, for tests
+ * @param {string} [options.requiredRole] - app role to require instead of
+ *   QUERY_API_REQUIRED_ROLE
+ * @returns {Promise<{ok: true, claims: Object} | {ok: false, status: number, message: string}>}
+ */
+async function authenticateRequest(request, options = {}) {
+  const audience = process.env.QUERY_API_AUDIENCE;
+  const tenantId = getTenantId();
+  if (!audience || !tenantId) {
+    return denied(503, "Query API authentication is not configured");
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get("authorization") || "");
+  if (!match) {
+    return denied(401, "Missing bearer token");
+  }
+
+  let claims;
+  try {
+    ({ payload: claims } = await jwtVerify(match[1], options.keySet || getKeySet(tenantId), {
+      audience,
+      // v2.0 tokens, and v1.0 tokens for app registrations that still issue them
+      issuer: [
+        `https://login.microsoftonline.com/${tenantId}/v2.0`,
+        `https://sts.windows.net/${tenantId}/`,
+      ],
+    }));
+  } catch (err) {
+    return denied(401, `Invalid bearer token: ${err.code || err.message}`);
+  }
+
+  const requiredRole = options.requiredRole || process.env.QUERY_API_REQUIRED_ROLE;
+  if (requiredRole && !(claims.roles || []).includes(requiredRole)) {
+    return denied(403, `Token is missing the "${requiredRole}" role`);
+  }
+
+  return { ok: true, claims };
+}
+
+/**
+ * App role the erasure endpoints (EraseMeeting, ForgetPerson) require.
+ * Always enforced, so read-only callers can't erase data.
+ */
+function getErasureRole() {
+  return process.env.QUERY_API_ERASURE_ROLE || "Meetings.Erase";
+}
+
+module.exports = { authenticateRequest, getErasureRole };
@@ -0,0 +1,166 @@
+/**
+ * Starts the Container App Job in erasure mode (see entrypoint.sh and
+ * processor/eraseData.js) for the EraseMeeting and ForgetPerson endpoints.
+ *
+ * The job does the deleting: it has the storage and Cosmos DB access, and
+ * deleting a meeting's published versions can take longer than an HTTP
+ * request should.
+ *
+ * The name being forgotten never goes into the job's env, which Azure keeps
+ * with every execution: it's stored for the job to collect instead (see
+ * erasureRequests.js).
+ */
+
+const { buildProcessorSettingsEnv } = require("./jobEnv");
+const { saveErasureRequest, removeErasureRequest } = require("./erasureRequests");
+
+const ERASURE_MODES = new Set(["delete-meeting", "forget-person"]);
+// Same rule as processor/erasure.js: these become paths in the job
+const PATH_SEGMENT = /^(?!\.{1,2}$)[\w.-]+$/;
+
+/**
+ * Container env for an erasure run. The template override REPLACES the
+ * job's env array, so the static values the processor needs are repeated.
+ *
+ * @param {Object} erasure
+ * @param {string} erasure.mode - "delete-meeting" | "forget-person"
+ * @param {string} [erasure.projectName]
+ * @param {string} [erasure.meetingId]
+ * @param {string} [erasure.requestUrl] - forget-person: where the job
+ *   collects the name and aliases (see erasureRequests.js)
+ * @param {string} [erasure.requestedBy]
+ * @param {string} [erasure.reason]
+ * @returns {Array<{name: string, value: string}>}
+ */
+function buildErasureEnv({ mode, projectName, meetingId, requestUrl, requestedBy, reason }) {
+  if (!ERASURE_MODES.has(mode)) {
+    throw new Error(`Unknown erasure mode "${mode}"`);
+  }
+  return [
+    { name: "ERASURE_MODE", value: mode },
+    { name: "ERASURE_PROJECT", value: projectName || "" },
+    { name: "ERASURE_MEETING_ID", value: meetingId || "" },
+    { name: "ERASURE_REQUEST_URL", value: requestUrl || "" },
+    { name: "ERASURE_REQUESTED_BY", value: requestedBy || "" },
+    { name: "ERASURE_REASON", value: reason || "" },
+    // Static values - must be included as template override replaces the env array
+    { name: "NODE_ENV", value: "production" },
+    { name: "AZURE_CLIENT_ID", value: process.env.AZURE_CLIENT_ID },
+    { name: "DASHBOARD_STORAGE_ACCOUNT", value: process.env.DASHBOARD_STORAGE_ACCOUNT },
+    { name: "DASHBOARD_BASE_URL", value: process.env.DASHBOARD_BASE_URL },
+    { name: "COSMOS_ENDPOINT", value: process.env.COSMOS_ENDPOINT || "" },
+    // Published copies may be with another publisher (see lib/jobEnv.js)
+    ...buildProcessorSettingsEnv(),
+  ];
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { code: "BAD_REQUEST" });
+}
+
+/**
+ * @returns {string} a project name or meeting ID from the route
+ * @throws {Error} code BAD_REQUEST
+ */
+function parseErasureTarget(value, name) {
+  if (!PATH_SEGMENT.test(value || "")) {
+    throw badRequest(`${name} must only contain letters, digits, ".", "_" and "-"`);
+  }
+  return value;
+}
+
+/**
+ * @param {Object|null} body - { name, aliases?, projectName?, reason? }
+ * @returns {{person: string, aliases: string[], projectName?: string, reason: string|null}}
+ * @throws {Error} code BAD_REQUEST
+ */
+function parseForgetPersonBody(body) {
+  const name = typeof body?.name === "string" ? body.name.trim() : "";
+  if (!name) {
+    throw badRequest('Body must be JSON with a "name"');
+  }
+  const aliases = body.aliases ?? [];
+  if (!Array.isArray(aliases) || !aliases.every((alias) => typeof alias === "string")) {
+    throw badRequest("aliases must be an array of names");
+  }
+  return {
+    person: name,
+    aliases: aliases.map((alias) => alias.trim()).filter(Boolean),
+    projectName: body.projectName ? parseErasureTarget(body.projectName, "projectName") : undefined,
+    reason: typeof body.reason === "string" ? body.reason : null,
+  };
+}
+
+/**
+ * Who asked, from the caller's token: UPN or app ID, plus the object ID.
+ */
+function requestedByFromClaims(claims = {}) {
+  const who = claims.preferred_username || claims.upn || claims.appid || claims.azp;
+  return [who, claims.oid && `oid:${claims.oid}`].filter(Boolean).join(" ") || null;
+}
+
+/**
+ * @param {Object} erasure - see buildErasureEnv; forget-person takes
+ *   person and aliases instead of requestUrl
+ * @param {Object} deps
+ * @param {Function} deps.getContainerAppsClient - (subscriptionId) => client
+ * @param {Function} deps.structuredLog
+ * @param {Object} deps.context
+ * @returns {Promise<{executionName: string|null}>}
+ */
+async function startErasureJob(erasure, { getContainerAppsClient, structuredLog, context }) {
+  const subscriptionId = process.env.SUBSCRIPTION_ID;
+  const resourceGroup = process.env.CONTAINER_APP_JOB_RESOURCE_GROUP;
+  const jobName = process.env.CONTAINER_APP_JOB_NAME;
+  const containerImage = process.env.CONTAINER_APP_JOB_IMAGE;
+
+  const missingEnvVars = [];
+  if (!subscriptionId) missingEnvVars.push("SUBSCRIPTION_ID");
+  if (!resourceGroup) missingEnvVars.push("CONTAINER_APP_JOB_RESOURCE_GROUP");
+  if (!jobName) missingEnvVars.push("CONTAINER_APP_JOB_NAME");
+  if (!containerImage) missingEnvVars.push("CONTAINER_APP_JOB_IMAGE");
+
+  if (missingEnvVars.length > 0) {
+    structuredLog(context, "error", "Missing env vars", { missingEnvVars });
+    throw new Error(`Missing required environment variables: ${missingEnvVars.join(", ")}`);
+  }
+
+  const { person, aliases, ...target } = erasure;
+  const request = erasure.mode === "forget-person" ? await saveErasureRequest({ person, aliases }) : null;
+
+  let poller;
+  try {
+    poller = await getContainerAppsClient(subscriptionId).jobs.beginStart(resourceGroup, jobName, {
+      template: {
+        containers: [
+          {
+            name: "tiger-processor",
+            image: containerImage,
+            env: buildErasureEnv({ ...target, requestUrl: request?.requestUrl }),
+          },
+        ],
+      },
+    });
+  } catch (error) {
+    if (request) await removeErasureRequest(request.requestId);
+    throw error;
+  }
+  const executionName = poller.getOperationState().result?.name || null;
+
+  structuredLog(context, "info", "Erasure job started", {
+    jobName,
+    executionName: executionName || "unknown",
+    mode: erasure.mode,
+    projectName: erasure.projectName || null,
+    meetingId: erasure.meetingId || null,
+  });
+  return { executionName };
+}
+
+module.exports = {
+  buildErasureEnv,
+  parseErasureTarget,
+  parseForgetPersonBody,
+  requestedByFromClaims,
+  startErasureJob,
+};
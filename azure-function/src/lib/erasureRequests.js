@@ -0,0 +1,111 @@
+/**
+ * Forget-person requests waiting for the erasure job.
+ *
+ * The job's env is kept in every execution's template, readable by anyone
+ * with read access on the job, so the name being erased must not travel
+ * there. ForgetPerson stores { person, aliases } in the shared state store
+ * under a random request id with a short TTL, and the job only gets
+ * ERASURE_REQUEST_URL: the ErasureRequest endpoint with that id and a
+ * signed token. processor/eraseData.js reads the request (GET) and deletes
+ * it (DELETE) before it starts redacting.
+ */
+
+const crypto = require("crypto");
+const { getStateTable } = require("./stateStore");
+const { getStatusReportSecret } = require("./statusReportToken");
+
+const ERASURE_REQUEST_TABLE = "erasurerequests";
+// The job's replicaTimeout (1 hour) plus time to get a replica
+const ERASURE_REQUEST_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours
+
+function createErasureRequestSignature({ requestId, expiresAt }) {
+  const secret = getStatusReportSecret();
+  if (!secret) {
+    throw new Error(
+      "Missing erasure request signing secret. Configure RESTART_TOKEN_SECRET, WEBHOOK_CLIENT_STATE, or GRAPH_CLIENT_SECRET.",
+    );
+  }
+
+  return crypto
+    .createHmac("sha256", secret)
+    .update(["erasure", requestId, String(expiresAt)].join("|"))
+    .digest("hex");
+}
+
+function isValidErasureRequestToken({ requestId, expiresAt, token }) {
+  if (!requestId || !token || !expiresAt) return false;
+
+  const expiry = Number(expiresAt);
+  if (!Number.isFinite(expiry) || expiry <= Date.now()) {
+    return false;
+  }
+
+  let expected;
+  try {
+    expected = createErasureRequestSignature({ requestId, expiresAt });
+  } catch {
+    return false;
+  }
+  if (expected.length !== token.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+/**
+ * The ErasureRequest URL on this Function App, signed for one request.
+ */
+function buildErasureRequestUrl(requestId, expiresAt) {
+  const hostname = process.env.WEBSITE_HOSTNAME;
+  const functionUrl = process.env.CANCEL_FUNCTION_URL || (hostname && `https://${hostname}/api/CancelProcessing`);
+  if (!functionUrl) {
+    throw new Error("WEBSITE_HOSTNAME (or CANCEL_FUNCTION_URL) is required to build the erasure request URL");
+  }
+  const url = new URL(functionUrl);
+  url.pathname = url.pathname.replace(/\/CancelProcessing\/*$/, "/ErasureRequest");
+  url.search = "";
+  url.searchParams.set("requestId", requestId);
+  url.searchParams.set("expiresAt", String(expiresAt));
+  url.searchParams.set("token", createErasureRequestSignature({ requestId, expiresAt }));
+  return url.toString();
+}
+
+/**
+ * Store a forget-person request for the job.
+ *
+ * @param {Object} request
+ * @param {string} request.person
+ * @param {string[]} [request.aliases]
+ * @returns {Promise<{requestId: string, requestUrl: string}>}
+ */
+async function saveErasureRequest({ person, aliases = [] }) {
+  const requestId = crypto.randomUUID();
+  const expiresAt = Date.now() + ERASURE_REQUEST_TTL_MS;
+  const requestUrl = buildErasureRequestUrl(requestId, expiresAt);
+  await getStateTable(ERASURE_REQUEST_TABLE).upsert(requestId, { person, aliases }, {
+    ttlMs: ERASURE_REQUEST_TTL_MS,
+  });
+  return { requestId, requestUrl };
+}
+
+/**
+ * @returns {Promise<{person: string, aliases: string[]}|null>} null once
+ *   deleted or expired
+ */
+async function getErasureRequest(requestId) {
+  const entry = await getStateTable(ERASURE_REQUEST_TABLE).get(requestId);
+  return entry ? entry.value : null;
+}
+
+async function removeErasureRequest(requestId) {
+  await getStateTable(ERASURE_REQUEST_TABLE).remove(requestId);
+}
+
+module.exports = {
+  ERASURE_REQUEST_TTL_MS,
+  isValidErasureRequestToken,
+  saveErasureRequest,
+  getErasureRequest,
+  removeErasureRequest,
+};
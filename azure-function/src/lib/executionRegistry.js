@@ -0,0 +1,253 @@
+/**
+ * Execution registry - one durable record per processing run.
+ *
+ * ProcessTranscriptQueue creates the record when it starts a Container App
+ * Job; CancelProcessing, RestartProcessing and the running container (via
+ * ReportExecutionStatus) update it. This replaces the per-instance
+ * executionMappingCache, so cancel/restart resolve an executionId to its
+ * job execution with a single keyed read, and every meeting keeps a run
+ * history that survives restarts and scale-out.
+ *
+ * Record shape:
+ *   {
+ *     executionId, executionName, jobName, resourceGroup, subscriptionId,
+ *     userId, meetingId, transcriptId,
+ *     triggerType,                 // "webhook" | "manual" | "restart"
+ *     restartedFromExecutionId,
+ *     status,                      // see STATUSES
+ *     statusHistory: [{ status, at, detail }],
+ *     createdAt, updatedAt, completedAt,
+ *     deployedUrl, error, cancelledBy,
+ *     stages: { [stage]: { status, startedAt, completedAt, error } },
+ *     currentStage,
+ *     lastPreview: { text, at }  // latest Claude stream-json event preview
+ *   }
+ *
+ * Execution IDs are `${meetingId}-${transcriptId}-${timestamp}` (built in
+ * ProcessTranscriptQueue), so a meeting's history is a key-prefix listing.
+ */
+
+const { getStateTable } = require("./stateStore");
+
+const EXECUTION_TABLE = "executions";
+const UPDATE_ATTEMPTS = 5;
+
+const STATUSES = {
+  STARTING: "starting", // record created, job start requested
+  STARTED: "started", // Container App Job execution accepted
+  RUNNING: "running", // container reported it is processing
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  SKIPPED: "skipped", // container exited early (filters)
+};
+
+// Pipeline stages reported by the container, in order
+const STAGES = ["download", "analysis", "validation", "deploy", "persist"];
+const STAGE_STATUSES = new Set(["running", "completed", "failed", "skipped"]);
+
+const ACTIVE_STATUSES = new Set([
+  STATUSES.STARTING,
+  STATUSES.STARTED,
+  STATUSES.RUNNING,
+]);
+const FINAL_STATUSES = new Set([
+  STATUSES.COMPLETED,
+  STATUSES.FAILED,
+  STATUSES.CANCELLED,
+  STATUSES.SKIPPED,
+]);
+
+function isActiveStatus(status) {
+  return ACTIVE_STATUSES.has(status);
+}
+
+function meetingPrefix(meetingId, transcriptId) {
+  return transcriptId ? `${meetingId}-${transcriptId}-` : `${meetingId}-`;
+}
+
+/**
+ * Create the record for a new run.
+ *
+ * @param {Object} record - initial fields (executionId, meetingId, ... triggerType)
+ * @returns {Promise<Object>} the stored record
+ */
+async function createExecution(record) {
+  const now = new Date().toISOString();
+  const status = record.status || STATUSES.STARTING;
+  const stored = {
+    executionName: null,
+    restartedFromExecutionId: null,
+    deployedUrl: null,
+    error: null,
+    cancelledBy: null,
+    completedAt: null,
+    stages: {},
+    currentStage: null,
+    lastPreview: null,
+    ...record,
+    status,
+    statusHistory: [{ status, at: now, detail: null }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const etag = await getStateTable(EXECUTION_TABLE).insert(
+    record.executionId,
+    stored,
+  );
+  if (!etag) {
+    throw new Error(`Execution ${record.executionId} is already registered`);
+  }
+  return stored;
+}
+
+/**
+ * Get a run record by executionId, or null if unknown.
+ */
+async function getExecution(executionId) {
+  if (!executionId) return null;
+  const entry = await getStateTable(EXECUTION_TABLE).get(executionId);
+  return entry ? entry.value : null;
+}
+
+/**
+ * Read-modify-write a run record with optimistic concurrency (etag), retrying
+ * so that concurrent writers (container + CancelProcessing) never lose
+ * updates. `mutate(current, now)` returns the next record.
+ */
+async function mutateExecution(executionId, mutate) {
+  const table = getStateTable(EXECUTION_TABLE);
+
+  for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+    const entry = await table.get(executionId);
+    if (!entry) return null;
+
+    const now = new Date().toISOString();
+    const next = { ...mutate(entry.value, now), updatedAt: now };
+
+    const etag = await table.replace(executionId, next, entry.etag);
+    if (etag) return next;
+  }
+
+  throw new Error(
+    `Execution ${executionId} update lost ${UPDATE_ATTEMPTS} concurrent-write races`,
+  );
+}
+
+function applyStatus(current, next, status, now, detail) {
+  // A final status is never overwritten by an active one - e.g. a late
+  // "running" report after a cancel is ignored.
+  if (
+    !status ||
+    status === current.status ||
+    (FINAL_STATUSES.has(current.status) && !FINAL_STATUSES.has(status))
+  ) {
+    return next;
+  }
+
+  return {
+    ...next,
+    status,
+    statusHistory: [...(current.statusHistory || []), { status, at: now, detail }],
+    ...(FINAL_STATUSES.has(status) && { completedAt: now }),
+  };
+}
+
+/**
+ * Merge changes into a run record, appending to statusHistory when the
+ * status changes. A final status (completed/failed/cancelled/skipped) is
+ * never overwritten by an active one.
+ *
+ * @param {string} executionId
+ * @param {Object} changes - fields to set; `status` records a transition
+ * @param {Object} [options]
+ * @param {string} [options.detail] - note stored with the status transition
+ * @returns {Promise<Object|null>} the updated record, or null if unknown
+ */
+async function updateExecution(executionId, changes, { detail = null } = {}) {
+  const { status, ...fields } = changes;
+  return mutateExecution(executionId, (current, now) =>
+    applyStatus(current, { ...current, ...fields }, status, now, detail),
+  );
+}
+
+/**
+ * Record a pipeline stage transition reported by the container. The first
+ * stage event also moves a "starting"/"started" run to "running".
+ *
+ * @param {string} executionId
+ * @param {string} stage - one of STAGES
+ * @param {string} stageStatus - running | completed | failed | skipped
+ * @param {Object} [options]
+ * @param {string} [options.error] - failure reason for a failed stage
+ * @returns {Promise<Object|null>} the updated record, or null if unknown
+ */
+async function recordStage(executionId, stage, stageStatus, { error = null } = {}) {
+  return mutateExecution(executionId, (current, now) => {
+    const previous = current.stages?.[stage] || {};
+    const entry = {
+      status: stageStatus,
+      startedAt: previous.startedAt || now,
+      completedAt: stageStatus === "running" ? null : now,
+      error: error || null,
+    };
+    const next = {
+      ...current,
+      stages: { ...current.stages, [stage]: entry },
+      currentStage: stage,
+    };
+    return applyStatus(current, next, STATUSES.RUNNING, now, null);
+  });
+}
+
+/**
+ * Store the latest progress line (extractEventPreview output) for a run.
+ */
+async function recordPreview(executionId, text) {
+  return mutateExecution(executionId, (current, now) => ({
+    ...current,
+    lastPreview: { text, at: now },
+  }));
+}
+
+/**
+ * Run history for a meeting (optionally a single transcript), newest first.
+ */
+async function listExecutionsForMeeting(meetingId, transcriptId) {
+  const entries = await getStateTable(EXECUTION_TABLE).list(
+    meetingPrefix(meetingId, transcriptId),
+  );
+  return entries
+    .map((e) => e.value)
+    .filter(
+      (r) =>
+        r.meetingId === meetingId &&
+        (!transcriptId || r.transcriptId === transcriptId),
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Most recent run for a meeting + transcript that is still marked active,
+ * or undefined. Callers should confirm against the live job status - a
+ * container that crashed hard may never have reported its final status.
+ */
+async function findActiveExecutionForMeeting(meetingId, transcriptId) {
+  const history = await listExecutionsForMeeting(meetingId, transcriptId);
+  return history.find((r) => isActiveStatus(r.status));
+}
+
+module.exports = {
+  STATUSES,
+  STAGES,
+  STAGE_STATUSES,
+  isActiveStatus,
+  createExecution,
+  getExecution,
+  updateExecution,
+  recordStage,
+  recordPreview,
+  listExecutionsForMeeting,
+  findActiveExecutionForMeeting,
+};
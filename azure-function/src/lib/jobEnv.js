@@ -0,0 +1,80 @@
+/**
+ * Processor configuration passed to the Container App Job on every start.
+ *
+ * The start's template override REPLACES the env array defined in
+ * containerApp.bicep, so anything the processor reads has to be passed
+ * again here:
+ *
+ *   - FORWARDED_SETTINGS are copied from the Function App's own settings
+ *     (main.bicep processorSettings). Unset ones are left out, so the
+ *     processor's defaults apply.
+ *   - Secrets named in PROCESSOR_SECRETS (main.bicep processorSecrets) are
+ *     passed as secretRef to the job secret of the same name in kebab case,
+ *     e.g. GITHUB_TOKEN -> github-token. Only those listed are referenced:
+ *     a secretRef to a secret the job doesn't have fails the start.
+ */
+
+const FORWARDED_SETTINGS = [
+  // Dashboard publishers (processor/publisher.js)
+  "DASHBOARD_PUBLISHER",
+  "DASHBOARD_PUBLISHER_BY_PROJECT",
+  "DASHBOARD_S3_BUCKET",
+  "DASHBOARD_S3_ENDPOINT",
+  "DASHBOARD_S3_REGION",
+  "DASHBOARD_S3_PUBLIC_URL",
+  "AWS_REGION",
+  // Analysis backend (processor/analysisBackend.js)
+  "ANALYSIS_BACKEND",
+  // Action item tracking (processor/actionItems.js)
+  "ACTION_ITEM_STALE_AFTER",
+  "COSMOS_ACTION_ITEMS_CONTAINER",
+  // Action item export (processor/actionItemExport.js); tokens via PROCESSOR_SECRETS
+  "ACTION_ITEM_EXPORT_BY_PROJECT",
+  "GITHUB_API_URL",
+  "AZURE_DEVOPS_URL",
+  // Meeting cost rate table (processor/meetingMetrics.js)
+  "MEETING_RATES",
+  // Chunked analysis of long meetings (processor/chunkedAnalysis.js)
+  "ANALYSIS_CHUNK_THRESHOLD_MINUTES",
+  "ANALYSIS_CHUNK_MINUTES",
+  "ANALYSIS_CHUNK_OVERLAP_SECONDS",
+  // Transcript redaction (processor/transcriptRedaction.js); the map key via PROCESSOR_SECRETS
+  "TRANSCRIPT_REDACTION",
+  "TRANSCRIPT_REDACTION_TERMS_BY_PROJECT",
+  // Dashboard validation (processor/dashboardValidator.js)
+  "DASHBOARD_SCRIPT_ALLOWLIST",
+  // Meeting history (processor/meetingHistory.js)
+  "MEETING_HISTORY_LIMIT",
+  // Schema repair prompts (processor/analysisSchema.js)
+  "ANALYSIS_SCHEMA_REPAIRS",
+  // Analysis retries (processor/analysisResume.js)
+  "ANALYSIS_MAX_ATTEMPTS",
+  "ANALYSIS_RETRY_DELAY_MS",
+  // Erasure audit records (processor/erasure.js)
+  "COSMOS_ERASURES_CONTAINER",
+  // Parallel dashboard uploads (lib/fileUpload.js)
+  "DASHBOARD_UPLOAD_CONCURRENCY",
+];
+
+// Env var name -> job secret name
+function secretName(envName) {
+  return envName.toLowerCase().replace(/_/g, "-");
+}
+
+/**
+ * @returns {Array<{name: string, value?: string, secretRef?: string}>}
+ */
+function buildProcessorSettingsEnv() {
+  const settings = FORWARDED_SETTINGS.filter((name) => process.env[name]).map((name) => ({
+    name,
+    value: process.env[name],
+  }));
+  const secrets = (process.env.PROCESSOR_SECRETS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => ({ name, secretRef: secretName(name) }));
+  return [...settings, ...secrets];
+}
+
+module.exports = { FORWARDED_SETTINGS, buildProcessorSettingsEnv };
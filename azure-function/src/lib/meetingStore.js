@@ -0,0 +1,199 @@
+/**
+ * Read-only access to the meetings Cosmos DB container for the query API.
+ *
+ * The processor writes meeting records with lib/cosmosClient.js (one
+ * document per meeting, partitioned by projectName); this is the Function
+ * App's paged, read-only view of the same container.
+ *
+ * Continuation tokens are Cosmos tokens, base64url-encoded so they survive a
+ * query string round trip.
+ *
+ * Env vars:
+ *   COSMOS_ENDPOINT   - Cosmos DB account endpoint (required)
+ *   COSMOS_DATABASE   - database name (default: "tiger")
+ *   COSMOS_CONTAINER  - container name (default: "meetings")
+ */
+
+const { CosmosClient } = require("@azure/cosmos");
+const { DefaultAzureCredential } = require("@azure/identity");
+
+const SUMMARY_FIELDS = [
+  "id",
+  "projectName",
+  "meetingId",
+  "meetingDate",
+  "dashboardPath",
+  "metadata",
+  "latestVersionId",
+  "updatedAt",
+];
+
+let _container = null;
+
+function getMeetingsContainer() {
+  if (_container) return _container;
+
+  const endpoint = process.env.COSMOS_ENDPOINT;
+  if (!endpoint) {
+    throw new Error("COSMOS_ENDPOINT is required for the query API");
+  }
+
+  const client = new CosmosClient({ endpoint, aadCredentials: new DefaultAzureCredential() });
+  _container = client
+    .database(process.env.COSMOS_DATABASE || "tiger")
+    .container(process.env.COSMOS_CONTAINER || "meetings");
+  return _container;
+}
+
+/**
+ * Same rules as lib/sanitize.js in the processor, so URL project names and
+ * meeting IDs resolve to the stored document IDs.
+ */
+function sanitizeId(value) {
+  if (value == null) return "";
+  return String(value)
+    .toLowerCase()
+    .replace(/[\s./\\]+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function encodeContinuationToken(token) {
+  return token ? Buffer.from(token, "utf8").toString("base64url") : null;
+}
+
+/**
+ * @throws {Error} with code "INVALID_CONTINUATION_TOKEN" for tokens this API didn't issue
+ */
+function decodeContinuationToken(token) {
+  if (!token) return undefined;
+  const decoded = Buffer.from(token, "base64url").toString("utf8");
+  try {
+    JSON.parse(decoded);
+  } catch {
+    throw Object.assign(new Error("Invalid continuation token"), {
+      code: "INVALID_CONTINUATION_TOKEN",
+    });
+  }
+  return decoded;
+}
+
+// Drop Cosmos system properties (_rid, _etag, ...)
+function toApiDocument(resource) {
+  return Object.fromEntries(Object.entries(resource).filter(([key]) => !key.startsWith("_")));
+}
+
+async function fetchPage(container, querySpec, { maxItemCount, continuationToken, partitionKey }) {
+  const { resources, continuationToken: next } = await container.items
+    .query(querySpec, {
+      maxItemCount,
+      continuationToken: decodeContinuationToken(continuationToken),
+      ...(partitionKey && { partitionKey }),
+    })
+    .fetchNext();
+
+  return {
+    items: resources.map((resource) =>
+      typeof resource === "object" && resource !== null ? toApiDocument(resource) : resource,
+    ),
+    continuationToken: encodeContinuationToken(next),
+  };
+}
+
+/**
+ * One page of project names, alphabetical.
+ *
+ * @param {Object} params
+ * @param {number} params.maxItemCount
+ * @param {string} [params.continuationToken]
+ * @param {Object} [params.container] - default: the meetings container
+ * @returns {Promise<{items: string[], continuationToken: string|null}>}
+ */
+async function listProjects({ maxItemCount, continuationToken, container = getMeetingsContainer() }) {
+  // ORDER BY: Cosmos only resumes DISTINCT queries from a token when ordered
+  return fetchPage(
+    container,
+    { query: "SELECT DISTINCT VALUE c.projectName FROM c ORDER BY c.projectName" },
+    { maxItemCount, continuationToken },
+  );
+}
+
+/**
+ * One page of a project's meetings, newest first.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string} [params.from] - inclusive start date (YYYY-MM-DD)
+ * @param {string} [params.to]   - inclusive end date (YYYY-MM-DD)
+ * @param {boolean} [params.excludeConsolidated]
+ * @param {number} params.maxItemCount
+ * @param {string} [params.continuationToken]
+ * @param {Object} [params.container]
+ * @returns {Promise<{items: Object[], continuationToken: string|null}>}
+ */
+async function queryMeetings({
+  projectName,
+  from,
+  to,
+  excludeConsolidated = false,
+  maxItemCount,
+  continuationToken,
+  container = getMeetingsContainer(),
+}) {
+  const sanitizedProject = sanitizeId(projectName) || "general";
+  const selectFields = excludeConsolidated
+    ? SUMMARY_FIELDS.map((field) => `c.${field}`).join(", ")
+    : "*";
+
+  let query = `SELECT ${selectFields} FROM c WHERE c.projectName = @projectName`;
+  const parameters = [{ name: "@projectName", value: sanitizedProject }];
+  if (from) {
+    query += " AND c.meetingDate >= @from";
+    parameters.push({ name: "@from", value: from });
+  }
+  if (to) {
+    query += " AND c.meetingDate <= @to";
+    parameters.push({ name: "@to", value: to });
+  }
+  query += " ORDER BY c.meetingDate DESC";
+
+  return fetchPage(
+    container,
+    { query, parameters },
+    { maxItemCount, continuationToken, partitionKey: sanitizedProject },
+  );
+}
+
+/**
+ * @returns {Promise<Object|null>} the meeting, or null if it doesn't exist
+ */
+async function getMeeting({
+  projectName,
+  meetingId,
+  excludeConsolidated = false,
+  container = getMeetingsContainer(),
+}) {
+  const sanitizedProject = sanitizeId(projectName) || "general";
+  const id = `${sanitizedProject}-${sanitizeId(meetingId)}`;
+
+  try {
+    const { resource } = await container.item(id, sanitizedProject).read();
+    if (!resource) return null;
+    const meeting = toApiDocument(resource);
+    if (excludeConsolidated) delete meeting.consolidated;
+    return meeting;
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  sanitizeId,
+  encodeContinuationToken,
+  decodeContinuationToken,
+  listProjects,
+  queryMeetings,
+  getMeeting,
+};
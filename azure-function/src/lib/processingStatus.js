@@ -0,0 +1,69 @@
+/**
+ * Shape an execution registry record for the GetProcessingStatus page/API.
+ *
+ * Fills in every pipeline stage (pending ones included) in order and works
+ * out elapsed times, so the HTML and JSON views render the same data.
+ */
+
+const { STAGES, isActiveStatus } = require("./executionRegistry");
+
+function elapsedBetween(startIso, endIso, now) {
+  if (!startIso) return null;
+  const end = endIso ? Date.parse(endIso) : now;
+  return Math.max(0, end - Date.parse(startIso));
+}
+
+/**
+ * @param {Object} record - execution registry record
+ * @param {number} [now] - current time in ms (for elapsed times of running stages)
+ * @returns {Object} status view
+ */
+function buildProcessingStatus(record, now = Date.now()) {
+  const active = isActiveStatus(record.status);
+  const stages = STAGES.map((name) => {
+    const stage = record.stages?.[name];
+    if (!stage) {
+      return {
+        name,
+        status: "pending",
+        startedAt: null,
+        completedAt: null,
+        elapsedMs: null,
+        error: null,
+      };
+    }
+    // A stage still "running" on a finished run was cut short
+    // (cancelled, crashed, timed out) - show when the run ended.
+    const endedAt =
+      stage.completedAt || (active ? null : record.completedAt || record.updatedAt);
+    return {
+      name,
+      status: stage.status === "running" && !active ? "interrupted" : stage.status,
+      startedAt: stage.startedAt,
+      completedAt: stage.completedAt,
+      elapsedMs: elapsedBetween(stage.startedAt, endedAt, now),
+      error: stage.error || null,
+    };
+  });
+
+  return {
+    executionId: record.executionId,
+    meetingId: record.meetingId,
+    transcriptId: record.transcriptId,
+    triggerType: record.triggerType,
+    status: record.status,
+    active,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    completedAt: record.completedAt,
+    elapsedMs: elapsedBetween(record.createdAt, record.completedAt, now),
+    currentStage: record.currentStage || null,
+    stages,
+    lastPreview: record.lastPreview || null,
+    deployedUrl: record.deployedUrl || null,
+    error: record.error || null,
+    statusHistory: record.statusHistory || [],
+  };
+}
+
+module.exports = { buildProcessingStatus };
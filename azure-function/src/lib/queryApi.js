@@ -0,0 +1,124 @@
+/**
+ * Shared request handling for the query API (ListProjects, ListMeetings,
+ * GetMeeting, and the EraseMeeting / ForgetPerson erasure endpoints).
+ *
+ * Every endpoint requires an Entra ID bearer token (see entraAuth.js),
+ * returns JSON, and pages with `pageSize` + `continuationToken`:
+ *
+ *   GET /api/projects?pageSize=25&continuationToken=...
+ *     → { items: ["yakshaver", ...], continuationToken: "..." | null }
+ */
+
+const { authenticateRequest } = require("./entraAuth");
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Errors that are the caller's fault, answered with 400
+const CLIENT_ERROR_CODES = new Set(["BAD_REQUEST", "INVALID_CONTINUATION_TOKEN"]);
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { code: "BAD_REQUEST" });
+}
+
+function json(status, body) {
+  return {
+    status,
+    headers: { "Cache-Control": "no-store" },
+    jsonBody: body,
+  };
+}
+
+/**
+ * @returns {{maxItemCount: number, continuationToken: string|undefined}}
+ * @throws {Error} code BAD_REQUEST
+ */
+function parsePaging(request) {
+  const rawPageSize = request.query.get("pageSize");
+  const pageSize = rawPageSize === null ? DEFAULT_PAGE_SIZE : Number(rawPageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw badRequest(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return {
+    maxItemCount: pageSize,
+    continuationToken: request.query.get("continuationToken") || undefined,
+  };
+}
+
+/**
+ * @returns {string|undefined} YYYY-MM-DD
+ * @throws {Error} code BAD_REQUEST
+ */
+function parseDate(request, name) {
+  const value = request.query.get(name);
+  if (value === null || value === "") return undefined;
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/**
+ * `excludeConsolidated=true|false` (default false)
+ * @throws {Error} code BAD_REQUEST
+ */
+function parseExcludeConsolidated(request) {
+  const value = request.query.get("excludeConsolidated");
+  if (value === null || value === "" || value === "false") return false;
+  if (value === "true") return true;
+  throw badRequest("excludeConsolidated must be true or false");
+}
+
+/**
+ * Wrap a query handler with bearer auth and JSON error responses.
+ *
+ * @param {string} name - function name, for logs
+ * @param {Function} handler - async (request, context, claims) => response
+ * @param {Object} deps
+ * @param {Function} deps.structuredLog
+ * @param {Function} [deps.authenticate] - default: entraAuth.authenticateRequest
+ * @param {string} [deps.requiredRole] - app role to require instead of
+ *   QUERY_API_REQUIRED_ROLE (e.g. the erasure role)
+ */
+function withQueryAuth(
+  name,
+  handler,
+  { structuredLog, authenticate = authenticateRequest, requiredRole },
+) {
+  return async (request, context) => {
+    const auth = await authenticate(request, requiredRole ? { requiredRole } : {});
+    if (!auth.ok) {
+      structuredLog(context, "warn", `${name}: request rejected`, {
+        status: auth.status,
+        reason: auth.message,
+      });
+      const response = json(auth.status, { error: true, message: auth.message });
+      if (auth.status === 401) response.headers["WWW-Authenticate"] = "Bearer";
+      return response;
+    }
+
+    try {
+      return await handler(request, context, auth.claims);
+    } catch (err) {
+      if (CLIENT_ERROR_CODES.has(err.code)) {
+        return json(400, { error: true, message: err.message });
+      }
+      structuredLog(context, "error", `${name} failed`, { error: err.message });
+      return json(503, {
+        error: true,
+        message: "Meeting data is temporarily unavailable. Please try again in a minute.",
+      });
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  json,
+  parsePaging,
+  parseDate,
+  parseExcludeConsolidated,
+  withQueryAuth,
+};
@@ -0,0 +1,365 @@
+/**
+ * Shared state store for the Tiger Function App.
+ *
+ * Function instances scale out and cold-start independently, so anything
+ * that every instance must agree on (dedup leases, cancellation markers, ...)
+ * lives here instead of in a module-level Map.
+ *
+ * Backends (selected by STATE_STORE):
+ *   table  - Azure Table Storage on the AzureWebJobsStorage account
+ *            (default whenever AzureWebJobsStorage is configured)
+ *   file   - one JSON file per table under STATE_STORE_PATH, for local runs
+ *   memory - per-process Map, for tests or when nothing else is configured
+ *
+ * Every backend exposes the same table-shaped API. Values are plain JSON
+ * objects; `ttlMs` makes an entry invisible (and replaceable) once expired.
+ *
+ *   get(key)                          -> { value, etag, expiresAt } | null
+ *   insert(key, value, { ttlMs })     -> etag, or null if a live entry exists
+ *   replace(key, value, etag, opts)   -> etag, or null if the etag is stale
+ *   upsert(key, value, { ttlMs })     -> etag
+ *   remove(key)                       -> void
+ *   list(prefix)                      -> [{ key, value, etag, expiresAt }]
+ *
+ * Optional env vars:
+ *   STATE_STORE          - "table" | "file" | "memory"
+ *   STATE_STORE_PATH     - directory for the file backend (default: <tmpdir>/tiger-state)
+ *   STATE_TABLE_PREFIX   - prefix for Azure Table names (default: "tiger")
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const PARTITION_KEY = "tiger";
+
+const _tables = new Map();
+
+function resolveExpiresAt(ttlMs) {
+  return ttlMs ? Date.now() + ttlMs : null;
+}
+
+function isExpired(expiresAt) {
+  return expiresAt !== null && expiresAt !== undefined && expiresAt <= Date.now();
+}
+
+/**
+ * Map-backed entries shared by the memory and file backends.
+ * `load` / `save` let the file backend persist around each mutation.
+ * Values are cloned on the way in and out so callers never share state
+ * with the store (matching the remote backend).
+ */
+function createMapBackend({ load = () => new Map(), save = () => {} } = {}) {
+  let version = 0;
+  const nextEtag = () => `${Date.now()}-${++version}`;
+
+  function readLive(entries, key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry.expiresAt)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entries = load();
+      const entry = readLive(entries, key);
+      return entry ? { ...entry, value: structuredClone(entry.value) } : null;
+    },
+
+    async insert(key, value, { ttlMs } = {}) {
+      const entries = load();
+      if (readLive(entries, key)) return null;
+      const etag = nextEtag();
+      entries.set(key, {
+        value: structuredClone(value),
+        etag,
+        expiresAt: resolveExpiresAt(ttlMs),
+      });
+      save(entries);
+      return etag;
+    },
+
+    async replace(key, value, etag, { ttlMs } = {}) {
+      const entries = load();
+      const entry = entries.get(key);
+      if (!entry || entry.etag !== etag) return null;
+      const newEtag = nextEtag();
+      entries.set(key, {
+        value: structuredClone(value),
+        etag: newEtag,
+        expiresAt: resolveExpiresAt(ttlMs),
+      });
+      save(entries);
+      return newEtag;
+    },
+
+    async upsert(key, value, { ttlMs } = {}) {
+      const entries = load();
+      const etag = nextEtag();
+      entries.set(key, {
+        value: structuredClone(value),
+        etag,
+        expiresAt: resolveExpiresAt(ttlMs),
+      });
+      save(entries);
+      return etag;
+    },
+
+    async remove(key) {
+      const entries = load();
+      if (entries.delete(key)) save(entries);
+    },
+
+    async list(prefix = "") {
+      const entries = load();
+      const results = [];
+      for (const [key] of entries) {
+        if (!key.startsWith(prefix)) continue;
+        const entry = readLive(entries, key);
+        if (entry) {
+          results.push({ key, ...entry, value: structuredClone(entry.value) });
+        }
+      }
+      return results;
+    },
+  };
+}
+
+function createMemoryBackend() {
+  const entries = new Map();
+  return createMapBackend({ load: () => entries });
+}
+
+/**
+ * JSON-file backend. Reads and writes synchronously so each operation is
+ * atomic within a process; good enough for a single local `func start`.
+ */
+function createFileBackend(tableName) {
+  const dir =
+    process.env.STATE_STORE_PATH || path.join(os.tmpdir(), "tiger-state");
+  const filePath = path.join(dir, `${tableName}.json`);
+
+  function load() {
+    try {
+      const raw = fs.readFileSync(filePath, "utf-8");
+      return new Map(Object.entries(JSON.parse(raw)));
+    } catch (err) {
+      if (err.code === "ENOENT") return new Map();
+      throw err;
+    }
+  }
+
+  function save(entries) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(entries), null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return createMapBackend({ load, save });
+}
+
+/**
+ * Azure Table Storage backend. Row keys are URI-encoded because Table
+ * Storage rejects '/', '\\', '#' and '?' (all of which appear in Graph IDs).
+ * Values are stored as a JSON string so nested objects survive the trip,
+ * and expiry as an ISO string to sidestep Int32/Double number inference.
+ */
+function createTableBackend(tableName) {
+  const { TableClient, odata } = require("@azure/data-tables");
+
+  const connectionString = process.env.AzureWebJobsStorage;
+  if (!connectionString) {
+    throw new Error(
+      "AzureWebJobsStorage is required for the table state store.",
+    );
+  }
+
+  const prefix = process.env.STATE_TABLE_PREFIX || "tiger";
+  const client = TableClient.fromConnectionString(
+    connectionString,
+    `${prefix}${tableName}`.replace(/[^A-Za-z0-9]/g, ""),
+  );
+
+  let tableReady = null;
+  function ensureTable() {
+    if (!tableReady) {
+      tableReady = client.createTable().catch((err) => {
+        tableReady = null;
+        throw err;
+      });
+    }
+    return tableReady;
+  }
+
+  const toRowKey = (key) => encodeURIComponent(key);
+
+  function toEntity(key, value, ttlMs) {
+    const expiresAt = resolveExpiresAt(ttlMs);
+    return {
+      partitionKey: PARTITION_KEY,
+      rowKey: toRowKey(key),
+      key,
+      data: JSON.stringify(value),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : "",
+    };
+  }
+
+  function fromEntity(entity) {
+    return {
+      key: entity.key,
+      value: JSON.parse(entity.data),
+      etag: entity.etag,
+      expiresAt: entity.expiresAt ? Date.parse(entity.expiresAt) : null,
+    };
+  }
+
+  async function readEntity(key) {
+    await ensureTable();
+    try {
+      return await client.getEntity(PARTITION_KEY, toRowKey(key));
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async function createEntity(key, value, ttlMs) {
+    try {
+      const result = await client.createEntity(toEntity(key, value, ttlMs));
+      return result.etag;
+    } catch (err) {
+      if (err.statusCode === 409) return null;
+      throw err;
+    }
+  }
+
+  async function replaceEntity(key, value, etag, ttlMs) {
+    try {
+      const result = await client.updateEntity(
+        toEntity(key, value, ttlMs),
+        "Replace",
+        { etag },
+      );
+      return result.etag;
+    } catch (err) {
+      if (err.statusCode === 412 || err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async function get(key) {
+    const entity = await readEntity(key);
+    if (!entity) return null;
+    const entry = fromEntity(entity);
+    return isExpired(entry.expiresAt) ? null : entry;
+  }
+
+  async function insert(key, value, { ttlMs } = {}) {
+    await ensureTable();
+    const etag = await createEntity(key, value, ttlMs);
+    if (etag) return etag;
+
+    // Row exists - only take it over if the previous entry has expired, and
+    // only if nobody else took it over between our read and our write.
+    const existing = await readEntity(key);
+    if (!existing) return createEntity(key, value, ttlMs);
+    const entry = fromEntity(existing);
+    if (!isExpired(entry.expiresAt)) return null;
+    return replaceEntity(key, value, entry.etag, ttlMs);
+  }
+
+  async function replace(key, value, etag, { ttlMs } = {}) {
+    await ensureTable();
+    return replaceEntity(key, value, etag, ttlMs);
+  }
+
+  async function upsert(key, value, { ttlMs } = {}) {
+    await ensureTable();
+    const result = await client.upsertEntity(
+      toEntity(key, value, ttlMs),
+      "Replace",
+    );
+    return result.etag;
+  }
+
+  async function remove(key) {
+    await ensureTable();
+    try {
+      await client.deleteEntity(PARTITION_KEY, toRowKey(key));
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+  }
+
+  async function list(keyPrefix = "") {
+    await ensureTable();
+    const lower = toRowKey(keyPrefix);
+    // '~' sorts after every character encodeURIComponent can emit
+    const filter = keyPrefix
+      ? odata`PartitionKey eq ${PARTITION_KEY} and RowKey ge ${lower} and RowKey lt ${`${lower}~`}`
+      : odata`PartitionKey eq ${PARTITION_KEY}`;
+    const results = [];
+    for await (const entity of client.listEntities({
+      queryOptions: { filter },
+    })) {
+      const entry = fromEntity(entity);
+      if (!isExpired(entry.expiresAt)) results.push(entry);
+    }
+    return results;
+  }
+
+  return { get, insert, replace, upsert, remove, list };
+}
+
+function resolveBackendType() {
+  const configured = (process.env.STATE_STORE || "").toLowerCase();
+  if (configured) return configured;
+  return process.env.AzureWebJobsStorage ? "table" : "memory";
+}
+
+/**
+ * Get a named state table (lazy singleton per name).
+ *
+ * @param {string} tableName - alphanumeric logical name, e.g. "leases"
+ */
+function getStateTable(tableName) {
+  if (_tables.has(tableName)) return _tables.get(tableName);
+
+  const type = resolveBackendType();
+  let table;
+  if (type === "table") {
+    table = createTableBackend(tableName);
+  } else if (type === "file") {
+    table = createFileBackend(tableName);
+  } else if (type === "memory") {
+    table = createMemoryBackend();
+  } else {
+    throw new Error(
+      `Unknown STATE_STORE "${type}". Use "table", "file" or "memory".`,
+    );
+  }
+
+  _tables.set(tableName, table);
+  return table;
+}
+
+/**
+ * Drop cached tables so the next getStateTable() re-reads STATE_STORE.
+ * Used by tests.
+ */
+function resetStateTables() {
+  _tables.clear();
+}
+
+module.exports = {
+  getStateTable,
+  resetStateTables,
+  createMemoryBackend,
+  createFileBackend,
+  createTableBackend,
+};
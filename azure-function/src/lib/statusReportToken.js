@@ -0,0 +1,63 @@
+/**
+ * Signed tokens for the container's STATUS_REPORT_URL.
+ *
+ * ReportExecutionStatus is anonymous (the container has no Function key), so
+ * ProcessTranscriptQueue signs the executionId + expiry with the same secret
+ * used for restart links. Only the container started for that execution
+ * receives the URL.
+ */
+
+const crypto = require("crypto");
+
+// Comfortably longer than the job's replicaTimeout (1 hour)
+const STATUS_REPORT_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+function getStatusReportSecret() {
+  return (
+    process.env.RESTART_TOKEN_SECRET ||
+    process.env.WEBHOOK_CLIENT_STATE ||
+    process.env.GRAPH_CLIENT_SECRET
+  );
+}
+
+function createStatusReportSignature({ executionId, expiresAt }) {
+  const secret = getStatusReportSecret();
+  if (!secret) {
+    throw new Error(
+      "Missing status report signing secret. Configure RESTART_TOKEN_SECRET, WEBHOOK_CLIENT_STATE, or GRAPH_CLIENT_SECRET.",
+    );
+  }
+
+  return crypto
+    .createHmac("sha256", secret)
+    .update(["status", executionId, String(expiresAt)].join("|"))
+    .digest("hex");
+}
+
+function isValidStatusReportToken({ executionId, expiresAt, token }) {
+  if (!executionId || !token || !expiresAt) return false;
+
+  const expiry = Number(expiresAt);
+  if (!Number.isFinite(expiry) || expiry <= Date.now()) {
+    return false;
+  }
+
+  let expected;
+  try {
+    expected = createStatusReportSignature({ executionId, expiresAt });
+  } catch {
+    return false;
+  }
+  if (expected.length !== token.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+module.exports = {
+  STATUS_REPORT_TOKEN_TTL_MS,
+  getStatusReportSecret,
+  createStatusReportSignature,
+  isValidStatusReportToken,
+};
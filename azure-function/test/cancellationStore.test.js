@@ -0,0 +1,54 @@
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const { resetStateTables } = require("../src/lib/stateStore");
+const {
+  markCancelled,
+  getCancellation,
+} = require("../src/lib/cancellationStore");
+
+describe("cancellation markers", () => {
+  beforeEach(() => {
+    process.env.STATE_STORE = "memory";
+    resetStateTables();
+  });
+
+  after(() => {
+    delete process.env.STATE_STORE;
+    resetStateTables();
+  });
+
+  it("returns null for an execution that was never cancelled", async () => {
+    assert.equal(await getCancellation("exec-1"), null);
+  });
+
+  it("records who cancelled and when", async () => {
+    await markCancelled("exec-1", { userId: "u-1", displayName: "Ada Lovelace" });
+    const marker = await getCancellation("exec-1");
+    assert.equal(marker.executionId, "exec-1");
+    assert.deepEqual(marker.cancelledBy, { userId: "u-1", displayName: "Ada Lovelace" });
+    assert.ok(!Number.isNaN(Date.parse(marker.cancelledAt)));
+  });
+
+  it("stores null identity when the canceller is unknown", async () => {
+    await markCancelled("exec-2");
+    const marker = await getCancellation("exec-2");
+    assert.deepEqual(marker.cancelledBy, { userId: null, displayName: null });
+  });
+
+  it("is visible to a fresh store handle (another instance)", async () => {
+    process.env.STATE_STORE = "file";
+    process.env.STATE_STORE_PATH = fs.mkdtempSync(
+      path.join(os.tmpdir(), "tiger-cancel-test-"),
+    );
+    resetStateTables();
+    await markCancelled("exec-3", { displayName: "Grace Hopper" });
+    resetStateTables();
+    assert.equal((await getCancellation("exec-3")).cancelledBy.displayName, "Grace Hopper");
+    fs.rmSync(process.env.STATE_STORE_PATH, { recursive: true, force: true });
+    delete process.env.STATE_STORE_PATH;
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const {
+  createMemoryBackend,
+  createFileBackend,
+  resetStateTables,
+} = require("../src/lib/stateStore");
+const { claimLease, releaseLease, getLease } = require("../src/lib/dedupStore");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("state store backends", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "tiger-state-test-"));
+    process.env.STATE_STORE_PATH = tmpDir;
+  });
+
+  after(() => {
+    delete process.env.STATE_STORE_PATH;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  for (const [name, create] of [
+    ["memory", () => createMemoryBackend()],
+    ["file", () => createFileBackend(`t${Date.now()}${Math.random().toString(36).slice(2)}`)],
+  ]) {
+    describe(name, () => {
+      it("insert succeeds once and refuses a live duplicate", async () => {
+        const table = create();
+        assert.ok(await table.insert("a", { n: 1 }));
+        assert.equal(await table.insert("a", { n: 2 }), null);
+        assert.deepEqual((await table.get("a")).value, { n: 1 });
+      });
+
+      it("insert takes over an expired entry", async () => {
+        const table = create();
+        assert.ok(await table.insert("a", { n: 1 }, { ttlMs: 10 }));
+        await sleep(20);
+        assert.equal(await table.get("a"), null);
+        assert.ok(await table.insert("a", { n: 2 }, { ttlMs: 1000 }));
+        assert.deepEqual((await table.get("a")).value, { n: 2 });
+      });
+
+      it("replace only succeeds with the current etag", async () => {
+        const table = create();
+        const etag = await table.insert("a", { n: 1 });
+        const newEtag = await table.replace("a", { n: 2 }, etag);
+        assert.ok(newEtag);
+        assert.equal(await table.replace("a", { n: 3 }, etag), null);
+        assert.deepEqual((await table.get("a")).value, { n: 2 });
+      });
+
+      it("list filters by key prefix and skips expired entries", async () => {
+        const table = create();
+        await table.upsert("x:1", { n: 1 });
+        await table.upsert("x:2", { n: 2 }, { ttlMs: 10 });
+        await table.upsert("y:1", { n: 3 });
+        await sleep(20);
+        const keys = (await table.list("x:")).map((e) => e.key);
+        assert.deepEqual(keys, ["x:1"]);
+      });
+
+      it("does not share value objects with callers", async () => {
+        const table = create();
+        const value = { nested: { n: 1 } };
+        await table.upsert("a", value);
+        value.nested.n = 99;
+        const read = await table.get("a");
+        read.value.nested.n = 42;
+        assert.equal((await table.get("a")).value.nested.n, 1);
+      });
+    });
+  }
+
+  it("file backend persists across backend instances", async () => {
+    const tableName = `persist${Date.now()}`;
+    await createFileBackend(tableName).upsert("a", { n: 1 });
+    assert.deepEqual((await createFileBackend(tableName).get("a")).value, { n: 1 });
+  });
+});
+
+describe("dedup leases", () => {
+  beforeEach(() => {
+    process.env.STATE_STORE = "memory";
+    resetStateTables();
+  });
+
+  after(() => {
+    delete process.env.STATE_STORE;
+    resetStateTables();
+  });
+
+  it("only the first claim on a key succeeds", async () => {
+    const results = await Promise.all([
+      claimLease("queue", "m1-t1", { ttlMs: 60000, owner: "a" }),
+      claimLease("queue", "m1-t1", { ttlMs: 60000, owner: "b" }),
+    ]);
+    assert.deepEqual(results.sort(), [false, true]);
+  });
+
+  it("scopes are independent", async () => {
+    assert.equal(await claimLease("webhook", "m1-t1", { ttlMs: 60000 }), true);
+    assert.equal(await claimLease("queue", "m1-t1", { ttlMs: 60000 }), true);
+  });
+
+  it("release lets the next claim succeed", async () => {
+    assert.equal(await claimLease("queue", "m1-t1", { ttlMs: 60000 }), true);
+    await releaseLease("queue", "m1-t1");
+    assert.equal(await claimLease("queue", "m1-t1", { ttlMs: 60000 }), true);
+  });
+
+  it("an expired lease can be reclaimed", async () => {
+    assert.equal(await claimLease("queue", "m1-t1", { ttlMs: 10 }), true);
+    await sleep(20);
+    assert.equal(await getLease("queue", "m1-t1"), null);
+    assert.equal(await claimLease("queue", "m1-t1", { ttlMs: 60000, owner: "b" }), true);
+    assert.equal((await getLease("queue", "m1-t1")).owner, "b");
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { withQueryAuth } = require("../src/lib/queryApi");
+const { resetStateTables } = require("../src/lib/stateStore");
+const {
+  isValidErasureRequestToken,
+  getErasureRequest,
+  removeErasureRequest,
+} = require("../src/lib/erasureRequests");
+const {
+  parseErasureTarget,
+  parseForgetPersonBody,
+  requestedByFromClaims,
+  startErasureJob,
+} = require("../src/lib/erasureJob");
+
+const structuredLog = () => {};
+
+function fakeContainerAppsClient() {
+  const starts = [];
+  return {
+    starts,
+    getContainerAppsClient: (subscriptionId) => ({
+      jobs: {
+        beginStart: async (resourceGroup, jobName, body) => {
+          starts.push({ subscriptionId, resourceGroup, jobName, body });
+          return { getOperationState: () => ({ result: { name: "tiger-job-abc123" } }) };
+        },
+      },
+    }),
+  };
+}
+
+describe("erasure endpoints", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      SUBSCRIPTION_ID: "sub-1",
+      CONTAINER_APP_JOB_RESOURCE_GROUP: "rg-tiger",
+      CONTAINER_APP_JOB_NAME: "tiger-job",
+      CONTAINER_APP_JOB_IMAGE: "tiger:latest",
+      COSMOS_ENDPOINT: "https://cosmos-tiger.documents.azure.com:443/",
+      WEBSITE_HOSTNAME: "func-tiger.azurewebsites.net",
+      RESTART_TOKEN_SECRET: "test-secret",
+      STATE_STORE: "memory",
+    });
+    resetStateTables();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    resetStateTables();
+  });
+
+  it("asks for the erasure role instead of the read role", async () => {
+    const options = [];
+    const handler = withQueryAuth("EraseMeeting", async () => ({ status: 202 }), {
+      structuredLog,
+      requiredRole: "Meetings.Erase",
+      authenticate: async (request, authOptions) => {
+        options.push(authOptions);
+        return { ok: false, status: 403, message: 'Token is missing the "Meetings.Erase" role' };
+      },
+    });
+
+    const response = await handler({}, {});
+
+    assert.equal(response.status, 403);
+    assert.deepEqual(options, [{ requiredRole: "Meetings.Erase" }]);
+  });
+
+  it("starts the job in erasure mode with the static env it needs", async () => {
+    const fake = fakeContainerAppsClient();
+
+    const result = await startErasureJob(
+      {
+        mode: "delete-meeting",
+        projectName: "yakshaver",
+        meetingId: "2026-01-22-094557",
+        requestedBy: requestedByFromClaims({ preferred_username: "privacy@ssw.com.au", oid: "u-1" }),
+      },
+      { getContainerAppsClient: fake.getContainerAppsClient, structuredLog, context: {} },
+    );
+
+    assert.deepEqual(result, { executionName: "tiger-job-abc123" });
+    const [{ subscriptionId, resourceGroup, jobName, body }] = fake.starts;
+    assert.deepEqual([subscriptionId, resourceGroup, jobName], ["sub-1", "rg-tiger", "tiger-job"]);
+    const envVars = Object.fromEntries(body.template.containers[0].env.map((e) => [e.name, e.value]));
+    assert.equal(envVars.ERASURE_MODE, "delete-meeting");
+    assert.equal(envVars.ERASURE_PROJECT, "yakshaver");
+    assert.equal(envVars.ERASURE_MEETING_ID, "2026-01-22-094557");
+    assert.equal(envVars.ERASURE_REQUESTED_BY, "privacy@ssw.com.au oid:u-1");
+    assert.equal(envVars.COSMOS_ENDPOINT, "https://cosmos-tiger.documents.azure.com:443/");
+    // No Graph ids, so entrypoint.sh can't fall into pipeline mode
+    assert.equal("GRAPH_MEETING_ID" in envVars, false);
+  });
+
+  it("keeps the forgotten name out of the job env and lets the job collect it once", async () => {
+    const fake = fakeContainerAppsClient();
+
+    await startErasureJob(
+      { mode: "forget-person", person: "Sam Patel", aliases: ["Sam"], requestedBy: "privacy@ssw.com.au" },
+      { getContainerAppsClient: fake.getContainerAppsClient, structuredLog, context: {} },
+    );
+
+    const containerEnv = fake.starts[0].body.template.containers[0].env;
+    assert.doesNotMatch(JSON.stringify(containerEnv), /Sam/);
+    const requestUrl = new URL(containerEnv.find((e) => e.name === "ERASURE_REQUEST_URL").value);
+    assert.equal(requestUrl.origin + requestUrl.pathname, "https://func-tiger.azurewebsites.net/api/ErasureRequest");
+
+    const [requestId, expiresAt, token] = ["requestId", "expiresAt", "token"].map((key) =>
+      requestUrl.searchParams.get(key),
+    );
+    assert.equal(isValidErasureRequestToken({ requestId, expiresAt, token }), true);
+    assert.equal(isValidErasureRequestToken({ requestId: "other", expiresAt, token }), false);
+    assert.deepEqual(await getErasureRequest(requestId), { person: "Sam Patel", aliases: ["Sam"] });
+
+    await removeErasureRequest(requestId);
+    assert.equal(await getErasureRequest(requestId), null);
+  });
+
+  it("drops the stored request when the job doesn't start", async () => {
+    let requestUrl;
+    const getContainerAppsClient = () => ({
+      jobs: {
+        beginStart: async (resourceGroup, jobName, body) => {
+          requestUrl = new URL(body.template.containers[0].env.find((e) => e.name === "ERASURE_REQUEST_URL").value);
+          throw new Error("Job not found");
+        },
+      },
+    });
+
+    await assert.rejects(
+      startErasureJob({ mode: "forget-person", person: "Sam Patel" }, { getContainerAppsClient, structuredLog, context: {} }),
+      /Job not found/,
+    );
+    assert.equal(await getErasureRequest(requestUrl.searchParams.get("requestId")), null);
+  });
+
+  it("rejects path-like targets and forget-person bodies without a name", () => {
+    assert.equal(parseErasureTarget("2026-01-22-094557", "meetingId"), "2026-01-22-094557");
+    assert.throws(() => parseErasureTarget("..", "project"), { code: "BAD_REQUEST" });
+    assert.throws(() => parseErasureTarget("a/b", "project"), { code: "BAD_REQUEST" });
+
+    assert.deepEqual(parseForgetPersonBody({ name: " Sam Patel ", aliases: ["Sam"] }), {
+      person: "Sam Patel",
+      aliases: ["Sam"],
+      projectName: undefined,
+      reason: null,
+    });
+    assert.throws(() => parseForgetPersonBody(null), { code: "BAD_REQUEST" });
+    assert.throws(() => parseForgetPersonBody({ name: "Sam", aliases: "Sam" }), {
+      code: "BAD_REQUEST",
+    });
+  });
+});
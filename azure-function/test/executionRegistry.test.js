@@ -0,0 +1,183 @@
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resetStateTables } = require("../src/lib/stateStore");
+const {
+  STATUSES,
+  createExecution,
+  getExecution,
+  updateExecution,
+  recordStage,
+  recordPreview,
+  listExecutionsForMeeting,
+  findActiveExecutionForMeeting,
+} = require("../src/lib/executionRegistry");
+const {
+  createStatusReportSignature,
+  isValidStatusReportToken,
+} = require("../src/lib/statusReportToken");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function run(meetingId, transcriptId, ts, extra = {}) {
+  return {
+    executionId: `${meetingId}-${transcriptId}-${ts}`,
+    meetingId,
+    transcriptId,
+    userId: "u1",
+    triggerType: "webhook",
+    ...extra,
+  };
+}
+
+describe("execution registry", () => {
+  beforeEach(() => {
+    process.env.STATE_STORE = "memory";
+    resetStateTables();
+  });
+
+  after(() => {
+    delete process.env.STATE_STORE;
+    resetStateTables();
+  });
+
+  it("creates a starting record with an initial history entry", async () => {
+    await createExecution(run("m1", "t1", 1));
+    const record = await getExecution("m1-t1-1");
+    assert.equal(record.status, STATUSES.STARTING);
+    assert.equal(record.triggerType, "webhook");
+    assert.equal(record.executionName, null);
+    assert.deepEqual(
+      record.statusHistory.map((h) => h.status),
+      [STATUSES.STARTING],
+    );
+  });
+
+  it("refuses to register the same executionId twice", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await assert.rejects(createExecution(run("m1", "t1", 1)), /already registered/);
+  });
+
+  it("records status transitions, fields and completion time", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await updateExecution("m1-t1-1", {
+      status: STATUSES.STARTED,
+      executionName: "job-abc",
+    });
+    const done = await updateExecution(
+      "m1-t1-1",
+      { status: STATUSES.COMPLETED, deployedUrl: "https://x/y" },
+      { detail: "deployed" },
+    );
+
+    assert.equal(done.executionName, "job-abc");
+    assert.equal(done.deployedUrl, "https://x/y");
+    assert.ok(done.completedAt);
+    assert.deepEqual(
+      done.statusHistory.map((h) => h.status),
+      [STATUSES.STARTING, STATUSES.STARTED, STATUSES.COMPLETED],
+    );
+    assert.equal(done.statusHistory[2].detail, "deployed");
+    assert.deepEqual(await getExecution("m1-t1-1"), done);
+  });
+
+  it("does not let a late active status overwrite a final one", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await updateExecution("m1-t1-1", { status: STATUSES.CANCELLED });
+    const record = await updateExecution("m1-t1-1", { status: STATUSES.RUNNING });
+    assert.equal(record.status, STATUSES.CANCELLED);
+    assert.equal(record.statusHistory.length, 2);
+  });
+
+  it("returns null when updating an unknown execution", async () => {
+    assert.equal(await updateExecution("nope", { status: STATUSES.FAILED }), null);
+  });
+
+  it("keeps every concurrent update", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await Promise.all([
+      updateExecution("m1-t1-1", { executionName: "job-abc" }),
+      updateExecution("m1-t1-1", { status: STATUSES.RUNNING }),
+    ]);
+    const record = await getExecution("m1-t1-1");
+    assert.equal(record.executionName, "job-abc");
+    assert.equal(record.status, STATUSES.RUNNING);
+  });
+
+  it("records stage progress and moves the run to running", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await recordStage("m1-t1-1", "download", "running");
+    const started = (await getExecution("m1-t1-1")).stages.download.startedAt;
+    await recordStage("m1-t1-1", "download", "completed");
+    await recordStage("m1-t1-1", "analysis", "failed", { error: "boom" });
+    await recordPreview("m1-t1-1", "Reading transcript");
+
+    const record = await getExecution("m1-t1-1");
+    assert.equal(record.status, STATUSES.RUNNING);
+    assert.equal(record.currentStage, "analysis");
+    assert.equal(record.stages.download.status, "completed");
+    assert.equal(record.stages.download.startedAt, started);
+    assert.ok(record.stages.download.completedAt);
+    assert.equal(record.stages.analysis.error, "boom");
+    assert.equal(record.lastPreview.text, "Reading transcript");
+  });
+
+  it("does not revive a finished run from a late stage event", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await updateExecution("m1-t1-1", { status: STATUSES.CANCELLED });
+    const record = await recordStage("m1-t1-1", "deploy", "running");
+    assert.equal(record.status, STATUSES.CANCELLED);
+  });
+
+  it("lists a meeting's history newest first", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await sleep(5);
+    await createExecution(run("m1", "t2", 2));
+    await sleep(5);
+    await createExecution(run("m1", "t1", 3, { triggerType: "restart" }));
+    await createExecution(run("m2", "t1", 4));
+
+    const all = await listExecutionsForMeeting("m1");
+    assert.deepEqual(
+      all.map((r) => r.executionId),
+      ["m1-t1-3", "m1-t2-2", "m1-t1-1"],
+    );
+    const t1 = await listExecutionsForMeeting("m1", "t1");
+    assert.deepEqual(t1.map((r) => r.executionId), ["m1-t1-3", "m1-t1-1"]);
+  });
+
+  it("finds the active run for a meeting", async () => {
+    await createExecution(run("m1", "t1", 1));
+    await updateExecution("m1-t1-1", { status: STATUSES.FAILED });
+    assert.equal(await findActiveExecutionForMeeting("m1", "t1"), undefined);
+
+    await createExecution(run("m1", "t1", 2));
+    await updateExecution("m1-t1-2", { status: STATUSES.RUNNING });
+    const active = await findActiveExecutionForMeeting("m1", "t1");
+    assert.equal(active.executionId, "m1-t1-2");
+  });
+});
+
+describe("status report tokens", () => {
+  beforeEach(() => {
+    process.env.RESTART_TOKEN_SECRET = "test-secret";
+  });
+
+  after(() => {
+    delete process.env.RESTART_TOKEN_SECRET;
+  });
+
+  it("accepts a valid token and rejects tampering or expiry", () => {
+    const expiresAt = Date.now() + 60000;
+    const token = createStatusReportSignature({ executionId: "e1", expiresAt });
+
+    assert.equal(isValidStatusReportToken({ executionId: "e1", expiresAt: String(expiresAt), token }), true);
+    assert.equal(isValidStatusReportToken({ executionId: "e2", expiresAt: String(expiresAt), token }), false);
+
+    const expired = Date.now() - 1;
+    const expiredToken = createStatusReportSignature({ executionId: "e1", expiresAt: expired });
+    assert.equal(isValidStatusReportToken({ executionId: "e1", expiresAt: String(expired), token: expiredToken }), false);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildProcessorSettingsEnv } = require("../src/lib/jobEnv");
+
+describe("processor settings for the job", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("forwards set settings and references the listed secrets", () => {
+    process.env.DASHBOARD_PUBLISHER_BY_PROJECT = '{"client-x": "s3"}';
+    delete process.env.DASHBOARD_PUBLISHER;
+    process.env.PROCESSOR_SECRETS = "AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY";
+    // Function runtime settings are never forwarded
+    process.env.AzureWebJobsStorage = "UseDevelopmentStorage=true";
+
+    const jobEnv = buildProcessorSettingsEnv();
+
+    assert.deepEqual(jobEnv.find((entry) => entry.name === "DASHBOARD_PUBLISHER_BY_PROJECT"), {
+      name: "DASHBOARD_PUBLISHER_BY_PROJECT",
+      value: '{"client-x": "s3"}',
+    });
+    assert.ok(!jobEnv.some((entry) => ["DASHBOARD_PUBLISHER", "AzureWebJobsStorage"].includes(entry.name)));
+    assert.deepEqual(jobEnv.filter((entry) => entry.secretRef), [
+      { name: "AWS_ACCESS_KEY_ID", secretRef: "aws-access-key-id" },
+      { name: "AWS_SECRET_ACCESS_KEY", secretRef: "aws-secret-access-key" },
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildProcessingStatus } = require("../src/lib/processingStatus");
+
+const T0 = Date.parse("2026-03-02T10:00:00.000Z");
+const at = (seconds) => new Date(T0 + seconds * 1000).toISOString();
+
+function record(overrides = {}) {
+  return {
+    executionId: "m1-t1-1",
+    meetingId: "m1",
+    transcriptId: "t1",
+    userId: "u1",
+    triggerType: "webhook",
+    status: "running",
+    createdAt: at(0),
+    updatedAt: at(90),
+    completedAt: null,
+    currentStage: "analysis",
+    stages: {
+      download: { status: "completed", startedAt: at(5), completedAt: at(15), error: null },
+      analysis: { status: "running", startedAt: at(20), completedAt: null, error: null },
+    },
+    lastPreview: { text: "Writing consolidated.json", at: at(90) },
+    statusHistory: [],
+    ...overrides,
+  };
+}
+
+describe("buildProcessingStatus", () => {
+  it("lists every stage in pipeline order with elapsed times", () => {
+    const view = buildProcessingStatus(record(), T0 + 100 * 1000);
+
+    assert.deepEqual(
+      view.stages.map((s) => [s.name, s.status, s.elapsedMs]),
+      [
+        ["download", "completed", 10000],
+        ["analysis", "running", 80000],
+        ["validation", "pending", null],
+        ["deploy", "pending", null],
+        ["persist", "pending", null],
+      ],
+    );
+    assert.equal(view.active, true);
+    assert.equal(view.elapsedMs, 100000);
+    assert.equal(view.lastPreview.text, "Writing consolidated.json");
+  });
+
+  it("marks a stage cut short by a finished run as interrupted", () => {
+    const view = buildProcessingStatus(
+      record({ status: "cancelled", completedAt: at(60) }),
+      T0 + 500 * 1000,
+    );
+    const analysis = view.stages.find((s) => s.name === "analysis");
+
+    assert.equal(view.active, false);
+    assert.equal(analysis.status, "interrupted");
+    assert.equal(analysis.elapsedMs, 40000);
+    assert.equal(view.elapsedMs, 60000);
+  });
+
+  it("does not expose the organizer's user ID", () => {
+    assert.equal("userId" in buildProcessingStatus(record()), false);
+  });
+});
@@ -0,0 +1,213 @@
+const { describe, it, before, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateKeyPair, exportJWK, createLocalJWKSet, SignJWT } = require("jose");
+
+const { authenticateRequest } = require("../src/lib/entraAuth");
+const { parsePaging, parseDate, withQueryAuth } = require("../src/lib/queryApi");
+const {
+  queryMeetings,
+  listProjects,
+  getMeeting,
+  encodeContinuationToken,
+} = require("../src/lib/meetingStore");
+
+const TENANT = "11111111-2222-3333-4444-555555555555";
+const AUDIENCE = "api://tiger-query";
+
+function fakeRequest({ authorization, query = {} } = {}) {
+  const headers = new Map(authorization ? [["authorization", authorization]] : []);
+  return {
+    headers: { get: (name) => headers.get(name.toLowerCase()) ?? null },
+    query: new URLSearchParams(query),
+    params: {},
+  };
+}
+
+/**
+ * Stand-in for a Cosmos container: records query calls and serves one page.
+ */
+function fakeContainer({ resources = [], continuationToken, item } = {}) {
+  const calls = [];
+  return {
+    calls,
+    items: {
+      query: (querySpec, options) => {
+        calls.push({ querySpec, options });
+        return { fetchNext: async () => ({ resources, continuationToken }) };
+      },
+    },
+    item: (id, partitionKey) => ({
+      read: async () => {
+        calls.push({ id, partitionKey });
+        return { resource: item };
+      },
+    }),
+  };
+}
+
+describe("authenticateRequest", () => {
+  const env = { ...process.env };
+  let privateKey;
+  let keySet;
+
+  const sign = (claims = {}, { issuer = `https://login.microsoftonline.com/${TENANT}/v2.0`, audience = AUDIENCE, expiresIn = "5m" } = {}) =>
+    new SignJWT(claims)
+      .setProtectedHeader({ alg: "RS256", kid: "test-key" })
+      .setIssuer(issuer)
+      .setAudience(audience)
+      .setIssuedAt()
+      .setExpirationTime(expiresIn)
+      .sign(privateKey);
+
+  before(async () => {
+    const pair = await generateKeyPair("RS256");
+    privateKey = pair.privateKey;
+    const jwk = { ...(await exportJWK(pair.publicKey)), kid: "test-key", alg: "RS256" };
+    keySet = createLocalJWKSet({ keys: [jwk] });
+  });
+
+  beforeEach(() => {
+    process.env.QUERY_API_AUDIENCE = AUDIENCE;
+    process.env.QUERY_API_TENANT_ID = TENANT;
+    delete process.env.QUERY_API_REQUIRED_ROLE;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("accepts a valid token and returns its claims", async () => {
+    const token = await sign({ oid: "user-1" });
+    const result = await authenticateRequest(fakeRequest({ authorization: `Bearer ${token}` }), { keySet });
+
+    assert.equal(result.ok, true);
+    assert.equal(result.claims.oid, "user-1");
+  });
+
+  it("rejects missing, foreign and expired tokens", async () => {
+    const check = async (authorization) =>
+      (await authenticateRequest(fakeRequest({ authorization }), { keySet })).status;
+
+    assert.equal(await check(undefined), 401);
+    assert.equal(await check(`Bearer ${await sign({}, { audience: "api://other" })}`), 401);
+    assert.equal(await check(`Bearer ${await sign({}, { issuer: "https://login.microsoftonline.com/other/v2.0" })}`), 401);
+    assert.equal(await check(`Bearer ${await sign({}, { expiresIn: "-1m" })}`), 401);
+  });
+
+  it("enforces the required app role", async () => {
+    process.env.QUERY_API_REQUIRED_ROLE = "Meetings.Read";
+    const withoutRole = await sign({});
+    const withRole = await sign({ roles: ["Meetings.Read"] });
+
+    const denied = await authenticateRequest(fakeRequest({ authorization: `Bearer ${withoutRole}` }), { keySet });
+    const allowed = await authenticateRequest(fakeRequest({ authorization: `Bearer ${withRole}` }), { keySet });
+
+    assert.equal(denied.status, 403);
+    assert.equal(allowed.ok, true);
+  });
+
+  it("refuses all requests until configured", async () => {
+    delete process.env.QUERY_API_AUDIENCE;
+    const result = await authenticateRequest(fakeRequest({ authorization: "Bearer x" }), { keySet });
+    assert.equal(result.status, 503);
+  });
+});
+
+describe("query parameters", () => {
+  it("defaults and bounds the page size", () => {
+    assert.deepEqual(parsePaging(fakeRequest()), { maxItemCount: 25, continuationToken: undefined });
+    assert.equal(parsePaging(fakeRequest({ query: { pageSize: "100" } })).maxItemCount, 100);
+    assert.throws(() => parsePaging(fakeRequest({ query: { pageSize: "101" } })), /pageSize/);
+    assert.throws(() => parsePaging(fakeRequest({ query: { pageSize: "ten" } })), /pageSize/);
+  });
+
+  it("accepts only YYYY-MM-DD dates", () => {
+    assert.equal(parseDate(fakeRequest({ query: { from: "2026-01-22" } }), "from"), "2026-01-22");
+    assert.equal(parseDate(fakeRequest(), "from"), undefined);
+    assert.throws(() => parseDate(fakeRequest({ query: { from: "22/01/2026" } }), "from"), /from must be a date/);
+  });
+});
+
+describe("withQueryAuth", () => {
+  const logs = [];
+  const structuredLog = (context, level, message) => logs.push({ level, message });
+  const allow = async () => ({ ok: true, claims: {} });
+
+  it("answers rejected tokens without running the handler", async () => {
+    const handler = withQueryAuth("Test", async () => assert.fail("should not run"), {
+      structuredLog,
+      authenticate: async () => ({ ok: false, status: 401, message: "Missing bearer token" }),
+    });
+
+    const response = await handler(fakeRequest(), {});
+
+    assert.equal(response.status, 401);
+    assert.equal(response.headers["WWW-Authenticate"], "Bearer");
+  });
+
+  it("maps bad input to 400 and store failures to 503", async () => {
+    const badInput = withQueryAuth("Test", async (request) => parsePaging(request), {
+      structuredLog,
+      authenticate: allow,
+    });
+    const storeDown = withQueryAuth("Test", async () => {
+      throw new Error("ECONNRESET");
+    }, { structuredLog, authenticate: allow });
+
+    assert.equal((await badInput(fakeRequest({ query: { pageSize: "0" } }), {})).status, 400);
+    assert.equal((await storeDown(fakeRequest(), {})).status, 503);
+    assert.equal(logs.at(-1).level, "error");
+  });
+});
+
+describe("meetingStore", () => {
+  it("queries one page of a project's meetings within its partition", async () => {
+    const container = fakeContainer({
+      resources: [{ id: "yakshaver-2026-01-22-094557", meetingId: "2026-01-22-094557", _etag: "x", _ts: 1 }],
+      continuationToken: '{"token":"+RID:abc","range":{"min":"","max":"FF"}}',
+    });
+
+    const page = await queryMeetings({
+      projectName: "YakShaver",
+      from: "2026-01-01",
+      excludeConsolidated: true,
+      maxItemCount: 10,
+      continuationToken: encodeContinuationToken('{"token":"previous"}'),
+      container,
+    });
+
+    assert.deepEqual(page.items, [{ id: "yakshaver-2026-01-22-094557", meetingId: "2026-01-22-094557" }]);
+    assert.equal(
+      Buffer.from(page.continuationToken, "base64url").toString("utf8"),
+      '{"token":"+RID:abc","range":{"min":"","max":"FF"}}',
+    );
+    const [{ querySpec, options }] = container.calls;
+    assert.match(querySpec.query, /^SELECT c\.id, .* FROM c WHERE c\.projectName = @projectName AND c\.meetingDate >= @from ORDER BY c\.meetingDate DESC$/);
+    assert.doesNotMatch(querySpec.query, /consolidated/);
+    assert.deepEqual(options, { maxItemCount: 10, continuationToken: '{"token":"previous"}', partitionKey: "yakshaver" });
+  });
+
+  it("returns a null continuation token on the last page and rejects forged tokens", async () => {
+    const page = await listProjects({ maxItemCount: 5, container: fakeContainer({ resources: ["general", "yakshaver"] }) });
+    assert.deepEqual(page, { items: ["general", "yakshaver"], continuationToken: null });
+
+    await assert.rejects(
+      listProjects({ maxItemCount: 5, continuationToken: "not-a-token", container: fakeContainer() }),
+      { code: "INVALID_CONTINUATION_TOKEN" },
+    );
+  });
+
+  it("reads a single meeting by its document id", async () => {
+    const container = fakeContainer({ item: { id: "yakshaver-2026-01-22-094557", consolidated: {}, _rid: "r" } });
+
+    const meeting = await getMeeting({
+      projectName: "yakshaver",
+      meetingId: "2026-01-22-094557",
+      excludeConsolidated: true,
+      container,
+    });
+
+    assert.deepEqual(meeting, { id: "yakshaver-2026-01-22-094557" });
+    assert.deepEqual(container.calls[0], { id: "yakshaver-2026-01-22-094557", partitionKey: "yakshaver" });
+  });
+});
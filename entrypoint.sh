@@ -12,6 +12,16 @@ log() {
     echo "{\"level\":\"$level\",\"message\":\"$message\"}" >&2
 }
 
+# Report run status to the execution registry (best-effort, no-op locally)
+# Usage: report_status <status> [detail]
+#        report_status stage <stage> <stageStatus>
+report_status() {
+    if [ -z "$STATUS_REPORT_URL" ]; then
+        return
+    fi
+    node processor/reportStatus.js "$@" || true
+}
+
 # Background cancellation checker
 # Polls CHECK_CANCELLATION_URL every 15 seconds and exits if cancelled
 CANCEL_CHECKER_PID=""
@@ -28,7 +38,17 @@ send_cancelled_notification() {
     fi
 
     touch "$CANCELLED_NOTIFIED_FILE"
-    NOTIFICATION_TYPE="cancelled" node processor/sendNotification.js >/dev/null || true
+
+    # CANCELLED_FILE holds the CheckCancellation response (who cancelled + when)
+    local cancelled_by=""
+    local cancelled_at=""
+    if [ -s "$CANCELLED_FILE" ]; then
+        cancelled_by=$(node -pe "const c = JSON.parse(require('fs').readFileSync('$CANCELLED_FILE').toString()).cancelledBy || {}; c.displayName || c.userId || ''" 2>/dev/null || echo "")
+        cancelled_at=$(node -pe "JSON.parse(require('fs').readFileSync('$CANCELLED_FILE').toString()).cancelledAt || ''" 2>/dev/null || echo "")
+    fi
+
+    NOTIFICATION_TYPE="cancelled" CANCELLED_BY="$cancelled_by" CANCELLED_AT="$cancelled_at" \
+        node processor/sendNotification.js >/dev/null || true
 }
 
 is_user_cancelled() {
@@ -43,8 +63,13 @@ is_user_cancelled() {
     fi
 
     local cancel_check
+    local is_cancelled
     cancel_check=$(curl -s --max-time 3 "$CHECK_CANCELLATION_URL" 2>/dev/null || echo '{"cancelled":false}')
-    echo "$cancel_check" | node -pe "JSON.parse(require('fs').readFileSync('/dev/stdin').toString()).cancelled" 2>/dev/null || echo "false"
+    is_cancelled=$(echo "$cancel_check" | node -pe "JSON.parse(require('fs').readFileSync('/dev/stdin').toString()).cancelled" 2>/dev/null || echo "false")
+    if [ "$is_cancelled" = "true" ]; then
+        echo "$cancel_check" > "$CANCELLED_FILE"
+    fi
+    echo "$is_cancelled"
 }
 
 handle_termination() {
@@ -53,11 +78,13 @@ handle_termination() {
 
     if [ "$signal_name" = "TERM" ] && [ "$(is_user_cancelled)" = "true" ]; then
         log "info" "Cancellation signal received, exiting successfully"
+        report_status "cancelled" "Container received SIGTERM after cancellation"
         send_cancelled_notification
         exit 0
     fi
 
     log "warn" "$signal_name signal received"
+    STATUS_ERROR="Terminated by $signal_name signal" report_status "failed"
     exit "$exit_code"
 }
 
@@ -73,7 +100,7 @@ start_cancel_checker() {
             IS_CANCELLED=$(echo "$CANCEL_CHECK" | node -pe "JSON.parse(require('fs').readFileSync('/dev/stdin').toString()).cancelled" 2>/dev/null || echo "false")
             if [ "$IS_CANCELLED" = "true" ]; then
                 log "info" "Job cancelled by user, terminating..."
-                touch "$CANCELLED_FILE"
+                echo "$CANCEL_CHECK" > "$CANCELLED_FILE"
                 # Kill the current process group so any foreground Node/Claude child exits too.
                 # The main shell traps this and exits 0 for user-requested cancellation.
                 kill -TERM 0 2>/dev/null || true
@@ -140,6 +167,7 @@ run_pipeline() {
 
     # Step 1: Download transcript
     # stderr flows through for real-time logs, stdout captured (JSON result)
+    report_status stage download running
     set +e
     DOWNLOAD_RESULT=$(node processor/downloadTranscript.js)
     DOWNLOAD_EXIT_CODE=$?
@@ -162,6 +190,8 @@ run_pipeline() {
         fi
         export MEETING_SUBJECT="$FAILED_SUBJECT"
         export PARTICIPANTS_JSON="$FAILED_PARTICIPANTS"
+        STATUS_ERROR="$ERROR_MSG" report_status stage download failed
+        STATUS_ERROR="Transcript download failed: $ERROR_MSG" report_status "failed"
         send_failure_notification
 
         exit 1
@@ -172,6 +202,8 @@ run_pipeline() {
         REASON=$(echo "$DOWNLOAD_RESULT" | node -pe "JSON.parse(require('fs').readFileSync('/dev/stdin').toString()).reason")
         SKIP_REASON=$(echo "$DOWNLOAD_RESULT" | node -pe "JSON.parse(require('fs').readFileSync('/dev/stdin').toString()).skipReason || ''" 2>/dev/null || echo "")
         log "info" "Skipped: $REASON"
+        report_status stage download skipped
+        report_status "skipped" "$REASON"
 
         # If skipped due to subject filter, send a "skipped" notification so users can trigger manually
         if [ "$SKIP_REASON" = "subjectFilter" ] && [ -n "$LOGIC_APP_URL" ]; then
@@ -219,6 +251,8 @@ run_pipeline() {
     export INVITEES_JSON="$INVITEES_JSON"
     export VTT_INFO_JSON="$VTT_INFO_JSON"
 
+    report_status stage download completed
+
     # Step 2: Send "started" notification (if configured)
     # Includes cancel URL if available, allowing users to cancel processing
     if [ -n "$LOGIC_APP_URL" ]; then
@@ -246,6 +280,7 @@ run_pipeline() {
         else
             log "error" "Claude processing failed [project=$PROJECT_NAME, meeting=$MEETING_SUBJECT] (no output)"
         fi
+        STATUS_ERROR="Processing failed (exit code $PROCESSOR_EXIT_CODE)" report_status "failed"
         send_failure_notification
         exit 1
     fi
@@ -255,11 +290,13 @@ run_pipeline() {
 
     if [ -z "$DEPLOYED_URL" ]; then
         log "error" "Failed to extract deployed URL"
+        STATUS_ERROR="Failed to extract deployed URL" report_status "failed"
         send_failure_notification
         exit 1
     fi
 
     log "info" "Deployed: $DEPLOYED_URL"
+    DEPLOYED_URL="$DEPLOYED_URL" report_status "completed"
 
     # Step 4: Send "completed" notification (if configured)
     if [ -n "$LOGIC_APP_URL" ]; then
@@ -270,8 +307,39 @@ run_pipeline() {
     fi
 }
 
+# Erasure requests (see processor/eraseData.js and azure-function EraseMeeting / ForgetPerson)
+run_erasure() {
+    local args=("$ERASURE_MODE")
+
+    if [ "$ERASURE_MODE" = "delete-meeting" ]; then
+        args+=("$ERASURE_PROJECT" "$ERASURE_MEETING_ID")
+    elif [ "$ERASURE_MODE" = "forget-person" ]; then
+        # The name and aliases are collected from the Function App, never passed in env
+        args+=(--request-url "$ERASURE_REQUEST_URL")
+        if [ -n "$ERASURE_PROJECT" ]; then
+            args+=(--project "$ERASURE_PROJECT")
+        fi
+    else
+        log "error" "Unknown ERASURE_MODE: $ERASURE_MODE"
+        exit 1
+    fi
+
+    if [ -n "$ERASURE_REQUESTED_BY" ]; then
+        args+=(--requested-by "$ERASURE_REQUESTED_BY")
+    fi
+    if [ -n "$ERASURE_REASON" ]; then
+        args+=(--reason "$ERASURE_REASON")
+    fi
+
+    log "info" "Running erasure: $ERASURE_MODE"
+    node processor/eraseData.js "${args[@]}"
+}
+
 # Check mode
-if [ -n "$GRAPH_MEETING_ID" ] && [ -n "$GRAPH_TRANSCRIPT_ID" ] && [ -n "$GRAPH_USER_ID" ]; then
+if [ -n "$ERASURE_MODE" ]; then
+    # Erasure mode: no Claude needed
+    run_erasure
+elif [ -n "$GRAPH_MEETING_ID" ] && [ -n "$GRAPH_TRANSCRIPT_ID" ] && [ -n "$GRAPH_USER_ID" ]; then
     # Azure mode: full pipeline
     setup_claude_auth
     run_pipeline
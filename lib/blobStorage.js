@@ -0,0 +1,140 @@
+/**
+ * Azure Blob Storage client for dashboard hosting
+ *
+ * Uploads dashboards to the static website container (`$web`) with the
+ * Azure Storage SDK - no Azure CLI needed in the image. Also downloads and
+ * deletes them again for erasure requests (see processor/erasure.js).
+ *
+ * Auth: DefaultAzureCredential (managed identity in Azure, az login locally),
+ * or a connection string (account key / Azurite).
+ *
+ * Required env vars (one of):
+ *   DASHBOARD_STORAGE_ACCOUNT            - storage account name
+ *   DASHBOARD_STORAGE_CONNECTION_STRING  - e.g. "UseDevelopmentStorage=true" for Azurite
+ *
+ * Optional env vars:
+ *   DASHBOARD_STORAGE_ENDPOINT     - blob endpoint override
+ *                                    (default: https://<account>.blob.core.windows.net)
+ *   DASHBOARD_UPLOAD_CONCURRENCY   - parallel uploads (default: 4, see fileUpload.js)
+ */
+
+// Polyfill globalThis.crypto for @azure/identity in Node.js environments
+// where the Web Crypto API isn't globally available
+if (!globalThis.crypto) {
+  globalThis.crypto = require("crypto");
+}
+
+const fs = require("fs").promises;
+const path = require("path");
+const { BlobServiceClient } = require("@azure/storage-blob");
+const { DefaultAzureCredential } = require("@azure/identity");
+const { contentTypeFor, cacheControlFor } = require("./contentTypes");
+const fileUpload = require("./fileUpload");
+
+const WEB_CONTAINER = "$web";
+
+let _containerClient = null;
+
+/**
+ * Get the `$web` container client (lazy singleton).
+ */
+function getWebContainer() {
+  if (_containerClient) return _containerClient;
+
+  const connectionString = process.env.DASHBOARD_STORAGE_CONNECTION_STRING;
+  const storageAccount = process.env.DASHBOARD_STORAGE_ACCOUNT;
+
+  let serviceClient;
+  if (connectionString) {
+    serviceClient = BlobServiceClient.fromConnectionString(connectionString);
+  } else if (storageAccount) {
+    const endpoint =
+      process.env.DASHBOARD_STORAGE_ENDPOINT ||
+      `https://${storageAccount}.blob.core.windows.net`;
+    serviceClient = new BlobServiceClient(endpoint, new DefaultAzureCredential());
+  } else {
+    throw new Error(
+      "DASHBOARD_STORAGE_ACCOUNT (or DASHBOARD_STORAGE_CONNECTION_STRING) is required for blob deployment.",
+    );
+  }
+
+  _containerClient = serviceClient.getContainerClient(WEB_CONTAINER);
+  return _containerClient;
+}
+
+/**
+ * Upload every file under sourceDir to `$web/<prefix>/...`, overwriting
+ * existing blobs. See lib/fileUpload.js for concurrency and retry options.
+ *
+ * @param {Object} params
+ * @param {string} params.sourceDir
+ * @param {string} params.prefix            - e.g. "yakshaver/2026-01-22-094557"
+ * @param {Object} [params.containerClient] - defaults to getWebContainer()
+ * @returns {Promise<string[]>} uploaded blob names
+ */
+async function uploadDirectory({ containerClient = getWebContainer(), ...options }) {
+  return fileUpload.uploadDirectory({
+    ...options,
+    uploadFile: (filePath, blobName) =>
+      containerClient.getBlockBlobClient(blobName).uploadFile(filePath, {
+        blobHTTPHeaders: {
+          blobContentType: contentTypeFor(filePath),
+          blobCacheControl: cacheControlFor(blobName),
+        },
+      }),
+  });
+}
+
+/**
+ * Names of the blobs under `<prefix>/`.
+ */
+async function listPrefix(containerClient, prefix) {
+  const names = [];
+  for await (const blob of containerClient.listBlobsFlat({ prefix: `${prefix}/` })) {
+    names.push(blob.name);
+  }
+  return names;
+}
+
+/**
+ * Delete every blob under `$web/<prefix>/`.
+ *
+ * @param {Object} params
+ * @param {string} params.prefix            - e.g. "yakshaver/2026-01-22-094557"
+ * @param {Object} [params.containerClient] - defaults to getWebContainer()
+ * @returns {Promise<string[]>} deleted blob names
+ */
+async function deletePrefix({ prefix, containerClient = getWebContainer() }) {
+  const names = await listPrefix(containerClient, prefix);
+  for (const name of names) {
+    await containerClient.deleteBlob(name);
+  }
+  return names;
+}
+
+/**
+ * Download every blob under `$web/<prefix>/` into targetDir, keeping the
+ * relative layout.
+ *
+ * @param {Object} params
+ * @param {string} params.prefix
+ * @param {string} params.targetDir
+ * @param {Object} [params.containerClient] - defaults to getWebContainer()
+ * @returns {Promise<string[]>} downloaded blob names
+ */
+async function downloadPrefix({ prefix, targetDir, containerClient = getWebContainer() }) {
+  const names = await listPrefix(containerClient, prefix);
+  for (const name of names) {
+    const destination = path.join(targetDir, ...name.slice(prefix.length + 1).split("/"));
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await containerClient.getBlobClient(name).downloadToFile(destination);
+  }
+  return names;
+}
+
+module.exports = {
+  getWebContainer,
+  uploadDirectory,
+  deletePrefix,
+  downloadPrefix,
+};
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { uploadDirectory } = require("./blobStorage");
+const { contentTypeFor, cacheControlFor } = require("./contentTypes");
+
+/**
+ * Stand-in for a ContainerClient that records uploads. failures maps a blob
+ * name to the status codes its first uploads should fail with.
+ */
+function fakeContainer(failures = {}) {
+  const uploads = [];
+  const attempts = {};
+  return {
+    uploads,
+    attempts,
+    getBlockBlobClient: (blobName) => ({
+      uploadFile: async (filePath, options) => {
+        attempts[blobName] = (attempts[blobName] || 0) + 1;
+        const status = (failures[blobName] || [])[attempts[blobName] - 1];
+        if (status) {
+          throw Object.assign(new Error(`HTTP ${status}`), { statusCode: status });
+        }
+        uploads.push({ blobName, filePath, headers: options.blobHTTPHeaders });
+      },
+    }),
+  };
+}
+
+describe("contentTypeFor / cacheControlFor", () => {
+  it("maps dashboard file types", () => {
+    assert.equal(contentTypeFor("index.html"), "text/html; charset=utf-8");
+    assert.equal(contentTypeFor("img/Logo.PNG"), "image/png");
+    assert.equal(contentTypeFor("data.bin"), "application/octet-stream");
+    assert.equal(cacheControlFor("yakshaver/2026-03-02-100000/index.html"), "no-cache");
+    assert.equal(cacheControlFor("yakshaver/2026-03-02-100000/latest.json"), "no-cache");
+    assert.equal(cacheControlFor("yakshaver/2026-03-02-100000/chart.js"), "no-cache");
+    assert.equal(
+      cacheControlFor("yakshaver/2026-03-02-100000/versions/20260302T100500Z/index.html"),
+      "public, max-age=86400",
+    );
+    assert.equal(
+      cacheControlFor(path.join("published", "yakshaver", "m", "versions", "v1", "chart.js")),
+      "public, max-age=86400",
+    );
+  });
+});
+
+describe("uploadDirectory", () => {
+  let sourceDir;
+
+  before(async () => {
+    sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-blob-"));
+    await fs.mkdir(path.join(sourceDir, "img"));
+    await fs.writeFile(path.join(sourceDir, "index.html"), "<html></html>");
+    await fs.writeFile(path.join(sourceDir, "img", "chart.svg"), "<svg/>");
+  });
+
+  after(async () => {
+    await fs.rm(sourceDir, { recursive: true, force: true });
+  });
+
+  it("uploads nested files under the prefix with per-file headers", async () => {
+    const container = fakeContainer();
+
+    const blobNames = await uploadDirectory({
+      sourceDir,
+      prefix: "yakshaver/2026-01-22-094557",
+      containerClient: container,
+    });
+
+    assert.deepEqual(blobNames.sort(), [
+      "yakshaver/2026-01-22-094557/img/chart.svg",
+      "yakshaver/2026-01-22-094557/index.html",
+    ]);
+    const html = container.uploads.find((u) => u.blobName.endsWith("index.html"));
+    assert.deepEqual(html.headers, {
+      blobContentType: "text/html; charset=utf-8",
+      blobCacheControl: "no-cache",
+    });
+  });
+
+  it("uploads to the container root for an empty prefix", async () => {
+    const container = fakeContainer();
+
+    const blobNames = await uploadDirectory({ sourceDir, prefix: "", containerClient: container });
+
+    assert.deepEqual(blobNames.sort(), ["img/chart.svg", "index.html"]);
+  });
+
+  it("retries transient failures", async () => {
+    const container = fakeContainer({ "p/index.html": [503, 429] });
+
+    await uploadDirectory({ sourceDir, prefix: "p", containerClient: container, retryDelayMs: 1 });
+
+    assert.equal(container.attempts["p/index.html"], 3);
+    assert.equal(container.uploads.length, 2);
+  });
+
+  it("fails fast on auth errors", async () => {
+    const container = fakeContainer({ "p/index.html": [403] });
+
+    await assert.rejects(
+      uploadDirectory({ sourceDir, prefix: "p", containerClient: container, retryDelayMs: 1 }),
+      /Failed to upload p\/index.html: HTTP 403/,
+    );
+    assert.equal(container.attempts["p/index.html"], 1);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Content-Type and Cache-Control headers for published dashboard files.
+ * Shared by every publish target and the local static server.
+ */
+
+const path = require("path");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+};
+
+function contentTypeFor(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+}
+
+// A published version snapshot: "<project>/<meetingId>/versions/<versionId>/..."
+const VERSION_PATH = /(^|[\\/])versions[\\/][^\\/]+[\\/]/;
+
+/**
+ * Everything at the latest path (the dashboard, its assets, latest.json and
+ * the index pages) is overwritten by a reprocess, so it's revalidated on
+ * every request. Only version snapshots are cached; they change again only
+ * when a forget-person erasure redacts them.
+ *
+ * @param {string} publishedPath - blob name, object key or path under the
+ *   publish root, e.g. "yakshaver/2026-03-02-100000/versions/20260302T100500Z/index.html"
+ */
+function cacheControlFor(publishedPath) {
+  return VERSION_PATH.test(publishedPath) ? "public, max-age=86400" : "no-cache";
+}
+
+module.exports = { contentTypeFor, cacheControlFor };
@@ -10,8 +10,10 @@
  *   COSMOS_ENDPOINT  - e.g. https://tiger-cosmos.documents.azure.com:443/
  *
  * Optional env vars:
- *   COSMOS_DATABASE   - database name (default: "tiger")
- *   COSMOS_CONTAINER  - container name (default: "meetings")
+ *   COSMOS_DATABASE                 - database name (default: "tiger")
+ *   COSMOS_CONTAINER                - container name (default: "meetings")
+ *   COSMOS_ACTION_ITEMS_CONTAINER   - action item container (default: "actionItems")
+ *   COSMOS_ERASURES_CONTAINER       - erasure audit container (default: "erasures")
  */
 
 // Polyfill globalThis.crypto for @azure/identity in Node.js environments
@@ -23,20 +25,29 @@ if (!globalThis.crypto) {
 const { CosmosClient } = require("@azure/cosmos");
 const { DefaultAzureCredential } = require("@azure/identity");
 
-const { sanitizeId } = require("./sanitize");
+const { aggregateUsageByMonth } = require("./usage");
+const {
+  SUMMARY_FIELDS,
+  partitionKeyFor,
+  meetingDocumentId,
+  resolveMeetingOrder,
+  buildMeetingDocument,
+  buildActionItemDocument,
+} = require("./meetingRecords");
 
 const DB_NAME = process.env.COSMOS_DATABASE || "tiger";
 const CONTAINER_NAME = process.env.COSMOS_CONTAINER || "meetings";
+const ACTION_ITEMS_CONTAINER_NAME =
+  process.env.COSMOS_ACTION_ITEMS_CONTAINER || "actionItems";
+const ERASURES_CONTAINER_NAME = process.env.COSMOS_ERASURES_CONTAINER || "erasures";
 
 let _client = null;
 let _container = null;
+let _actionItemsContainer = null;
+let _erasuresContainer = null;
 
-/**
- * Get the Cosmos DB container (lazy singleton).
- * Database and container are created by Bicep — this just connects.
- */
-function getContainer() {
-  if (_container) return _container;
+function getClient() {
+  if (_client) return _client;
 
   const endpoint = process.env.COSMOS_ENDPOINT;
 
@@ -50,11 +61,44 @@ function getContainer() {
     endpoint,
     aadCredentials: new DefaultAzureCredential(),
   });
+  return _client;
+}
 
-  _container = _client.database(DB_NAME).container(CONTAINER_NAME);
+/**
+ * Get the Cosmos DB container (lazy singleton).
+ * Database and container are created by Bicep — this just connects.
+ */
+function getContainer() {
+  if (_container) return _container;
+
+  _container = getClient().database(DB_NAME).container(CONTAINER_NAME);
   return _container;
 }
 
+/**
+ * Get the action item container (lazy singleton), partitioned by
+ * /projectName like the meetings container (see infra/setup-cosmos.sh).
+ */
+function getActionItemsContainer() {
+  if (_actionItemsContainer) return _actionItemsContainer;
+
+  _actionItemsContainer = getClient()
+    .database(DB_NAME)
+    .container(ACTION_ITEMS_CONTAINER_NAME);
+  return _actionItemsContainer;
+}
+
+/**
+ * Get the erasure audit container (lazy singleton), partitioned by
+ * /projectName (see infra/setup-cosmos.sh and processor/erasure.js).
+ */
+function getErasuresContainer() {
+  if (_erasuresContainer) return _erasuresContainer;
+
+  _erasuresContainer = getClient().database(DB_NAME).container(ERASURES_CONTAINER_NAME);
+  return _erasuresContainer;
+}
+
 /**
  * Upsert a meeting record to Cosmos DB.
  *
@@ -65,83 +109,118 @@ function getContainer() {
  * @param {string} params.dashboardPath  - path relative to storage root (e.g. "general/2026-01-22")
  * @param {Object} params.consolidated   - full consolidated.json content
  * @param {Object} [params.metadata]     - optional extra metadata
+ * @param {Object} [params.version]      - published dashboard version
+ *   ({ versionId, dashboardPath, createdAt, model, promptVersion }), appended
+ *   to the document's `versions` history
+ * @param {Object[]} [params.actionItemExports] - external work items / issues
+ *   for the meeting's action items ({ actionItemId, target, id, url }); kept
+ *   from the previous run when not passed
  * @returns {Object} the upserted document
  */
-async function upsertMeeting({
-  projectName,
-  meetingId,
-  meetingDate,
-  dashboardPath,
-  consolidated,
-  metadata = {},
-}) {
-  const missing = [
-    !projectName && "projectName",
-    !meetingId && "meetingId",
-    !meetingDate && "meetingDate",
-    !dashboardPath && "dashboardPath",
-  ].filter(Boolean);
-
-  if (missing.length > 0) {
-    throw new Error(`upsertMeeting: missing required fields: ${missing.join(", ")}`);
-  }
-
+async function upsertMeeting(params) {
   const container = getContainer();
 
-  const sanitizedProject = sanitizeId(projectName) || "general";
-  const sanitizedMeetingId = sanitizeId(meetingId);
-
-  const document = {
-    id: `${sanitizedProject}-${sanitizedMeetingId}`,
-    projectName: sanitizedProject,
-    meetingId,
-    meetingDate,
-    dashboardPath,
-    consolidated,
-    metadata,
-    updatedAt: new Date().toISOString(),
-  };
+  // Keep the version history across reprocessing runs
+  const existing =
+    params.projectName && params.meetingId
+      ? await getMeeting(params.projectName, params.meetingId)
+      : null;
+  const document = buildMeetingDocument(params, existing);
 
   const { resource } = await container.items.upsert(document);
   return resource;
 }
 
+const SUMMARY_SELECT = SUMMARY_FIELDS.map((field) => `c.${field}`).join(", ");
+
 /**
- * Query meetings by project and optional date range.
+ * Build the meetings query shared by queryMeetings and queryMeetingsPage.
  *
- * @param {Object} params
- * @param {string} params.projectName       - project to query
- * @param {string} [params.startDate]       - inclusive start date (YYYY-MM-DD)
- * @param {string} [params.endDate]         - inclusive end date (YYYY-MM-DD)
- * @param {boolean} [params.excludeConsolidated] - if true, omit the large consolidated field
- * @returns {Object[]} matching meeting records
+ * @returns {{query: string, parameters: Object[], partitionKey: string}}
  */
-async function queryMeetings({
+function buildMeetingsQuery({
   projectName,
   startDate,
   endDate,
   excludeConsolidated = false,
+  filters = {},
+  orderBy,
+  order,
 }) {
-  const container = getContainer();
+  // ORDER BY can't be parameterised, so only known fields are accepted
+  const sort = resolveMeetingOrder(orderBy, order);
 
-  const selectFields = excludeConsolidated
-    ? "c.id, c.projectName, c.meetingId, c.meetingDate, c.dashboardPath, c.metadata, c.updatedAt"
-    : "*";
+  const selectFields = excludeConsolidated ? SUMMARY_SELECT : "*";
 
-  const sanitizedProject = sanitizeId(projectName) || "general";
+  const sanitizedProject = partitionKeyFor(projectName);
   let query = `SELECT ${selectFields} FROM c WHERE c.projectName = @projectName`;
   const parameters = [{ name: "@projectName", value: sanitizedProject }];
 
-  if (startDate) {
-    query += " AND c.meetingDate >= @startDate";
-    parameters.push({ name: "@startDate", value: startDate });
+  const where = (clause, name, value) => {
+    query += ` AND ${clause}`;
+    parameters.push({ name, value });
+  };
+
+  if (startDate) where("c.meetingDate >= @startDate", "@startDate", startDate);
+  if (endDate) where("c.meetingDate <= @endDate", "@endDate", endDate);
+  if (filters.grades?.length) {
+    where("ARRAY_CONTAINS(@grades, c.metadata.grade)", "@grades", filters.grades);
   }
-  if (endDate) {
-    query += " AND c.meetingDate <= @endDate";
-    parameters.push({ name: "@endDate", value: endDate });
+  if (filters.minDurationMinutes != null) {
+    where("c.metadata.totalDurationMinutes >= @minDuration", "@minDuration", filters.minDurationMinutes);
+  }
+  if (filters.maxDurationMinutes != null) {
+    where("c.metadata.totalDurationMinutes <= @maxDuration", "@maxDuration", filters.maxDurationMinutes);
+  }
+  if (filters.minParticipants != null) {
+    where("c.metadata.participantCount >= @minParticipants", "@minParticipants", filters.minParticipants);
   }
+  if (filters.maxParticipants != null) {
+    where("c.metadata.participantCount <= @maxParticipants", "@maxParticipants", filters.maxParticipants);
+  }
+
+  query += ` ORDER BY c.${sort.path} ${sort.direction}`;
 
-  query += " ORDER BY c.meetingDate DESC";
+  return { query, parameters, partitionKey: sanitizedProject };
+}
+
+/**
+ * Fetch a single page of a query.
+ *
+ * @returns {{items: Object[], continuationToken: string|null, requestCharge: number}}
+ */
+async function fetchPage(container, querySpec, { maxItemCount, continuationToken, partitionKey }) {
+  const response = await container.items
+    .query(querySpec, {
+      maxItemCount,
+      continuationToken: continuationToken || undefined,
+      ...(partitionKey && { partitionKey }),
+    })
+    .fetchNext();
+
+  return {
+    items: response.resources,
+    continuationToken: response.continuationToken || null,
+    requestCharge: response.requestCharge ?? 0,
+  };
+}
+
+/**
+ * Query meetings by project and optional date range.
+ *
+ * Loads every match into memory — prefer queryMeetingsPage for anything
+ * that isn't bounded by a date range.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName       - project to query
+ * @param {string} [params.startDate]       - inclusive start date (YYYY-MM-DD)
+ * @param {string} [params.endDate]         - inclusive end date (YYYY-MM-DD)
+ * @param {boolean} [params.excludeConsolidated] - if true, omit the large consolidated field
+ * @returns {Object[]} matching meeting records
+ */
+async function queryMeetings(params) {
+  const container = getContainer();
+  const { query, parameters } = buildMeetingsQuery(params);
 
   const { resources } = await container.items
     .query({ query, parameters })
@@ -150,6 +229,39 @@ async function queryMeetings({
   return resources;
 }
 
+/**
+ * One page of a project's meetings, with optional metadata filters and
+ * ordering (default: newest first).
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string} [params.startDate]       - inclusive start date (YYYY-MM-DD)
+ * @param {string} [params.endDate]         - inclusive end date (YYYY-MM-DD)
+ * @param {boolean} [params.excludeConsolidated]
+ * @param {Object} [params.filters]
+ * @param {string[]} [params.filters.grades]            - e.g. ["A", "A-"]
+ * @param {number} [params.filters.minDurationMinutes]
+ * @param {number} [params.filters.maxDurationMinutes]
+ * @param {number} [params.filters.minParticipants]
+ * @param {number} [params.filters.maxParticipants]
+ * @param {string} [params.orderBy]         - meetingDate | grade | durationMinutes | participantCount
+ * @param {string} [params.order]           - ASC | DESC (default DESC)
+ * @param {number} [params.maxItemCount]    - page size (default 25)
+ * @param {string} [params.continuationToken] - from the previous page
+ * @param {Object} [params.container]       - default: the meetings container
+ * @returns {{items: Object[], continuationToken: string|null, requestCharge: number}}
+ *   continuationToken is null on the last page; requestCharge is in RUs
+ */
+async function queryMeetingsPage({
+  maxItemCount = 25,
+  continuationToken,
+  container = getContainer(),
+  ...params
+}) {
+  const { query, parameters, partitionKey } = buildMeetingsQuery(params);
+  return fetchPage(container, { query, parameters }, { maxItemCount, continuationToken, partitionKey });
+}
+
 /**
  * Get a single meeting record.
  *
@@ -159,12 +271,9 @@ async function queryMeetings({
  */
 async function getMeeting(projectName, meetingId) {
   const container = getContainer();
-  const sanitizedProject = sanitizeId(projectName) || "general";
-  const id = `${sanitizedProject}-${sanitizeId(meetingId)}`;
-
   try {
     const { resource } = await container
-      .item(id, sanitizedProject)
+      .item(meetingDocumentId(projectName, meetingId), partitionKeyFor(projectName))
       .read();
     return resource;
   } catch (err) {
@@ -188,10 +297,213 @@ async function listProjects() {
   return resources;
 }
 
+/**
+ * Meeting count and latest meeting date per project, from one aggregate
+ * query instead of a query per project (for the root index page, see
+ * processor/indexPages.js).
+ *
+ * @param {Object} [params]
+ * @param {Object} [params.container] - default: the meetings container
+ * @returns {Object[]} [{ projectName, meetingCount, latestMeetingDate }], alphabetical
+ */
+async function listProjectSummaries({ container = getContainer() } = {}) {
+  const { resources } = await container.items
+    .query(
+      "SELECT c.projectName, COUNT(1) AS meetingCount, MAX(c.meetingDate) AS latestMeetingDate " +
+        "FROM c GROUP BY c.projectName",
+    )
+    .fetchAll();
+
+  return resources
+    .map(({ projectName, meetingCount, latestMeetingDate }) => ({
+      projectName,
+      meetingCount,
+      latestMeetingDate: latestMeetingDate ?? null,
+    }))
+    .sort((a, b) => a.projectName.localeCompare(b.projectName));
+}
+
+/**
+ * One page of project names, alphabetical.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.maxItemCount]      - page size (default 25)
+ * @param {string} [params.continuationToken] - from the previous page
+ * @param {Object} [params.container]         - default: the meetings container
+ * @returns {{items: string[], continuationToken: string|null, requestCharge: number}}
+ */
+async function listProjectsPage({
+  maxItemCount = 25,
+  continuationToken,
+  container = getContainer(),
+} = {}) {
+  // Cosmos only resumes DISTINCT queries from a continuation token when ordered
+  return fetchPage(
+    container,
+    { query: "SELECT DISTINCT VALUE c.projectName FROM c ORDER BY c.projectName" },
+    { maxItemCount, continuationToken },
+  );
+}
+
+/**
+ * Per-month Claude token usage and cost totals for a project, built from the
+ * `metadata.usage` recorded on each meeting (see lib/usage.js).
+ *
+ * @param {Object} params
+ * @param {string} params.projectName - project to total
+ * @param {string} [params.startDate] - inclusive start date (YYYY-MM-DD)
+ * @param {string} [params.endDate]   - inclusive end date (YYYY-MM-DD)
+ * @returns {Object[]} monthly totals, newest month first
+ */
+async function getMonthlyUsage({ projectName, startDate, endDate }) {
+  const container = getContainer();
+
+  const sanitizedProject = partitionKeyFor(projectName);
+  let query =
+    "SELECT c.meetingDate, c.metadata FROM c WHERE c.projectName = @projectName";
+  const parameters = [{ name: "@projectName", value: sanitizedProject }];
+
+  if (startDate) {
+    query += " AND c.meetingDate >= @startDate";
+    parameters.push({ name: "@startDate", value: startDate });
+  }
+  if (endDate) {
+    query += " AND c.meetingDate <= @endDate";
+    parameters.push({ name: "@endDate", value: endDate });
+  }
+
+  const { resources } = await container.items
+    .query({ query, parameters })
+    .fetchAll();
+
+  return aggregateUsageByMonth(resources);
+}
+
+/**
+ * Action items of a project, optionally limited to some statuses
+ * (see processor/actionItems.js), oldest first.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string[]} [params.statuses] - e.g. ["open", "carried_over"]
+ * @returns {Object[]} action item documents
+ */
+async function queryActionItems({ projectName, statuses }) {
+  const container = getActionItemsContainer();
+
+  const sanitizedProject = partitionKeyFor(projectName);
+  let query = "SELECT * FROM c WHERE c.projectName = @projectName";
+  const parameters = [{ name: "@projectName", value: sanitizedProject }];
+
+  if (statuses?.length) {
+    query += " AND ARRAY_CONTAINS(@statuses, c.status)";
+    parameters.push({ name: "@statuses", value: statuses });
+  }
+
+  query += " ORDER BY c.sourceMeetingId ASC";
+
+  const { resources } = await container.items
+    .query({ query, parameters })
+    .fetchAll();
+
+  return resources;
+}
+
+/**
+ * Upsert action item documents (ids from processor/actionItems.js).
+ *
+ * @param {Object[]} items
+ * @returns {Object[]} the upserted documents
+ */
+async function upsertActionItems(items) {
+  const container = getActionItemsContainer();
+  const results = [];
+  for (const item of items) {
+    const { resource } = await container.items.upsert(buildActionItemDocument(item));
+    results.push(resource);
+  }
+  return results;
+}
+
+/**
+ * Delete a meeting record.
+ *
+ * @returns {boolean} false when there was no such record
+ */
+async function deleteMeeting(projectName, meetingId) {
+  const container = getContainer();
+  try {
+    await container
+      .item(meetingDocumentId(projectName, meetingId), partitionKeyFor(projectName))
+      .delete();
+    return true;
+  } catch (err) {
+    if (err.code === 404) return false;
+    throw err;
+  }
+}
+
+/**
+ * Delete the action items raised in one meeting.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string} params.sourceMeetingId
+ * @returns {number} items deleted
+ */
+async function deleteActionItems({ projectName, sourceMeetingId }) {
+  const container = getActionItemsContainer();
+  const partitionKey = partitionKeyFor(projectName);
+
+  const { resources } = await container.items
+    .query(
+      {
+        query:
+          "SELECT c.id FROM c WHERE c.projectName = @projectName AND c.sourceMeetingId = @sourceMeetingId",
+        parameters: [
+          { name: "@projectName", value: partitionKey },
+          { name: "@sourceMeetingId", value: sourceMeetingId },
+        ],
+      },
+      { partitionKey },
+    )
+    .fetchAll();
+
+  for (const { id } of resources) {
+    await container.item(id, partitionKey).delete();
+  }
+  return resources.length;
+}
+
+/**
+ * Store an erasure audit record (see processor/erasure.js).
+ *
+ * @param {Object} record - { id, projectName, type, ... }
+ * @returns {Object} the created document
+ */
+async function recordErasure(record) {
+  const { resource } = await getErasuresContainer().items.create({
+    ...record,
+    projectName: partitionKeyFor(record.projectName),
+  });
+  return resource;
+}
+
 module.exports = {
   getContainer,
+  getActionItemsContainer,
+  getErasuresContainer,
   upsertMeeting,
   queryMeetings,
+  queryMeetingsPage,
   getMeeting,
   listProjects,
+  listProjectsPage,
+  listProjectSummaries,
+  getMonthlyUsage,
+  queryActionItems,
+  upsertActionItems,
+  deleteMeeting,
+  deleteActionItems,
+  recordErasure,
 };
@@ -0,0 +1,138 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { queryMeetingsPage, listProjectsPage, listProjectSummaries } = require("./cosmosClient");
+
+/**
+ * Stand-in for a Cosmos container that serves `pages` in order, the way
+ * fetchNext() does, and records each query.
+ */
+function pagedContainer(pages) {
+  const calls = [];
+  return {
+    calls,
+    items: {
+      query: (querySpec, options) => {
+        calls.push({ querySpec, options });
+        const index = options.continuationToken ? Number(options.continuationToken.split(":")[1]) : 0;
+        const last = index === pages.length - 1;
+        return {
+          fetchNext: async () => ({
+            resources: pages[index],
+            continuationToken: last ? undefined : `page:${index + 1}`,
+            requestCharge: 2.83,
+          }),
+        };
+      },
+    },
+  };
+}
+
+describe("queryMeetingsPage", () => {
+  it("pages through a project's meetings with continuation tokens and RU charge", async () => {
+    const container = pagedContainer([
+      [{ meetingId: "2026-03-09-100000" }, { meetingId: "2026-03-02-100000" }],
+      [{ meetingId: "2026-02-23-100000" }],
+    ]);
+
+    const first = await queryMeetingsPage({ projectName: "YakShaver", maxItemCount: 2, container });
+    const second = await queryMeetingsPage({
+      projectName: "YakShaver",
+      maxItemCount: 2,
+      continuationToken: first.continuationToken,
+      container,
+    });
+
+    assert.deepEqual(first, {
+      items: [{ meetingId: "2026-03-09-100000" }, { meetingId: "2026-03-02-100000" }],
+      continuationToken: "page:1",
+      requestCharge: 2.83,
+    });
+    assert.deepEqual(second.items, [{ meetingId: "2026-02-23-100000" }]);
+    assert.equal(second.continuationToken, null);
+    assert.deepEqual(container.calls[0].options, {
+      maxItemCount: 2,
+      continuationToken: undefined,
+      partitionKey: "yakshaver",
+    });
+    assert.equal(container.calls[1].options.continuationToken, "page:1");
+  });
+
+  it("filters and orders on metadata fields", async () => {
+    const container = pagedContainer([[]]);
+
+    await queryMeetingsPage({
+      projectName: "yakshaver",
+      startDate: "2026-01-01",
+      excludeConsolidated: true,
+      filters: { grades: ["A", "A-"], minDurationMinutes: 15, maxParticipants: 8 },
+      orderBy: "durationMinutes",
+      order: "asc",
+      container,
+    });
+
+    const { query, parameters } = container.calls[0].querySpec;
+    assert.equal(
+      query,
+      "SELECT c.id, c.projectName, c.meetingId, c.meetingDate, c.dashboardPath, c.metadata, c.latestVersionId, c.updatedAt FROM c" +
+        " WHERE c.projectName = @projectName AND c.meetingDate >= @startDate" +
+        " AND ARRAY_CONTAINS(@grades, c.metadata.grade)" +
+        " AND c.metadata.totalDurationMinutes >= @minDuration" +
+        " AND c.metadata.participantCount <= @maxParticipants" +
+        " ORDER BY c.metadata.totalDurationMinutes ASC",
+    );
+    assert.deepEqual(parameters.map((p) => p.value), ["yakshaver", "2026-01-01", ["A", "A-"], 15, 8]);
+  });
+
+  it("rejects unknown sort fields instead of building them into the query", async () => {
+    await assert.rejects(
+      queryMeetingsPage({ projectName: "yakshaver", orderBy: "c.id; DROP", container: pagedContainer([[]]) }),
+      /Unknown orderBy/,
+    );
+    await assert.rejects(
+      queryMeetingsPage({ projectName: "yakshaver", order: "sideways", container: pagedContainer([[]]) }),
+      /Unknown order/,
+    );
+  });
+});
+
+describe("listProjectsPage", () => {
+  it("returns project names a page at a time, ordered so DISTINCT can resume", async () => {
+    const container = pagedContainer([["general", "tina-cms"], ["yakshaver"]]);
+
+    const first = await listProjectsPage({ maxItemCount: 2, container });
+    const second = await listProjectsPage({ maxItemCount: 2, continuationToken: first.continuationToken, container });
+
+    assert.deepEqual(first.items, ["general", "tina-cms"]);
+    assert.deepEqual(second, { items: ["yakshaver"], continuationToken: null, requestCharge: 2.83 });
+    assert.match(container.calls[0].querySpec.query, /ORDER BY c\.projectName$/);
+    assert.equal(container.calls[0].options.partitionKey, undefined);
+  });
+});
+
+describe("listProjectSummaries", () => {
+  it("counts meetings per project in one aggregate query", async () => {
+    const queries = [];
+    const container = {
+      items: {
+        query: (query) => {
+          queries.push(query);
+          return {
+            fetchAll: async () => ({
+              resources: [
+                { projectName: "yakshaver", meetingCount: 12, latestMeetingDate: "2026-03-16" },
+                { projectName: "general", meetingCount: 1 },
+              ],
+            }),
+          };
+        },
+      },
+    };
+
+    assert.deepEqual(await listProjectSummaries({ container }), [
+      { projectName: "general", meetingCount: 1, latestMeetingDate: null },
+      { projectName: "yakshaver", meetingCount: 12, latestMeetingDate: "2026-03-16" },
+    ]);
+    assert.equal(queries.length, 1);
+    assert.match(queries[0], /GROUP BY c\.projectName$/);
+  });
+});
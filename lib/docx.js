@@ -0,0 +1,94 @@
+/**
+ * Paragraph text from a .docx file, without a zip or Word dependency.
+ *
+ * A .docx is a zip archive; the body text is in word/document.xml as
+ * <w:p> paragraphs of <w:t> runs. Only that entry is read (stored or
+ * deflated, found through the zip's central directory), and formatting,
+ * tables and images are ignored. Enough for Teams transcript exports.
+ */
+
+const zlib = require("zlib");
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const DOCUMENT_ENTRY = "word/document.xml";
+
+function invalid(message) {
+  return Object.assign(new Error(`Invalid .docx file: ${message}`), { code: "INVALID_DOCX" });
+}
+
+/**
+ * @param {Buffer} buffer - zip archive
+ * @param {string} name   - entry name
+ * @returns {Buffer|null} the entry's content, or null when it isn't there
+ */
+function readZipEntry(buffer, name) {
+  // End of central directory: 22 bytes plus a comment of up to 64 KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw invalid("not a zip archive");
+
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < entries; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw invalid("corrupt central directory");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString("utf-8", offset + 46, offset + 46 + nameLength);
+
+    if (entryName === name) {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw invalid("corrupt local header");
+      const dataStart =
+        localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw invalid(`unsupported compression method ${method}`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * @param {Buffer} buffer - .docx file content
+ * @returns {string[]} non-empty paragraphs, in document order
+ */
+function readDocxParagraphs(buffer) {
+  const xml = readZipEntry(buffer, DOCUMENT_ENTRY);
+  if (!xml) throw invalid(`no ${DOCUMENT_ENTRY}`);
+
+  const paragraphs = [];
+  for (const [paragraph] of xml.toString("utf-8").matchAll(/<w:p[\s>][\s\S]*?<\/w:p>/g)) {
+    const text = [...paragraph.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br)\/>/g)]
+      .map(([, run, tag]) => (tag === "tab" ? "\t" : tag === "br" ? "\n" : decodeXml(run)))
+      .join("")
+      .trim();
+    if (text) paragraphs.push(text);
+  }
+  return paragraphs;
+}
+
+module.exports = { readZipEntry, readDocxParagraphs };
@@ -0,0 +1,116 @@
+/**
+ * Report this run's status to the Function App's execution registry.
+ *
+ * STATUS_REPORT_URL is passed to the container by ProcessTranscriptQueue and
+ * already carries the executionId and a signed token. Reporting is
+ * best-effort: it never throws and is a no-op when the URL is not set
+ * (local runs), so it can never fail the pipeline.
+ *
+ * Three kinds of report feed the GetProcessingStatus page:
+ *   - run status (running/completed/failed/...) from entrypoint.sh
+ *   - stage events (download → analysis → validation → deploy → persist)
+ *   - progress previews (the latest extractEventPreview line from Claude)
+ */
+
+const { log } = require("./logger");
+
+const REPORT_TIMEOUT_MS = 5000;
+// Claude emits several events per second; the status page only needs the
+// latest line every so often.
+const PREVIEW_INTERVAL_MS = 10000;
+
+const STAGES = {
+  DOWNLOAD: "download",
+  ANALYSIS: "analysis",
+  VALIDATION: "validation",
+  DEPLOY: "deploy",
+  PERSIST: "persist",
+};
+
+let lastPreviewSentAt = 0;
+
+async function postReport(body) {
+  const url = process.env.STATUS_REPORT_URL;
+  if (!url) return false;
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REPORT_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      log("warn", "Execution status report rejected", {
+        report: body.status || body.stage || "preview",
+        httpStatus: response.status,
+      });
+      return false;
+    }
+    return true;
+  } catch (error) {
+    log("warn", "Execution status report failed", {
+      report: body.status || body.stage || "preview",
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * @param {string} status - running | completed | failed | cancelled | skipped
+ * @param {Object} [fields] - { detail, deployedUrl, error }
+ * @returns {Promise<boolean>} true if the registry accepted the report
+ */
+async function reportExecutionStatus(status, fields = {}) {
+  return postReport({ status, ...fields });
+}
+
+/**
+ * @param {string} stage - one of STAGES
+ * @param {string} stageStatus - running | completed | failed | skipped
+ * @param {Object} [fields] - { error }
+ * @returns {Promise<boolean>} true if the registry accepted the report
+ */
+async function reportStage(stage, stageStatus, fields = {}) {
+  return postReport({ stage, stageStatus, ...fields });
+}
+
+/**
+ * Report the latest progress line, at most once per PREVIEW_INTERVAL_MS.
+ * Skipped previews are simply dropped - the next one supersedes them.
+ *
+ * @param {string} text
+ * @returns {Promise<boolean>} true if the preview was sent and accepted
+ */
+async function reportPreview(text) {
+  if (!text || !process.env.STATUS_REPORT_URL) return false;
+  const now = Date.now();
+  if (now - lastPreviewSentAt < PREVIEW_INTERVAL_MS) return false;
+  lastPreviewSentAt = now;
+  return postReport({ preview: text });
+}
+
+/**
+ * Run `fn` as a pipeline stage: report running, then completed or failed.
+ * Errors from `fn` are re-thrown after the failed report.
+ */
+async function withStage(stage, fn) {
+  await reportStage(stage, "running");
+  try {
+    const result = await fn();
+    await reportStage(stage, "completed");
+    return result;
+  } catch (error) {
+    await reportStage(stage, "failed", { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  STAGES,
+  reportExecutionStatus,
+  reportStage,
+  reportPreview,
+  withStage,
+};
@@ -0,0 +1,97 @@
+/**
+ * Parallel directory upload with per-file retries, shared by the remote
+ * publish targets (Azure Blob, S3). The target supplies the single-file
+ * upload; this handles listing, key naming, concurrency and backoff.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("./logger");
+
+const DEFAULT_CONCURRENCY = 4;
+const UPLOAD_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath)));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Auth/permission/not-found errors won't heal on retry. Azure SDK errors
+// carry statusCode, AWS SDK errors $metadata.httpStatusCode.
+function isTransient(error) {
+  const status = error.statusCode ?? error.$metadata?.httpStatusCode;
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+async function uploadWithRetry(uploadFile, filePath, key, { attempts, retryDelayMs }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await uploadFile(filePath, key);
+      return;
+    } catch (error) {
+      if (attempt >= attempts || !isTransient(error)) {
+        throw new Error(`Failed to upload ${key}: ${error.message}`);
+      }
+      const delayMs = retryDelayMs * Math.pow(2, attempt - 1);
+      log("warn", "Upload failed, retrying after backoff", {
+        key,
+        attempt,
+        delayMs,
+        error: error.message,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Upload every file under sourceDir as `<prefix>/<relative path>` (just
+ * `<relative path>` for an empty prefix, i.e. the storage root).
+ *
+ * @param {Object} params
+ * @param {string} params.sourceDir
+ * @param {string} params.prefix             - e.g. "yakshaver/2026-01-22-094557"
+ * @param {Function} params.uploadFile       - async (filePath, key) => void
+ * @param {number} [params.concurrency]      - default DASHBOARD_UPLOAD_CONCURRENCY or 4
+ * @param {number} [params.attempts]         - per file
+ * @param {number} [params.retryDelayMs]
+ * @returns {Promise<string[]>} uploaded keys
+ */
+async function uploadDirectory({
+  sourceDir,
+  prefix,
+  uploadFile,
+  concurrency = parseInt(process.env.DASHBOARD_UPLOAD_CONCURRENCY, 10) || DEFAULT_CONCURRENCY,
+  attempts = UPLOAD_ATTEMPTS,
+  retryDelayMs = RETRY_DELAY_MS,
+}) {
+  const files = await listFiles(sourceDir);
+  const keys = files.map((file) =>
+    [prefix, ...path.relative(sourceDir, file).split(path.sep)].filter(Boolean).join("/"),
+  );
+
+  // Simple worker pool: each worker takes the next file until none are left
+  let next = 0;
+  const worker = async () => {
+    while (next < files.length) {
+      const i = next++;
+      await uploadWithRetry(uploadFile, files[i], keys[i], { attempts, retryDelayMs });
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, files.length) }, worker),
+  );
+
+  return keys;
+}
+
+module.exports = { listFiles, uploadDirectory };
@@ -0,0 +1,330 @@
+/**
+ * Local file-backed stand-in for the Cosmos DB store (cosmosClient.js).
+ *
+ * Used when COSMOS_ENDPOINT isn't set (see store.js), so persistence and
+ * everything built on it — index pages, the action item tracker, usage
+ * reports — also works in local runs and tests. Same functions, filters,
+ * ordering and paging as cosmosClient.js; documents are plain JSON files:
+ *
+ *   <LOCAL_STORE_DIR>/meetings/<projectName>/<id>.json
+ *   <LOCAL_STORE_DIR>/actionItems/<projectName>/<id>.json
+ *   <LOCAL_STORE_DIR>/erasures/<projectName>/<id>.json
+ *
+ * Every query reads the matching files, so this is for development-sized
+ * data, not a production store.
+ *
+ * Optional env vars:
+ *   LOCAL_STORE_DIR  - store folder (default: <repo>/local-store)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const { aggregateUsageByMonth } = require("./usage");
+const {
+  SUMMARY_FIELDS,
+  partitionKeyFor,
+  meetingDocumentId,
+  resolveMeetingOrder,
+  buildMeetingDocument,
+  buildActionItemDocument,
+} = require("./meetingRecords");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "local-store");
+const MEETINGS = "meetings";
+const ACTION_ITEMS = "actionItems";
+const ERASURES = "erasures";
+
+function getStoreDir() {
+  return path.resolve(process.env.LOCAL_STORE_DIR || DEFAULT_DIR);
+}
+
+function documentPath(containerName, partitionKey, id) {
+  return path.join(getStoreDir(), containerName, partitionKey, `${id}.json`);
+}
+
+async function readDocument(containerName, partitionKey, id) {
+  try {
+    return JSON.parse(await fs.readFile(documentPath(containerName, partitionKey, id), "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename, so readers never see a half-written document
+async function writeDocument(containerName, document) {
+  const target = documentPath(containerName, document.projectName, document.id);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const temp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(document, null, 2));
+  await fs.rename(temp, target);
+  return document;
+}
+
+async function listDirectory(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+/**
+ * All documents of a container, or of one partition.
+ */
+async function readDocuments(containerName, partitionKey) {
+  const containerDir = path.join(getStoreDir(), containerName);
+  const partitions = partitionKey ? [partitionKey] : await listDirectory(containerDir);
+
+  const documents = [];
+  for (const partition of partitions) {
+    const files = await listDirectory(path.join(containerDir, partition));
+    for (const file of files.filter((name) => name.endsWith(".json")).sort()) {
+      const raw = await fs.readFile(path.join(containerDir, partition, file), "utf-8");
+      documents.push(JSON.parse(raw));
+    }
+  }
+  return documents;
+}
+
+function getPath(document, fieldPath) {
+  return fieldPath.split(".").reduce((value, key) => value?.[key], document);
+}
+
+// Cosmos DB's cross-type ordering: undefined < null < boolean < number < string
+const TYPE_RANK = { undefined: 0, object: 1, boolean: 2, number: 3, string: 4 };
+
+function compareValues(a, b) {
+  const rankA = TYPE_RANK[typeof a] ?? 1;
+  const rankB = TYPE_RANK[typeof b] ?? 1;
+  if (rankA !== rankB) return rankA - rankB;
+  if (a === b || typeof a === "object") return 0;
+  return a < b ? -1 : 1;
+}
+
+// Range filters only match numbers, like Cosmos comparisons across types
+function inRange(value, min, max) {
+  if (min == null && max == null) return true;
+  if (typeof value !== "number") return false;
+  return (min == null || value >= min) && (max == null || value <= max);
+}
+
+function matchesMeeting(document, { startDate, endDate, filters = {} }) {
+  const { metadata = {} } = document;
+  if (startDate && !(document.meetingDate >= startDate)) return false;
+  if (endDate && !(document.meetingDate <= endDate)) return false;
+  if (filters.grades?.length && !filters.grades.includes(metadata.grade)) return false;
+  return (
+    inRange(metadata.totalDurationMinutes, filters.minDurationMinutes, filters.maxDurationMinutes) &&
+    inRange(metadata.participantCount, filters.minParticipants, filters.maxParticipants)
+  );
+}
+
+function toSummary(document) {
+  return Object.fromEntries(
+    SUMMARY_FIELDS.filter((field) => field in document).map((field) => [field, document[field]]),
+  );
+}
+
+/**
+ * Query meetings by project, date range and metadata filters
+ * (see cosmosClient.queryMeetings / queryMeetingsPage).
+ */
+async function queryMeetings({
+  projectName,
+  startDate,
+  endDate,
+  excludeConsolidated = false,
+  filters,
+  orderBy,
+  order,
+}) {
+  const sort = resolveMeetingOrder(orderBy, order);
+  const sign = sort.direction === "ASC" ? 1 : -1;
+
+  const documents = await readDocuments(MEETINGS, partitionKeyFor(projectName));
+  return documents
+    .filter((document) => matchesMeeting(document, { startDate, endDate, filters }))
+    .sort((a, b) => sign * compareValues(getPath(a, sort.path), getPath(b, sort.path)))
+    .map((document) => (excludeConsolidated ? toSummary(document) : document));
+}
+
+/**
+ * Slice one page out of the full result. Tokens are opaque JSON strings,
+ * like Cosmos continuation tokens.
+ */
+function toPage(results, { maxItemCount = 25, continuationToken }) {
+  let offset = 0;
+  if (continuationToken) {
+    try {
+      ({ offset } = JSON.parse(continuationToken));
+    } catch {
+      offset = NaN;
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error("Invalid continuation token");
+    }
+  }
+
+  const end = offset + maxItemCount;
+  return {
+    items: results.slice(offset, end),
+    continuationToken: end < results.length ? JSON.stringify({ offset: end }) : null,
+    requestCharge: 0,
+  };
+}
+
+/**
+ * Upsert a meeting record (see cosmosClient.upsertMeeting).
+ */
+async function upsertMeeting(params) {
+  const existing =
+    params.projectName && params.meetingId
+      ? await getMeeting(params.projectName, params.meetingId)
+      : null;
+  return writeDocument(MEETINGS, buildMeetingDocument(params, existing));
+}
+
+/**
+ * One page of a project's meetings (see cosmosClient.queryMeetingsPage).
+ */
+async function queryMeetingsPage({ maxItemCount, continuationToken, ...params }) {
+  return toPage(await queryMeetings(params), { maxItemCount, continuationToken });
+}
+
+/**
+ * @returns {Object|null} the meeting record or null
+ */
+async function getMeeting(projectName, meetingId) {
+  return readDocument(MEETINGS, partitionKeyFor(projectName), meetingDocumentId(projectName, meetingId));
+}
+
+/**
+ * Projects with at least one meeting, alphabetical.
+ *
+ * @returns {string[]}
+ */
+async function listProjects() {
+  const projects = [];
+  for (const partition of await listDirectory(path.join(getStoreDir(), MEETINGS))) {
+    const files = await listDirectory(path.join(getStoreDir(), MEETINGS, partition));
+    if (files.some((name) => name.endsWith(".json"))) projects.push(partition);
+  }
+  return projects.sort();
+}
+
+/**
+ * One page of project names (see cosmosClient.listProjectsPage).
+ */
+async function listProjectsPage({ maxItemCount, continuationToken } = {}) {
+  return toPage(await listProjects(), { maxItemCount, continuationToken });
+}
+
+/**
+ * Meeting count and latest meeting date per project, alphabetical
+ * (see cosmosClient.listProjectSummaries).
+ */
+async function listProjectSummaries() {
+  const summaries = [];
+  for (const projectName of await listProjects()) {
+    const meetings = await readDocuments(MEETINGS, projectName);
+    summaries.push({
+      projectName,
+      meetingCount: meetings.length,
+      latestMeetingDate: meetings.map((meeting) => meeting.meetingDate).sort().pop() ?? null,
+    });
+  }
+  return summaries;
+}
+
+/**
+ * Per-month usage totals (see cosmosClient.getMonthlyUsage).
+ */
+async function getMonthlyUsage({ projectName, startDate, endDate }) {
+  return aggregateUsageByMonth(await queryMeetings({ projectName, startDate, endDate }));
+}
+
+/**
+ * A project's action items, optionally limited to some statuses, oldest first
+ * (see cosmosClient.queryActionItems).
+ */
+async function queryActionItems({ projectName, statuses }) {
+  const items = await readDocuments(ACTION_ITEMS, partitionKeyFor(projectName));
+  return items
+    .filter((item) => !statuses?.length || statuses.includes(item.status))
+    .sort((a, b) => compareValues(a.sourceMeetingId, b.sourceMeetingId));
+}
+
+/**
+ * @param {Object[]} items
+ * @returns {Object[]} the upserted documents
+ */
+async function upsertActionItems(items) {
+  const results = [];
+  for (const item of items) {
+    results.push(await writeDocument(ACTION_ITEMS, buildActionItemDocument(item)));
+  }
+  return results;
+}
+
+/**
+ * Delete a meeting record (see cosmosClient.deleteMeeting).
+ *
+ * @returns {boolean} false when there was no such record
+ */
+async function deleteMeeting(projectName, meetingId) {
+  const target = documentPath(
+    MEETINGS,
+    partitionKeyFor(projectName),
+    meetingDocumentId(projectName, meetingId),
+  );
+  try {
+    await fs.unlink(target);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+}
+
+/**
+ * Delete the action items raised in one meeting
+ * (see cosmosClient.deleteActionItems).
+ *
+ * @returns {number} items deleted
+ */
+async function deleteActionItems({ projectName, sourceMeetingId }) {
+  const partitionKey = partitionKeyFor(projectName);
+  const items = await readDocuments(ACTION_ITEMS, partitionKey);
+  const matching = items.filter((item) => item.sourceMeetingId === sourceMeetingId);
+  for (const item of matching) {
+    await fs.rm(documentPath(ACTION_ITEMS, partitionKey, item.id), { force: true });
+  }
+  return matching.length;
+}
+
+/**
+ * Store an erasure audit record (see cosmosClient.recordErasure).
+ */
+async function recordErasure(record) {
+  return writeDocument(ERASURES, { ...record, projectName: partitionKeyFor(record.projectName) });
+}
+
+module.exports = {
+  getStoreDir,
+  upsertMeeting,
+  queryMeetings,
+  queryMeetingsPage,
+  getMeeting,
+  listProjects,
+  listProjectsPage,
+  listProjectSummaries,
+  getMonthlyUsage,
+  queryActionItems,
+  upsertActionItems,
+  deleteMeeting,
+  deleteActionItems,
+  recordErasure,
+};
@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const localStore = require("./localStore");
+const { getStoreName, isPersistentStore } = require("./store");
+
+const MEETINGS = [
+  { meetingId: "2026-03-02-100000", grade: "B", duration: 45, participants: 6, cost: 2.5 },
+  { meetingId: "2026-03-09-100000", grade: "A", duration: 30, participants: 4, cost: 1.25 },
+  { meetingId: "2026-03-16-100000", grade: "C", duration: 90, participants: 9, cost: 4 },
+  { meetingId: "2026-04-06-100000", grade: null, duration: null, participants: 3, cost: 1 },
+];
+
+describe("localStore", () => {
+  const env = { ...process.env };
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-store-"));
+    process.env.LOCAL_STORE_DIR = tmpDir;
+    delete process.env.COSMOS_ENDPOINT;
+
+    for (const meeting of MEETINGS) {
+      await localStore.upsertMeeting({
+        projectName: "YakShaver",
+        meetingId: meeting.meetingId,
+        meetingDate: meeting.meetingId.slice(0, 10),
+        dashboardPath: `yakshaver/${meeting.meetingId}`,
+        consolidated: { summary: `Meeting ${meeting.meetingId}` },
+        metadata: {
+          grade: meeting.grade,
+          totalDurationMinutes: meeting.duration,
+          participantCount: meeting.participants,
+          usage: { model: "claude-opus-4-5-20251101", totalCostUsd: meeting.cost },
+        },
+      });
+    }
+    await localStore.upsertMeeting({
+      projectName: "TinaCMS",
+      meetingId: "2026-03-03-090000",
+      meetingDate: "2026-03-03",
+      dashboardPath: "tinacms/2026-03-03-090000",
+      consolidated: null,
+    });
+  });
+
+  after(async () => {
+    process.env = { ...env };
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("is selected when COSMOS_ENDPOINT isn't set", () => {
+    assert.equal(getStoreName(), "local");
+  });
+
+  it("isn't persistent in a production container without LOCAL_STORE_DIR", () => {
+    const { LOCAL_STORE_DIR } = process.env;
+    process.env.NODE_ENV = "production";
+    assert.equal(isPersistentStore(), true);
+    delete process.env.LOCAL_STORE_DIR;
+    assert.equal(isPersistentStore(), false);
+    process.env.COSMOS_ENDPOINT = "https://cosmos-tiger.documents.azure.com:443/";
+    assert.equal(isPersistentStore(), true);
+
+    delete process.env.COSMOS_ENDPOINT;
+    process.env.NODE_ENV = env.NODE_ENV ?? "test";
+    process.env.LOCAL_STORE_DIR = LOCAL_STORE_DIR;
+  });
+
+  it("stores meetings as JSON files and keeps the version history on upsert", async () => {
+    const params = {
+      projectName: "TinaCMS",
+      meetingId: "2026-03-03-090000",
+      meetingDate: "2026-03-03",
+      dashboardPath: "tinacms/2026-03-03-090000",
+      consolidated: {},
+    };
+    await localStore.upsertMeeting({ ...params, version: { versionId: "20260302T100500Z" } });
+    await localStore.upsertMeeting({ ...params, version: { versionId: "20260302T120000Z" } });
+
+    const file = path.join(tmpDir, "meetings", "tinacms", "tinacms-2026-03-03-090000.json");
+    const stored = JSON.parse(await fs.readFile(file, "utf-8"));
+    assert.deepEqual(stored.versions.map((v) => v.versionId), ["20260302T100500Z", "20260302T120000Z"]);
+    assert.equal(stored.latestVersionId, "20260302T120000Z");
+    assert.deepEqual(await localStore.getMeeting("TinaCMS", "2026-03-03-090000"), stored);
+    assert.equal(await localStore.getMeeting("yakshaver", "2025-01-01-000000"), null);
+
+    await assert.rejects(localStore.upsertMeeting({ projectName: "yakshaver" }), /missing required fields: meetingId/);
+  });
+
+  it("queries meetings newest first within a date range, like Cosmos", async () => {
+    const meetings = await localStore.queryMeetings({
+      projectName: "yakshaver",
+      startDate: "2026-03-05",
+      endDate: "2026-03-31",
+      excludeConsolidated: true,
+    });
+
+    assert.deepEqual(meetings.map((m) => m.meetingId), ["2026-03-16-100000", "2026-03-09-100000"]);
+    assert.equal("consolidated" in meetings[0], false);
+    assert.equal(meetings[0].dashboardPath, "yakshaver/2026-03-16-100000");
+  });
+
+  it("filters and orders on metadata, leaving out meetings without the value", async () => {
+    const byDuration = await localStore.queryMeetings({
+      projectName: "yakshaver",
+      filters: { minDurationMinutes: 30, maxParticipants: 8 },
+      orderBy: "durationMinutes",
+      order: "asc",
+    });
+    const byGrade = await localStore.queryMeetings({
+      projectName: "yakshaver",
+      filters: { grades: ["A", "B"] },
+      orderBy: "grade",
+      order: "ASC",
+    });
+    const nullsFirst = await localStore.queryMeetings({ projectName: "yakshaver", orderBy: "grade", order: "ASC" });
+
+    assert.deepEqual(byDuration.map((m) => m.meetingId), ["2026-03-09-100000", "2026-03-02-100000"]);
+    assert.deepEqual(byGrade.map((m) => m.metadata.grade), ["A", "B"]);
+    assert.equal(nullsFirst[0].meetingId, "2026-04-06-100000");
+    await assert.rejects(localStore.queryMeetings({ projectName: "yakshaver", orderBy: "cost" }), /Unknown orderBy "cost"/);
+  });
+
+  it("pages with continuation tokens", async () => {
+    const first = await localStore.queryMeetingsPage({ projectName: "yakshaver", maxItemCount: 3 });
+    const second = await localStore.queryMeetingsPage({
+      projectName: "yakshaver",
+      maxItemCount: 3,
+      continuationToken: first.continuationToken,
+    });
+
+    assert.deepEqual(first.items.map((m) => m.meetingId), [
+      "2026-04-06-100000",
+      "2026-03-16-100000",
+      "2026-03-09-100000",
+    ]);
+    assert.equal(typeof first.continuationToken, "string");
+    assert.equal(first.requestCharge, 0);
+    assert.deepEqual(second.items.map((m) => m.meetingId), ["2026-03-02-100000"]);
+    assert.equal(second.continuationToken, null);
+
+    await assert.rejects(
+      localStore.queryMeetingsPage({ projectName: "yakshaver", continuationToken: "nope" }),
+      /Invalid continuation token/,
+    );
+  });
+
+  it("lists projects and totals usage by month", async () => {
+    assert.deepEqual(await localStore.listProjects(), ["tinacms", "yakshaver"]);
+    assert.deepEqual(await localStore.listProjectSummaries(), [
+      { projectName: "tinacms", meetingCount: 1, latestMeetingDate: "2026-03-03" },
+      { projectName: "yakshaver", meetingCount: 4, latestMeetingDate: "2026-04-06" },
+    ]);
+    assert.deepEqual(await localStore.listProjectsPage({ maxItemCount: 1 }), {
+      items: ["tinacms"],
+      continuationToken: JSON.stringify({ offset: 1 }),
+      requestCharge: 0,
+    });
+
+    const months = await localStore.getMonthlyUsage({ projectName: "yakshaver", endDate: "2026-03-31" });
+    assert.deepEqual(months.map((m) => [m.month, m.meetings]), [["2026-03", 3]]);
+  });
+
+  it("stores action items per project and filters them by status", async () => {
+    await localStore.upsertActionItems([
+      { id: "ai-2", projectName: "YakShaver", sourceMeetingId: "2026-03-09-100000", status: "open" },
+      { id: "ai-1", projectName: "YakShaver", sourceMeetingId: "2026-03-02-100000", status: "carried_over" },
+      { id: "ai-3", projectName: "YakShaver", sourceMeetingId: "2026-03-02-100000", status: "done" },
+    ]);
+
+    const open = await localStore.queryActionItems({
+      projectName: "yakshaver",
+      statuses: ["open", "carried_over"],
+    });
+
+    assert.deepEqual(open.map((item) => item.id), ["ai-1", "ai-2"]);
+    assert.equal(open[0].projectName, "yakshaver");
+    assert.ok(open[0].updatedAt);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Meeting and action item document shapes, and the meeting query options,
+ * shared by the Cosmos DB store (cosmosClient.js) and the local file store
+ * (localStore.js) so both hold and return the same records.
+ */
+
+const { sanitizeId } = require("./sanitize");
+
+// Fields returned when a query excludes the large consolidated output
+const SUMMARY_FIELDS = [
+  "id",
+  "projectName",
+  "meetingId",
+  "meetingDate",
+  "dashboardPath",
+  "metadata",
+  "latestVersionId",
+  "updatedAt",
+];
+
+// orderBy values → document paths
+const MEETING_SORT_FIELDS = {
+  meetingDate: "meetingDate",
+  grade: "metadata.grade",
+  durationMinutes: "metadata.totalDurationMinutes",
+  participantCount: "metadata.participantCount",
+};
+
+function partitionKeyFor(projectName) {
+  return sanitizeId(projectName) || "general";
+}
+
+function meetingDocumentId(projectName, meetingId) {
+  return `${partitionKeyFor(projectName)}-${sanitizeId(meetingId)}`;
+}
+
+/**
+ * Resolve orderBy / order to a document path and direction.
+ *
+ * @param {string} [orderBy] - meetingDate | grade | durationMinutes | participantCount
+ * @param {string} [order]   - ASC | DESC (case-insensitive, default DESC)
+ * @returns {{path: string, direction: "ASC"|"DESC"}}
+ */
+function resolveMeetingOrder(orderBy = "meetingDate", order = "DESC") {
+  const sortPath = MEETING_SORT_FIELDS[orderBy];
+  if (!sortPath) {
+    throw new Error(
+      `Unknown orderBy "${orderBy}" (expected one of: ${Object.keys(MEETING_SORT_FIELDS).join(", ")})`,
+    );
+  }
+  const direction = String(order).toUpperCase();
+  if (direction !== "ASC" && direction !== "DESC") {
+    throw new Error(`Unknown order "${order}" (expected ASC or DESC)`);
+  }
+  return { path: sortPath, direction };
+}
+
+/**
+ * The meeting document written by upsertMeeting.
+ *
+ * @param {Object} params - upsertMeeting params
+ * @param {Object|null} existing - the stored document, if any
+ * @returns {Object}
+ */
+function buildMeetingDocument(
+  {
+    projectName,
+    meetingId,
+    meetingDate,
+    dashboardPath,
+    consolidated,
+    metadata = {},
+    version,
+    actionItemExports,
+  },
+  existing,
+) {
+  const missing = [
+    !projectName && "projectName",
+    !meetingId && "meetingId",
+    !meetingDate && "meetingDate",
+    !dashboardPath && "dashboardPath",
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new Error(`upsertMeeting: missing required fields: ${missing.join(", ")}`);
+  }
+
+  // Keep the version history across reprocessing runs
+  const versions = (existing?.versions || []).filter(
+    (previous) => previous.versionId !== version?.versionId,
+  );
+  if (version) versions.push(version);
+
+  return {
+    id: meetingDocumentId(projectName, meetingId),
+    projectName: partitionKeyFor(projectName),
+    meetingId,
+    meetingDate,
+    dashboardPath,
+    consolidated,
+    metadata,
+    versions,
+    latestVersionId: version?.versionId ?? existing?.latestVersionId ?? null,
+    actionItemExports: actionItemExports ?? existing?.actionItemExports ?? [],
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function buildActionItemDocument(item) {
+  return {
+    ...item,
+    projectName: partitionKeyFor(item.projectName),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  SUMMARY_FIELDS,
+  MEETING_SORT_FIELDS,
+  partitionKeyFor,
+  meetingDocumentId,
+  resolveMeetingOrder,
+  buildMeetingDocument,
+  buildActionItemDocument,
+};
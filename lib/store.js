@@ -0,0 +1,54 @@
+/**
+ * Meeting store selection.
+ *
+ * Both stores expose the same functions (upsertMeeting, queryMeetings,
+ * queryMeetingsPage, getMeeting, listProjects, listProjectsPage,
+ * listProjectSummaries, getMonthlyUsage, queryActionItems, upsertActionItems,
+ * deleteMeeting, deleteActionItems, recordErasure):
+ *
+ *   cosmos  - Azure Cosmos DB (cosmosClient.js), when COSMOS_ENDPOINT is set
+ *   local   - JSON files on disk (localStore.js), otherwise
+ *
+ * The store is picked on every call, so tests and scripts can switch by
+ * setting COSMOS_ENDPOINT / LOCAL_STORE_DIR.
+ */
+
+function getStoreName() {
+  return process.env.COSMOS_ENDPOINT ? "cosmos" : "local";
+}
+
+/**
+ * Whether the store outlives this process. The local store's default folder
+ * is inside the image, so in a production container (NODE_ENV=production)
+ * it only counts when LOCAL_STORE_DIR points somewhere mounted.
+ */
+function isPersistentStore() {
+  return (
+    getStoreName() === "cosmos" ||
+    Boolean(process.env.LOCAL_STORE_DIR) ||
+    process.env.NODE_ENV !== "production"
+  );
+}
+
+function getStore() {
+  return getStoreName() === "cosmos" ? require("./cosmosClient") : require("./localStore");
+}
+
+module.exports = {
+  getStoreName,
+  getStore,
+  isPersistentStore,
+  upsertMeeting: (params) => getStore().upsertMeeting(params),
+  queryMeetings: (params) => getStore().queryMeetings(params),
+  queryMeetingsPage: (params) => getStore().queryMeetingsPage(params),
+  getMeeting: (projectName, meetingId) => getStore().getMeeting(projectName, meetingId),
+  listProjects: () => getStore().listProjects(),
+  listProjectsPage: (params) => getStore().listProjectsPage(params),
+  listProjectSummaries: () => getStore().listProjectSummaries(),
+  getMonthlyUsage: (params) => getStore().getMonthlyUsage(params),
+  queryActionItems: (params) => getStore().queryActionItems(params),
+  upsertActionItems: (items) => getStore().upsertActionItems(items),
+  deleteMeeting: (projectName, meetingId) => getStore().deleteMeeting(projectName, meetingId),
+  deleteActionItems: (params) => getStore().deleteActionItems(params),
+  recordErasure: (record) => getStore().recordErasure(record),
+};
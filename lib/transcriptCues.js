@@ -0,0 +1,120 @@
+/**
+ * Canonical transcript cues, shared by every transcript format
+ * (see processor/transcriptFormats.js):
+ *
+ *   { start: number, end: number, speaker: string|null, text: string }
+ *
+ * start/end are seconds from the start of the recording. Formats without
+ * timestamps get estimated ones (see estimateTimings), so the rest of the
+ * pipeline can always rely on them.
+ */
+
+// Speaking rate used to estimate cue lengths when a format has no end times
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Parse "HH:MM:SS.mmm", "MM:SS.mmm", "H:M:S" or "HH:MM:SS,mmm" (SRT).
+ *
+ * @returns {number|null} seconds
+ */
+function parseTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/.exec(String(value ?? "").trim());
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds, fraction = "0"] = match;
+  return (
+    Number(hours) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds) +
+    Number(`0.${fraction}`)
+  );
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} "HH:MM:SS.mmm"
+ */
+function formatTimestamp(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+function speakingSeconds(text) {
+  const words = String(text).split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_SECOND));
+}
+
+/**
+ * Fill in missing start/end times. A cue without a start follows the
+ * previous one; a cue without an end lasts until the next cue starts, or
+ * for as long as it takes to say its text.
+ *
+ * @param {Array<{start?: number|null, end?: number|null, speaker: string|null, text: string}>} cues
+ * @returns {Object[]} cues with numeric start and end
+ */
+function estimateTimings(cues) {
+  const timed = [];
+  let cursor = 0;
+  for (const cue of cues) {
+    const start = cue.start ?? cursor;
+    timed.push({ ...cue, start });
+    cursor = start + speakingSeconds(cue.text);
+  }
+  for (let i = 0; i < timed.length; i++) {
+    if (timed[i].end != null) continue;
+    const next = timed[i + 1]?.start;
+    const spoken = timed[i].start + speakingSeconds(timed[i].text);
+    timed[i].end = next != null && next > timed[i].start ? Math.min(next, spoken) : spoken;
+  }
+  return timed;
+}
+
+/**
+ * "Name: text" prefixes, used by Zoom, SRT exports and plain-text notes.
+ * Only treated as speakers when most cues have one, so a stray "Note:"
+ * doesn't become a speaker.
+ *
+ * @param {Object[]} cues - cues whose text may start with "Name: "
+ * @returns {Object[]} cues with speaker split out of the text
+ */
+function splitSpeakerPrefixes(cues) {
+  const prefix = /^([^:\n]{1,60}?):\s+([\s\S]+)$/;
+  const prefixed = cues.filter((cue) => !cue.speaker && prefix.test(cue.text)).length;
+  if (prefixed === 0 || prefixed < cues.length / 2) return cues;
+
+  return cues.map((cue) => {
+    const match = !cue.speaker && prefix.exec(cue.text);
+    return match ? { ...cue, speaker: match[1].trim(), text: match[2].trim() } : cue;
+  });
+}
+
+function escapeVttText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Teams-style WebVTT: numbered cues with <v Speaker> tags.
+ *
+ * @param {Object[]} cues
+ * @returns {string}
+ */
+function renderVtt(cues) {
+  const blocks = cues.map((cue, index) => {
+    const text = escapeVttText(cue.text.replace(/\n{2,}/g, "\n"));
+    const body = cue.speaker ? `<v ${cue.speaker.replace(/[<>]/g, "")}>${text}</v>` : text;
+    return `${index + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${body}`;
+  });
+  return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+}
+
+module.exports = {
+  parseTimestamp,
+  formatTimestamp,
+  estimateTimings,
+  splitSpeakerPrefixes,
+  renderVtt,
+};
@@ -0,0 +1,122 @@
+/**
+ * Claude token usage and cost accounting.
+ *
+ * claudeRunner captures a usage record from the stream-json `result` event;
+ * persistToCosmos stores it as `metadata.usage` on the meeting document.
+ * These helpers build and add up those records so per-project monthly
+ * totals can be reported for budgeting.
+ *
+ * Usage record:
+ *   {
+ *     model, inputTokens, outputTokens,
+ *     cacheCreationInputTokens, cacheReadInputTokens,
+ *     totalCostUsd, numTurns, durationMs, durationApiMs
+ *   }
+ */
+
+const TOKEN_FIELDS = [
+  "inputTokens",
+  "outputTokens",
+  "cacheCreationInputTokens",
+  "cacheReadInputTokens",
+];
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Build a usage record from a Claude CLI stream-json `result` event.
+ *
+ * @param {Object} event - parsed `{"type":"result", ...}` line
+ * @param {string} [model] - model the run was invoked with
+ * @returns {Object|null} usage record, or null if the event isn't a result
+ */
+function usageFromResultEvent(event, model = null) {
+  if (!event || event.type !== "result") return null;
+
+  const usage = event.usage || {};
+  return {
+    model,
+    inputTokens: toNumber(usage.input_tokens),
+    outputTokens: toNumber(usage.output_tokens),
+    cacheCreationInputTokens: toNumber(usage.cache_creation_input_tokens),
+    cacheReadInputTokens: toNumber(usage.cache_read_input_tokens),
+    totalCostUsd: toNumber(event.total_cost_usd ?? event.cost_usd),
+    numTurns: toNumber(event.num_turns),
+    durationMs: toNumber(event.duration_ms),
+    durationApiMs: toNumber(event.duration_api_ms),
+  };
+}
+
+/**
+ * Add two usage records, e.g. an analysis run and a follow-up repair run.
+ * Either may be null; the model of the first record is kept.
+ *
+ * @returns {Object|null} combined record, or null if both are null
+ */
+function addUsage(a, b) {
+  if (!a || !b) return a || b || null;
+
+  const sum = { model: a.model ?? b.model };
+  for (const field of [...TOKEN_FIELDS, "totalCostUsd", "numTurns", "durationMs", "durationApiMs"]) {
+    sum[field] = toNumber(a[field]) + toNumber(b[field]);
+  }
+  return sum;
+}
+
+function emptyTotals() {
+  return {
+    meetings: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    totalCostUsd: 0,
+    numTurns: 0,
+  };
+}
+
+/**
+ * Add up usage per calendar month (YYYY-MM of meetingDate).
+ * Meetings persisted before usage was recorded are counted separately.
+ *
+ * @param {Object[]} meetings - [{ meetingDate, metadata: { usage } }]
+ * @returns {Object[]} [{ month, meetings, ...token totals, totalCostUsd,
+ *   numTurns, meetingsWithoutUsage }], newest month first
+ */
+function aggregateUsageByMonth(meetings) {
+  const months = new Map();
+
+  for (const meeting of meetings) {
+    const month = String(meeting.meetingDate || "").slice(0, 7) || "unknown";
+    if (!months.has(month)) {
+      months.set(month, { month, ...emptyTotals(), meetingsWithoutUsage: 0 });
+    }
+    const totals = months.get(month);
+    const usage = meeting.metadata?.usage;
+
+    if (!usage) {
+      totals.meetingsWithoutUsage++;
+      continue;
+    }
+
+    totals.meetings++;
+    for (const field of TOKEN_FIELDS) {
+      totals[field] += toNumber(usage[field]);
+    }
+    totals.totalCostUsd += toNumber(usage.totalCostUsd);
+    totals.numTurns += toNumber(usage.numTurns);
+  }
+
+  return [...months.values()]
+    .map((totals) => ({
+      ...totals,
+      // Avoid float noise like 12.340000000000002 in reports
+      totalCostUsd: Math.round(totals.totalCostUsd * 1e6) / 1e6,
+    }))
+    .sort((a, b) => b.month.localeCompare(a.month));
+}
+
+module.exports = { usageFromResultEvent, addUsage, aggregateUsageByMonth };
@@ -0,0 +1,97 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { usageFromResultEvent, addUsage, aggregateUsageByMonth } = require("./usage");
+
+describe("usageFromResultEvent", () => {
+  it("captures tokens, cost, turns and duration from a result event", () => {
+    const usage = usageFromResultEvent(
+      {
+        type: "result",
+        subtype: "success",
+        duration_ms: 612000,
+        duration_api_ms: 598000,
+        num_turns: 41,
+        total_cost_usd: 3.2145,
+        usage: {
+          input_tokens: 1200,
+          output_tokens: 45000,
+          cache_creation_input_tokens: 80000,
+          cache_read_input_tokens: 950000,
+        },
+      },
+      "claude-opus-4-5-20251101",
+    );
+
+    assert.deepEqual(usage, {
+      model: "claude-opus-4-5-20251101",
+      inputTokens: 1200,
+      outputTokens: 45000,
+      cacheCreationInputTokens: 80000,
+      cacheReadInputTokens: 950000,
+      totalCostUsd: 3.2145,
+      numTurns: 41,
+      durationMs: 612000,
+      durationApiMs: 598000,
+    });
+  });
+
+  it("ignores non-result events and tolerates missing fields", () => {
+    assert.equal(usageFromResultEvent({ type: "assistant" }), null);
+    assert.equal(usageFromResultEvent(null), null);
+
+    const usage = usageFromResultEvent({ type: "result", subtype: "error_max_turns" });
+    assert.equal(usage.inputTokens, 0);
+    assert.equal(usage.totalCostUsd, 0);
+  });
+});
+
+describe("addUsage", () => {
+  it("sums two records and passes a lone record through", () => {
+    const run = { model: "m", inputTokens: 10, outputTokens: 20, totalCostUsd: 1.5, numTurns: 4, durationMs: 100 };
+    const repair = { model: "m", inputTokens: 1, outputTokens: 2, totalCostUsd: 0.25, numTurns: 1, durationMs: 10 };
+
+    const sum = addUsage(run, repair);
+    assert.equal(sum.model, "m");
+    assert.equal(sum.outputTokens, 22);
+    assert.equal(sum.totalCostUsd, 1.75);
+    assert.equal(sum.numTurns, 5);
+    assert.equal(sum.durationMs, 110);
+    assert.equal(addUsage(null, repair), repair);
+    assert.equal(addUsage(null, null), null);
+  });
+});
+
+describe("aggregateUsageByMonth", () => {
+  const usage = (cost, output) => ({
+    inputTokens: 10,
+    outputTokens: output,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 100,
+    totalCostUsd: cost,
+    numTurns: 5,
+  });
+
+  it("totals usage per month, newest first", () => {
+    const totals = aggregateUsageByMonth([
+      { meetingDate: "2026-01-05", metadata: { usage: usage(1.1, 100) } },
+      { meetingDate: "2026-01-20", metadata: { usage: usage(2.2, 200) } },
+      { meetingDate: "2026-02-03", metadata: { usage: usage(0.5, 50) } },
+    ]);
+
+    assert.deepEqual(totals.map((t) => t.month), ["2026-02", "2026-01"]);
+    assert.equal(totals[1].meetings, 2);
+    assert.equal(totals[1].outputTokens, 300);
+    assert.equal(totals[1].cacheReadInputTokens, 200);
+    assert.equal(totals[1].numTurns, 10);
+    assert.equal(totals[1].totalCostUsd, 3.3);
+  });
+
+  it("counts meetings persisted without usage separately", () => {
+    const [january] = aggregateUsageByMonth([
+      { meetingDate: "2026-01-05", metadata: { participantCount: 4 } },
+      { meetingDate: "2026-01-06", metadata: { usage: usage(1, 1) } },
+    ]);
+    assert.equal(january.meetings, 1);
+    assert.equal(january.meetingsWithoutUsage, 1);
+  });
+});
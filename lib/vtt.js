@@ -0,0 +1,282 @@
+/**
+ * WebVTT parser and speaker turn model.
+ *
+ * parseVtt turns a VTT file into typed cues:
+ *
+ *   { id: string|null, start: number, end: number, speaker: string|null, text: string }
+ *
+ * (start/end in seconds, speaker from the <v Name> tag). analyzeCues builds
+ * the deterministic numbers the analysis agents use instead of estimating
+ * from the text: speaker turns (consecutive cues by the same speaker),
+ * per-speaker talk time, silence gaps and overlapping speech.
+ *
+ * Talk and speech time are unions of cue intervals, so a speaker's
+ * overlapping cues (or two people talking at once) aren't counted twice.
+ */
+
+const { parseTimestamp } = require("./transcriptCues");
+
+const TIMING = /^(\S+)\s+-->\s+(\S+)/;
+const VOICE = /<v(?:\.[\w.-]+)?\s+([^>]+)>/g;
+
+// A pause this long ends a speaker's turn and counts as a silence gap
+const SILENCE_GAP_SECONDS = 3;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * @param {string} content - WebVTT file content
+ * @returns {Array<{id: string|null, start: number, end: number, speaker: string|null, text: string}>}
+ *   cues with text, in file order
+ */
+function parseVtt(content) {
+  const cues = [];
+  const blocks = String(content ?? "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split("\n").filter((line) => line.trim() !== "");
+    const timingIndex = lines.findIndex((line) => TIMING.test(line));
+    // Header, NOTE, STYLE and REGION blocks have no timing line
+    if (timingIndex === -1) continue;
+
+    const [, startValue, endValue] = TIMING.exec(lines[timingIndex]);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+    if (start === null || end === null) continue;
+
+    let speaker = null;
+    const text = lines
+      .slice(timingIndex + 1)
+      .map((line) =>
+        line.replace(VOICE, (_, name) => {
+          speaker = speaker || name.trim();
+          return "";
+        }),
+      )
+      .map((line) => decodeEntities(line.replace(/<\/?[^>]+>/g, "")).trim())
+      .filter(Boolean)
+      .join("\n");
+
+    if (!text) continue;
+    cues.push({
+      id: timingIndex > 0 ? lines[timingIndex - 1].trim() : null,
+      start,
+      end: Math.max(start, end),
+      speaker,
+      text,
+    });
+  }
+  return cues;
+}
+
+/**
+ * Merge [start, end] intervals into non-overlapping ones, in order.
+ */
+function mergeIntervals(intervals) {
+  const merged = [];
+  for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+function totalLength(intervals) {
+  return intervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+/**
+ * Consecutive cues by the same speaker, split where they pause for
+ * silenceGapSeconds or more.
+ */
+function buildTurns(cues, silenceGapSeconds = SILENCE_GAP_SECONDS) {
+  const turns = [];
+  for (const cue of cues) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === cue.speaker && cue.start - last.end < silenceGapSeconds) {
+      last.end = Math.max(last.end, cue.end);
+      last.text += `\n${cue.text}`;
+      last.cueIds.push(cue.id);
+    } else {
+      turns.push({ speaker: cue.speaker, start: cue.start, end: cue.end, text: cue.text, cueIds: [cue.id] });
+    }
+  }
+  return turns.map((turn) => ({
+    ...turn,
+    duration: round(turn.end - turn.start),
+    words: wordCount(turn.text),
+  }));
+}
+
+/**
+ * Gaps of at least silenceGapSeconds where nobody is speaking, with who
+ * spoke either side.
+ */
+function findSilences(cues, silenceGapSeconds = SILENCE_GAP_SECONDS) {
+  const sorted = [...cues].sort((a, b) => a.start - b.start);
+  const silences = [];
+  let spokenUntil = null;
+  let lastSpeaker = null;
+
+  for (const cue of sorted) {
+    if (spokenUntil !== null && cue.start - spokenUntil >= silenceGapSeconds) {
+      silences.push({
+        start: spokenUntil,
+        end: cue.start,
+        duration: round(cue.start - spokenUntil),
+        before: lastSpeaker,
+        after: cue.speaker,
+      });
+    }
+    if (spokenUntil === null || cue.end >= spokenUntil) {
+      spokenUntil = cue.end;
+      lastSpeaker = cue.speaker;
+    }
+  }
+  return silences;
+}
+
+/**
+ * Pairs of cues from different speakers that overlap in time.
+ */
+function findOverlaps(cues) {
+  const sorted = [...cues].sort((a, b) => a.start - b.start);
+  const overlaps = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const first = sorted[i];
+    for (let j = i + 1; j < sorted.length && sorted[j].start < first.end; j++) {
+      const second = sorted[j];
+      if (!first.speaker || !second.speaker || first.speaker === second.speaker) continue;
+      const start = second.start;
+      const end = Math.min(first.end, second.end);
+      if (end <= start) continue;
+      overlaps.push({
+        start,
+        end,
+        duration: round(end - start),
+        speakers: [first.speaker, second.speaker],
+        cueIds: [first.id, second.id],
+      });
+    }
+  }
+  return overlaps;
+}
+
+/**
+ * Talk time, turns and words per tagged speaker, most talk time first.
+ */
+function speakerStats(cues, turns, speechSeconds) {
+  const bySpeaker = new Map();
+  for (const cue of cues) {
+    if (!cue.speaker) continue;
+    const entry = bySpeaker.get(cue.speaker) || {
+      speaker: cue.speaker,
+      intervals: [],
+      cues: 0,
+      words: 0,
+      turns: 0,
+      longestTurnSeconds: 0,
+      firstSpokeAt: cue.start,
+    };
+    entry.intervals.push([cue.start, cue.end]);
+    entry.cues++;
+    entry.words += wordCount(cue.text);
+    entry.firstSpokeAt = Math.min(entry.firstSpokeAt, cue.start);
+    bySpeaker.set(cue.speaker, entry);
+  }
+  for (const turn of turns) {
+    const entry = bySpeaker.get(turn.speaker);
+    if (!entry) continue;
+    entry.turns++;
+    entry.longestTurnSeconds = Math.max(entry.longestTurnSeconds, turn.duration);
+  }
+
+  return [...bySpeaker.values()]
+    .map(({ intervals, ...entry }) => {
+      const talkSeconds = totalLength(mergeIntervals(intervals));
+      return {
+        ...entry,
+        talkSeconds: round(talkSeconds),
+        talkShare: speechSeconds > 0 ? round(talkSeconds / speechSeconds, 4) : 0,
+      };
+    })
+    .sort((a, b) => b.talkSeconds - a.talkSeconds || a.speaker.localeCompare(b.speaker));
+}
+
+/**
+ * Seconds from the first cue's start to the last cue's end, or null
+ * without cues.
+ */
+function durationOf(cues) {
+  if (cues.length === 0) return null;
+  const start = Math.min(...cues.map((cue) => cue.start));
+  const end = Math.max(...cues.map((cue) => cue.end));
+  return end - start;
+}
+
+/**
+ * The speaker turn model for a set of cues (see parseVtt).
+ *
+ * @param {Object[]} cues
+ * @param {Object} [options]
+ * @param {number} [options.silenceGapSeconds] - default SILENCE_GAP_SECONDS
+ * @returns {Object} { durationSeconds, speechSeconds, silenceSeconds,
+ *   overlapSeconds, speakerCount, hasSpeakerLabels, untaggedCueCount,
+ *   speakers, turns, silences, overlaps, cues }
+ */
+function analyzeCues(cues, { silenceGapSeconds = SILENCE_GAP_SECONDS } = {}) {
+  const duration = durationOf(cues) ?? 0;
+  const speechSeconds = totalLength(mergeIntervals(cues.map((cue) => [cue.start, cue.end])));
+  const overlaps = findOverlaps(cues);
+  const turns = buildTurns(cues, silenceGapSeconds);
+  const speakers = speakerStats(cues, turns, speechSeconds);
+
+  return {
+    durationSeconds: round(duration),
+    speechSeconds: round(speechSeconds),
+    silenceSeconds: round(Math.max(0, duration - speechSeconds)),
+    overlapSeconds: round(totalLength(mergeIntervals(overlaps.map((o) => [o.start, o.end])))),
+    silenceGapSeconds,
+    speakerCount: speakers.length,
+    hasSpeakerLabels: speakers.length > 0,
+    untaggedCueCount: cues.filter((cue) => !cue.speaker).length,
+    speakers,
+    turns,
+    silences: findSilences(cues, silenceGapSeconds),
+    overlaps,
+    cues,
+  };
+}
+
+module.exports = {
+  SILENCE_GAP_SECONDS,
+  parseVtt,
+  durationOf,
+  buildTurns,
+  findSilences,
+  findOverlaps,
+  analyzeCues,
+};
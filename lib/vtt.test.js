@@ -0,0 +1,116 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseVtt, analyzeCues } = require("./vtt");
+
+const TEAMS_VTT = `WEBVTT
+
+NOTE recorded by Teams
+
+3f1c/12-0
+00:00:01.000 --> 00:00:05.000
+<v Alice Smith>Morning all, quick one today</v>
+
+3f1c/12-1
+00:00:05.500 --> 00:00:08.000
+<v Alice Smith>Demo first &amp; then the backlog</v>
+
+3f1c/13-0
+00:00:07.000 --> 00:00:10.000
+<v Bob Jones>Sounds good</v>
+
+00:00:20.000 --> 00:00:22.000
+Someone in the room
+
+3f1c/14-0
+00:00:22.000 --> 00:00:26.000
+<v Alice Smith>OK let's wrap up</v>
+`;
+
+describe("parseVtt", () => {
+  it("reads cue IDs, times, speakers and text", () => {
+    const cues = parseVtt(TEAMS_VTT);
+
+    assert.equal(cues.length, 5);
+    assert.deepEqual(cues[1], {
+      id: "3f1c/12-1",
+      start: 5.5,
+      end: 8,
+      speaker: "Alice Smith",
+      text: "Demo first & then the backlog",
+    });
+    assert.deepEqual(cues[3], { id: null, start: 20, end: 22, speaker: null, text: "Someone in the room" });
+  });
+
+  it("skips cues without text and handles CRLF and a BOM", () => {
+    const cues = parseVtt(
+      "\uFEFFWEBVTT\r\n\r\n1\r\n00:00:01.000 --> 00:00:02.000\r\n<v Alice></v>\r\n\r\n" +
+        "2\r\n00:00:02.000 --> 00:00:03.000\r\n<v Bob>Hi</v>\r\n",
+    );
+
+    assert.deepEqual(cues, [{ id: "2", start: 2, end: 3, speaker: "Bob", text: "Hi" }]);
+  });
+});
+
+describe("analyzeCues", () => {
+  const model = analyzeCues(parseVtt(TEAMS_VTT));
+
+  it("merges consecutive cues into speaker turns", () => {
+    assert.deepEqual(
+      model.turns.map((turn) => [turn.speaker, turn.start, turn.end, turn.cueIds]),
+      [
+        ["Alice Smith", 1, 8, ["3f1c/12-0", "3f1c/12-1"]],
+        ["Bob Jones", 7, 10, ["3f1c/13-0"]],
+        [null, 20, 22, [null]],
+        ["Alice Smith", 22, 26, ["3f1c/14-0"]],
+      ],
+    );
+    assert.equal(model.turns[0].words, 11);
+  });
+
+  it("counts talk time without double counting overlapping speech", () => {
+    assert.equal(model.durationSeconds, 25);
+    // 1-5, 5.5-10 and 20-26
+    assert.equal(model.speechSeconds, 14.5);
+    assert.equal(model.silenceSeconds, 10.5);
+    assert.equal(model.overlapSeconds, 1);
+    assert.deepEqual(
+      model.speakers.map(({ speaker, talkSeconds, talkShare, turns, longestTurnSeconds }) => [
+        speaker,
+        talkSeconds,
+        talkShare,
+        turns,
+        longestTurnSeconds,
+      ]),
+      [
+        ["Alice Smith", 10.5, 0.7241, 2, 7],
+        ["Bob Jones", 3, 0.2069, 1, 3],
+      ],
+    );
+    assert.equal(model.untaggedCueCount, 1);
+    assert.equal(model.hasSpeakerLabels, true);
+  });
+
+  it("finds silence gaps and overlapping speakers", () => {
+    assert.deepEqual(model.silences, [
+      { start: 10, end: 20, duration: 10, before: "Bob Jones", after: null },
+    ]);
+    assert.deepEqual(model.overlaps, [
+      {
+        start: 7,
+        end: 8,
+        duration: 1,
+        speakers: ["Alice Smith", "Bob Jones"],
+        cueIds: ["3f1c/12-1", "3f1c/13-0"],
+      },
+    ]);
+  });
+
+  it("handles a transcript without cues", () => {
+    const empty = analyzeCues([]);
+
+    assert.equal(empty.durationSeconds, 0);
+    assert.equal(empty.hasSpeakerLabels, false);
+    assert.deepEqual(empty.turns, []);
+  });
+});
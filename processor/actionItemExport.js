@@ -0,0 +1,182 @@
+/**
+ * Optional export of tracked action items (see actionItems.js) to the
+ * project's work tracker.
+ *
+ * Every exporter exposes the same interface:
+ *   validateConfig(config)              - throw if the project config or token is missing
+ *   createItem(config, content)         - resolves { target, id, url }
+ *   updateItem(config, ref, content)    - same, for an item exported before;
+ *                                         closes it once done or superseded,
+ *                                         clears the assignee on `unassign`
+ *
+ * Exporters:
+ *   github        - GitHub Issues (exporters/github.js)
+ *   azure-devops  - Azure DevOps work items (exporters/azureDevOps.js)
+ *
+ * The external ref is saved on the action item document (`external`), so
+ * reprocessing a meeting or carrying an item over updates the same issue
+ * instead of creating a duplicate, even when the task was reworded (see
+ * actionItems.js). Done items are closed, and so are superseded ones (no
+ * longer raised when their meeting was reprocessed) as not planned.
+ * Items redacted by a forget-person erasure (see erasure.js) are pushed
+ * again with the redacted text and no assignee.
+ *
+ * Env vars:
+ *   ACTION_ITEM_EXPORT_BY_PROJECT  - per-project config as JSON, e.g.
+ *     {"yakshaver": {"target": "github", "repo": "SSWConsulting/SSW.YakShaver",
+ *                    "labels": ["tiger"], "assignees": {"Sam Patel": "sampatel"}}}
+ *   Projects without an entry are not exported.
+ */
+
+const { log } = require("../lib/logger");
+const { OPEN_STATUSES, STATUS } = require("./actionItems");
+
+const EXPORTERS = {
+  github: () => require("./exporters/github"),
+  "azure-devops": () => require("./exporters/azureDevOps"),
+};
+
+const MAX_TITLE_LENGTH = 250;
+
+/**
+ * @param {string} projectName
+ * @returns {Object|null} the project's export config, null if not exported
+ */
+function getExportConfig(projectName) {
+  const raw = process.env.ACTION_ITEM_EXPORT_BY_PROJECT;
+  if (!raw) return null;
+
+  let byProject;
+  try {
+    byProject = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`ACTION_ITEM_EXPORT_BY_PROJECT is not valid JSON: ${error.message}`);
+  }
+  return byProject[projectName] || null;
+}
+
+function getExporter(config) {
+  const load = EXPORTERS[config.target];
+  if (!load) {
+    throw new Error(
+      `Unknown action item export target "${config.target}". Use one of: ${Object.keys(EXPORTERS).join(", ")}`,
+    );
+  }
+  return load();
+}
+
+function formatContent(item, config) {
+  const title =
+    item.task.length > MAX_TITLE_LENGTH ? `${item.task.slice(0, MAX_TITLE_LENGTH - 1)}…` : item.task;
+  const body = [
+    item.task,
+    "",
+    `Owner: ${item.owner || "unassigned"}`,
+    `Due: ${item.due || "not set"}`,
+    `Status: ${item.status.replace("_", " ")}`,
+    `Raised in: ${item.projectName} meeting ${item.sourceMeetingId}`,
+    "",
+    `Tracked by SSW Tiger (action item ${item.id}).`,
+  ].join("\n");
+
+  return {
+    title,
+    body,
+    assignee: (item.owner && config.assignees?.[item.owner]) || null,
+    done: item.status === STATUS.DONE,
+    superseded: item.status === STATUS.SUPERSEDED,
+  };
+}
+
+/**
+ * Create or update the external item for each action item that is new or
+ * changed in this meeting. Failures are logged per item and leave the item
+ * unexported, to be retried on the next run.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string} params.meetingId
+ * @param {Object[]} params.items - action item documents from reconcileActionItems
+ * @param {Object} [params.config] - default: getExportConfig(projectName)
+ * @returns {Promise<Object[]>} the items, with `external` set on exported ones
+ */
+async function exportActionItems({ projectName, meetingId, items, config = getExportConfig(projectName) }) {
+  if (!config) return items;
+
+  const exporter = getExporter(config);
+  exporter.validateConfig(config);
+
+  let created = 0;
+  let updated = 0;
+  let failed = 0;
+  const results = [];
+
+  for (const item of items) {
+    const changedThisMeeting = item.history?.at(-1)?.meetingId === meetingId;
+    let external = item.external;
+    try {
+      if (!external && OPEN_STATUSES.includes(item.status)) {
+        external = await exporter.createItem(config, formatContent(item, config));
+        created++;
+      } else if (external && changedThisMeeting) {
+        external = await exporter.updateItem(config, external, formatContent(item, config));
+        updated++;
+      }
+    } catch (error) {
+      failed++;
+      log("warn", "Could not export action item", { id: item.id, error: error.message });
+    }
+    results.push(external ? { ...item, external } : item);
+  }
+
+  log("info", "Exported action items", { target: config.target, created, updated, failed });
+  return results;
+}
+
+/**
+ * Push redacted action items to their existing external items and clear the
+ * assignee, so a forget-person erasure reaches the tracker too. Items never
+ * exported are skipped; failures are logged per item and counted, as are
+ * exported items of a project that no longer has an export config.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {Object[]} params.items - redacted action item documents
+ * @param {Object} [params.config] - default: getExportConfig(projectName)
+ * @returns {Promise<{updated: number, failed: number}>}
+ */
+async function updateRedactedItems({ projectName, items, config = getExportConfig(projectName) }) {
+  const exported = items.filter((item) => item.external);
+  if (exported.length === 0) return { updated: 0, failed: 0 };
+  if (!config) {
+    log("warn", "Redacted action items were exported but the project has no export config", {
+      projectName,
+      count: exported.length,
+    });
+    return { updated: 0, failed: exported.length };
+  }
+
+  const exporter = getExporter(config);
+  exporter.validateConfig(config);
+
+  let updated = 0;
+  let failed = 0;
+  for (const item of exported) {
+    try {
+      await exporter.updateItem(config, item.external, {
+        ...formatContent(item, config),
+        assignee: null,
+        unassign: true,
+      });
+      updated++;
+    } catch (error) {
+      failed++;
+      log("warn", "Could not update redacted action item", { id: item.id, error: error.message });
+    }
+  }
+
+  log("info", "Updated redacted action items", { target: config.target, updated, failed });
+  return { updated, failed };
+}
+
+module.exports = { getExportConfig, exportActionItems, updateRedactedItems };
@@ -0,0 +1,283 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { syncActionItems } = require("./actionItems");
+const { getExportConfig, exportActionItems, updateRedactedItems } = require("./actionItemExport");
+
+/**
+ * Local stand-in for the GitHub Issues and Azure DevOps work item APIs,
+ * keeping just enough state to check create/update/close behaviour.
+ */
+function createTrackerStandIn() {
+  const state = { issues: new Map(), workItems: new Map(), requests: [] };
+
+  const server = http.createServer(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : null;
+    const url = new URL(req.url, "http://localhost");
+    state.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+    const send = (status, json) => {
+      res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(json));
+    };
+
+    let match = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/issues(?:\/(\d+))?$/);
+    if (match) {
+      const [, owner, repo, number] = match;
+      if (req.method === "POST" && !number) {
+        const issue = { number: state.issues.size + 1, state: "open", ...body };
+        issue.html_url = `https://github.com/${owner}/${repo}/issues/${issue.number}`;
+        state.issues.set(issue.number, issue);
+        return send(201, issue);
+      }
+      const issue = state.issues.get(Number(number));
+      if (req.method === "PATCH" && issue) {
+        Object.assign(issue, body);
+        return send(200, issue);
+      }
+      return send(404, { message: "Not Found" });
+    }
+
+    match = url.pathname.match(/^\/([^/]+)\/([^/]+)\/_apis\/wit\/workitems\/(.+)$/);
+    if (match) {
+      const [, org, project, target] = match;
+      const fields = Object.fromEntries(
+        body.map((op) => [op.path.replace("/fields/", ""), op.value]),
+      );
+      if (req.method === "POST" && target.startsWith("$")) {
+        const id = 100 + state.workItems.size;
+        const workItem = {
+          id,
+          type: decodeURIComponent(target.slice(1)),
+          fields: { "System.State": "New", ...fields },
+          _links: { html: { href: `https://dev.azure.com/${org}/${project}/_workitems/edit/${id}` } },
+        };
+        state.workItems.set(id, workItem);
+        return send(200, workItem);
+      }
+      const workItem = state.workItems.get(Number(target));
+      if (req.method === "PATCH" && workItem) {
+        Object.assign(workItem.fields, fields);
+        return send(200, workItem);
+      }
+      return send(404, { message: "Not Found" });
+    }
+
+    send(404, { message: "Not Found" });
+  });
+
+  return { server, state };
+}
+
+function memoryStore() {
+  const byId = new Map();
+  return {
+    byId,
+    queryActionItems: async ({ statuses }) =>
+      [...byId.values()].filter((item) => !statuses || statuses.includes(item.status)),
+    upsertActionItems: async (items) => {
+      for (const item of items) byId.set(item.id, item);
+      return items;
+    },
+  };
+}
+
+const week1 = {
+  projectName: "yakshaver",
+  meetingId: "2026-03-02-100000",
+  meetingDate: "2026-03-02",
+  consolidated: {
+    actionItems: [
+      { owner: "Sam Patel", task: "Fix login regression on iOS", due: "2026-03-06" },
+      { owner: "Alex Chen", task: "Update the <release notes> for the export flow", due: null },
+    ],
+  },
+};
+
+describe("exportActionItems", () => {
+  let standIn;
+  let baseUrl;
+  const env = { ...process.env };
+
+  before(async () => {
+    standIn = createTrackerStandIn();
+    await new Promise((resolve) => standIn.server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+  });
+
+  after(async () => {
+    process.env = { ...env };
+    await new Promise((resolve) => standIn.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.GITHUB_API_URL = baseUrl;
+    process.env.GITHUB_TOKEN = "gh-test-token";
+    process.env.AZURE_DEVOPS_URL = baseUrl;
+    process.env.AZURE_DEVOPS_TOKEN = "ado-test-pat";
+  });
+
+  const sync = (store, config, meeting) =>
+    syncActionItems({
+      ...meeting,
+      store,
+      exportItems: (items) =>
+        exportActionItems({ projectName: meeting.projectName, meetingId: meeting.meetingId, items, config }),
+    });
+
+  it("creates GitHub issues once, updates them on reprocess and closes done items", async () => {
+    const config = {
+      target: "github",
+      repo: "SSWConsulting/SSW.YakShaver",
+      labels: ["tiger"],
+      assignees: { "Sam Patel": "sampatel" },
+    };
+    const store = memoryStore();
+
+    const { items } = await sync(store, config, week1);
+    assert.equal(standIn.state.issues.size, 2);
+    assert.deepEqual(items[0].external, {
+      target: "github",
+      id: "1",
+      url: "https://github.com/SSWConsulting/SSW.YakShaver/issues/1",
+    });
+    const issue = standIn.state.issues.get(1);
+    assert.equal(issue.title, "Fix login regression on iOS");
+    assert.deepEqual(issue.labels, ["tiger"]);
+    assert.deepEqual(issue.assignees, ["sampatel"]);
+    assert.deepEqual(standIn.state.issues.get(2).assignees, []);
+    assert.equal(standIn.state.requests[0].headers.authorization, "Bearer gh-test-token");
+
+    // Reprocessing the same meeting updates instead of duplicating
+    await sync(store, config, week1);
+    assert.equal(standIn.state.issues.size, 2);
+
+    await sync(store, config, {
+      ...week1,
+      meetingId: "2026-03-09-100000",
+      meetingDate: "2026-03-09",
+      consolidated: {
+        actionItems: [],
+        actionItemUpdates: [{ id: items[0].id, status: "done" }],
+      },
+    });
+    assert.equal(standIn.state.issues.get(1).state, "closed");
+    assert.equal(standIn.state.issues.get(1).state_reason, "completed");
+    assert.equal(standIn.state.issues.get(2).state, "open");
+    assert.equal(standIn.state.issues.size, 2);
+  });
+
+  it("keeps the issue when a reprocess rewords a task and closes dropped ones", async () => {
+    const config = { target: "github", repo: "SSWConsulting/SSW.YakShaver" };
+    const store = memoryStore();
+    await sync(store, config, week1);
+    const issueCount = standIn.state.issues.size;
+
+    const { items } = await sync(store, config, {
+      ...week1,
+      consolidated: {
+        actionItems: [{ owner: "Alex Chen", task: "Update release notes for export flow", due: null }],
+      },
+    });
+
+    assert.equal(standIn.state.issues.size, issueCount);
+    const [releaseNotes, loginFix] = items;
+    assert.equal(releaseNotes.status, "open");
+    const updated = standIn.state.issues.get(Number(releaseNotes.external.id));
+    assert.equal(updated.title, "Update release notes for export flow");
+    assert.equal(updated.state, "open");
+    assert.equal(loginFix.status, "superseded");
+    const closed = standIn.state.issues.get(Number(loginFix.external.id));
+    assert.equal(closed.state, "closed");
+    assert.equal(closed.state_reason, "not_planned");
+  });
+
+  it("creates Azure DevOps work items with area path, tags and assignee", async () => {
+    const config = {
+      target: "azure-devops",
+      organization: "ssw",
+      project: "TinaCMS",
+      areaPath: "TinaCMS\\Web",
+      labels: ["tiger", "meeting"],
+      assignees: { "Sam Patel": "sam@ssw.com.au" },
+    };
+    const store = memoryStore();
+
+    const { items } = await sync(store, config, week1);
+
+    const workItem = standIn.state.workItems.get(Number(items[0].external.id));
+    assert.equal(workItem.type, "Task");
+    assert.equal(workItem.fields["System.AreaPath"], "TinaCMS\\Web");
+    assert.equal(workItem.fields["System.AssignedTo"], "sam@ssw.com.au");
+    assert.equal(workItem.fields["System.Tags"], "tiger; meeting");
+    assert.match(
+      standIn.state.workItems.get(Number(items[1].external.id)).fields["System.Description"],
+      /Update the &lt;release notes&gt;/,
+    );
+    const create = standIn.state.requests.find((r) => r.path.includes("_apis/wit"));
+    assert.equal(create.headers.authorization, `Basic ${Buffer.from(":ado-test-pat").toString("base64")}`);
+    assert.equal(create.headers["content-type"], "application/json-patch+json");
+
+    await sync(store, config, {
+      ...week1,
+      meetingId: "2026-03-09-100000",
+      meetingDate: "2026-03-09",
+      consolidated: { actionItems: [], actionItemUpdates: [{ id: items[0].id, status: "done" }] },
+    });
+    assert.equal(workItem.fields["System.State"], "Done");
+  });
+
+  it("pushes redacted items to their issues and clears the assignee", async () => {
+    const assignees = { "Sam Patel": "sampatel" };
+    const github = { target: "github", repo: "SSWConsulting/SSW.YakShaver", assignees };
+    const ado = { target: "azure-devops", organization: "ssw", project: "TinaCMS", assignees };
+    const [githubItem] = (await sync(memoryStore(), github, week1)).items;
+    const [adoItem] = (await sync(memoryStore(), ado, week1)).items;
+    const redact = (item) => ({ ...item, owner: "[Redacted]" });
+
+    assert.deepEqual(
+      await updateRedactedItems({
+        projectName: "yakshaver",
+        items: [redact(githubItem), { ...redact(githubItem), external: undefined }],
+        config: github,
+      }),
+      { updated: 1, failed: 0 },
+    );
+    const issue = standIn.state.issues.get(Number(githubItem.external.id));
+    assert.deepEqual(issue.assignees, []);
+    assert.match(issue.body, /Owner: \[Redacted\]/);
+    assert.doesNotMatch(issue.body, /Sam Patel/);
+
+    await updateRedactedItems({ projectName: "yakshaver", items: [redact(adoItem)], config: ado });
+    const workItem = standIn.state.workItems.get(Number(adoItem.external.id));
+    assert.equal(workItem.fields["System.AssignedTo"], "");
+    assert.match(workItem.fields["System.Description"], /Owner: \[Redacted\]/);
+
+    delete process.env.ACTION_ITEM_EXPORT_BY_PROJECT;
+    assert.deepEqual(
+      await updateRedactedItems({ projectName: "yakshaver", items: [redact(githubItem)] }),
+      { updated: 0, failed: 1 },
+    );
+  });
+
+  it("leaves items unexported when the tracker rejects them", async () => {
+    const config = { target: "github", repo: "SSWConsulting/missing" };
+    process.env.GITHUB_API_URL = `${baseUrl}/broken`;
+
+    const { items } = await sync(memoryStore(), config, week1);
+
+    assert.ok(items.every((item) => !item.external));
+  });
+
+  it("reads the per-project config and rejects unknown targets", async () => {
+    process.env.ACTION_ITEM_EXPORT_BY_PROJECT = JSON.stringify({ yakshaver: { target: "jira" } });
+
+    assert.equal(getExportConfig("tina-cms"), null);
+    await assert.rejects(
+      exportActionItems({ projectName: "yakshaver", meetingId: "m", items: [] }),
+      /Unknown action item export target "jira"/,
+    );
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Cross-meeting action item tracker.
+ *
+ * Action items live in their own Cosmos container, or the local store without
+ * Cosmos (see lib/store.js queryActionItems / upsertActionItems), one
+ * document per item:
+ *   { id, projectName, task, owner, due, sourceMeetingId, sourceMeetingDate,
+ *     status, missedMeetings, lastReconciledMeetingId, history: [...] }
+ *
+ * Before the analysis, the project's open items from earlier meetings are
+ * written to <meeting>/open-action-items.json so the longitudinal audit works
+ * from real data, and the consolidator reports what happened to each one in
+ * consolidated.actionItemUpdates ([{ id, status: "done" | "carried_over" }]).
+ *
+ * After the analysis, reconcileActionItems applies those updates, treats a
+ * new action item that matches an open one as carried over, and marks items
+ * nobody mentioned for ACTION_ITEM_STALE_AFTER meetings as stale.
+ *
+ * Reprocessing a meeting keeps its items' ids: a task Claude words
+ * differently this time is matched to the previous run's item, and previous
+ * run items with no counterpart are marked superseded.
+ *
+ * Optional env vars:
+ *   ACTION_ITEM_STALE_AFTER  - meetings without a mention before an open item
+ *                              is marked stale (default: 3)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { log } = require("../lib/logger");
+const { queryActionItems, upsertActionItems } = require("../lib/store");
+
+const STATUS = {
+  OPEN: "open",
+  CARRIED_OVER: "carried_over",
+  DONE: "done",
+  STALE: "stale",
+  SUPERSEDED: "superseded",
+};
+const OPEN_STATUSES = [STATUS.OPEN, STATUS.CARRIED_OVER];
+const DEFAULT_STALE_AFTER = 3;
+const OPEN_ITEMS_FILENAME = "open-action-items.json";
+// Share of task words two items need in common to be the same item
+const MATCH_THRESHOLD = 0.5;
+// Filler that would otherwise dilute the share of words in common
+const STOP_WORDS = new Set(["the", "and", "for", "with", "from", "into", "onto", "our", "that", "this"]);
+
+function normalizeText(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function words(value) {
+  return new Set(
+    normalizeText(value)
+      .split(" ")
+      .filter((word) => word.length > 2 && !STOP_WORDS.has(word)),
+  );
+}
+
+function similarity(a, b) {
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+  return shared / new Set([...wordsA, ...wordsB]).size;
+}
+
+function sameOwner(a, b) {
+  return !a || !b || normalizeText(a) === normalizeText(b);
+}
+
+/**
+ * The candidate that best matches the action item, if any.
+ */
+function findMatch(candidates, actionItem) {
+  return candidates
+    .filter((item) => sameOwner(item.owner, actionItem.owner))
+    .map((item) => ({ item, score: similarity(item.task, actionItem.task) }))
+    .filter(({ score }) => score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score)[0]?.item;
+}
+
+/**
+ * Stable id: reprocessing a meeting yields the same ids for its items.
+ */
+function actionItemId(projectName, meetingId, task) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${projectName}|${meetingId}|${normalizeText(task)}`)
+    .digest("hex");
+  return `ai-${hash.slice(0, 16)}`;
+}
+
+function staleAfterFromEnv() {
+  const value = parseInt(process.env.ACTION_ITEM_STALE_AFTER, 10);
+  return Number.isNaN(value) || value < 1 ? DEFAULT_STALE_AFTER : value;
+}
+
+function withStatus(item, status, { meetingId, meetingDate }) {
+  if (item.status === status) return item;
+  return {
+    ...item,
+    status,
+    history: [...(item.history || []), { status, meetingId, meetingDate }],
+  };
+}
+
+/**
+ * Reconcile a meeting's consolidated action items against the project's
+ * existing items. Pure: returns the documents to upsert.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string} params.meetingId
+ * @param {string} params.meetingDate
+ * @param {Object} params.consolidated - consolidated.json
+ * @param {Object[]} params.existingItems - the project's stored items (any status)
+ * @param {number} [params.staleAfter]
+ * @returns {{items: Object[], summary: Object}} summary counts
+ *   { created, done, carriedOver, stale, superseded, open }
+ */
+function reconcileActionItems({
+  projectName,
+  meetingId,
+  meetingDate,
+  consolidated,
+  existingItems = [],
+  staleAfter = staleAfterFromEnv(),
+}) {
+  const meeting = { meetingId, meetingDate };
+  const existingById = new Map(existingItems.map((item) => [item.id, item]));
+  const updates = new Map(
+    (consolidated?.actionItemUpdates || [])
+      .filter((update) => update?.id)
+      .map((update) => [update.id, update.status]),
+  );
+
+  // Only items raised in earlier meetings and still open can be reconciled
+  const openItems = existingItems.filter(
+    (item) => OPEN_STATUSES.includes(item.status) && item.sourceMeetingId < meetingId,
+  );
+
+  // Items from an earlier run of this meeting. Same task text means the same
+  // id; otherwise a reworded task takes over the most similar one
+  const previousRun = existingItems.filter(
+    (item) => item.sourceMeetingId === meetingId && item.status !== STATUS.SUPERSEDED,
+  );
+  const actionItems = (consolidated?.actionItems || []).filter((actionItem) => actionItem?.task);
+  const previousMatches = actionItems.map((actionItem) =>
+    previousRun.find((item) => item.id === actionItemId(projectName, meetingId, actionItem.task)),
+  );
+  const claimed = new Set(previousMatches.filter(Boolean).map((item) => item.id));
+
+  const matched = new Map();
+  const items = [];
+  let created = 0;
+
+  for (const [i, actionItem] of actionItems.entries()) {
+    let previous = previousMatches[i];
+    if (!previous) {
+      previous = findMatch(previousRun.filter((item) => !claimed.has(item.id)), actionItem);
+      if (previous) claimed.add(previous.id);
+    }
+    if (!previous) {
+      const match = findMatch(openItems.filter((item) => !matched.has(item.id)), actionItem);
+      if (match) {
+        matched.set(match.id, actionItem);
+        continue;
+      }
+    }
+
+    const id = previous?.id ?? actionItemId(projectName, meetingId, actionItem.task);
+    let existing = previous ?? existingById.get(id);
+    if (existing?.status === STATUS.SUPERSEDED) {
+      existing = withStatus(existing, STATUS.OPEN, meeting);
+    }
+    items.push({
+      history: [{ status: STATUS.OPEN, ...meeting }],
+      status: STATUS.OPEN,
+      missedMeetings: 0,
+      createdAt: new Date().toISOString(),
+      // Reprocessing keeps the status later meetings gave the item, and its
+      // external ref (see actionItemExport.js)
+      ...existing,
+      id,
+      projectName,
+      task: actionItem.task,
+      owner: actionItem.owner ?? null,
+      due: actionItem.due ?? null,
+      sourceMeetingId: meetingId,
+      sourceMeetingDate: meetingDate,
+    });
+    if (!existing) created++;
+  }
+
+  const summary = { created, done: 0, carriedOver: 0, stale: 0, superseded: 0, open: 0 };
+
+  // No longer raised in this meeting
+  for (const item of previousRun) {
+    if (claimed.has(item.id)) continue;
+    items.push(withStatus(item, STATUS.SUPERSEDED, meeting));
+    summary.superseded++;
+  }
+
+  for (const item of openItems) {
+    const update = updates.get(item.id);
+    const alreadyCounted =
+      item.lastReconciledMeetingId && item.lastReconciledMeetingId >= meetingId;
+    const reconciled = {
+      ...item,
+      lastReconciledMeetingId: alreadyCounted ? item.lastReconciledMeetingId : meetingId,
+    };
+
+    let next;
+    if (update === STATUS.DONE) {
+      next = withStatus(reconciled, STATUS.DONE, meeting);
+      summary.done++;
+    } else if (update === STATUS.CARRIED_OVER || matched.has(item.id)) {
+      const repeat = matched.get(item.id);
+      next = withStatus(
+        {
+          ...reconciled,
+          missedMeetings: 0,
+          owner: repeat?.owner ?? item.owner,
+          due: repeat?.due ?? item.due,
+        },
+        STATUS.CARRIED_OVER,
+        meeting,
+      );
+      summary.carriedOver++;
+    } else {
+      const missedMeetings = (item.missedMeetings || 0) + (alreadyCounted ? 0 : 1);
+      next = { ...reconciled, missedMeetings };
+      if (missedMeetings >= staleAfter) {
+        next = withStatus(next, STATUS.STALE, meeting);
+        summary.stale++;
+      } else {
+        summary.open++;
+      }
+    }
+    items.push(next);
+  }
+
+  summary.open += items.filter(
+    (item) => item.sourceMeetingId === meetingId && OPEN_STATUSES.includes(item.status),
+  ).length;
+
+  return { items, summary };
+}
+
+const defaultStore = { queryActionItems, upsertActionItems };
+
+/**
+ * Write the project's open items from earlier meetings to
+ * <meeting>/open-action-items.json for the analysis. Removes a stale file
+ * when there are none.
+ *
+ * @returns {Promise<number>} number of open items written
+ */
+async function writeOpenActionItems({ projectName, meetingId, meetingPath, store = defaultStore }) {
+  const filePath = path.join(meetingPath, OPEN_ITEMS_FILENAME);
+  const openItems = (await store.queryActionItems({ projectName, statuses: OPEN_STATUSES }))
+    .filter((item) => item.sourceMeetingId < meetingId);
+
+  if (openItems.length === 0) {
+    await fs.rm(filePath, { force: true });
+    return 0;
+  }
+
+  const forPrompt = openItems.map((item) => ({
+    id: item.id,
+    task: item.task,
+    owner: item.owner,
+    due: item.due,
+    status: item.status,
+    sourceMeetingId: item.sourceMeetingId,
+    sourceMeetingDate: item.sourceMeetingDate,
+    missedMeetings: item.missedMeetings || 0,
+  }));
+  await fs.writeFile(filePath, JSON.stringify(forPrompt, null, 2));
+  log("info", "Wrote open action items from earlier meetings", { count: openItems.length });
+  return openItems.length;
+}
+
+/**
+ * Reconcile the meeting's action items and save them to the store.
+ *
+ * @param {Object} params
+ * @param {Function} [params.exportItems] - async (items) => items, run before
+ *   saving so external refs are stored with the items (see actionItemExport.js)
+ * @returns {Promise<{summary: Object, items: Object[]}>} the saved items
+ */
+async function syncActionItems({
+  projectName,
+  meetingId,
+  meetingDate,
+  consolidated,
+  exportItems,
+  store = defaultStore,
+}) {
+  const existingItems = await store.queryActionItems({ projectName });
+  const reconciled = reconcileActionItems({
+    projectName,
+    meetingId,
+    meetingDate,
+    consolidated,
+    existingItems,
+  });
+  const { summary } = reconciled;
+  let { items } = reconciled;
+
+  if (exportItems) {
+    try {
+      items = await exportItems(items);
+    } catch (err) {
+      log("warn", "Could not export action items (non-fatal)", { error: err.message });
+    }
+  }
+
+  if (items.length > 0) {
+    await store.upsertActionItems(items);
+  }
+  log("info", "Reconciled action items", summary);
+  return { summary, items };
+}
+
+module.exports = {
+  STATUS,
+  OPEN_STATUSES,
+  OPEN_ITEMS_FILENAME,
+  actionItemId,
+  reconcileActionItems,
+  writeOpenActionItems,
+  syncActionItems,
+};
@@ -0,0 +1,201 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const {
+  actionItemId,
+  reconcileActionItems,
+  writeOpenActionItems,
+  syncActionItems,
+} = require("./actionItems");
+
+/**
+ * In-memory stand-in for the Cosmos action item container.
+ */
+function memoryStore(items = []) {
+  const byId = new Map(items.map((item) => [item.id, item]));
+  return {
+    byId,
+    queryActionItems: async ({ statuses }) =>
+      [...byId.values()].filter((item) => !statuses || statuses.includes(item.status)),
+    upsertActionItems: async (upserts) => {
+      for (const item of upserts) byId.set(item.id, item);
+      return upserts;
+    },
+  };
+}
+
+const week1 = {
+  meetingId: "2026-03-02-100000",
+  meetingDate: "2026-03-02",
+  consolidated: {
+    actionItems: [
+      { owner: "Sam Patel", task: "Fix login regression on iOS", due: "2026-03-06" },
+      { owner: "Alex Chen", task: "Update the release notes for the export flow", due: null },
+      { owner: "Jordan Lee", task: "Book the sprint retro room", due: null },
+    ],
+  },
+};
+
+describe("reconcileActionItems", () => {
+  it("creates open items with stable ids", () => {
+    const { items, summary } = reconcileActionItems({
+      projectName: "yakshaver",
+      ...week1,
+      existingItems: [],
+    });
+
+    assert.equal(items.length, 3);
+    assert.equal(items[0].id, actionItemId("yakshaver", week1.meetingId, "fix login regression on iOS!"));
+    assert.equal(items[0].status, "open");
+    assert.equal(items[0].sourceMeetingId, week1.meetingId);
+    assert.deepEqual(summary, { created: 3, done: 0, carriedOver: 0, stale: 0, superseded: 0, open: 3 });
+  });
+
+  it("marks items done, carried over (explicitly or by a repeat) and stale", () => {
+    const { items: existingItems } = reconcileActionItems({
+      projectName: "yakshaver",
+      ...week1,
+      existingItems: [],
+    });
+    const [loginFix, releaseNotes, retroRoom] = existingItems;
+    existingItems[2] = { ...retroRoom, missedMeetings: 1 };
+
+    const { items, summary } = reconcileActionItems({
+      projectName: "yakshaver",
+      meetingId: "2026-03-09-100000",
+      meetingDate: "2026-03-09",
+      consolidated: {
+        actionItems: [
+          { owner: "Sam Patel", task: "Fix the iOS login regression", due: "2026-03-13" },
+          { owner: "Alex Chen", task: "Plan the Sprint 25 demo", due: null },
+        ],
+        actionItemUpdates: [{ id: releaseNotes.id, status: "done" }],
+      },
+      existingItems,
+      staleAfter: 2,
+    });
+
+    const byId = new Map(items.map((item) => [item.id, item]));
+    assert.equal(byId.get(loginFix.id).status, "carried_over");
+    assert.equal(byId.get(loginFix.id).due, "2026-03-13");
+    assert.deepEqual(byId.get(loginFix.id).history.map((h) => h.status), ["open", "carried_over"]);
+    assert.equal(byId.get(releaseNotes.id).status, "done");
+    assert.equal(byId.get(retroRoom.id).status, "stale");
+    assert.equal(items.filter((item) => item.sourceMeetingId === "2026-03-09-100000").length, 1);
+    assert.deepEqual(summary, { created: 1, done: 1, carriedOver: 1, stale: 1, superseded: 0, open: 1 });
+  });
+
+  it("does not count the same meeting twice when it is reprocessed", () => {
+    const { items: existingItems } = reconcileActionItems({
+      projectName: "yakshaver",
+      ...week1,
+      existingItems: [],
+    });
+    const week2 = {
+      projectName: "yakshaver",
+      meetingId: "2026-03-09-100000",
+      meetingDate: "2026-03-09",
+      consolidated: { actionItems: [] },
+      staleAfter: 2,
+    };
+
+    const first = reconcileActionItems({ ...week2, existingItems });
+    const again = reconcileActionItems({ ...week2, existingItems: first.items });
+
+    assert.ok(again.items.every((item) => item.missedMeetings === 1 && item.status === "open"));
+  });
+
+  it("keeps ids when a reprocess rewords a task and supersedes dropped items", () => {
+    const first = reconcileActionItems({
+      projectName: "yakshaver",
+      ...week1,
+      consolidated: {
+        actionItems: [
+          ...week1.consolidated.actionItems.slice(0, 1),
+          { owner: "Alex Chen", task: "Update the deployment docs for staging", due: null },
+          ...week1.consolidated.actionItems.slice(2),
+        ],
+      },
+      existingItems: [],
+    });
+    const [loginFix, releaseNotes, retroRoom] = first.items;
+
+    const { items, summary } = reconcileActionItems({
+      projectName: "yakshaver",
+      ...week1,
+      consolidated: {
+        actionItems: [
+          { owner: "Sam Patel", task: "Fix login regression on iOS", due: "2026-03-06" },
+          { owner: "Alex Chen", task: "Update staging deployment documentation", due: null },
+        ],
+      },
+      existingItems: first.items.map((item) =>
+        item.id === releaseNotes.id ? { ...item, external: { target: "github", id: "2" } } : item,
+      ),
+    });
+
+    const byId = new Map(items.map((item) => [item.id, item]));
+    assert.equal(items.length, 3);
+    assert.equal(byId.get(loginFix.id).status, "open");
+    assert.equal(byId.get(releaseNotes.id).task, "Update staging deployment documentation");
+    assert.deepEqual(byId.get(releaseNotes.id).external, { target: "github", id: "2" });
+    assert.equal(byId.get(retroRoom.id).status, "superseded");
+    assert.deepEqual(summary, { created: 0, done: 0, carriedOver: 0, stale: 0, superseded: 1, open: 2 });
+  });
+});
+
+describe("action item store", () => {
+  let meetingPath;
+
+  beforeEach(async () => {
+    meetingPath = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-action-items-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(meetingPath, { recursive: true, force: true });
+  });
+
+  it("hands earlier meetings' open items to the analysis and saves the reconciliation", async () => {
+    const store = memoryStore();
+    await syncActionItems({ projectName: "yakshaver", ...week1, store });
+
+    const count = await writeOpenActionItems({
+      projectName: "yakshaver",
+      meetingId: "2026-03-09-100000",
+      meetingPath,
+      store,
+    });
+
+    assert.equal(count, 3);
+    const written = JSON.parse(
+      await fs.readFile(path.join(meetingPath, "open-action-items.json"), "utf-8"),
+    );
+    assert.deepEqual(written.map((item) => item.owner), ["Sam Patel", "Alex Chen", "Jordan Lee"]);
+
+    const { summary } = await syncActionItems({
+      projectName: "yakshaver",
+      meetingId: "2026-03-09-100000",
+      meetingDate: "2026-03-09",
+      consolidated: {
+        actionItems: [],
+        actionItemUpdates: written.map(({ id }) => ({ id, status: "done" })),
+      },
+      store,
+    });
+
+    assert.equal(summary.done, 3);
+    assert.equal(
+      await writeOpenActionItems({
+        projectName: "yakshaver",
+        meetingId: "2026-03-16-100000",
+        meetingPath,
+        store,
+      }),
+      0,
+    );
+    await assert.rejects(fs.access(path.join(meetingPath, "open-action-items.json")));
+  });
+});
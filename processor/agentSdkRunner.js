@@ -0,0 +1,140 @@
+/**
+ * Agent SDK analysis backend ("sdk").
+ *
+ * Runs the same prompt and tool set as the CLI backend, but in-process via
+ * @anthropic-ai/claude-agent-sdk instead of spawning the `claude` binary.
+ * The SDK yields the same message shapes as `--output-format stream-json`,
+ * so previews and usage are extracted with the CLI runner's helpers.
+ *
+ * The SDK is ESM-only and only loaded when this backend is selected.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+const { reportPreview } = require("../lib/executionStatus");
+const { usageFromResultEvent } = require("../lib/usage");
+const {
+  CONFIG,
+  validateCredentials,
+  buildAnalysisPrompt,
+  getClaudeAuthMethod,
+  shouldSkipEvent,
+  extractEventPreview,
+} = require("./claudeRunner");
+
+const INACTIVITY_TIMEOUT = 1200000; // 20 minutes, same as the CLI backend
+
+async function loadSdk() {
+  try {
+    return await import("@anthropic-ai/claude-agent-sdk");
+  } catch (error) {
+    throw new Error(
+      `ANALYSIS_BACKEND=sdk requires @anthropic-ai/claude-agent-sdk: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Run the analysis through the Agent SDK.
+ *
+ * @param {Object} params - same as claudeRunner.invokeClaude
+ * @returns {Promise<{stderr: string, usage: Object|null}>}
+ */
+async function runAnalysis({
+  projectName,
+  meetingId,
+  meetingDate,
+  meetingPath,
+  outputDir,
+  rootDir,
+  resume,
+  repair,
+  openActionItemCount,
+  historyMeetingCount,
+  chunk,
+  chunkCount,
+}) {
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const { query } = await loadSdk();
+  const authConfig = getClaudeAuthMethod();
+  const prompt = buildAnalysisPrompt({
+    projectName,
+    meetingId,
+    meetingDate,
+    meetingPath,
+    rootDir,
+    resume,
+    repair,
+    openActionItemCount,
+    historyMeetingCount,
+    chunk,
+    chunkCount,
+  });
+
+  const abortController = new AbortController();
+  let lastOutputTime = Date.now();
+  const inactivityTimer = setInterval(() => {
+    if (Date.now() - lastOutputTime > INACTIVITY_TIMEOUT) {
+      abortController.abort();
+    }
+  }, 30000);
+
+  log("info", "Processing transcript with Claude Agent SDK...");
+
+  let usage = null;
+  let result = null;
+  try {
+    for await (const message of query({
+      prompt,
+      options: {
+        model: CONFIG.model,
+        cwd: rootDir,
+        additionalDirectories: [outputDir, meetingPath, path.join(rootDir, "templates")],
+        allowedTools: ["Read", "Write", "Edit", "Glob", "Grep", "Bash", "Task"],
+        permissionMode: "bypassPermissions",
+        // Load CLAUDE.md and .claude/agents from the repo, like the CLI does
+        settingSources: ["project"],
+        systemPrompt: { type: "preset", preset: "claude_code" },
+        env: { ...process.env, ...authConfig.env },
+        abortController,
+      },
+    })) {
+      lastOutputTime = Date.now();
+
+      if (message.type === "result") {
+        result = message;
+        usage = usageFromResultEvent(message, CONFIG.model);
+        continue;
+      }
+
+      if (shouldSkipEvent(message)) continue;
+
+      const preview = extractEventPreview(message);
+      if (preview) {
+        log("info", preview);
+        reportPreview(preview);
+      }
+    }
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      throw Object.assign(new Error("Claude Agent SDK timeout: no output for 20 minutes"), { usage });
+    }
+    throw Object.assign(new Error(`Claude Agent SDK failed: ${error.message}`), { usage });
+  } finally {
+    clearInterval(inactivityTimer);
+  }
+
+  if (!result) {
+    throw new Error("Claude Agent SDK finished without a result message");
+  }
+  if (result.subtype !== "success" || result.is_error) {
+    throw Object.assign(new Error(`Claude Agent SDK run failed (${result.subtype})`), { usage });
+  }
+
+  log("info", "Claude usage", usage);
+  return { stderr: "", usage };
+}
+
+module.exports = { model: CONFIG.model, validateCredentials, runAnalysis };
@@ -0,0 +1,38 @@
+/**
+ * Analysis backend selection.
+ *
+ * Every backend exposes the same interface:
+ *   model                       - model id the backend runs (recorded per
+ *                                 dashboard version)
+ *   validateCredentials()       - throw if the backend can't run
+ *   runAnalysis(params)         - write analysis/*.json and dashboard/index.html
+ *                                 into params.meetingPath; resolves { stderr, usage }
+ *
+ * Backends (ANALYSIS_BACKEND env var):
+ *   cli      - spawn the `claude` CLI (default, used in production)
+ *   sdk      - run in-process via @anthropic-ai/claude-agent-sdk
+ *   fixture  - offline, deterministic canned outputs (CI / local dev)
+ */
+
+const BACKENDS = {
+  cli: () => require("./claudeRunner"),
+  sdk: () => require("./agentSdkRunner"),
+  fixture: () => require("./fixtureRunner"),
+};
+
+/**
+ * @param {string} [name] - backend name (default: ANALYSIS_BACKEND or "cli")
+ * @returns {{name: string, model: string, validateCredentials: Function, runAnalysis: Function}}
+ */
+function getAnalysisBackend(name = process.env.ANALYSIS_BACKEND || "cli") {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(
+      `Unknown ANALYSIS_BACKEND "${name}". Use one of: ${Object.keys(BACKENDS).join(", ")}`,
+    );
+  }
+  const { model, validateCredentials, runAnalysis } = load();
+  return { name, model, validateCredentials, runAnalysis };
+}
+
+module.exports = { getAnalysisBackend };
@@ -0,0 +1,219 @@
+/**
+ * Resumable analysis with bounded retries.
+ *
+ * A Claude run can die part-way through (SIGKILL from OOM, the 20-minute
+ * inactivity timeout, a non-zero exit). The agent outputs it already wrote
+ * are still good, so instead of starting over we check which of
+ * analysis/{timeline,people,insights,analytics,longitudinal,consolidated}.json
+ * exist and parse, and ask the backend to produce only the missing ones.
+ *
+ * Chunked runs of long meetings (see chunkedAnalysis.js) use the same loop
+ * per chunk, with their own outputs directory and no dashboard.
+ *
+ * Only an interrupted run is resumed: a run that got as far as deploying
+ * writes analysis/run-complete.json, and setupProjectStructure discards
+ * the outputs of a completed run, so re-running the same transcript
+ * analyses it again instead of republishing the same dashboard.
+ *
+ * Optional env vars:
+ *   ANALYSIS_MAX_ATTEMPTS     - total attempts before giving up (default: 3)
+ *   ANALYSIS_RETRY_DELAY_MS   - first backoff delay, doubled per retry (default: 30000)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+const { reportPreview } = require("../lib/executionStatus");
+const { addUsage } = require("../lib/usage");
+
+// Order matters: consolidated depends on the five specialist outputs
+const AGENT_OUTPUTS = [
+  "timeline",
+  "people",
+  "insights",
+  "analytics",
+  "longitudinal",
+  "consolidated",
+];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 30000;
+const RUN_COMPLETE_FILENAME = "run-complete.json";
+
+/**
+ * Check which agent outputs in meetingPath/analysis are usable.
+ * An output is valid when it parses as a non-empty JSON object.
+ *
+ * @param {string} meetingPath
+ * @param {Object} [options]
+ * @param {string[]} [options.outputs] - default AGENT_OUTPUTS
+ * @param {string} [options.analysisDir] - relative to meetingPath (default "analysis")
+ * @returns {Promise<{completed: string[], missing: string[], invalid: string[]}>}
+ *   invalid outputs are also listed in missing
+ */
+async function inspectAnalysisOutputs(
+  meetingPath,
+  { outputs = AGENT_OUTPUTS, analysisDir = "analysis" } = {},
+) {
+  const completed = [];
+  const missing = [];
+  const invalid = [];
+
+  for (const stage of outputs) {
+    let raw;
+    try {
+      raw = await fs.readFile(path.join(meetingPath, analysisDir, `${stage}.json`), "utf-8");
+    } catch (error) {
+      missing.push(stage);
+      continue;
+    }
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      // Truncated write from a killed run
+    }
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed) && Object.keys(parsed).length > 0) {
+      completed.push(stage);
+    } else {
+      invalid.push(stage);
+      missing.push(stage);
+    }
+  }
+
+  return { completed, missing, invalid };
+}
+
+/**
+ * Delete invalid outputs so a resumed run can't mistake them for finished work.
+ */
+async function removeInvalidOutputs(meetingPath, invalid, analysisDir = "analysis") {
+  for (const stage of invalid) {
+    await fs.rm(path.join(meetingPath, analysisDir, `${stage}.json`), { force: true });
+  }
+}
+
+async function dashboardExists(meetingPath) {
+  try {
+    await fs.access(path.join(meetingPath, "dashboard", "index.html"));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Record that the run finished (analysis and deploy), so its outputs aren't
+ * resumed by the next run of the same transcript.
+ */
+async function markRunComplete(meetingPath) {
+  await fs.writeFile(
+    path.join(meetingPath, "analysis", RUN_COMPLETE_FILENAME),
+    JSON.stringify({ completedAt: new Date().toISOString() }, null, 2),
+  );
+}
+
+/**
+ * True if the agent outputs in meetingPath/analysis belong to a run that
+ * finished, rather than one that was interrupted.
+ */
+async function isRunComplete(meetingPath) {
+  try {
+    await fs.access(path.join(meetingPath, "analysis", RUN_COMPLETE_FILENAME));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Run the analysis backend, resuming from valid outputs and retrying with
+ * exponential backoff until every agent output exists.
+ *
+ * @param {Object} backend - see analysisBackend.js
+ * @param {Object} params - passed to backend.runAnalysis (plus `resume`)
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.retryDelayMs]
+ * @param {Function} [options.sleep] - injectable for tests
+ * @param {string[]} [options.outputs] - outputs the run must produce (default AGENT_OUTPUTS)
+ * @param {string} [options.analysisDir] - where they're written, relative to
+ *   the meeting folder (default "analysis")
+ * @param {boolean} [options.dashboard] - whether the run also renders
+ *   dashboard/index.html (default true)
+ * @returns {Promise<{stderr: string, usage: Object|null, attempts: number, skipped: boolean}>}
+ *   attempts is the number of backend invocations (0 when skipped); usage adds
+ *   up every attempt, including failed ones whose error carries a usage
+ *   record (see claudeRunner.js). The error thrown after the last attempt
+ *   carries the total as error.usage.
+ */
+async function runAnalysisWithRetries(backend, params, options = {}) {
+  const maxAttempts =
+    options.maxAttempts ||
+    parseInt(process.env.ANALYSIS_MAX_ATTEMPTS, 10) ||
+    DEFAULT_MAX_ATTEMPTS;
+  const retryDelayMs =
+    options.retryDelayMs ??
+    (parseInt(process.env.ANALYSIS_RETRY_DELAY_MS, 10) || DEFAULT_RETRY_DELAY_MS);
+  const sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  const { meetingPath } = params;
+  const { outputs = AGENT_OUTPUTS, analysisDir = "analysis", dashboard = true } = options;
+  const inspect = () => inspectAnalysisOutputs(meetingPath, { outputs, analysisDir });
+
+  let lastError;
+  let usage = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      const delayMs = retryDelayMs * Math.pow(2, attempt - 2);
+      log("warn", "Analysis failed, retrying after backoff", {
+        attempt,
+        maxAttempts,
+        delayMs,
+        error: lastError.message,
+      });
+      await sleep(delayMs);
+    }
+
+    const { completed, missing, invalid } = await inspect();
+    await removeInvalidOutputs(meetingPath, invalid, analysisDir);
+
+    if (missing.length === 0 && (!dashboard || (await dashboardExists(meetingPath)))) {
+      log("info", "Interrupted run left every agent output and the dashboard, skipping analysis", { analysisDir });
+      return { stderr: "", usage, attempts: attempt - 1, skipped: true };
+    }
+
+    const resume = completed.length > 0 ? { completed, missing } : null;
+    if (resume) {
+      log("info", "Resuming analysis from existing agent outputs", { completed, missing });
+      reportPreview(`Resuming analysis (attempt ${attempt}/${maxAttempts}): ${missing.join(", ") || "dashboard"}`);
+    }
+
+    try {
+      const result = await backend.runAnalysis({ ...params, resume });
+      usage = addUsage(usage, result?.usage);
+
+      const after = await inspect();
+      if (after.missing.length > 0) {
+        throw new Error(`Analysis finished without valid outputs: ${after.missing.join(", ")}`);
+      }
+      return { ...result, usage, attempts: attempt, skipped: false };
+    } catch (error) {
+      usage = addUsage(usage, error.usage);
+      lastError = error;
+    }
+  }
+
+  throw Object.assign(
+    new Error(`Analysis failed after ${maxAttempts} attempts: ${lastError.message}`),
+    { usage },
+  );
+}
+
+module.exports = {
+  AGENT_OUTPUTS,
+  inspectAnalysisOutputs,
+  runAnalysisWithRetries,
+  markRunComplete,
+  isRunComplete,
+};
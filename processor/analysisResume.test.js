@@ -0,0 +1,170 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const {
+  AGENT_OUTPUTS,
+  inspectAnalysisOutputs,
+  runAnalysisWithRetries,
+  markRunComplete,
+} = require("./analysisResume");
+const { setupProjectStructure } = require("./projectSetup");
+
+async function writeOutputs(meetingPath, stages) {
+  await fs.mkdir(path.join(meetingPath, "analysis"), { recursive: true });
+  for (const stage of stages) {
+    await fs.writeFile(
+      path.join(meetingPath, "analysis", `${stage}.json`),
+      JSON.stringify({ stage }),
+    );
+  }
+}
+
+async function writeDashboard(meetingPath) {
+  await fs.mkdir(path.join(meetingPath, "dashboard"), { recursive: true });
+  await fs.writeFile(path.join(meetingPath, "dashboard", "index.html"), "<html></html>");
+}
+
+describe("analysisResume", () => {
+  let meetingPath;
+  let delays;
+  const sleep = async (ms) => {
+    delays.push(ms);
+  };
+
+  beforeEach(async () => {
+    meetingPath = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-resume-"));
+    delays = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(meetingPath, { recursive: true, force: true });
+  });
+
+  describe("inspectAnalysisOutputs", () => {
+    it("separates valid, missing and truncated outputs", async () => {
+      await writeOutputs(meetingPath, ["timeline", "people"]);
+      await fs.writeFile(path.join(meetingPath, "analysis", "insights.json"), '{"elephants": [');
+      await fs.writeFile(path.join(meetingPath, "analysis", "analytics.json"), "{}");
+
+      const result = await inspectAnalysisOutputs(meetingPath);
+
+      assert.deepEqual(result.completed, ["timeline", "people"]);
+      assert.deepEqual(result.invalid, ["insights", "analytics"]);
+      assert.deepEqual(result.missing, ["insights", "analytics", "longitudinal", "consolidated"]);
+    });
+  });
+
+  describe("runAnalysisWithRetries", () => {
+    it("retries with backoff and only asks for the missing stages", async () => {
+      const calls = [];
+      const backend = {
+        runAnalysis: async (params) => {
+          calls.push(params.resume);
+          if (calls.length === 1) {
+            // Killed after two agents finished, mid-way through a third
+            await writeOutputs(meetingPath, ["timeline", "people"]);
+            await fs.writeFile(path.join(meetingPath, "analysis", "insights.json"), "{");
+            throw Object.assign(new Error("Claude CLI killed by SIGKILL"), {
+              usage: { totalCostUsd: 0.5, numTurns: 4 },
+            });
+          }
+          await writeOutputs(meetingPath, params.resume.missing);
+          await writeDashboard(meetingPath);
+          return { stderr: "", usage: { totalCostUsd: 1, numTurns: 6 } };
+        },
+      };
+
+      const result = await runAnalysisWithRetries(
+        backend,
+        { meetingPath },
+        { maxAttempts: 3, retryDelayMs: 10, sleep },
+      );
+
+      assert.equal(result.attempts, 2);
+      // the killed attempt's cost counts too
+      assert.equal(result.usage.totalCostUsd, 1.5);
+      assert.equal(result.usage.numTurns, 10);
+      assert.deepEqual(delays, [10]);
+      assert.equal(calls[0], null);
+      assert.deepEqual(calls[1], {
+        completed: ["timeline", "people"],
+        missing: ["insights", "analytics", "longitudinal", "consolidated"],
+      });
+    });
+
+    it("treats a clean exit without every output as a failure", async () => {
+      const backend = {
+        runAnalysis: async () => {
+          await writeOutputs(meetingPath, ["timeline"]);
+          return { stderr: "", usage: { totalCostUsd: 1 } };
+        },
+      };
+
+      await assert.rejects(
+        runAnalysisWithRetries(backend, { meetingPath }, { maxAttempts: 3, retryDelayMs: 10, sleep }),
+        (error) => {
+          assert.match(error.message, /failed after 3 attempts: Analysis finished without valid outputs: people/);
+          assert.equal(error.usage.totalCostUsd, 3);
+          return true;
+        },
+      );
+      assert.deepEqual(delays, [10, 20]);
+    });
+
+    it("skips the backend when an interrupted run already wrote everything", async () => {
+      await writeOutputs(meetingPath, AGENT_OUTPUTS);
+      await writeDashboard(meetingPath);
+      const backend = {
+        runAnalysis: async () => assert.fail("backend should not run"),
+      };
+
+      const result = await runAnalysisWithRetries(backend, { meetingPath }, { sleep });
+
+      assert.equal(result.skipped, true);
+      assert.equal(result.attempts, 0);
+    });
+  });
+
+  describe("setupProjectStructure", () => {
+    let transcriptPath;
+
+    beforeEach(async () => {
+      transcriptPath = path.join(meetingPath, "..", `${path.basename(meetingPath)}.vtt`);
+      await fs.writeFile(transcriptPath, "WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi\n");
+      await setupProjectStructure({ meetingPath, transcriptPath });
+      await writeOutputs(meetingPath, ["timeline", "people"]);
+    });
+
+    afterEach(async () => {
+      await fs.rm(transcriptPath, { force: true });
+    });
+
+    it("keeps agent outputs when re-run with the same transcript", async () => {
+      await setupProjectStructure({ meetingPath, transcriptPath });
+      const { completed } = await inspectAnalysisOutputs(meetingPath);
+      assert.deepEqual(completed, ["timeline", "people"]);
+    });
+
+    it("clears agent outputs when the run that wrote them completed", async () => {
+      await markRunComplete(meetingPath);
+
+      await setupProjectStructure({ meetingPath, transcriptPath });
+
+      assert.deepEqual((await inspectAnalysisOutputs(meetingPath)).completed, []);
+      await assert.rejects(fs.access(path.join(meetingPath, "analysis", "run-complete.json")), { code: "ENOENT" });
+    });
+
+    it("clears agent outputs for a changed transcript or a fresh run", async () => {
+      await setupProjectStructure({ meetingPath, transcriptPath, fresh: true });
+      assert.deepEqual((await inspectAnalysisOutputs(meetingPath)).completed, []);
+
+      await writeOutputs(meetingPath, ["timeline"]);
+      await fs.appendFile(transcriptPath, "\n00:00:03.000 --> 00:00:04.000\nBye\n");
+      await setupProjectStructure({ meetingPath, transcriptPath });
+      assert.deepEqual((await inspectAnalysisOutputs(meetingPath)).completed, []);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * JSON Schema contract for the agent outputs.
+ *
+ * schemas/v<N>/<output>.schema.json describes each analysis/<output>.json.
+ * After Claude finishes, every output is validated and a report is written to
+ * analysis/validation-report.json. If anything fails, Claude is re-prompted
+ * with the schema errors (once by default) to fix the files in place before
+ * deploying.
+ *
+ * Validation never blocks the pipeline: persistToCosmos records the report
+ * summary in metadata.validation so drifted meetings can be found later.
+ *
+ * Optional env vars:
+ *   ANALYSIS_SCHEMA_REPAIRS  - repair prompts before giving up (default: 1, 0 disables)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const Ajv = require("ajv");
+const { log } = require("../lib/logger");
+const { addUsage } = require("../lib/usage");
+const { AGENT_OUTPUTS } = require("./analysisResume");
+
+const SCHEMA_VERSION = "v1";
+const SCHEMA_DIR = path.join(__dirname, "..", "schemas", SCHEMA_VERSION);
+const REPORT_FILENAME = "validation-report.json";
+const DEFAULT_MAX_REPAIRS = 1;
+
+let validators = null;
+
+function getValidators() {
+  if (!validators) {
+    const ajv = new Ajv({ allErrors: true });
+    validators = {};
+    for (const output of AGENT_OUTPUTS) {
+      validators[output] = ajv.compile(
+        require(path.join(SCHEMA_DIR, `${output}.schema.json`)),
+      );
+    }
+  }
+  return validators;
+}
+
+function formatErrors(errors) {
+  return (errors || []).map((error) => ({
+    path: error.instancePath || "/",
+    message: error.message,
+  }));
+}
+
+/**
+ * Validate every agent output in meetingPath/analysis against its schema.
+ *
+ * @returns {Promise<Object>} report:
+ *   { schemaVersion, valid, validatedAt, errorCount,
+ *     outputs: { [output]: { valid, errors: [{ path, message }] } } }
+ */
+async function validateAnalysisOutputs(meetingPath) {
+  const outputs = {};
+  let errorCount = 0;
+
+  for (const [output, validate] of Object.entries(getValidators())) {
+    let errors;
+    try {
+      const raw = await fs.readFile(path.join(meetingPath, "analysis", `${output}.json`), "utf-8");
+      errors = validate(JSON.parse(raw)) ? [] : formatErrors(validate.errors);
+    } catch (error) {
+      errors = [{ path: "/", message: error.code === "ENOENT" ? "file is missing" : error.message }];
+    }
+    outputs[output] = { valid: errors.length === 0, errors };
+    errorCount += errors.length;
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    valid: errorCount === 0,
+    validatedAt: new Date().toISOString(),
+    errorCount,
+    outputs,
+  };
+}
+
+/**
+ * Only the failing outputs, in the shape passed to the backend as `repair`.
+ */
+function failingOutputs(report) {
+  return Object.entries(report.outputs)
+    .filter(([, result]) => !result.valid)
+    .map(([output, result]) => ({
+      output,
+      schema: `schemas/${SCHEMA_VERSION}/${output}.schema.json`,
+      errors: result.errors,
+    }));
+}
+
+/**
+ * Validate the agent outputs and, while they don't match the schema,
+ * re-run the backend with the errors so it can fix them in place. A repair
+ * run also renders the dashboard again from the fixed outputs (see
+ * claudeRunner.buildAnalysisPrompt), so dashboard validation and deploy
+ * never see one built from the invalid outputs.
+ *
+ * @param {Object} backend - see analysisBackend.js
+ * @param {Object} params - same as backend.runAnalysis (plus `repair`)
+ * @param {Object} [options]
+ * @param {number} [options.maxRepairs]
+ * @returns {Promise<{report: Object, usage: Object|null}>} usage of the
+ *   repair runs only, including a failed one whose error carries a usage
+ *   record; null if none ran
+ */
+async function validateAndRepairAnalysis(backend, params, options = {}) {
+  const envRepairs = parseInt(process.env.ANALYSIS_SCHEMA_REPAIRS, 10);
+  const maxRepairs =
+    options.maxRepairs ?? (Number.isNaN(envRepairs) ? DEFAULT_MAX_REPAIRS : envRepairs);
+  const { meetingPath } = params;
+
+  let report = await validateAnalysisOutputs(meetingPath);
+  let usage = null;
+  let repairs = 0;
+
+  while (!report.valid && repairs < maxRepairs) {
+    repairs++;
+    const repair = failingOutputs(report);
+    log("warn", "Analysis outputs do not match schema, asking Claude to repair", {
+      attempt: repairs,
+      outputs: repair.map((r) => r.output),
+      errorCount: report.errorCount,
+    });
+
+    try {
+      const result = await backend.runAnalysis({ ...params, repair });
+      usage = addUsage(usage, result?.usage);
+    } catch (error) {
+      // A killed or failed run can still have spent tokens (see claudeRunner.js)
+      usage = addUsage(usage, error.usage);
+      log("warn", "Schema repair run failed", { error: error.message });
+      break;
+    }
+    report = await validateAnalysisOutputs(meetingPath);
+  }
+
+  report.repairAttempts = repairs;
+  await fs.writeFile(
+    path.join(meetingPath, "analysis", REPORT_FILENAME),
+    JSON.stringify(report, null, 2),
+  );
+
+  if (report.valid) {
+    log("info", "Analysis outputs match schema", { schemaVersion: SCHEMA_VERSION, repairs });
+  } else {
+    log("error", "Analysis outputs still do not match schema (continuing)", {
+      schemaVersion: SCHEMA_VERSION,
+      errors: failingOutputs(report),
+    });
+  }
+
+  return { report, usage };
+}
+
+/**
+ * Read the report validateAndRepairAnalysis saved. Null if absent.
+ */
+async function readValidationReport(meetingPath) {
+  try {
+    const raw = await fs.readFile(path.join(meetingPath, "analysis", REPORT_FILENAME), "utf-8");
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  validateAnalysisOutputs,
+  validateAndRepairAnalysis,
+  readValidationReport,
+};
@@ -0,0 +1,180 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const {
+  validateAnalysisOutputs,
+  validateAndRepairAnalysis,
+  readValidationReport,
+} = require("./analysisSchema");
+const { buildAnalysisPrompt } = require("./claudeRunner");
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures", "analysis");
+
+describe("analysisSchema", () => {
+  let meetingPath;
+
+  async function writeOutput(name, value) {
+    await fs.writeFile(
+      path.join(meetingPath, "analysis", `${name}.json`),
+      typeof value === "string" ? value : JSON.stringify(value),
+    );
+  }
+
+  beforeEach(async () => {
+    meetingPath = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-schema-"));
+    await fs.mkdir(path.join(meetingPath, "analysis"));
+    for (const file of await fs.readdir(FIXTURE_DIR)) {
+      await fs.copyFile(path.join(FIXTURE_DIR, file), path.join(meetingPath, "analysis", file));
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(meetingPath, { recursive: true, force: true });
+  });
+
+  describe("validateAnalysisOutputs", () => {
+    it("accepts the fixture outputs", async () => {
+      const report = await validateAnalysisOutputs(meetingPath);
+      assert.equal(report.valid, true);
+      assert.equal(report.schemaVersion, "v1");
+      assert.equal(report.errorCount, 0);
+    });
+
+    it("reports the path of every drifted field", async () => {
+      await writeOutput("consolidated", {
+        meetingDuration: { totalMinutes: "42 min" },
+        participants: [{ role: "Developer" }],
+        topics: [],
+      });
+      await fs.rm(path.join(meetingPath, "analysis", "people.json"));
+
+      const report = await validateAnalysisOutputs(meetingPath);
+
+      assert.equal(report.valid, false);
+      assert.deepEqual(report.outputs.people.errors, [{ path: "/", message: "file is missing" }]);
+      assert.deepEqual(
+        report.outputs.consolidated.errors.map((e) => e.path).sort(),
+        ["/", "/meetingDuration/totalMinutes", "/participants/0"],
+      );
+      assert.equal(report.outputs.timeline.valid, true);
+    });
+
+    it("rejects agent outputs that drop or retype the fields the dashboard reads", async () => {
+      await writeOutput("timeline", { segments: [{ start: "00:00:00", topic: "Demo" }], timeWaste: {} });
+      await writeOutput("people", { participants: [{ name: "Alex Chen" }] });
+      await writeOutput("insights", { elephants: [], risks: [{ title: "Slip", likelihood: "very" }] });
+      await writeOutput("analytics", { grade: "Great", estimatedCost: { currency: "AUD", amount: "315" } });
+      await writeOutput("longitudinal", { recurringIssues: ["Login regression"] });
+
+      const report = await validateAnalysisOutputs(meetingPath);
+      const paths = (output) => [...new Set(report.outputs[output].errors.map((e) => e.path))].sort();
+
+      assert.deepEqual(paths("timeline"), ["/segments/0", "/timeWaste"]);
+      assert.deepEqual(paths("people"), ["/participants/0"]);
+      assert.deepEqual(paths("insights"), ["/risks/0", "/risks/0/likelihood"]);
+      assert.deepEqual(paths("analytics"), ["/estimatedCost/amount", "/grade"]);
+      assert.deepEqual(paths("longitudinal"), ["/", "/recurringIssues/0"]);
+      assert.equal(report.outputs.consolidated.valid, true);
+    });
+
+    it("accepts the grade as { letter } with a justification", async () => {
+      await writeOutput("analytics", {
+        grade: { letter: "B+", justification: "Focused, but overran" },
+        estimatedCost: { currency: "AUD", amount: 315 },
+      });
+
+      const report = await validateAnalysisOutputs(meetingPath);
+      assert.equal(report.outputs.analytics.valid, true);
+    });
+  });
+
+  describe("validateAndRepairAnalysis", () => {
+    it("re-prompts with only the failing outputs and records the report", async () => {
+      const consolidated = JSON.parse(
+        await fs.readFile(path.join(FIXTURE_DIR, "consolidated.json"), "utf-8"),
+      );
+      await writeOutput("consolidated", { ...consolidated, actionItems: "none" });
+
+      const repairs = [];
+      const backend = {
+        runAnalysis: async ({ repair }) => {
+          repairs.push(repair);
+          await writeOutput("consolidated", consolidated);
+          return { stderr: "", usage: { totalCostUsd: 0.25, numTurns: 3 } };
+        },
+      };
+
+      const { report, usage } = await validateAndRepairAnalysis(backend, { meetingPath });
+
+      assert.equal(report.valid, true);
+      assert.equal(report.repairAttempts, 1);
+      assert.equal(usage.totalCostUsd, 0.25);
+      assert.deepEqual(repairs, [
+        [
+          {
+            output: "consolidated",
+            schema: "schemas/v1/consolidated.schema.json",
+            errors: [{ path: "/actionItems", message: "must be array" }],
+          },
+        ],
+      ]);
+      assert.deepEqual(await readValidationReport(meetingPath), report);
+    });
+
+    it("counts the usage of a repair run that fails", async () => {
+      await writeOutput("insights", "{ not json");
+      const backend = {
+        runAnalysis: async () => {
+          throw Object.assign(new Error("Claude CLI killed by SIGKILL"), {
+            usage: { totalCostUsd: 0.5, numTurns: 4 },
+          });
+        },
+      };
+
+      const { report, usage } = await validateAndRepairAnalysis(backend, { meetingPath }, { maxRepairs: 2 });
+
+      assert.equal(report.valid, false);
+      assert.equal(report.repairAttempts, 1);
+      assert.equal(usage.totalCostUsd, 0.5);
+      assert.equal(usage.numTurns, 4);
+    });
+
+    it("asks the repair run to render the dashboard again from the fixed outputs", () => {
+      const prompt = buildAnalysisPrompt({
+        projectName: "YakShaver",
+        meetingId: "2026-03-16-100000",
+        meetingDate: "2026-03-16",
+        meetingPath: "/app/projects/yakshaver/2026-03-16-100000",
+        rootDir: "/app",
+        repair: [
+          {
+            output: "consolidated",
+            schema: "schemas/v1/consolidated.schema.json",
+            errors: [{ path: "/actionItems", message: "must be array" }],
+          },
+        ],
+      });
+
+      assert.match(prompt, /projects\/yakshaver\/2026-03-16-100000\/analysis\/consolidated\.json/);
+      assert.match(
+        prompt,
+        /generate the dashboard again from the fixed outputs.*projects\/yakshaver\/2026-03-16-100000\/dashboard\/index\.html/,
+      );
+    });
+
+    it("continues with an invalid report when the repair doesn't help", async () => {
+      await writeOutput("insights", "{ not json");
+      const backend = { runAnalysis: async () => ({ stderr: "", usage: null }) };
+
+      const { report, usage } = await validateAndRepairAnalysis(backend, { meetingPath }, { maxRepairs: 2 });
+
+      assert.equal(report.valid, false);
+      assert.equal(report.repairAttempts, 2);
+      assert.equal(report.outputs.insights.valid, false);
+      assert.equal(usage, null);
+    });
+  });
+});
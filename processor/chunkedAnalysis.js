@@ -0,0 +1,238 @@
+/**
+ * Chunked analysis for very long meetings.
+ *
+ * One Claude session can't hold a multi-hour workshop or PI planning
+ * transcript: it runs out of context or goes quiet past the 20-minute
+ * inactivity timeout. Meetings longer than ANALYSIS_CHUNK_THRESHOLD_MINUTES
+ * are split into overlapping chunks instead:
+ *
+ *   1. Cut points are placed about every ANALYSIS_CHUNK_MINUTES, at the
+ *      longest silence near the target (where topics usually change), else
+ *      at a change of speaker, else at the target time.
+ *   2. Each chunk also takes ANALYSIS_CHUNK_OVERLAP_SECONDS of transcript
+ *      either side, so nothing said across a cut loses its context.
+ *   3. Each chunk is analysed on its own into analysis/chunks/chunk-NN/
+ *      (timeline, people, insights, analytics).
+ *   4. A final run has the consolidator merge the chunk outputs into the
+ *      usual analysis/*.json, then runs the longitudinal analysis and
+ *      renders the dashboard.
+ *
+ * The chunk transcripts go to <meeting>/chunks/chunk-NN.vtt and the chunk
+ * map to <meeting>/chunks.json:
+ *
+ *   { thresholdMinutes, chunkMinutes, overlapSeconds, durationSeconds,
+ *     chunks: [{ id, index, transcript, analysisDir, start, end, coreStart,
+ *       coreEnd, boundary, cueCount, speakers }] }
+ *
+ * start/end cover the whole chunk transcript; coreStart/coreEnd exclude the
+ * overlap, so an event belongs to the chunk whose core it starts in.
+ * boundary is how the chunk's end was chosen: silence | speaker-change |
+ * time | end.
+ *
+ * Each chunk run resumes and retries like a full run (see analysisResume.js).
+ *
+ * Optional env vars:
+ *   ANALYSIS_CHUNK_THRESHOLD_MINUTES  - chunk meetings longer than this (default: 120, 0 disables)
+ *   ANALYSIS_CHUNK_MINUTES            - target chunk length (default: 45)
+ *   ANALYSIS_CHUNK_OVERLAP_SECONDS    - transcript shared with each neighbour (default: 120)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+const { reportPreview } = require("../lib/executionStatus");
+const { addUsage } = require("../lib/usage");
+const { renderVtt } = require("../lib/transcriptCues");
+const { runAnalysisWithRetries } = require("./analysisResume");
+
+const CHUNK_MAP_FILENAME = "chunks.json";
+const CHUNKS_DIR = "chunks";
+
+// The specialists that work on one chunk; longitudinal and consolidated
+// need the whole meeting and run in the merge
+const CHUNK_OUTPUTS = ["timeline", "people", "insights", "analytics"];
+
+const DEFAULTS = { thresholdMinutes: 120, chunkMinutes: 45, overlapSeconds: 120 };
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getChunkConfig() {
+  return {
+    thresholdMinutes: envNumber("ANALYSIS_CHUNK_THRESHOLD_MINUTES", DEFAULTS.thresholdMinutes),
+    chunkMinutes: envNumber("ANALYSIS_CHUNK_MINUTES", DEFAULTS.chunkMinutes) || DEFAULTS.chunkMinutes,
+    overlapSeconds: envNumber("ANALYSIS_CHUNK_OVERLAP_SECONDS", DEFAULTS.overlapSeconds),
+  };
+}
+
+/**
+ * Where to cut near target: the middle of the longest silence within the
+ * window, else the closest change of speaker, else target itself.
+ */
+function findCut(model, target, window) {
+  const inWindow = (at) => at >= target - window && at <= target + window;
+
+  const silence = model.silences
+    .map((gap) => ({ ...gap, at: (gap.start + gap.end) / 2 }))
+    .filter((gap) => inWindow(gap.at))
+    .sort((a, b) => b.duration - a.duration || Math.abs(a.at - target) - Math.abs(b.at - target))[0];
+  if (silence) return { at: silence.at, boundary: "silence" };
+
+  const change = model.turns
+    .filter((turn, i) => i > 0 && turn.speaker !== model.turns[i - 1].speaker && inWindow(turn.start))
+    .sort((a, b) => Math.abs(a.start - target) - Math.abs(b.start - target))[0];
+  if (change) return { at: change.start, boundary: "speaker-change" };
+
+  return { at: target, boundary: "time" };
+}
+
+/**
+ * Split a transcript model (see lib/vtt.analyzeCues) into overlapping chunks.
+ *
+ * @param {Object} model
+ * @param {Object} options
+ * @param {number} options.chunkMinutes
+ * @param {number} options.overlapSeconds
+ * @returns {Object[]} chunks, each with its cues
+ */
+function planChunks(model, { chunkMinutes, overlapSeconds }) {
+  const { cues } = model;
+  if (cues.length === 0) return [];
+
+  const chunkSeconds = chunkMinutes * 60;
+  const meetingStart = Math.min(...cues.map((cue) => cue.start));
+  const meetingEnd = Math.max(...cues.map((cue) => cue.end));
+
+  // A last piece shorter than half a chunk joins the one before it
+  const cuts = [];
+  let cursor = meetingStart;
+  while (meetingEnd - cursor > chunkSeconds * 1.5) {
+    const cut = findCut(model, cursor + chunkSeconds, chunkSeconds / 4);
+    cuts.push(cut);
+    cursor = cut.at;
+  }
+  const bounds = [{ at: meetingStart }, ...cuts, { at: meetingEnd, boundary: "end" }];
+
+  return bounds.slice(1).map((bound, i) => {
+    const coreStart = bounds[i].at;
+    const coreEnd = bound.at;
+    const from = coreStart - overlapSeconds;
+    const to = coreEnd + overlapSeconds;
+    const chunkCues = cues.filter((cue) => cue.end > from && cue.start < to);
+    const id = `chunk-${String(i + 1).padStart(2, "0")}`;
+    return {
+      id,
+      index: i + 1,
+      transcript: `${CHUNKS_DIR}/${id}.vtt`,
+      analysisDir: `analysis/${CHUNKS_DIR}/${id}`,
+      start: Math.min(...chunkCues.map((cue) => cue.start)),
+      end: Math.max(...chunkCues.map((cue) => cue.end)),
+      coreStart,
+      coreEnd,
+      boundary: bound.boundary,
+      cueCount: chunkCues.length,
+      speakers: [...new Set(chunkCues.map((cue) => cue.speaker).filter(Boolean))],
+      cues: chunkCues,
+    };
+  });
+}
+
+/**
+ * Write the chunk transcripts and chunks.json when the meeting is long
+ * enough to chunk. Otherwise removes any left from an earlier run.
+ *
+ * Chunk outputs from an earlier attempt are kept only while the chunk map
+ * is unchanged, so a resumed run doesn't mix two different splits.
+ *
+ * @param {Object} params
+ * @param {string} params.meetingPath
+ * @param {Object} params.model - transcript model (see lib/vtt.analyzeCues)
+ * @param {Object} [params.config] - default: from the env vars
+ * @returns {Promise<Object|null>} the chunk map, or null when not chunked
+ */
+async function writeChunkPlan({ meetingPath, model, config = getChunkConfig() }) {
+  const mapPath = path.join(meetingPath, CHUNK_MAP_FILENAME);
+  const chunksDir = path.join(meetingPath, CHUNKS_DIR);
+  const chunkOutputsDir = path.join(meetingPath, "analysis", CHUNKS_DIR);
+
+  const chunks =
+    config.thresholdMinutes > 0 && model.durationSeconds > config.thresholdMinutes * 60
+      ? planChunks(model, config)
+      : [];
+
+  if (chunks.length < 2) {
+    await fs.rm(mapPath, { force: true });
+    await fs.rm(chunksDir, { recursive: true, force: true });
+    await fs.rm(chunkOutputsDir, { recursive: true, force: true });
+    return null;
+  }
+
+  const chunkMap = {
+    ...config,
+    durationSeconds: model.durationSeconds,
+    chunks: chunks.map(({ cues, ...chunk }) => chunk),
+  };
+  const content = JSON.stringify(chunkMap, null, 2);
+  const previous = await fs.readFile(mapPath, "utf-8").catch(() => null);
+  if (previous !== content) {
+    await fs.rm(chunkOutputsDir, { recursive: true, force: true });
+  }
+
+  await fs.rm(chunksDir, { recursive: true, force: true });
+  await fs.mkdir(chunksDir, { recursive: true });
+  for (const chunk of chunks) {
+    await fs.writeFile(path.join(meetingPath, chunk.transcript), renderVtt(chunk.cues));
+  }
+  await fs.writeFile(mapPath, content);
+
+  log("info", "Long meeting, analysing in chunks", {
+    durationMinutes: Math.round(model.durationSeconds / 60),
+    chunks: chunks.length,
+    boundaries: chunks.map((chunk) => chunk.boundary),
+  });
+  return chunkMap;
+}
+
+/**
+ * Analyse each chunk, then merge through the consolidator.
+ *
+ * @param {Object} backend - see analysisBackend.js
+ * @param {Object} params - analysis params (see index.js)
+ * @param {Object} chunkMap - from writeChunkPlan
+ * @param {Object} [retry] - runAnalysisWithRetries options
+ * @returns {Promise<{stderr: string, usage: Object|null, attempts: number, skipped: boolean}>}
+ *   usage adds up every chunk run and the merge (also as error.usage on failure)
+ */
+async function runChunkedAnalysis(backend, params, chunkMap, retry = {}) {
+  const count = chunkMap.chunks.length;
+  let usage = null;
+
+  try {
+    for (const chunk of chunkMap.chunks) {
+      reportPreview(`Analysing chunk ${chunk.index}/${count}`);
+      const result = await runAnalysisWithRetries(
+        backend,
+        { ...params, chunk: { ...chunk, count, overlapSeconds: chunkMap.overlapSeconds } },
+        { ...retry, outputs: CHUNK_OUTPUTS, analysisDir: chunk.analysisDir, dashboard: false },
+      );
+      usage = addUsage(usage, result.usage);
+    }
+
+    reportPreview(`Merging ${count} chunks`);
+    const merged = await runAnalysisWithRetries(backend, { ...params, chunkCount: count }, retry);
+    return { ...merged, usage: addUsage(usage, merged.usage) };
+  } catch (error) {
+    throw Object.assign(error, { usage: addUsage(usage, error.usage) });
+  }
+}
+
+module.exports = {
+  CHUNK_MAP_FILENAME,
+  CHUNK_OUTPUTS,
+  getChunkConfig,
+  planChunks,
+  writeChunkPlan,
+  runChunkedAnalysis,
+};
@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { planChunks, writeChunkPlan, runChunkedAnalysis } = require("./chunkedAnalysis");
+const { buildAnalysisPrompt } = require("./claudeRunner");
+const { analyzeCues } = require("../lib/vtt");
+
+/**
+ * A meeting of 10-second cues, alternating speakers every minute, with the
+ * given silences ([start, end] in seconds) left out.
+ */
+function meetingModel(minutes, silences = []) {
+  const cues = [];
+  for (let start = 0; start < minutes * 60; start += 10) {
+    if (silences.some(([from, to]) => start + 10 > from && start < to)) continue;
+    const speaker = Math.floor(start / 60) % 2 === 0 ? "Alice Smith" : "Bob Jones";
+    cues.push({ id: String(cues.length + 1), start, end: start + 10, speaker, text: `Point at ${start}s` });
+  }
+  return analyzeCues(cues);
+}
+
+const CONFIG = { thresholdMinutes: 120, chunkMinutes: 45, overlapSeconds: 120 };
+
+describe("chunked analysis", () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-chunks-"));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("cuts at silences, then speaker changes, with overlap either side", () => {
+    // 3 hours, with a pause just after the 40-minute mark
+    const chunks = planChunks(meetingModel(180, [[2420, 2450]]), CONFIG);
+
+    assert.deepEqual(
+      chunks.map(({ coreStart, coreEnd, boundary }) => [coreStart, coreEnd, boundary]),
+      [
+        [0, 2435, "silence"],
+        [2435, 5160, "speaker-change"],
+        [5160, 7860, "speaker-change"],
+        [7860, 10800, "end"],
+      ],
+    );
+    // Whole cues: the one from 2310s crosses 2315s (2435s less the overlap)
+    assert.equal(chunks[1].start, 2310);
+    assert.equal(chunks[1].end, 5280);
+    assert.equal(chunks[1].transcript, "chunks/chunk-02.vtt");
+    assert.equal(chunks[1].analysisDir, "analysis/chunks/chunk-02");
+    assert.deepEqual(chunks[1].speakers, ["Alice Smith", "Bob Jones"]);
+  });
+
+  it("writes the chunk map and transcripts only for long meetings", async () => {
+    const meetingPath = path.join(tmpDir, "plan");
+
+    const chunkMap = await writeChunkPlan({ meetingPath, model: meetingModel(180), config: CONFIG });
+    const map = JSON.parse(await fs.readFile(path.join(meetingPath, "chunks.json"), "utf-8"));
+    const vtt = await fs.readFile(path.join(meetingPath, "chunks", "chunk-01.vtt"), "utf-8");
+
+    assert.equal(chunkMap.chunks.length, 4);
+    assert.deepEqual(map, chunkMap);
+    assert.equal(map.chunks[0].cues, undefined);
+    assert.match(vtt, /^WEBVTT\n\n1\n00:00:00\.000 --> 00:00:10\.000\n<v Alice Smith>Point at 0s<\/v>/);
+
+    assert.equal(await writeChunkPlan({ meetingPath, model: meetingModel(90), config: CONFIG }), null);
+    await assert.rejects(fs.access(path.join(meetingPath, "chunks.json")), { code: "ENOENT" });
+    await assert.rejects(fs.access(path.join(meetingPath, "chunks")), { code: "ENOENT" });
+  });
+
+  it("analyses each chunk, resuming finished ones, then merges", async () => {
+    const meetingPath = path.join(tmpDir, "run");
+    const chunkMap = await writeChunkPlan({ meetingPath, model: meetingModel(180), config: CONFIG });
+    // chunk-01 finished in an earlier attempt
+    const firstChunkDir = path.join(meetingPath, "analysis", "chunks", "chunk-01");
+    await fs.mkdir(firstChunkDir, { recursive: true });
+    for (const output of ["timeline", "people", "insights", "analytics"]) {
+      await fs.writeFile(path.join(firstChunkDir, `${output}.json`), '{"done": true}');
+    }
+
+    const calls = [];
+    const backend = {
+      runAnalysis: async ({ chunk, chunkCount, resume }) => {
+        calls.push(chunk ? chunk.id : `merge of ${chunkCount}`);
+        const outputs = chunk
+          ? ["timeline", "people", "insights", "analytics"].map((o) => path.join(chunk.analysisDir, `${o}.json`))
+          : ["timeline", "people", "insights", "analytics", "longitudinal", "consolidated"]
+              .filter((o) => !resume?.completed.includes(o))
+              .map((o) => path.join("analysis", `${o}.json`));
+        for (const output of outputs) {
+          await fs.mkdir(path.dirname(path.join(meetingPath, output)), { recursive: true });
+          await fs.writeFile(path.join(meetingPath, output), '{"ok": true}');
+        }
+        if (!chunk) {
+          await fs.mkdir(path.join(meetingPath, "dashboard"), { recursive: true });
+          await fs.writeFile(path.join(meetingPath, "dashboard", "index.html"), "<html></html>");
+        }
+        return { stderr: "", usage: { model: "m", inputTokens: 10, outputTokens: 1, totalCostUsd: 0.5 } };
+      },
+    };
+
+    const result = await runChunkedAnalysis(backend, { meetingPath }, chunkMap, { sleep: async () => {} });
+
+    assert.deepEqual(calls, ["chunk-02", "chunk-03", "chunk-04", "merge of 4"]);
+    assert.equal(result.usage.totalCostUsd, 2);
+    assert.equal(result.skipped, false);
+  });
+
+  it("tells each chunk run what it owns and the merge run how to combine them", () => {
+    const params = {
+      projectName: "YakShaver",
+      meetingId: "2026-03-16-090000",
+      meetingDate: "2026-03-16",
+      meetingPath: "/app/projects/yakshaver/2026-03-16-090000",
+      rootDir: "/app",
+    };
+    const chunk = {
+      ...planChunks(meetingModel(180), CONFIG)[1],
+      count: 4,
+      overlapSeconds: 120,
+    };
+
+    const chunkPrompt = buildAnalysisPrompt({ ...params, chunk });
+    const mergePrompt = buildAnalysisPrompt({ ...params, chunkCount: 4 });
+
+    assert.match(chunkPrompt, /chunk 2 of 4/);
+    assert.match(chunkPrompt, /Chunk transcript: projects\/yakshaver\/2026-03-16-090000\/chunks\/chunk-02\.vtt/);
+    assert.match(chunkPrompt, /owns 00:45:00\.000 to 01:30:00\.000/);
+    assert.match(chunkPrompt, /analysis\/chunks\/chunk-02\/analytics\.json/);
+    assert.doesNotMatch(chunkPrompt, /dashboard\/index\.html/);
+    assert.match(mergePrompt, /analysed in 4 chunks/);
+    assert.match(mergePrompt, /consolidator: merge the chunk outputs/);
+    assert.match(mergePrompt, /dashboard\/index\.html/);
+  });
+});
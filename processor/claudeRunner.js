@@ -3,6 +3,11 @@ const path = require("path");
 const { spawn } = require("child_process");
 const readline = require("readline");
 const { log, truncate } = require("../lib/logger");
+const { reportPreview } = require("../lib/executionStatus");
+const { usageFromResultEvent } = require("../lib/usage");
+const { formatTimestamp } = require("../lib/transcriptCues");
+const { SCHEMA_VERSION } = require("./analysisSchema");
+const { CHUNK_OUTPUTS } = require("./chunkedAnalysis");
 
 // Configuration
 const CONFIG = {
@@ -29,13 +34,6 @@ function validateCredentials() {
   if (!CONFIG.claudeOAuthToken && !CONFIG.claudeApiKey) {
     log("warn", "No Claude credentials - using CLI logged-in session");
   }
-
-  if (!process.env.DASHBOARD_STORAGE_ACCOUNT) {
-    throw new Error(
-      "Dashboard storage account is required for deployment.\n" +
-        "Set the DASHBOARD_STORAGE_ACCOUNT environment variable to the Azure Storage account name.",
-    );
-  }
 }
 
 function getClaudeAuthMethod() {
@@ -121,8 +119,135 @@ function extractEventPreview(event) {
   return "";
 }
 
+/**
+ * Build the analysis prompt. Shared by the CLI and Agent SDK backends.
+ * Paths are relative to rootDir (the Claude working directory).
+ *
+ * @param {Object} [params.resume] - { completed, missing } agent outputs from
+ *   a previous attempt (see analysisResume.js); only missing ones are re-run
+ * @param {Object[]} [params.repair] - [{ output, schema, errors }] outputs that
+ *   failed schema validation (see analysisSchema.js); only those are fixed,
+ *   then the dashboard is rendered again from them
+ * @param {Object} [params.chunk] - one chunk of a long meeting to analyse on
+ *   its own (see chunkedAnalysis.js)
+ * @param {number} [params.chunkCount] - the meeting was analysed in this many
+ *   chunks; the consolidator merges their outputs
+ */
+function buildAnalysisPrompt({
+  projectName,
+  meetingId,
+  meetingDate,
+  meetingPath,
+  rootDir,
+  resume,
+  repair,
+  openActionItemCount,
+  historyMeetingCount,
+  chunk,
+  chunkCount,
+}) {
+  const meetingDir = path.relative(rootDir, meetingPath).split(path.sep).join("/");
+
+  if (repair) {
+    const problems = repair
+      .map(
+        ({ output, schema, errors }) =>
+          `${meetingDir}/analysis/${output}.json (schema: ${schema}):\n` +
+          errors.map((e) => `  - ${e.path}: ${e.message}`).join("\n"),
+      )
+      .join("\n\n");
+
+    return `These analysis outputs for meeting ${meetingId} (${projectName}) do not match their JSON Schema:
+
+${problems}
+
+Fix each file in place so it validates against its schema, keeping the existing analysis content.
+Re-read ${meetingDir}/transcript.vtt only if a required value is missing.
+Then generate the dashboard again from the fixed outputs, following CLAUDE.md, to ${meetingDir}/dashboard/index.html (template: templates/dashboard.html), replacing the one rendered from the invalid outputs.
+Do not modify any other file and do NOT deploy.`;
+  }
+
+  if (chunk) {
+    const resumeChunk = resume
+      ? `\n\nRESUMING: ${resume.completed.map((stage) => `${stage}.json`).join(", ")} already exist for this chunk - do NOT re-run or overwrite them.`
+      : "";
+
+    return `Read CLAUDE.md. Meeting ${meetingId} (${projectName}, ${meetingDate}) is too long for one session, so it is analysed in ${chunk.count} chunks. This is chunk ${chunk.index} of ${chunk.count}.
+
+Chunk transcript: ${meetingDir}/${chunk.transcript}
+  - covers ${formatTimestamp(chunk.start)} to ${formatTimestamp(chunk.end)} of the meeting (timestamps are from the start of the whole meeting)
+  - this chunk owns ${formatTimestamp(chunk.coreStart)} to ${formatTimestamp(chunk.coreEnd)}; up to ${chunk.overlapSeconds}s either side overlaps the neighbouring chunks for context only - only report segments, moments and action items that start inside the owned range
+Chunk map: ${meetingDir}/chunks.json
+Transcript model and metrics for the WHOLE meeting (ground truth for totals): ${meetingDir}/transcript.json, ${meetingDir}/analysis/metrics.json
+Attendees: ${meetingDir}/attendees.json
+
+Run only the ${CHUNK_OUTPUTS.join(", ")} agents, on this chunk only, and write their outputs to:
+${CHUNK_OUTPUTS.map((output) => `  ${meetingDir}/${chunk.analysisDir}/${output}.json`).join("\n")}
+Use the usual output schemas (schemas/${SCHEMA_VERSION}/<name>.schema.json).
+Do NOT run the longitudinal-analyzer or the consolidator, do NOT write to ${meetingDir}/analysis/ directly, do NOT generate a dashboard and do NOT deploy.${resumeChunk}`;
+  }
+
+  // Written by chunkedAnalysis.runChunkedAnalysis
+  const chunksNote = chunkCount
+    ? `
+This meeting was too long for one session and was analysed in ${chunkCount} chunks (chunk map: ${meetingDir}/chunks.json).
+Chunk outputs: ${meetingDir}/analysis/chunks/chunk-NN/{${CHUNK_OUTPUTS.join(",")}}.json
+  - do NOT run the timeline, people, insights or analytics agents over the full transcript
+  - consolidator: merge the chunk outputs into ${meetingDir}/analysis/{${CHUNK_OUTPUTS.join(",")}}.json in meeting order, dropping duplicates from the overlaps (keep an item in the chunk whose owned range it starts in), then consolidate as usual
+  - take meeting-wide totals (duration, talk time, cost) from metrics.json, not by adding up the chunks
+  - longitudinal-analyzer: work from the merged outputs rather than the full transcript`
+    : "";
+
+  const resumeNote = resume
+    ? `
+
+RESUMING A PREVIOUS RUN. These agent outputs already exist and are valid - do NOT re-run or overwrite them:
+${resume.completed.map((stage) => `- ${meetingDir}/analysis/${stage}.json`).join("\n")}
+${
+  resume.missing.length > 0
+    ? `Only produce the missing outputs: ${resume.missing.join(", ")}.`
+    : "All agent outputs are present; only generate the dashboard."
+}`
+    : "";
+
+  // Written by actionItems.writeOpenActionItems
+  const openActionItemsNote = openActionItemCount
+    ? `
+Open action items from earlier meetings (${openActionItemCount}): ${meetingDir}/open-action-items.json
+  - longitudinal-analyzer: base the accountability audit on these items
+  - consolidator: for each item this meeting resolved or revisited, add { "id", "status": "done" | "carried_over" } to consolidated.actionItemUpdates`
+    : "";
+
+  // Written by meetingHistory.writeMeetingHistory
+  const historyNote = historyMeetingCount
+    ? `
+Previous meetings (${historyMeetingCount}, newest first): ${meetingDir}/history.json
+  - longitudinal-analyzer: use these for trends, recurring issues and the accountability audit (the projects/ folder may not hold earlier meetings)`
+    : "";
+
+  return `Read CLAUDE.md and process the meeting transcript following the complete workflow.
+
+Project: ${projectName}
+Meeting ID: ${meetingId}
+Meeting Date: ${meetingDate}
+Meeting folder: ${meetingDir}/
+Transcript: ${meetingDir}/transcript.vtt
+Transcript model: ${meetingDir}/transcript.json - cues, speaker turns, talk time per speaker, silences and overlaps. Use these numbers for durations, talk time and interruptions instead of estimating them from the text.
+Meeting metrics (GROUND TRUTH, computed from the transcript): ${meetingDir}/analysis/metrics.json
+  - duration, talk time and shares, turns, interruptions, longest monologue, silence ratio, participation Gini and cost per participant
+  - analytics-generator: copy cost and talk-time figures from this file; do not estimate or recalculate them
+  - every agent: where a number here conflicts with your own reading of the transcript, this file wins
+Attendees (meeting invite list - use as suggestion for name resolution): ${meetingDir}/attendees.json
+Dashboard template: templates/dashboard.html
+Output schemas: analysis/<name>.json must validate against schemas/${SCHEMA_VERSION}/<name>.schema.json${openActionItemsNote}${historyNote}${chunksNote}
+
+Follow all steps in CLAUDE.md EXCEPT deployment. Do NOT deploy or upload the dashboard.
+Generate the dashboard HTML to: ${meetingDir}/dashboard/index.html${resumeNote}`;
+}
+
 /**
  * Invoke Claude Code CLI to process a transcript.
+ * This is the "cli" analysis backend (see analysisBackend.js).
  *
  * @param {Object} params
  * @param {string} params.projectName
@@ -131,25 +256,57 @@ function extractEventPreview(event) {
  * @param {string} params.meetingPath - absolute path to meeting folder
  * @param {string} params.outputDir - absolute path to output directory
  * @param {string} params.rootDir - absolute path to project root (for templates, CLAUDE.md)
+ * @param {Object} [params.resume] - outputs kept from a previous attempt
+ * @param {Object[]} [params.repair] - schema errors to fix instead of a full run
+ * @param {number} [params.openActionItemCount] - items in open-action-items.json
+ * @param {number} [params.historyMeetingCount] - prior meetings in history.json
+ * @param {Object} [params.chunk] - analyse one chunk of a long meeting
+ * @param {number} [params.chunkCount] - merge this many chunk outputs
+ * @returns {Promise<{stderr: string, usage: Object|null}>} usage is the token/cost
+ *   record from the final stream-json `result` event (see lib/usage.js), or
+ *   null if the CLI never emitted one. A failed run rejects with the same
+ *   record as error.usage, so retries can still count what it cost.
  */
-async function invokeClaude({ projectName, projectSlug, meetingId, meetingDate, meetingPath, outputDir, rootDir }) {
+async function invokeClaude({
+  projectName,
+  meetingId,
+  meetingDate,
+  meetingPath,
+  outputDir,
+  rootDir,
+  resume,
+  repair,
+  openActionItemCount,
+  historyMeetingCount,
+  chunk,
+  chunkCount,
+}) {
   await fs.mkdir(outputDir, { recursive: true });
 
   const authConfig = getClaudeAuthMethod();
+  const prompt = buildAnalysisPrompt({
+    projectName,
+    meetingId,
+    meetingDate,
+    meetingPath,
+    rootDir,
+    resume,
+    repair,
+    openActionItemCount,
+    historyMeetingCount,
+    chunk,
+    chunkCount,
+  });
 
-  const prompt = `Read CLAUDE.md and process the meeting transcript following the complete workflow.
-
-Project: ${projectName}
-Meeting ID: ${meetingId}
-Meeting Date: ${meetingDate}
-Meeting folder: projects/${projectSlug}/${meetingId}/
-Transcript: projects/${projectSlug}/${meetingId}/transcript.vtt
-Attendees (meeting invite list - use as suggestion for name resolution): projects/${projectSlug}/${meetingId}/attendees.json
-Dashboard template: templates/dashboard.html
-
-Follow all steps in CLAUDE.md EXCEPT deployment. Do NOT deploy or upload the dashboard.
-Generate the dashboard HTML to: projects/${projectSlug}/${meetingId}/dashboard/index.html`;
+  return runClaudeCli({ prompt, authConfig, meetingPath, outputDir, rootDir });
+}
 
+/**
+ * Spawn the Claude CLI with the prompt on stdin and stream its progress.
+ * Resolves with { stderr, usage } on exit 0, rejects on failure or inactivity
+ * with the usage seen so far (if any) as error.usage.
+ */
+function runClaudeCli({ prompt, authConfig, meetingPath, outputDir, rootDir }) {
   return new Promise((resolve, reject) => {
     const args = [
       "-p",
@@ -202,6 +359,7 @@ Generate the dashboard HTML to: projects/${projectSlug}/${meetingId}/dashboard/i
     let firstOutputReceived = false;
     let lastOutputTime = Date.now();
     let lastLoggedMessage = "";
+    let usage = null;
     const startTime = Date.now();
 
     const INACTIVITY_TIMEOUT = 1200000;
@@ -210,7 +368,7 @@ Generate the dashboard HTML to: projects/${projectSlug}/${meetingId}/dashboard/i
       if (timeSinceLastOutput > INACTIVITY_TIMEOUT) {
         clearInterval(inactivityTimer);
         claude.kill();
-        reject(new Error("Claude CLI timeout: no output for 20 minutes"));
+        reject(Object.assign(new Error("Claude CLI timeout: no output for 20 minutes"), { usage }));
       }
     }, 30000);
 
@@ -229,12 +387,18 @@ Generate the dashboard HTML to: projects/${projectSlug}/${meetingId}/dashboard/i
         const parsed = parseStreamJsonLine(line);
         if (!parsed.ok) return;
 
+        // The final `result` event carries token usage, cost and turn count
+        if (parsed.event?.type === "result") {
+          usage = usageFromResultEvent(parsed.event, CONFIG.model);
+        }
+
         if (shouldSkipEvent(parsed.event)) return;
 
         const preview = extractEventPreview(parsed.event);
         if (preview) {
           lastLoggedMessage = preview;
           log("info", preview);
+          reportPreview(preview);
         }
       } catch (parseError) {
         // Ignore parse errors for non-JSON lines
@@ -251,7 +415,12 @@ Generate the dashboard HTML to: projects/${projectSlug}/${meetingId}/dashboard/i
       clearInterval(inactivityTimer);
 
       if (code === 0) {
-        resolve({ stderr });
+        if (usage) {
+          log("info", "Claude usage", usage);
+        } else {
+          log("warn", "Claude CLI exited without a result event, usage unknown");
+        }
+        resolve({ stderr, usage });
       } else {
         const runtimeSeconds = Math.round((Date.now() - startTime) / 1000);
         const memUsage = process.memoryUsage();
@@ -277,12 +446,13 @@ Generate the dashboard HTML to: projects/${projectSlug}/${meetingId}/dashboard/i
             hint,
             ...diagnostics,
           });
-          reject(new Error(`Claude CLI killed by ${signal}: ${hint}`));
+          reject(Object.assign(new Error(`Claude CLI killed by ${signal}: ${hint}`), { usage }));
         } else {
           log("error", `Claude CLI failed (exit ${code})`, diagnostics);
           reject(
-            new Error(
-              `Claude CLI failed (exit ${code}): ${stderr.substring(0, 200)}`,
+            Object.assign(
+              new Error(`Claude CLI failed (exit ${code}): ${stderr.substring(0, 200)}`),
+              { usage },
             ),
           );
         }
@@ -296,4 +466,14 @@ Generate the dashboard HTML to: projects/${projectSlug}/${meetingId}/dashboard/i
   });
 }
 
-module.exports = { validateCredentials, invokeClaude };
+module.exports = {
+  CONFIG,
+  model: CONFIG.model,
+  validateCredentials,
+  invokeClaude,
+  runAnalysis: invokeClaude,
+  buildAnalysisPrompt,
+  getClaudeAuthMethod,
+  shouldSkipEvent,
+  extractEventPreview,
+};
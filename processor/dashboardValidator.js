@@ -17,9 +17,21 @@
  *      `tailwind.config` block with the canonical version from
  *      templates/dashboard.html.
  *   4. Re-validates after repair and writes the fixed file.
+ *
+ * validateDashboard() then runs the structural checks (tabs and sections
+ * from the template, unresolved {{placeholders}}, internal anchors,
+ * document well-formedness, external script allowlist) and returns a
+ * machine-readable report. Any failed "critical" check blocks deployment;
+ * the pipeline sets the blocked dashboard aside (setAsideInvalidDashboard)
+ * so the next run renders it again.
+ *
+ * Optional env vars:
+ *   DASHBOARD_SCRIPT_ALLOWLIST - extra comma-separated hosts allowed in
+ *                                <script src> (template hosts are always allowed)
  */
 
 const fs = require("fs").promises;
+const path = require("path");
 const { log } = require("../lib/logger");
 
 const SCRIPT_BLOCK_REGEX = /<script(\s[^>]*)?>([\s\S]*?)<\/script>/g;
@@ -142,8 +154,263 @@ async function validateAndRepairDashboard(dashboardPath, templatePath) {
   return { ok: true, repaired: true };
 }
 
+// Elements that never have a closing tag, and ones browsers close
+// implicitly (so a missing </li> isn't a structural problem)
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "source", "track", "wbr",
+]);
+const OPTIONAL_CLOSE_ELEMENTS = new Set([
+  "p", "li", "dt", "dd", "tr", "td", "th", "thead", "tbody", "tfoot", "option",
+]);
+
+function stripNonMarkup(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style)(\s[^>]*)?>[\s\S]*?<\/\1>/gi, "");
+}
+
+function textOf(html) {
+  return stripNonMarkup(html).replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Tabs are the Alpine `x-show="activeTab === '<tab>'"` panels.
+ */
+function findTabs(html) {
+  return [...html.matchAll(/x-show="activeTab === '([\w-]+)'"/g)].map((m) => m[1]);
+}
+
+/**
+ * Section titles are the template's <h2> headings, minus emoji/punctuation
+ * so "🔄 Recurring Issues (The Graveyard)" matches a reworded icon.
+ */
+function normaliseHeading(text) {
+  return text.replace(/[^\p{L}\p{N}]+/gu, " ").trim().toLowerCase();
+}
+
+function findHeadings(html) {
+  return [...html.matchAll(/<h2[^>]*>([\s\S]*?)<\/h2>/g)]
+    .map((m) => normaliseHeading(textOf(m[1])))
+    .filter(Boolean);
+}
+
+function findScriptHosts(html) {
+  const hosts = [];
+  for (const match of html.matchAll(/<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi)) {
+    try {
+      hosts.push({ src: match[1], host: new URL(match[1]).host });
+    } catch {
+      // Relative src - same origin as the dashboard
+      hosts.push({ src: match[1], host: null });
+    }
+  }
+  return hosts;
+}
+
+/**
+ * Walk the tags and report close tags that don't match the open element.
+ * Deliberately lenient: only flags what browsers can't silently recover.
+ */
+function findUnbalancedTags(html) {
+  const problems = [];
+  const stack = [];
+  for (const match of stripNonMarkup(html).matchAll(/<(\/?)([a-zA-Z][\w-]*)[^>]*?(\/?)>/g)) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+
+    if (!closing) {
+      stack.push(name);
+      continue;
+    }
+
+    const openIndex = stack.lastIndexOf(name);
+    if (openIndex === -1) {
+      problems.push(`unexpected </${name}>`);
+      continue;
+    }
+    const unclosed = stack.splice(openIndex).slice(1);
+    for (const tag of unclosed) {
+      if (!OPTIONAL_CLOSE_ELEMENTS.has(tag)) problems.push(`<${tag}> not closed before </${name}>`);
+    }
+  }
+  for (const tag of stack) {
+    if (!OPTIONAL_CLOSE_ELEMENTS.has(tag)) problems.push(`<${tag}> never closed`);
+  }
+  return problems;
+}
+
+function check(id, severity, problems, message) {
+  return {
+    id,
+    severity,
+    ok: problems.length === 0,
+    message: problems.length === 0 ? "ok" : message,
+    ...(problems.length > 0 && { details: problems.slice(0, 20) }),
+  };
+}
+
+/**
+ * Structural checks of a dashboard against its template.
+ *
+ * @param {string} html - generated dashboard
+ * @param {string} template - templates/dashboard.html
+ * @returns {Object[]} [{ id, severity: "critical"|"warning", ok, message, details? }]
+ */
+function checkDashboardStructure(html, template) {
+  const dashboardTabs = new Set(findTabs(html));
+  const missingTabs = findTabs(template).filter((tab) => !dashboardTabs.has(tab));
+
+  const dashboardText = normaliseHeading(textOf(html));
+  const missingSections = findHeadings(template).filter(
+    (heading) => !dashboardText.includes(heading),
+  );
+
+  const placeholders = [...new Set(html.match(/\{\{[A-Z_]+\}\}/g) || [])];
+
+  const ids = new Set([...html.matchAll(/\sid\s*=\s*["']([^"']+)["']/g)].map((m) => m[1]));
+  const brokenAnchors = [
+    ...new Set(
+      [...html.matchAll(/\shref\s*=\s*["']#([^"']+)["']/g)]
+        .map((m) => m[1])
+        .filter((id) => !ids.has(id)),
+    ),
+  ].map((id) => `#${id}`);
+
+  const documentProblems = [];
+  if (!/<html[\s>]/i.test(html)) documentProblems.push("missing <html>");
+  if (!/<head[\s>]/i.test(html)) documentProblems.push("missing <head>");
+  if (!/<body[\s>]/i.test(html)) documentProblems.push("missing <body>");
+  if (!/<\/html>\s*$/i.test(html)) documentProblems.push("document does not end with </html> (truncated?)");
+
+  const allowedHosts = new Set([
+    ...findScriptHosts(template).map((s) => s.host).filter(Boolean),
+    ...(process.env.DASHBOARD_SCRIPT_ALLOWLIST || "")
+      .split(",")
+      .map((h) => h.trim())
+      .filter(Boolean),
+  ]);
+  const disallowedScripts = findScriptHosts(html)
+    .filter((s) => s.host && !allowedHosts.has(s.host))
+    .map((s) => s.src);
+
+  const scriptErrors = extractInlineScripts(html)
+    .map((s) => findSyntaxError(s.body))
+    .filter(Boolean)
+    .map((error) => error.message);
+
+  return [
+    check("tabs", "critical", missingTabs, "Dashboard is missing template tabs"),
+    check("placeholders", "critical", placeholders, "Unresolved template placeholders"),
+    check("document", "critical", documentProblems, "Dashboard is not a complete HTML document"),
+    check("external-scripts", "critical", disallowedScripts, "Script sources outside the allowlist"),
+    check("inline-scripts", "critical", scriptErrors, "Inline <script> blocks have syntax errors"),
+    check("sections", "warning", missingSections, "Dashboard is missing template sections"),
+    check("anchors", "warning", brokenAnchors, "Internal links point at missing ids"),
+    check("tag-balance", "warning", findUnbalancedTags(html), "Mismatched HTML tags"),
+  ];
+}
+
+/**
+ * Repair what can be repaired (validateAndRepairDashboard), then run the
+ * structural checks.
+ *
+ * @returns {Promise<Object>} report:
+ *   { ok, validatedAt, repaired, criticalFailures, warnings, checks }
+ *   ok is false when any critical check failed
+ */
+async function validateDashboard(dashboardPath, templatePath) {
+  let repaired = false;
+  try {
+    ({ repaired } = await validateAndRepairDashboard(dashboardPath, templatePath));
+  } catch (err) {
+    log("warn", "Dashboard repair step failed", { error: err.message });
+  }
+
+  const [html, template] = await Promise.all([
+    fs.readFile(dashboardPath, "utf8"),
+    fs.readFile(templatePath, "utf8"),
+  ]);
+  const checks = checkDashboardStructure(html, template);
+  const failed = checks.filter((c) => !c.ok);
+  const report = {
+    ok: !failed.some((c) => c.severity === "critical"),
+    validatedAt: new Date().toISOString(),
+    repaired,
+    criticalFailures: failed.filter((c) => c.severity === "critical").length,
+    warnings: failed.filter((c) => c.severity === "warning").length,
+    checks,
+  };
+
+  if (failed.length > 0) {
+    log(report.ok ? "warn" : "error", "Dashboard structural validation found problems", {
+      failed: failed.map((c) => ({ id: c.id, severity: c.severity, details: c.details })),
+    });
+  }
+  return report;
+}
+
+const REPORT_FILENAME = "dashboard-report.json";
+
+/**
+ * Persist the report with the meeting (analysis/dashboard-report.json).
+ */
+async function writeDashboardReport(meetingPath, report) {
+  await fs.writeFile(
+    path.join(meetingPath, "analysis", REPORT_FILENAME),
+    JSON.stringify(report, null, 2),
+  );
+}
+
+/**
+ * Read the report writeDashboardReport saved. Null if absent.
+ */
+async function readDashboardReport(meetingPath) {
+  try {
+    const raw = await fs.readFile(path.join(meetingPath, "analysis", REPORT_FILENAME), "utf8");
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Throw if the report has critical failures, so the dashboard isn't deployed.
+ */
+function assertDashboardDeployable(report) {
+  if (report.ok) return;
+  const failed = report.checks
+    .filter((c) => !c.ok && c.severity === "critical")
+    .map((c) => `${c.id}: ${c.message}`);
+  throw new Error(`Dashboard failed validation, not deploying (${failed.join("; ")})`);
+}
+
+const INVALID_DASHBOARD_FILENAME = "dashboard.invalid.html";
+
+/**
+ * Move a dashboard that failed validation to analysis/dashboard.invalid.html,
+ * next to its report. Otherwise a rerun resumes with it (see
+ * analysisResume.js) and is blocked again instead of rendering a new one.
+ * Not left in dashboard/, which is published as a whole.
+ *
+ * @returns {Promise<string>} the new path
+ */
+async function setAsideInvalidDashboard(meetingPath, dashboardPath) {
+  const invalidPath = path.join(meetingPath, "analysis", INVALID_DASHBOARD_FILENAME);
+  await fs.rename(dashboardPath, invalidPath);
+  log("warn", "Set aside the dashboard that failed validation", { path: invalidPath });
+  return invalidPath;
+}
+
 module.exports = {
   validateAndRepairDashboard,
+  validateDashboard,
+  writeDashboardReport,
+  readDashboardReport,
+  assertDashboardDeployable,
+  setAsideInvalidDashboard,
+  checkDashboardStructure,
   extractInlineScripts,
   findTailwindConfigScript,
   findSyntaxError,
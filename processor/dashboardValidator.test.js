@@ -6,6 +6,9 @@ const os = require("os");
 
 const {
   validateAndRepairDashboard,
+  validateDashboard,
+  checkDashboardStructure,
+  assertDashboardDeployable,
   extractInlineScripts,
   findSyntaxError,
 } = require("./dashboardValidator");
@@ -177,3 +180,100 @@ ${CANONICAL_TAILWIND_BLOCK}
     assert.equal(result.reason, "corruption-outside-tailwind-block");
   });
 });
+
+describe("checkDashboardStructure", () => {
+  const TEMPLATE = `<!DOCTYPE html>
+<html><head>
+<script src="https://cdn.tailwindcss.com"></script>
+</head><body>
+<nav><a href="#summary">Summary</a></nav>
+<div x-show="activeTab === 'overview'">
+  <section id="summary"><h2><span></span>Meeting Summary</h2>{{SUMMARY}}</section>
+</div>
+<div x-show="activeTab === 'trends'">
+  <section><h2>🔮 Predictions</h2>{{PREDICTIONS}}</section>
+</div>
+</body></html>`;
+
+  const GOOD = TEMPLATE.replace("{{SUMMARY}}", "<ul><li>Shipped it</ul>")
+    .replace("{{PREDICTIONS}}", "<p>More of the same")
+    .replace("🔮 Predictions", "🔭 Predictions");
+
+  const failed = (html) =>
+    checkDashboardStructure(html, TEMPLATE)
+      .filter((c) => !c.ok)
+      .map((c) => ({ id: c.id, severity: c.severity, details: c.details }));
+
+  it("passes a filled-in dashboard (implicitly closed <li>/<p>, reworded icon)", () => {
+    assert.deepEqual(failed(GOOD), []);
+  });
+
+  it("flags missing tabs and unresolved placeholders as critical", () => {
+    const html = GOOD.replace(/<div x-show="activeTab === 'trends'">[\s\S]*?<\/div>/, "<div>{{TRENDS_CONTENT}}</div>");
+    assert.deepEqual(failed(html), [
+      { id: "tabs", severity: "critical", details: ["trends"] },
+      { id: "placeholders", severity: "critical", details: ["{{TRENDS_CONTENT}}"] },
+      { id: "sections", severity: "warning", details: ["predictions"] },
+    ]);
+  });
+
+  it("flags truncated documents and non-allowlisted scripts as critical", () => {
+    const html = GOOD.replace(
+      "</head>",
+      '<script src="https://evil.example.com/x.js"></script></head>',
+    ).replace("</body></html>", "");
+    const ids = failed(html).map((c) => `${c.severity}:${c.id}`);
+    assert.deepEqual(ids, ["critical:document", "critical:external-scripts", "warning:tag-balance"]);
+  });
+
+  it("allows extra script hosts from DASHBOARD_SCRIPT_ALLOWLIST", () => {
+    const html = GOOD.replace("</head>", '<script src="https://cdn.example.com/a.js"></script></head>');
+    process.env.DASHBOARD_SCRIPT_ALLOWLIST = "cdn.example.com";
+    try {
+      assert.deepEqual(failed(html), []);
+    } finally {
+      delete process.env.DASHBOARD_SCRIPT_ALLOWLIST;
+    }
+  });
+
+  it("warns about broken anchors and mismatched tags", () => {
+    const html = GOOD.replace('id="summary"', 'id="overview-summary"').replace(
+      "<ul>",
+      "<ul><span>",
+    );
+    assert.deepEqual(failed(html), [
+      { id: "anchors", severity: "warning", details: ["#summary"] },
+      { id: "tag-balance", severity: "warning", details: ["<span> not closed before </ul>"] },
+    ]);
+  });
+});
+
+describe("validateDashboard", () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-dashboard-report-"));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("repairs first, then reports critical failures that block deploy", async () => {
+    const dashboardPath = path.join(tmpDir, "dashboard.html");
+    const templatePath = path.join(tmpDir, "template.html");
+    await fs.writeFile(templatePath, buildHtml(CANONICAL_TAILWIND_BLOCK));
+    await fs.writeFile(
+      dashboardPath,
+      buildHtml(CORRUPTED_TAILWIND_BLOCK).replace("</body>", "{{NEXT_STEPS}}</body>"),
+    );
+
+    const report = await validateDashboard(dashboardPath, templatePath);
+
+    assert.equal(report.repaired, true);
+    assert.equal(report.ok, false);
+    assert.equal(report.criticalFailures, 1);
+    assert.equal(report.checks.find((c) => c.id === "inline-scripts").ok, true);
+    assert.throws(() => assertDashboardDeployable(report), /placeholders: Unresolved template placeholders/);
+  });
+});
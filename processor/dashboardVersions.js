@@ -0,0 +1,175 @@
+/**
+ * Versioned dashboard history.
+ *
+ * Every run publishes its dashboard twice:
+ *   <project>/<meetingId>/versions/<versionId>/   immutable snapshot of this run
+ *   <project>/<meetingId>/                        latest pointer (overwritten)
+ *
+ * The latest copy also gets a latest.json naming the version it holds. Both
+ * copies get a "previous versions" switcher listing every version known at
+ * publish time (from the Cosmos meeting document, see persistToCosmos).
+ *
+ * A version records what produced it: the model and the prompt version, a
+ * short hash of everything that shapes the analysis (CLAUDE.md, agent
+ * definitions, dashboard template and output schemas).
+ */
+
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const { SCHEMA_VERSION } = require("./analysisSchema");
+
+const VERSIONS_DIR = "versions";
+const SWITCHER_ID = "tiger-version-switcher";
+
+/**
+ * Sortable, URL-safe id for a run, e.g. "20260302T100000Z".
+ */
+function createVersionId(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+function promptFiles(rootDir) {
+  const listDir = (dir, ext) => {
+    try {
+      return fsSync
+        .readdirSync(path.join(rootDir, dir))
+        .filter((name) => name.endsWith(ext))
+        .sort()
+        .map((name) => path.join(dir, name));
+    } catch {
+      return [];
+    }
+  };
+  return [
+    "CLAUDE.md",
+    ...listDir(path.join(".claude", "agents"), ".md"),
+    path.join("templates", "dashboard.html"),
+    ...listDir(path.join("schemas", SCHEMA_VERSION), ".json"),
+  ];
+}
+
+/**
+ * Short content hash of the prompt-defining files under rootDir. Missing
+ * files are skipped, so the hash only changes when the prompts do.
+ *
+ * @returns {string} 12 hex characters
+ */
+function getPromptVersion(rootDir) {
+  const hash = crypto.createHash("sha256");
+  for (const file of promptFiles(rootDir)) {
+    let content;
+    try {
+      content = fsSync.readFileSync(path.join(rootDir, file));
+    } catch {
+      continue;
+    }
+    hash.update(file.split(path.sep).join("/"));
+    hash.update("\0");
+    hash.update(content);
+    hash.update("\0");
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function versionLabel(version) {
+  const date = (version.createdAt || "").replace("T", " ").slice(0, 16);
+  return [date || version.versionId, version.model].filter(Boolean).join(" · ");
+}
+
+/**
+ * The switcher markup for one published copy. Links are relative, so they
+ * work on any host and under any base path.
+ *
+ * @param {Object[]} versions - newest first: [{ versionId, createdAt, model }]
+ * @param {Object} placement
+ * @param {string} placement.currentId - version shown on this page
+ * @param {boolean} placement.isLatest - true for the "<project>/<meetingId>/" copy
+ * @returns {string} HTML, empty when there is nothing to switch to
+ */
+function renderVersionSwitcher(versions, { currentId, isLatest }) {
+  if (versions.length < 2) return "";
+
+  const latestHref = isLatest ? "./" : "../../";
+  const hrefFor = (versionId) =>
+    isLatest ? `${VERSIONS_DIR}/${versionId}/` : `../${versionId}/`;
+
+  const items = versions.map((version, index) => {
+    const current = version.versionId === currentId;
+    const href = index === 0 ? latestHref : hrefFor(version.versionId);
+    const label = escapeHtml(versionLabel(version)) + (index === 0 ? " (latest)" : "");
+    return current
+      ? `<li><strong aria-current="page">${label}</strong></li>`
+      : `<li><a href="${escapeHtml(href)}">${label}</a></li>`;
+  });
+
+  return [
+    `<details id="${SWITCHER_ID}" class="no-print" style="position:fixed;bottom:1rem;right:1rem;z-index:50;background:#fff;border:1px solid #ccc;border-radius:6px;padding:.5rem .75rem;font:12px system-ui,sans-serif;box-shadow:0 2px 6px rgba(0,0,0,.15)">`,
+    `<summary style="cursor:pointer">Previous versions (${versions.length})</summary>`,
+    `<ul style="margin:.5rem 0 0;padding:0;list-style:none;line-height:1.8">${items.join("")}</ul>`,
+    "</details>",
+  ].join("\n");
+}
+
+/**
+ * Insert the switcher before </body> (or at the end when there is none).
+ */
+function injectVersionSwitcher(html, switcherHtml) {
+  if (!switcherHtml) return html;
+  const index = html.lastIndexOf("</body>");
+  return index === -1
+    ? `${html}\n${switcherHtml}\n`
+    : `${html.slice(0, index)}${switcherHtml}\n${html.slice(index)}`;
+}
+
+/**
+ * Copy the dashboard folder to a temp dir with index.html rewritten by
+ * `transform` and optional extra files. The caller removes the dir.
+ *
+ * @param {string} sourceDir
+ * @param {Function} transform - (html) => html
+ * @param {Object} [extraFiles] - { [name]: content }
+ * @returns {Promise<string>} staged folder
+ */
+async function stageDashboard(sourceDir, transform, extraFiles = {}) {
+  const stagedDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-dashboard-"));
+  await fs.cp(sourceDir, stagedDir, { recursive: true });
+
+  const indexPath = path.join(stagedDir, "index.html");
+  const html = await fs.readFile(indexPath, "utf-8");
+  await fs.writeFile(indexPath, transform(html));
+  for (const [name, content] of Object.entries(extraFiles)) {
+    await fs.writeFile(path.join(stagedDir, name), content);
+  }
+  return stagedDir;
+}
+
+/**
+ * Current version first, then previously published ones newest first.
+ */
+function orderVersions(current, previousVersions = []) {
+  const previous = previousVersions
+    .filter((version) => version?.versionId && version.versionId !== current.versionId)
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+  return [current, ...previous];
+}
+
+module.exports = {
+  VERSIONS_DIR,
+  createVersionId,
+  getPromptVersion,
+  renderVersionSwitcher,
+  injectVersionSwitcher,
+  stageDashboard,
+  orderVersions,
+};
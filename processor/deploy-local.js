@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 
 /**
- * Deploy a locally-generated dashboard to Azure Blob Storage + Cosmos DB.
+ * Deploy a locally-generated dashboard to the project's publish target (see
+ * publisher.js) + Cosmos DB (or the local store, see lib/store.js).
  *
  * Usage:
  *   node processor/deploy-local.js <project-name> <meeting-id>
@@ -9,16 +10,34 @@
  * Example:
  *   node processor/deploy-local.js yakshaver 2026-01-22-094557
  *
- * Prerequisites:
- *   - Azure CLI installed and logged in (az login)
+ * Prerequisites (Azure Blob publisher, the default):
+ *   - Credentials DefaultAzureCredential can find: az login, environment
+ *     credentials (AZURE_CLIENT_ID etc.) or a managed identity. Not needed
+ *     with DASHBOARD_STORAGE_CONNECTION_STRING or the local/s3 publishers.
  *   - DASHBOARD_STORAGE_ACCOUNT set in .env
+ *     (or DASHBOARD_STORAGE_CONNECTION_STRING, e.g. for Azurite)
  *   - DASHBOARD_BASE_URL set in .env (optional, falls back to Azure hostname)
- *   - COSMOS_ENDPOINT set in .env
+ *
+ * Optional:
+ *   - COSMOS_ENDPOINT set in .env (falls back to the local store); Cosmos DB
+ *     also authenticates with DefaultAzureCredential
  */
 
 require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
 const path = require("path");
-const { checkOutputExists, deployDashboard, persistToCosmos } = require("./deployer");
+const {
+  checkOutputExists,
+  deployDashboard,
+  persistToCosmos,
+  readUsage,
+} = require("./deployer");
+const { getPromptVersion } = require("./dashboardVersions");
+const { getStoreName } = require("../lib/store");
+const {
+  validateDashboard,
+  writeDashboardReport,
+  assertDashboardDeployable,
+} = require("./dashboardValidator");
 
 const ROOT_DIR = path.join(__dirname, "..");
 
@@ -42,16 +61,31 @@ async function main() {
     meetingId,
   });
 
-  // Deploy to Azure Blob Storage
-  const { deployedUrl, dashboardPath: storagePath } = await deployDashboard({
+  // Same structural checks as the automated pipeline
+  const report = await validateDashboard(
+    dashboardPath,
+    path.join(ROOT_DIR, "templates", "dashboard.html"),
+  );
+  await writeDashboardReport(meetingPath, report);
+  assertDashboardDeployable(report);
+
+  // Deploy as a new dashboard version (model from the run's usage, if saved)
+  const usage = await readUsage(meetingPath);
+  const { deployedUrl, dashboardPath: storagePath, version } = await deployDashboard({
     dashboardPath,
     projectName,
     meetingId,
+    version: {
+      model: usage?.model || null,
+      promptVersion: getPromptVersion(ROOT_DIR),
+      backend: "local",
+    },
   });
 
   console.log(`Deployed: ${deployedUrl}`);
+  console.log(`Version:  ${version.url}`);
 
-  // Persist to Cosmos DB
+  // Persist to the meeting store
   const meetingDate = meetingId.substring(0, 10);
   await persistToCosmos({
     projectName,
@@ -59,8 +93,10 @@ async function main() {
     meetingDate,
     dashboardPath: storagePath,
     meetingPath,
+    usage,
+    version,
   });
-  console.log("Saved to Cosmos DB");
+  console.log(`Saved to ${getStoreName() === "cosmos" ? "Cosmos DB" : "local store"}`);
 }
 
 main().catch((err) => {
@@ -4,9 +4,11 @@
  * Deployment is handled by code (not by Claude) for reliability:
  * - Deterministic: same code, same result, every time
  * - Fast: direct Node.js, no LLM round-trip
- * - Atomic: blob upload + Cosmos DB persist in one sequence
+ * - Atomic: blob upload + meeting store persist in one sequence
  * - Observable: structured JSON logs, clear errors, exit codes
  *
+ * Publish targets (Azure Blob, local folder, S3) are pluggable, see publisher.js.
+ *
  * Azure pipeline:  processor/index.js → deployer.js (automatic)
  * Local scripted:  processor/deploy-local.js → deployer.js (one command)
  * Local interactive: deploy-dashboard skill → deploy-local.js → deployer.js
@@ -15,7 +17,29 @@
 const fs = require("fs").promises;
 const path = require("path");
 const { log } = require("../lib/logger");
-const { upsertMeeting } = require("../lib/cosmosClient");
+const { upsertMeeting, getMeeting, getStoreName } = require("../lib/store");
+const { getPublisher } = require("./publisher");
+const {
+  VERSIONS_DIR,
+  createVersionId,
+  renderVersionSwitcher,
+  injectVersionSwitcher,
+  stageDashboard,
+  orderVersions,
+} = require("./dashboardVersions");
+const { readValidationReport } = require("./analysisSchema");
+const { readDashboardReport } = require("./dashboardValidator");
+const { publishIndexPages } = require("./indexPages");
+const { STATUS, syncActionItems } = require("./actionItems");
+const { getExportConfig, exportActionItems } = require("./actionItemExport");
+
+/**
+ * Fail fast (before the analysis runs) if the project's publish target
+ * isn't configured.
+ */
+function validateDeployConfig(projectName) {
+  getPublisher(projectName).validateConfig();
+}
 
 /**
  * Check that the dashboard HTML exists at the canonical location.
@@ -59,87 +83,181 @@ async function copyToOutputDirectory({ sourcePath, outputDir, projectName, meeti
 }
 
 /**
- * Deploy dashboard to Azure Blob Storage.
- *
- * @returns {string} deployed URL
+ * Versions already recorded on the meeting's store document, for the
+ * switcher. Empty when the lookup fails (non-fatal).
  */
-async function deployDashboard({ dashboardPath, projectName, meetingId }) {
-  const storageAccount = process.env.DASHBOARD_STORAGE_ACCOUNT;
-  if (!storageAccount) {
-    throw new Error("DASHBOARD_STORAGE_ACCOUNT not set");
+async function readPublishedVersions(projectName, meetingId) {
+  try {
+    const meeting = await getMeeting(projectName, meetingId);
+    return meeting?.versions || [];
+  } catch (err) {
+    log("warn", "Could not read previous dashboard versions", { error: err.message });
+    return [];
   }
+}
 
-  const dashboardDir = path.dirname(dashboardPath);
+/**
+ * Publish the dashboard folder to the project's target (see publisher.js):
+ * first to the immutable "<project>/<meetingId>/versions/<versionId>", then
+ * to the "<project>/<meetingId>" latest pointer (see dashboardVersions.js).
+ *
+ * @param {Object} params
+ * @param {Object} [params.version] - { versionId, createdAt, model, promptVersion, backend };
+ *   versionId/createdAt default to now
+ * @param {Object[]} [params.previousVersions] - default: read from Cosmos
+ * @param {Object} [params.publisher] - default: getPublisher(projectName)
+ * @returns {Promise<{deployedUrl: string, dashboardPath: string, version: Object}>}
+ *   dashboardPath is the latest storage path "<project>/<meetingId>"; version
+ *   adds its own dashboardPath and url
+ */
+async function deployDashboard({
+  dashboardPath,
+  projectName,
+  meetingId,
+  version = {},
+  previousVersions,
+  publisher = getPublisher(projectName),
+}) {
+  const storagePath = `${projectName}/${meetingId}`;
+  const createdAt = version.createdAt || new Date().toISOString();
+  const current = {
+    ...version,
+    versionId: version.versionId || createVersionId(new Date(createdAt)),
+    createdAt,
+  };
+  const versionPath = `${storagePath}/${VERSIONS_DIR}/${current.versionId}`;
+  publisher.validateConfig();
 
-  const blobDestination = `$web/${projectName}/${meetingId}`;
+  const versions = orderVersions(
+    current,
+    previousVersions ?? (await readPublishedVersions(projectName, meetingId)),
+  );
+  const sourceDir = path.dirname(dashboardPath);
 
-  log("info", "Deploying dashboard to blob storage", {
-    storageAccount,
-    destination: blobDestination,
+  log("info", "Deploying dashboard", {
+    publisher: publisher.name,
+    destination: storagePath,
+    versionId: current.versionId,
+    versionCount: versions.length,
   });
 
-  const { execFileSync } = require("child_process");
-  const isWindows = process.platform === "win32";
-  const azureClientId = process.env.AZURE_CLIENT_ID;
-
-  // Login with managed identity
-  if (azureClientId) {
-    log("info", "Logging in with managed identity", { clientId: azureClientId });
+  // Snapshot first, so the latest pointer never links to a missing version
+  const publishCopy = async ({ isLatest, destination, extraFiles }) => {
+    const stagedDir = await stageDashboard(
+      sourceDir,
+      (html) =>
+        injectVersionSwitcher(
+          html,
+          renderVersionSwitcher(versions, { currentId: current.versionId, isLatest }),
+        ),
+      extraFiles,
+    );
     try {
-      execFileSync("az", ["login", "--identity", "--client-id", azureClientId], {
-        encoding: "utf-8",
-        stdio: ["pipe", "pipe", "pipe"],
-        shell: isWindows,
-      });
-    } catch (err) {
-      log("error", "az login --identity failed", { stderr: err.stderr });
-      throw new Error(`az login --identity failed: ${err.stderr}`);
+      return await publisher.publish({ sourceDir: stagedDir, storagePath: destination });
+    } finally {
+      await fs.rm(stagedDir, { recursive: true, force: true });
     }
-  } else {
-    log("warn", "AZURE_CLIENT_ID not set, assuming az is already logged in");
+  };
+
+  const versionUrl = await publishCopy({ isLatest: false, destination: versionPath });
+  const deployedUrl = await publishCopy({
+    isLatest: true,
+    destination: storagePath,
+    extraFiles: {
+      "latest.json": JSON.stringify(
+        { versionId: current.versionId, dashboardPath: versionPath },
+        null,
+        2,
+      ),
+    },
+  });
+
+  log("info", "Dashboard deployed", { url: deployedUrl, versionUrl });
+  return {
+    deployedUrl,
+    dashboardPath: storagePath,
+    version: { ...current, dashboardPath: versionPath, url: versionUrl },
+  };
+}
+
+/**
+ * Read the Claude usage record processor/index.js saved next to the analysis,
+ * so re-deploys (deploy-local.js) keep the run's usage. Null if absent.
+ */
+async function readUsage(meetingPath) {
+  try {
+    const raw = await fs.readFile(path.join(meetingPath, "analysis", "usage.json"), "utf-8");
+    return JSON.parse(raw);
+  } catch {
+    return null;
   }
+}
 
-  // Upload dashboard files
+/**
+ * Meeting grade (A-F) from analytics.json, which may hold it as a letter or
+ * as { letter } / { grade } with a justification. Null if absent.
+ */
+async function readGrade(meetingPath) {
   try {
-    execFileSync("az", [
-      "storage", "blob", "upload-batch",
-      "--source", dashboardDir,
-      "--destination", blobDestination,
-      "--account-name", storageAccount,
-      "--auth-mode", "login",
-      "--overwrite",
-    ], { encoding: "utf-8", stdio: ["pipe", "pipe", "pipe"], shell: isWindows });
-  } catch (err) {
-    log("error", "Blob upload failed", { stderr: err.stderr });
-    throw err;
+    const raw = await fs.readFile(path.join(meetingPath, "analysis", "analytics.json"), "utf-8");
+    const { grade } = JSON.parse(raw);
+    if (typeof grade === "string") return grade;
+    return grade?.letter ?? grade?.grade ?? null;
+  } catch {
+    return null;
   }
+}
 
-  // Build the dashboard URL
-  let host = process.env.DASHBOARD_BASE_URL;
-  if (!host) {
-    try {
-      host = execFileSync("az", [
-        "storage", "account", "show",
-        "--name", storageAccount,
-        "--query", "primaryEndpoints.web",
-        "-o", "tsv",
-      ], { encoding: "utf-8", shell: isWindows }).trim().replace(/^https?:\/\//, "").replace(/\/$/, "");
-    } catch {
-      host = `${storageAccount}.z8.web.core.windows.net`;
-      log("warn", "Could not query storage account, using fallback hostname", { host });
-    }
+/**
+ * Redaction counts from redaction.json (see transcriptRedaction.js), so the
+ * meeting record shows what was taken out of the transcript. Null if the
+ * transcript wasn't redacted.
+ */
+async function readRedactions(meetingPath) {
+  try {
+    const raw = await fs.readFile(path.join(meetingPath, "redaction.json"), "utf-8");
+    const { total, counts, mapStored } = JSON.parse(raw);
+    return { total, counts, mapStored };
+  } catch {
+    return null;
   }
+}
 
-  const storagePath = `${projectName}/${meetingId}`;
-  const deployedUrl = `https://${host}/${storagePath}`;
-  log("info", "Dashboard deployed", { url: deployedUrl });
-  return { deployedUrl, dashboardPath: storagePath };
+/**
+ * Recurring issues from the longitudinal audit (longitudinal.json), kept on
+ * the meeting record so later meetings' history.json can carry them forward
+ * (see meetingHistory.js). Empty if absent.
+ */
+async function readRecurringIssues(meetingPath) {
+  try {
+    const raw = await fs.readFile(path.join(meetingPath, "analysis", "longitudinal.json"), "utf-8");
+    const { recurringIssues } = JSON.parse(raw);
+    return Array.isArray(recurringIssues) ? recurringIssues : [];
+  } catch {
+    return [];
+  }
 }
 
 /**
- * Persist meeting metadata and consolidated JSON to Cosmos DB.
+ * Persist meeting metadata and consolidated JSON to the meeting store
+ * (Cosmos DB, or local files without COSMOS_ENDPOINT, see lib/store.js).
+ * `usage` defaults to analysis/usage.json when not passed. `version` (from
+ * deployDashboard) is appended to the meeting's version history.
+ *
+ * The meeting's action items are reconciled into the action item store
+ * first (see actionItems.js). Afterwards the project and root index pages
+ * are regenerated and republished (see indexPages.js). Failures in either
+ * are logged, not thrown.
  */
-async function persistToCosmos({ projectName, meetingId, meetingDate, dashboardPath, meetingPath }) {
+async function persistToCosmos({
+  projectName,
+  meetingId,
+  meetingDate,
+  dashboardPath,
+  meetingPath,
+  usage,
+  version,
+}) {
   const consolidatedPath = path.join(meetingPath, "analysis", "consolidated.json");
 
   let consolidated = null;
@@ -159,6 +277,61 @@ async function persistToCosmos({ projectName, meetingId, meetingDate, dashboardP
     metadata.topicsCount = consolidated.topics?.length ?? null;
     metadata.actionItemsCount = consolidated.actionItems?.length ?? null;
   }
+  metadata.grade = await readGrade(meetingPath);
+  metadata.recurringIssues = await readRecurringIssues(meetingPath);
+  metadata.redactions = await readRedactions(meetingPath);
+  // Tracked action items, exported to the project's work tracker if
+  // configured (see actionItemExport.js)
+  let actionItemExports;
+  if (consolidated) {
+    try {
+      const exportConfig = getExportConfig(projectName);
+      const { summary, items } = await syncActionItems({
+        projectName,
+        meetingId,
+        meetingDate,
+        consolidated,
+        exportItems:
+          exportConfig &&
+          ((toExport) =>
+            exportActionItems({ projectName, meetingId, items: toExport, config: exportConfig })),
+      });
+      metadata.actionItemTracking = summary;
+      if (exportConfig) {
+        actionItemExports = items
+          .filter((item) => item.external && item.status !== STATUS.SUPERSEDED)
+          .map((item) => ({ actionItemId: item.id, task: item.task, ...item.external }));
+      }
+    } catch (err) {
+      log("warn", "Could not reconcile action items (non-fatal)", { error: err.message });
+    }
+  }
+  // Schema validation summary (see analysisSchema.js), so meetings whose
+  // consolidated.json drifted can be found instead of silently holding nulls
+  const validation = await readValidationReport(meetingPath);
+  if (validation) {
+    metadata.validation = {
+      schemaVersion: validation.schemaVersion,
+      valid: validation.valid,
+      errorCount: validation.errorCount,
+      invalidOutputs: Object.keys(validation.outputs).filter(
+        (output) => !validation.outputs[output].valid,
+      ),
+    };
+  }
+  const dashboardReport = await readDashboardReport(meetingPath);
+  if (dashboardReport) {
+    metadata.dashboardValidation = {
+      ok: dashboardReport.ok,
+      repaired: dashboardReport.repaired,
+      warnings: dashboardReport.warnings,
+    };
+  }
+  // Claude token usage and cost for this run (see lib/usage.js)
+  const runUsage = usage || (await readUsage(meetingPath));
+  if (runUsage) {
+    metadata.usage = runUsage;
+  }
 
   const result = await upsertMeeting({
     projectName,
@@ -167,10 +340,29 @@ async function persistToCosmos({ projectName, meetingId, meetingDate, dashboardP
     dashboardPath,
     consolidated,
     metadata,
+    version,
+    actionItemExports,
+  });
+
+  log("info", "Persisted meeting", {
+    store: getStoreName(),
+    id: result.id,
+    versionId: result.latestVersionId,
   });
 
-  log("info", "Persisted meeting to Cosmos DB", { id: result.id });
+  try {
+    await publishIndexPages(projectName);
+  } catch (err) {
+    log("warn", "Could not republish index pages (non-fatal)", { error: err.message });
+  }
   return result;
 }
 
-module.exports = { checkOutputExists, copyToOutputDirectory, deployDashboard, persistToCosmos };
+module.exports = {
+  validateDeployConfig,
+  checkOutputExists,
+  copyToOutputDirectory,
+  deployDashboard,
+  readUsage,
+  persistToCosmos,
+};
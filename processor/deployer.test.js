@@ -0,0 +1,111 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { deployDashboard, validateDeployConfig } = require("./deployer");
+
+describe("deployDashboard", () => {
+  let tmpDir;
+  let dashboardPath;
+  const env = { ...process.env };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-deploy-"));
+    await fs.mkdir(path.join(tmpDir, "dashboard", "img"), { recursive: true });
+    dashboardPath = path.join(tmpDir, "dashboard", "index.html");
+    await fs.writeFile(dashboardPath, "<html></html>");
+    await fs.writeFile(path.join(tmpDir, "dashboard", "img", "chart.svg"), "<svg/>");
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("publishes locally without any Azure configuration", async () => {
+    delete process.env.DASHBOARD_STORAGE_ACCOUNT;
+    process.env.DASHBOARD_PUBLISHER = "local";
+    process.env.DASHBOARD_LOCAL_DIR = path.join(tmpDir, "published");
+    process.env.DASHBOARD_LOCAL_URL = "http://localhost:9090/";
+
+    assert.doesNotThrow(() => validateDeployConfig("yakshaver"));
+    const result = await deployDashboard({
+      dashboardPath,
+      projectName: "yakshaver",
+      meetingId: "2026-01-22-094557",
+      version: { createdAt: "2026-01-22T10:00:00.000Z", model: "claude-opus-4-5-20251101" },
+      previousVersions: [],
+    });
+
+    assert.equal(result.deployedUrl, "http://localhost:9090/yakshaver/2026-01-22-094557");
+    assert.equal(result.dashboardPath, "yakshaver/2026-01-22-094557");
+    assert.deepEqual(result.version, {
+      versionId: "20260122T100000Z",
+      createdAt: "2026-01-22T10:00:00.000Z",
+      model: "claude-opus-4-5-20251101",
+      dashboardPath: "yakshaver/2026-01-22-094557/versions/20260122T100000Z",
+      url: "http://localhost:9090/yakshaver/2026-01-22-094557/versions/20260122T100000Z",
+    });
+    const published = path.join(tmpDir, "published", "yakshaver", "2026-01-22-094557");
+    await fs.access(path.join(published, "img", "chart.svg"));
+    await fs.access(path.join(published, "versions", "20260122T100000Z", "img", "chart.svg"));
+    // A single version has nothing to switch to, and the source is untouched
+    assert.equal(await fs.readFile(path.join(published, "index.html"), "utf-8"), "<html></html>");
+    assert.equal(await fs.readFile(dashboardPath, "utf-8"), "<html></html>");
+  });
+
+  it("keeps earlier versions and links them from the latest dashboard", async () => {
+    process.env.DASHBOARD_PUBLISHER = "local";
+    process.env.DASHBOARD_LOCAL_DIR = path.join(tmpDir, "versioned");
+    const deploy = (createdAt, previousVersions) =>
+      deployDashboard({
+        dashboardPath,
+        projectName: "yakshaver",
+        meetingId: "2026-01-22-094557",
+        version: { createdAt, model: "claude-opus-4-5-20251101" },
+        previousVersions,
+      });
+
+    const first = await deploy("2026-01-22T10:00:00.000Z", []);
+    const second = await deploy("2026-01-23T08:30:00.000Z", [first.version]);
+
+    const published = path.join(tmpDir, "versioned", "yakshaver", "2026-01-22-094557");
+    const latest = await fs.readFile(path.join(published, "index.html"), "utf-8");
+    assert.match(latest, /Previous versions \(2\)/);
+    assert.match(latest, /href="versions\/20260122T100000Z\/"/);
+    assert.match(latest, /<strong aria-current="page">2026-01-23 08:30 · claude-opus-4-5-20251101 \(latest\)/);
+
+    const snapshot = await fs.readFile(
+      path.join(published, "versions", second.version.versionId, "index.html"),
+      "utf-8",
+    );
+    assert.match(snapshot, /href="\.\.\/20260122T100000Z\/"/);
+
+    // The first snapshot is immutable: it was published before the second run
+    const firstSnapshot = await fs.readFile(
+      path.join(published, "versions", "20260122T100000Z", "index.html"),
+      "utf-8",
+    );
+    assert.equal(firstSnapshot, "<html></html>");
+
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(published, "latest.json"), "utf-8")), {
+      versionId: "20260123T083000Z",
+      dashboardPath: "yakshaver/2026-01-22-094557/versions/20260123T083000Z",
+    });
+  });
+
+  it("uses the project's publisher and validates its config first", async () => {
+    delete process.env.DASHBOARD_STORAGE_ACCOUNT;
+    delete process.env.DASHBOARD_STORAGE_CONNECTION_STRING;
+    process.env.DASHBOARD_PUBLISHER = "local";
+    process.env.DASHBOARD_PUBLISHER_BY_PROJECT = JSON.stringify({ "tina-cms": "azure" });
+
+    assert.doesNotThrow(() => validateDeployConfig("yakshaver"));
+    assert.throws(() => validateDeployConfig("tina-cms"), /DASHBOARD_STORAGE_ACCOUNT/);
+  });
+});
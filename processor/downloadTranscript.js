@@ -38,6 +38,7 @@ const fs = require("fs").promises;
 const path = require("path");
 const { log } = require("../lib/logger");
 const { sanitizeId } = require("../lib/sanitize");
+const { parseVtt, durationOf } = require("../lib/vtt");
 
 // Configuration from environment
 const CONFIG = {
@@ -502,15 +503,11 @@ async function fetchActualParticipantsFromChat(token, chatId, callId) {
  * @returns {{hasSpeakerLabels: boolean, taggedSpeakerCount: number, taggedSpeakers: string[]}}
  */
 function detectVttSpeakerLabels(content) {
-  const speakerMatches = content.match(/<v ([^>]+)>/g);
-  if (!speakerMatches || speakerMatches.length === 0) {
-    return { hasSpeakerLabels: false, taggedSpeakerCount: 0, taggedSpeakers: [] };
-  }
   const uniqueSpeakers = [
-    ...new Set(speakerMatches.map((m) => m.replace(/<v ([^>]+)>/, "$1"))),
+    ...new Set(parseVtt(content).map((cue) => cue.speaker).filter(Boolean)),
   ];
   return {
-    hasSpeakerLabels: true,
+    hasSpeakerLabels: uniqueSpeakers.length > 0,
     taggedSpeakerCount: uniqueSpeakers.length,
     taggedSpeakers: uniqueSpeakers,
   };
@@ -564,42 +561,31 @@ function extractInviteeNames(meeting) {
   return invitees;
 }
 
-function parseVttTimestamp(ts) {
-  const match = ts.match(/(\d+):(\d+):(\d+)\.(\d+)/);
-  if (!match) return null;
-  return (
-    parseInt(match[1]) * 3600 +
-    parseInt(match[2]) * 60 +
-    parseInt(match[3]) +
-    parseInt(match[4]) / 1000
-  );
-}
-
+/**
+ * Recording duration in seconds, from the first cue's start to the last
+ * cue's end (see lib/vtt.js).
+ * @param {string} content - Raw VTT content
+ * @returns {number|null}
+ */
 function parseDurationFromVtt(content) {
   if (!content) {
     log("debug", "parseDurationFromVtt: no content");
     return null;
   }
-  const timestamps = content.match(/\d+:\d+:\d+\.\d+/g);
-  if (!timestamps || timestamps.length < 2) {
-    log("debug", "parseDurationFromVtt: insufficient timestamps", {
-      found: timestamps ? timestamps.length : 0,
+  const cues = parseVtt(content);
+  if (cues.length === 0) {
+    log("debug", "parseDurationFromVtt: no cues", {
       contentPreview: content.substring(0, 200),
     });
     return null;
   }
-  const first = parseVttTimestamp(timestamps[0]);
-  const last = parseVttTimestamp(timestamps[timestamps.length - 1]);
-  const durationSec = Math.round(last - first);
+  const durationSec = Math.round(durationOf(cues));
   log("debug", "parseDurationFromVtt: calculated", {
-    firstTs: timestamps[0],
-    lastTs: timestamps[timestamps.length - 1],
-    firstSec: first,
-    lastSec: last,
+    firstSec: cues[0].start,
+    lastSec: cues[cues.length - 1].end,
     durationSec,
-    totalTimestamps: timestamps.length,
+    totalCues: cues.length,
   });
-  if (first === null || last === null) return null;
   return durationSec > 0 ? durationSec : null;
 }
 
@@ -1083,6 +1069,7 @@ module.exports = {
   checkMeetingInviteesForExternal,
   hasExternalParticipants,
   detectVttSpeakerLabels,
+  parseDurationFromVtt,
   extractInviteeNames,
   validateConfig,
   runMockMode,
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Meeting deletion and GDPR erasure (see erasure.js).
+ *
+ * Usage:
+ *   node processor/eraseData.js delete-meeting <project-name> <meeting-id> [options]
+ *   node processor/eraseData.js forget-person "<name>" [--alias <name>]... [--project <project-name>] [options]
+ *   node processor/eraseData.js forget-person --request-url <url> [--project <project-name>] [options]
+ *
+ * Options:
+ *   --requested-by <who>  - recorded in the audit record
+ *   --reason <text>       - recorded in the audit record
+ *   --request-url <url>   - read the name and aliases from the Function App's
+ *                           ErasureRequest endpoint (the erasure job, see
+ *                           entrypoint.sh) and delete the request once read
+ *
+ * Examples:
+ *   node processor/eraseData.js delete-meeting yakshaver 2026-01-22-094557 --reason "Recorded by mistake"
+ *   node processor/eraseData.js forget-person "Sam Patel" --alias Sam --requested-by privacy@ssw.com.au
+ *
+ * Prerequisites:
+ *   - the same publisher and store settings as the pipeline
+ *     (DASHBOARD_PUBLISHER, DASHBOARD_STORAGE_ACCOUNT, COSMOS_ENDPOINT, ...)
+ *
+ * Output (JSON to stdout): the audit record
+ */
+
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const { log } = require("../lib/logger");
+const { deleteMeeting, forgetPerson } = require("./erasure");
+
+const USAGE = [
+  "Usage:",
+  "  node processor/eraseData.js delete-meeting <project-name> <meeting-id> [--requested-by <who>] [--reason <text>]",
+  '  node processor/eraseData.js forget-person "<name>" [--alias <name>]... [--project <project-name>] [--requested-by <who>] [--reason <text>]',
+  "  node processor/eraseData.js forget-person --request-url <url> [--project <project-name>] [--requested-by <who>] [--reason <text>]",
+].join("\n");
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const options = {
+    command,
+    positional: [],
+    aliases: [],
+    projectName: null,
+    requestedBy: null,
+    reason: null,
+    requestUrl: null,
+  };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === "--alias") {
+      options.aliases.push(rest[++i]);
+    } else if (rest[i] === "--project") {
+      options.projectName = rest[++i];
+    } else if (rest[i] === "--requested-by") {
+      options.requestedBy = rest[++i];
+    } else if (rest[i] === "--reason") {
+      options.reason = rest[++i];
+    } else if (rest[i] === "--request-url") {
+      options.requestUrl = rest[++i];
+    } else {
+      options.positional.push(rest[i]);
+    }
+  }
+
+  const expected = { "delete-meeting": 2, "forget-person": options.requestUrl ? 0 : 1 }[command];
+  if (expected === undefined || options.positional.length !== expected) {
+    throw new Error(USAGE);
+  }
+  return options;
+}
+
+async function callErasureRequest(requestUrl, method) {
+  const response = await fetch(requestUrl, {
+    method,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Erasure request ${method} failed (HTTP ${response.status})`);
+  }
+  return response;
+}
+
+/**
+ * Read a forget-person request from the Function App, then delete it so
+ * the name isn't kept there any longer than the job needs it.
+ *
+ * @returns {Promise<{person: string, aliases: string[]}>}
+ */
+async function collectErasureRequest(requestUrl) {
+  const { person, aliases = [] } = await (await callErasureRequest(requestUrl, "GET")).json();
+  await callErasureRequest(requestUrl, "DELETE");
+  return { person, aliases };
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { command, positional, projectName, requestedBy, reason } = options;
+    const { person, aliases } = options.requestUrl
+      ? await collectErasureRequest(options.requestUrl)
+      : { person: positional[0], aliases: options.aliases };
+
+    const audit =
+      command === "delete-meeting"
+        ? await deleteMeeting({
+            projectName: positional[0],
+            meetingId: positional[1],
+            requestedBy,
+            reason,
+          })
+        : await forgetPerson({
+            name: person,
+            aliases: aliases.filter(Boolean),
+            projectName: projectName || undefined,
+            requestedBy,
+            reason,
+          });
+
+    console.log(JSON.stringify(audit, null, 2));
+    process.exit(0);
+  } catch (error) {
+    log("error", "Erasure failed", { error: error.message });
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, collectErasureRequest };
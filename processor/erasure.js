@@ -0,0 +1,412 @@
+/**
+ * Meeting deletion and GDPR erasure.
+ *
+ *   deleteMeeting  - removes everything kept for one meeting: the published
+ *                    dashboard and its versions, the stored meeting record,
+ *                    the action items raised in it and the local
+ *                    projects/ and output/ artefacts, then republishes the
+ *                    index pages
+ *   forgetPerson   - replaces a participant's name (and aliases) with
+ *                    "[Redacted]" in every stored consolidated analysis,
+ *                    action item, published dashboard and local artefact
+ *                    that mentions them, and pushes the redacted action
+ *                    items to their exported issues without an assignee
+ *
+ * Both write an audit record to the meeting store (lib/store.js
+ * recordErasure): who asked, why, when and what was removed. The audit
+ * record of a forget-person request never holds the name. With
+ * ERASURE_HASH_KEY set it holds an HMAC-SHA256 of the name (subjectHash),
+ * so requests for the same person can be matched, but the name can't be
+ * found by hashing candidate names without the key. Without the key the
+ * field is left out.
+ *
+ * Env vars:
+ *   ERASURE_HASH_KEY  - secret for subjectHash, e.g. openssl rand -base64 32
+ *
+ * Run through processor/eraseData.js, locally or as the Container App Job
+ * (see azure-function EraseMeeting / ForgetPerson).
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const { log } = require("../lib/logger");
+const store = require("../lib/store");
+const { listFiles } = require("../lib/fileUpload");
+const { getPublisher } = require("./publisher");
+const { publishIndexPages } = require("./indexPages");
+const { updateRedactedItems } = require("./actionItemExport");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const REDACTED = "[Redacted]";
+// Local and published files that are rewritten by forgetPerson
+const TEXT_EXTENSIONS = new Set([".html", ".json", ".vtt", ".txt", ".md"]);
+// Project names and meeting IDs become paths, so no separators or "..".
+const PATH_SEGMENT = /^(?!\.{1,2}$)[\w.-]+$/;
+
+function defaultDirs() {
+  return {
+    projectsDir: path.join(ROOT_DIR, "projects"),
+    outputDir: process.env.OUTPUT_DIR || path.join(ROOT_DIR, "output"),
+  };
+}
+
+function normalizeName(name) {
+  return String(name ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * @param {string} name
+ * @param {string} [key] - default: ERASURE_HASH_KEY
+ * @returns {string|null} hex HMAC-SHA256 of the normalized name, null without a key
+ */
+function hashName(name, key = process.env.ERASURE_HASH_KEY) {
+  if (!key) return null;
+  return crypto.createHmac("sha256", key).update(normalizeName(name)).digest("hex");
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Case-insensitive, whole-word matcher for a name and its aliases. Longer
+ * names go first so "Sam Patel" is redacted as a whole, not as "[Redacted] Patel".
+ *
+ * @param {string[]} names
+ * @returns {RegExp}
+ */
+function buildNamePattern(names) {
+  const alternatives = [...new Set(names.map((name) => String(name ?? "").trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map((name) => escapeRegExp(name).replace(/\s+/g, "\\s+"));
+  if (alternatives.length === 0) {
+    throw Object.assign(new Error("forgetPerson: a name is required"), { code: "BAD_REQUEST" });
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+}
+
+/**
+ * @returns {{ text: string, count: number }}
+ */
+function redactText(text, pattern) {
+  let count = 0;
+  const redacted = text.replace(pattern, () => {
+    count++;
+    return REDACTED;
+  });
+  return { text: redacted, count };
+}
+
+/**
+ * Redact every string inside a JSON value. Object keys are left alone.
+ *
+ * @returns {{ value: *, count: number }}
+ */
+function redactValue(value, pattern) {
+  if (typeof value === "string") {
+    const { text, count } = redactText(value, pattern);
+    return { value: text, count };
+  }
+  if (Array.isArray(value)) {
+    let count = 0;
+    const items = value.map((item) => {
+      const result = redactValue(item, pattern);
+      count += result.count;
+      return result.value;
+    });
+    return { value: items, count };
+  }
+  if (value && typeof value === "object") {
+    let count = 0;
+    const entries = Object.entries(value).map(([key, item]) => {
+      const result = redactValue(item, pattern);
+      count += result.count;
+      return [key, result.value];
+    });
+    return { value: Object.fromEntries(entries), count };
+  }
+  return { value, count: 0 };
+}
+
+async function listFilesIfExists(dir) {
+  try {
+    return await listFiles(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+/**
+ * Rewrite the text files under dir with the name redacted.
+ *
+ * @returns {Promise<number>} files changed
+ */
+async function redactDirectory(dir, pattern) {
+  let changed = 0;
+  for (const file of await listFilesIfExists(dir)) {
+    if (await redactFile(file, pattern)) changed++;
+  }
+  return changed;
+}
+
+async function redactFile(filePath, pattern) {
+  if (!TEXT_EXTENSIONS.has(path.extname(filePath).toLowerCase())) return false;
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+  const { text, count } = redactText(content, pattern);
+  if (count === 0) return false;
+  await fs.writeFile(filePath, text);
+  return true;
+}
+
+async function writeAuditRecord(record, auditStore) {
+  const audit = { id: crypto.randomUUID(), erasedAt: new Date().toISOString(), ...record };
+  await auditStore.recordErasure(audit);
+  log("info", "Recorded erasure", { id: audit.id, type: audit.type, projectName: audit.projectName });
+  return audit;
+}
+
+/**
+ * Delete everything kept for one meeting.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string} params.meetingId
+ * @param {string} [params.requestedBy]
+ * @param {string} [params.reason]
+ * @param {string} [params.projectsDir] - default: <repo>/projects
+ * @param {string} [params.outputDir]   - default: OUTPUT_DIR or <repo>/output
+ * @param {Object} [params.publisher]   - default: getPublisher(projectName)
+ * @param {Object} [params.store]       - default: lib/store
+ * @returns {Promise<Object>} the audit record
+ */
+async function deleteMeeting({
+  projectName,
+  meetingId,
+  requestedBy = null,
+  reason = null,
+  projectsDir = defaultDirs().projectsDir,
+  outputDir = defaultDirs().outputDir,
+  publisher = getPublisher(projectName),
+  store: meetingStore = store,
+}) {
+  if (!PATH_SEGMENT.test(projectName || "") || !PATH_SEGMENT.test(meetingId || "")) {
+    throw Object.assign(new Error("deleteMeeting: a valid projectName and meetingId are required"), {
+      code: "BAD_REQUEST",
+    });
+  }
+
+  publisher.validateConfig();
+  // Covers the dashboard and every version under <storagePath>/versions/
+  const publishedFilesDeleted = await publisher.remove({ storagePath: `${projectName}/${meetingId}` });
+  const meetingRecordDeleted = await meetingStore.deleteMeeting(projectName, meetingId);
+  const actionItemsDeleted = await meetingStore.deleteActionItems({
+    projectName,
+    sourceMeetingId: meetingId,
+  });
+
+  const localPaths = [
+    path.join(projectsDir, projectName, meetingId),
+    path.join(outputDir, `${projectName}-${meetingId}.html`),
+  ];
+  let localPathsRemoved = 0;
+  for (const localPath of localPaths) {
+    const exists = await fs.access(localPath).then(() => true, () => false);
+    if (!exists) continue;
+    await fs.rm(localPath, { recursive: true, force: true });
+    localPathsRemoved++;
+  }
+
+  let indexPagesRepublished = false;
+  try {
+    indexPagesRepublished = Boolean(
+      await publishIndexPages(projectName, { publisher, cosmos: meetingStore }),
+    );
+  } catch (err) {
+    log("error", "Failed to republish index pages after deleting a meeting (non-fatal)", {
+      error: err.message,
+    });
+  }
+
+  log("info", "Deleted meeting", { projectName, meetingId, publishedFilesDeleted, actionItemsDeleted });
+  return writeAuditRecord(
+    {
+      type: "delete-meeting",
+      projectName,
+      meetingId,
+      requestedBy,
+      reason,
+      results: {
+        publishedFilesDeleted,
+        meetingRecordDeleted,
+        actionItemsDeleted,
+        localPathsRemoved,
+        indexPagesRepublished,
+      },
+    },
+    meetingStore,
+  );
+}
+
+async function* projectMeetings(meetingStore, projectName) {
+  let continuationToken;
+  do {
+    const page = await meetingStore.queryMeetingsPage({ projectName, continuationToken });
+    yield* page.items;
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+}
+
+/**
+ * Download a published meeting, redact it and publish it again.
+ *
+ * @returns {Promise<number>} files changed
+ */
+async function redactPublished(publisher, storagePath, pattern) {
+  const stagedDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-erasure-"));
+  try {
+    await publisher.download({ storagePath, targetDir: stagedDir });
+    const changed = await redactDirectory(stagedDir, pattern);
+    if (changed > 0) await publisher.publish({ sourceDir: stagedDir, storagePath });
+    return changed;
+  } finally {
+    await fs.rm(stagedDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Redact a participant from everything stored for one project, or for all
+ * projects.
+ *
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string[]} [params.aliases]    - other spellings, e.g. a first name
+ * @param {string} [params.projectName]  - default: every project in the store
+ * @param {string} [params.requestedBy]
+ * @param {string} [params.reason]
+ * @param {string} [params.projectsDir]
+ * @param {string} [params.outputDir]
+ * @param {Object} [params.publisher]    - default: getPublisher(<project>)
+ * @param {Object} [params.store]        - default: lib/store
+ * @param {Function} [params.updateExportedItems] - default: actionItemExport.updateRedactedItems
+ * @returns {Promise<Object>} the audit record
+ */
+async function forgetPerson({
+  name,
+  aliases = [],
+  projectName,
+  requestedBy = null,
+  reason = null,
+  projectsDir = defaultDirs().projectsDir,
+  outputDir = defaultDirs().outputDir,
+  publisher,
+  store: meetingStore = store,
+  updateExportedItems = updateRedactedItems,
+}) {
+  const pattern = buildNamePattern([name, ...aliases]);
+  if (projectName && !PATH_SEGMENT.test(projectName)) {
+    throw Object.assign(new Error(`forgetPerson: invalid projectName "${projectName}"`), {
+      code: "BAD_REQUEST",
+    });
+  }
+  const projects = projectName ? [projectName] : await meetingStore.listProjects();
+  const results = {
+    meetings: [],
+    actionItems: 0,
+    exportedItems: 0,
+    exportedItemsFailed: 0,
+    publishedFiles: 0,
+    localFiles: 0,
+  };
+
+  for (const project of projects) {
+    const projectPublisher = publisher || getPublisher(project);
+
+    for await (const meeting of projectMeetings(meetingStore, project)) {
+      const consolidated = redactValue(meeting.consolidated ?? null, pattern);
+      const metadata = redactValue(meeting.metadata ?? {}, pattern);
+      const exports = redactValue(meeting.actionItemExports ?? [], pattern);
+      if (consolidated.count + metadata.count + exports.count > 0) {
+        await meetingStore.upsertMeeting({
+          projectName: meeting.projectName,
+          meetingId: meeting.meetingId,
+          meetingDate: meeting.meetingDate,
+          dashboardPath: meeting.dashboardPath,
+          consolidated: consolidated.value,
+          metadata: metadata.value,
+          actionItemExports: exports.value,
+        });
+        results.meetings.push(`${meeting.projectName}/${meeting.meetingId}`);
+      }
+
+      // Every meeting, not just those whose record changed: a dashboard (or
+      // an older version of it) can mention the person where the stored
+      // analysis doesn't. Includes every published version.
+      results.publishedFiles += await redactPublished(
+        projectPublisher,
+        `${meeting.projectName}/${meeting.meetingId}`,
+        pattern,
+      );
+    }
+
+    const changedItems = [];
+    for (const item of await meetingStore.queryActionItems({ projectName: project })) {
+      const { value, count } = redactValue(item, pattern);
+      if (count > 0) changedItems.push(value);
+    }
+    if (changedItems.length > 0) {
+      await meetingStore.upsertActionItems(changedItems);
+      // The exported issues still carry the name and the assignee
+      const exported = await updateExportedItems({ projectName: project, items: changedItems });
+      results.exportedItems += exported.updated;
+      results.exportedItemsFailed += exported.failed;
+    }
+    results.actionItems += changedItems.length;
+
+    // Every local meeting folder: history.json and transcripts can mention
+    // the person even where the stored analysis doesn't
+    results.localFiles += await redactDirectory(path.join(projectsDir, project), pattern);
+    const outputFile = new RegExp(`^${escapeRegExp(project)}-\\d{4}-\\d{2}-\\d{2}`);
+    for (const file of await listFilesIfExists(outputDir)) {
+      if (!outputFile.test(path.basename(file))) continue;
+      if (await redactFile(file, pattern)) results.localFiles++;
+    }
+  }
+
+  log("info", "Forgot person", {
+    projects: projects.length,
+    meetings: results.meetings.length,
+    actionItems: results.actionItems,
+    exportedItems: results.exportedItems,
+  });
+  const subjectHash = hashName(name);
+  return writeAuditRecord(
+    {
+      type: "forget-person",
+      projectName: projectName || "all-projects",
+      ...(subjectHash && { subjectHash }),
+      aliasCount: aliases.length,
+      requestedBy,
+      reason,
+      results,
+    },
+    meetingStore,
+  );
+}
+
+module.exports = {
+  REDACTED,
+  hashName,
+  buildNamePattern,
+  redactValue,
+  deleteMeeting,
+  forgetPerson,
+};
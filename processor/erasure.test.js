@@ -0,0 +1,219 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { hashName, buildNamePattern, redactValue, deleteMeeting, forgetPerson } = require("./erasure");
+const localStore = require("../lib/localStore");
+
+async function writeFile(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+async function readAudits(storeDir) {
+  const dir = path.join(storeDir, "erasures");
+  const audits = [];
+  for (const partition of await fs.readdir(dir)) {
+    for (const file of await fs.readdir(path.join(dir, partition))) {
+      audits.push(JSON.parse(await fs.readFile(path.join(dir, partition, file), "utf-8")));
+    }
+  }
+  return audits;
+}
+
+describe("redaction", () => {
+  it("matches whole names case-insensitively, longest first", () => {
+    const pattern = buildNamePattern(["Sam", "Sam Patel"]);
+    const { value, count } = redactValue(
+      { owner: "sam patel", notes: ["Sam and Samantha", "SAM  PATEL's demo"] },
+      pattern,
+    );
+
+    assert.deepEqual(value, {
+      owner: "[Redacted]",
+      notes: ["[Redacted] and Samantha", "[Redacted]'s demo"],
+    });
+    assert.equal(count, 3);
+    assert.equal(hashName(" Sam  PATEL ", "key"), hashName("sam patel", "key"));
+    assert.notEqual(hashName("Sam Patel", "key"), hashName("Sam Patel", "other-key"));
+    assert.equal(hashName("Sam Patel", ""), null);
+    assert.throws(() => buildNamePattern(["", " "]), { code: "BAD_REQUEST" });
+  });
+});
+
+describe("erasure with the local publisher and store", () => {
+  const env = { ...process.env };
+  let tmpDir;
+  let storeDir;
+  let publishedDir;
+  let projectsDir;
+  let outputDir;
+
+  async function seedMeeting(meetingId, participant) {
+    await localStore.upsertMeeting({
+      projectName: "yakshaver",
+      meetingId,
+      meetingDate: meetingId.slice(0, 10),
+      dashboardPath: `yakshaver/${meetingId}`,
+      consolidated: {
+        summary: [`${participant} demoed the export flow`],
+        participants: [{ name: participant }, { name: "Alex Chen" }],
+      },
+      metadata: { participantCount: 2 },
+    });
+    await localStore.upsertActionItems([
+      {
+        id: `ai-${meetingId}`,
+        projectName: "yakshaver",
+        sourceMeetingId: meetingId,
+        owner: participant,
+        task: "Fix login regression",
+        status: "open",
+      },
+    ]);
+    const html = `<html><body>${participant} and Alex Chen</body></html>`;
+    await writeFile(path.join(publishedDir, "yakshaver", meetingId, "index.html"), html);
+    await writeFile(
+      path.join(publishedDir, "yakshaver", meetingId, "versions", "20260302T100500Z", "index.html"),
+      html,
+    );
+    await writeFile(
+      path.join(projectsDir, "yakshaver", meetingId, "transcript.vtt"),
+      `WEBVTT\n\n00:00:01.000 --> 00:00:04.000\n<v ${participant}>Morning all</v>\n`,
+    );
+    await writeFile(path.join(outputDir, `yakshaver-${meetingId}.html`), html);
+  }
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-erasure-"));
+    storeDir = path.join(tmpDir, "store");
+    publishedDir = path.join(tmpDir, "published");
+    projectsDir = path.join(tmpDir, "projects");
+    outputDir = path.join(tmpDir, "output");
+
+    delete process.env.COSMOS_ENDPOINT;
+    process.env.LOCAL_STORE_DIR = storeDir;
+    process.env.DASHBOARD_PUBLISHER = "local";
+    process.env.DASHBOARD_LOCAL_DIR = publishedDir;
+
+    await seedMeeting("2026-03-02-100000", "Sam Patel");
+    await seedMeeting("2026-03-09-100000", "Sam Patel");
+    await seedMeeting("2026-03-16-100000", "Jordan Lee");
+  });
+
+  after(async () => {
+    process.env = { ...env };
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("deletes everything kept for a meeting and records the erasure", async () => {
+    const audit = await deleteMeeting({
+      projectName: "yakshaver",
+      meetingId: "2026-03-16-100000",
+      requestedBy: "privacy@ssw.com.au",
+      reason: "Recorded by mistake",
+      projectsDir,
+      outputDir,
+    });
+
+    assert.deepEqual(audit.results, {
+      publishedFilesDeleted: 2,
+      meetingRecordDeleted: true,
+      actionItemsDeleted: 1,
+      localPathsRemoved: 2,
+      indexPagesRepublished: true,
+    });
+    assert.equal(await exists(path.join(publishedDir, "yakshaver", "2026-03-16-100000")), false);
+    assert.equal(await exists(path.join(projectsDir, "yakshaver", "2026-03-16-100000")), false);
+    assert.equal(await exists(path.join(outputDir, "yakshaver-2026-03-16-100000.html")), false);
+    assert.equal(await localStore.getMeeting("yakshaver", "2026-03-16-100000"), null);
+    assert.deepEqual(
+      (await localStore.queryActionItems({ projectName: "yakshaver" })).map((item) => item.id),
+      ["ai-2026-03-02-100000", "ai-2026-03-09-100000"],
+    );
+
+    const projectIndex = await fs.readFile(path.join(publishedDir, "yakshaver", "index.html"), "utf-8");
+    assert.match(projectIndex, /2026-03-09-100000/);
+    assert.doesNotMatch(projectIndex, /2026-03-16-100000/);
+
+    const [stored] = await readAudits(storeDir);
+    assert.equal(stored.type, "delete-meeting");
+    assert.equal(stored.meetingId, "2026-03-16-100000");
+    assert.equal(stored.requestedBy, "privacy@ssw.com.au");
+    assert.equal(stored.reason, "Recorded by mistake");
+
+    await assert.rejects(
+      deleteMeeting({ projectName: "yakshaver", meetingId: "..", projectsDir, outputDir }),
+      { code: "BAD_REQUEST" },
+    );
+  });
+
+  it("redacts a person everywhere and keeps only a keyed hash of the name", async () => {
+    process.env.ERASURE_HASH_KEY = "test-erasure-key";
+    // Their stored analysis doesn't mention Sam, an older dashboard version does
+    await seedMeeting("2026-03-23-100000", "Jordan Lee");
+    const olderVersion = path.join(
+      publishedDir, "yakshaver", "2026-03-23-100000", "versions", "20260323T090000Z", "index.html",
+    );
+    await writeFile(olderVersion, "<html><body>Sam Patel and Jordan Lee</body></html>");
+    const [exportedItem] = await localStore.queryActionItems({ projectName: "yakshaver" });
+    await localStore.upsertActionItems([
+      { ...exportedItem, external: { target: "github", id: "7", url: "https://github.com/o/r/issues/7" } },
+    ]);
+
+    const exportCalls = [];
+    const audit = await forgetPerson({
+      name: "Sam Patel",
+      aliases: ["Sam"],
+      requestedBy: "privacy@ssw.com.au",
+      projectsDir,
+      outputDir,
+      updateExportedItems: async (params) => {
+        exportCalls.push(params);
+        return { updated: params.items.filter((item) => item.external).length, failed: 0 };
+      },
+    });
+
+    assert.deepEqual(audit.results, {
+      meetings: ["yakshaver/2026-03-09-100000", "yakshaver/2026-03-02-100000"],
+      actionItems: 2,
+      exportedItems: 1,
+      exportedItemsFailed: 0,
+      publishedFiles: 5,
+      localFiles: 4,
+    });
+    assert.equal(exportCalls.length, 1);
+    assert.equal(exportCalls[0].projectName, "yakshaver");
+    assert.deepEqual(
+      exportCalls[0].items.map((item) => item.owner),
+      ["[Redacted]", "[Redacted]"],
+    );
+    assert.equal(audit.subjectHash, hashName("Sam Patel", "test-erasure-key"));
+    assert.doesNotMatch(JSON.stringify(await readAudits(storeDir)), /Sam/);
+
+    const meeting = await localStore.getMeeting("yakshaver", "2026-03-09-100000");
+    assert.deepEqual(meeting.consolidated.participants, [{ name: "[Redacted]" }, { name: "Alex Chen" }]);
+    assert.equal(meeting.dashboardPath, "yakshaver/2026-03-09-100000");
+
+    const [item] = await localStore.queryActionItems({ projectName: "yakshaver" });
+    assert.equal(item.owner, "[Redacted]");
+
+    const version = await fs.readFile(
+      path.join(publishedDir, "yakshaver", "2026-03-02-100000", "versions", "20260302T100500Z", "index.html"),
+      "utf-8",
+    );
+    assert.equal(version, "<html><body>[Redacted] and Alex Chen</body></html>");
+    assert.equal(await fs.readFile(olderVersion, "utf-8"), "<html><body>[Redacted] and Jordan Lee</body></html>");
+    const transcript = await fs.readFile(
+      path.join(projectsDir, "yakshaver", "2026-03-02-100000", "transcript.vtt"),
+      "utf-8",
+    );
+    assert.match(transcript, /<v \[Redacted\]>Morning all/);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Azure DevOps Boards action item exporter ("azure-devops").
+ *
+ * Project config (see actionItemExport.js):
+ *   { "target": "azure-devops", "organization": "ssw", "project": "TinaCMS",
+ *     "areaPath": "TinaCMS\\Web", "workItemType": "Task", "doneState": "Done",
+ *     "supersededState": "Removed", "labels": ["tiger"],
+ *     "assignees": { "Sam Patel": "sam@ssw.com.au" } }
+ *
+ * labels become work item tags. workItemType defaults to "Task", doneState
+ * (the process's closed state) to "Done" and supersededState to "Removed"
+ * (the Basic process has no Removed state: use "Done").
+ *
+ * Required env vars:
+ *   AZURE_DEVOPS_TOKEN  - personal access token with Work Items read/write
+ *
+ * Optional env vars:
+ *   AZURE_DEVOPS_URL    - organization host (default: https://dev.azure.com)
+ */
+
+const DEFAULT_URL = "https://dev.azure.com";
+const API_VERSION = "7.1";
+
+function validateConfig(config) {
+  const missing = [
+    !config.organization && "organization",
+    !config.project && "project",
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    throw new Error(`Azure DevOps action item export needs: ${missing.join(", ")}`);
+  }
+  if (!process.env.AZURE_DEVOPS_TOKEN) {
+    throw new Error("AZURE_DEVOPS_TOKEN is required for Azure DevOps action item export");
+  }
+}
+
+async function request(method, config, apiPath, operations) {
+  const base = (process.env.AZURE_DEVOPS_URL || DEFAULT_URL).replace(/\/$/, "");
+  const url =
+    `${base}/${encodeURIComponent(config.organization)}/${encodeURIComponent(config.project)}` +
+    `/_apis/wit/workitems/${apiPath}?api-version=${API_VERSION}`;
+  const auth = Buffer.from(`:${process.env.AZURE_DEVOPS_TOKEN}`).toString("base64");
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Basic ${auth}`,
+      "Content-Type": "application/json-patch+json",
+    },
+    body: JSON.stringify(operations),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(
+      `Azure DevOps ${method} workitems/${apiPath} failed: ${response.status} - ${errorText}`,
+    );
+  }
+  return response.json();
+}
+
+// System.Description is HTML
+function toHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\n/g, "<br>");
+}
+
+function field(name, value) {
+  return { op: "add", path: `/fields/${name}`, value };
+}
+
+function toRef(workItem) {
+  return {
+    target: "azure-devops",
+    id: String(workItem.id),
+    url: workItem._links?.html?.href ?? workItem.url,
+  };
+}
+
+/**
+ * @param {Object} config - project config
+ * @param {Object} content - { title, body, assignee, done, superseded } from actionItemExport.js
+ * @returns {Promise<{target: string, id: string, url: string}>}
+ */
+async function createItem(config, { title, body, assignee }) {
+  const operations = [
+    field("System.Title", title),
+    field("System.Description", toHtml(body)),
+  ];
+  if (config.areaPath) operations.push(field("System.AreaPath", config.areaPath));
+  if (assignee) operations.push(field("System.AssignedTo", assignee));
+  if (config.labels?.length) operations.push(field("System.Tags", config.labels.join("; ")));
+
+  const type = encodeURIComponent(config.workItemType || "Task");
+  return toRef(await request("POST", config, `$${type}`, operations));
+}
+
+/**
+ * Update the work item's text and move it to doneState once the item is
+ * done, or supersededState once it's superseded. `unassign` clears
+ * System.AssignedTo.
+ */
+async function updateItem(config, ref, { title, body, done, superseded, unassign }) {
+  const operations = [
+    field("System.Title", title),
+    field("System.Description", toHtml(body)),
+  ];
+  if (unassign) operations.push(field("System.AssignedTo", ""));
+  if (done) operations.push(field("System.State", config.doneState || "Done"));
+  if (superseded) operations.push(field("System.State", config.supersededState || "Removed"));
+
+  return toRef(await request("PATCH", config, encodeURIComponent(ref.id), operations));
+}
+
+module.exports = { validateConfig, createItem, updateItem };
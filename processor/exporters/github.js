@@ -0,0 +1,81 @@
+/**
+ * GitHub Issues action item exporter ("github").
+ *
+ * Project config (see actionItemExport.js):
+ *   { "target": "github", "repo": "owner/name",
+ *     "labels": ["tiger"], "assignees": { "Sam Patel": "sampatel" } }
+ *
+ * Required env vars:
+ *   GITHUB_TOKEN    - token with issues read/write on the repo
+ *
+ * Optional env vars:
+ *   GITHUB_API_URL  - API base URL (default: https://api.github.com)
+ */
+
+const DEFAULT_API_URL = "https://api.github.com";
+
+function validateConfig(config) {
+  if (!/^[^/\s]+\/[^/\s]+$/.test(config.repo || "")) {
+    throw new Error('GitHub action item export needs "repo" as "owner/name"');
+  }
+  if (!process.env.GITHUB_TOKEN) {
+    throw new Error("GITHUB_TOKEN is required for GitHub action item export");
+  }
+}
+
+async function request(method, apiPath, body) {
+  const base = (process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/$/, "");
+  const response = await fetch(`${base}${apiPath}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+      Accept: "application/vnd.github+json",
+      "X-GitHub-Api-Version": "2022-11-28",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`GitHub ${method} ${apiPath} failed: ${response.status} - ${errorText}`);
+  }
+  return response.json();
+}
+
+function toRef(issue) {
+  return { target: "github", id: String(issue.number), url: issue.html_url };
+}
+
+/**
+ * @param {Object} config - project config
+ * @param {Object} content - { title, body, assignee, done, superseded } from actionItemExport.js
+ * @returns {Promise<{target: string, id: string, url: string}>}
+ */
+async function createItem(config, { title, body, assignee }) {
+  const issue = await request("POST", `/repos/${config.repo}/issues`, {
+    title,
+    body,
+    labels: config.labels || [],
+    assignees: assignee ? [assignee] : [],
+  });
+  return toRef(issue);
+}
+
+/**
+ * Update the issue's text and close it once the item is done, or as not
+ * planned once it's superseded. `unassign` clears the assignees.
+ */
+async function updateItem(config, ref, { title, body, done, superseded, unassign }) {
+  const issue = await request("PATCH", `/repos/${config.repo}/issues/${ref.id}`, {
+    title,
+    body,
+    ...(unassign && { assignees: [] }),
+    state: done || superseded ? "closed" : "open",
+    ...(done && { state_reason: "completed" }),
+    ...(superseded && { state_reason: "not_planned" }),
+  });
+  return toRef(issue);
+}
+
+module.exports = { validateConfig, createItem, updateItem };
@@ -0,0 +1,120 @@
+/**
+ * Offline fixture analysis backend ("fixture").
+ *
+ * Deterministic stand-in for Claude: copies canned agent outputs into
+ * analysis/ and renders dashboard/index.html from templates/dashboard.html.
+ * No network and no credentials, so CI and local devs can run
+ * processTranscript end to end and assert on deploy/persist behaviour.
+ *
+ * Optional env vars:
+ *   ANALYSIS_FIXTURE_DIR  - directory of canned analysis/*.json
+ *                           (default: processor/fixtures/analysis)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+const { CHUNK_OUTPUTS } = require("./chunkedAnalysis");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "fixtures", "analysis");
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function listItems(items) {
+  return (items || []).map((item) => `<li>${escapeHtml(item)}</li>`).join("\n");
+}
+
+function quickStat(label, value) {
+  return `<div class="bg-white rounded-lg p-4 border-l-4 border-ssw-red"><p class="text-2xl font-bold">${escapeHtml(value)}</p><p class="text-sm text-ssw-gray-500">${escapeHtml(label)}</p></div>`;
+}
+
+/**
+ * Fill the dashboard template from consolidated.json. Sections the fixture
+ * has no data for render empty; {{CHART_SCRIPTS}} sits inside a <script>
+ * block, so it must stay valid JavaScript.
+ */
+function renderDashboard(template, { consolidated, projectName, meetingDate }) {
+  const values = {
+    PROJECT_NAME: escapeHtml(projectName),
+    DATE: escapeHtml(meetingDate),
+    MEETING_TYPE: escapeHtml(consolidated.meetingType || "Meeting"),
+    DURATION: escapeHtml(consolidated.meetingDuration?.formatted || ""),
+    GENERATED_AT: "Generated from offline fixtures",
+    SUMMARY: listItems(consolidated.summary),
+    KEY_DECISIONS: listItems(consolidated.decisions),
+    NEXT_STEPS: listItems(
+      (consolidated.actionItems || []).map((a) => `${a.owner}: ${a.task}`),
+    ),
+    QUICK_STATS: [
+      quickStat("Participants", consolidated.participants?.length ?? 0),
+      quickStat("Topics", consolidated.topics?.length ?? 0),
+      quickStat("Action items", consolidated.actionItems?.length ?? 0),
+      quickStat("Minutes", consolidated.meetingDuration?.totalMinutes ?? 0),
+    ].join("\n"),
+    CHART_SCRIPTS: "// No charts in fixture dashboards",
+  };
+
+  return template.replace(/\{\{([A-Z_]+)\}\}/g, (_, key) => values[key] ?? "");
+}
+
+/**
+ * @param {Object} params - same as claudeRunner.invokeClaude
+ * @returns {Promise<{stderr: string, usage: null}>}
+ */
+async function runAnalysis({ projectName, meetingDate, meetingPath, rootDir, resume, repair, chunk }) {
+  const fixtureDir = process.env.ANALYSIS_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+
+  // One chunk of a long meeting: only the chunk's specialist outputs, no dashboard
+  if (chunk) {
+    const chunkDir = path.join(meetingPath, chunk.analysisDir);
+    await fs.mkdir(chunkDir, { recursive: true });
+    const done = new Set(resume?.completed || []);
+    for (const output of CHUNK_OUTPUTS.filter((output) => !done.has(output))) {
+      await fs.copyFile(path.join(fixtureDir, `${output}.json`), path.join(chunkDir, `${output}.json`));
+    }
+    return { stderr: "", usage: null };
+  }
+  const analysisDir = path.join(meetingPath, "analysis");
+  const dashboardDir = path.join(meetingPath, "dashboard");
+  await fs.mkdir(analysisDir, { recursive: true });
+  await fs.mkdir(dashboardDir, { recursive: true });
+
+  log("info", "Using offline fixture analysis", { fixtureDir });
+
+  // Like a resumed Claude run, leave outputs from a previous attempt alone;
+  // a schema repair only rewrites the failing outputs
+  const keep = new Set((resume?.completed || []).map((stage) => `${stage}.json`));
+  const only = repair ? new Set(repair.map((r) => `${r.output}.json`)) : null;
+  const files = (await fs.readdir(fixtureDir)).filter(
+    (f) => f.endsWith(".json") && !keep.has(f) && (!only || only.has(f)),
+  );
+  for (const file of files) {
+    await fs.copyFile(path.join(fixtureDir, file), path.join(analysisDir, file));
+  }
+
+  const consolidated = JSON.parse(
+    await fs.readFile(path.join(analysisDir, "consolidated.json"), "utf-8"),
+  );
+  const template = await fs.readFile(
+    path.join(rootDir, "templates", "dashboard.html"),
+    "utf-8",
+  );
+  await fs.writeFile(
+    path.join(dashboardDir, "index.html"),
+    renderDashboard(template, { consolidated, projectName, meetingDate }),
+    "utf-8",
+  );
+
+  return { stderr: "", usage: null };
+}
+
+// No credentials needed
+function validateCredentials() {}
+
+module.exports = { model: "fixture", validateCredentials, runAnalysis, renderDashboard };
@@ -4,12 +4,38 @@
  * Meeting Transcript Processor - Orchestrator
  *
  * Coordinates the pipeline: setup → Claude analysis → deploy → persist.
+ * Stage progress is reported to the execution registry (lib/executionStatus)
+ * when STATUS_REPORT_URL is set; claudeRunner also reports progress previews.
+ *
+ * The analysis backend is chosen by ANALYSIS_BACKEND (cli | sdk | fixture,
+ * see analysisBackend.js). With ANALYSIS_BACKEND=fixture the whole pipeline
+ * runs offline.
+ *
+ * Talk time, interruptions and meeting cost are computed before the
+ * analysis and given to the agents as ground truth (see meetingMetrics.js).
+ *
+ * Meetings longer than ANALYSIS_CHUNK_THRESHOLD_MINUTES are analysed in
+ * overlapping chunks and merged by the consolidator (see chunkedAnalysis.js).
+ *
+ * Failed analysis runs are retried with backoff, resuming from the agent
+ * outputs that were already written (see analysisResume.js).
+ *
+ * Each run publishes an immutable dashboard version next to the latest one
+ * (see dashboardVersions.js).
+ *
+ * Transcripts can be Teams or Zoom VTT, SRT, Teams DOCX, Zoom JSON, Google
+ * Meet text or plain "Speaker: text" files; they're normalised to VTT first
+ * (see transcriptFormats.js).
  *
  * Usage:
- *   node processor/index.js <transcript-file-path> <project-name>
+ *   node processor/index.js <transcript-file-path> <project-name> [--fresh] [--format <format>]
+ *
+ *   --fresh   discard analysis outputs from an interrupted run of the same transcript
+ *   --format  skip format detection (vtt, srt, zoom-json, teams-docx, google-meet, plain-text)
  *
- * Example:
+ * Examples:
  *   node processor/index.js ./dropzone/2026-01-22-094557.vtt yakshaver
+ *   node processor/index.js ./dropzone/sprint-review.docx yakshaver
  *
  * Exit Codes: 0 = success, 1 = error
  */
@@ -17,17 +43,73 @@
 const fs = require("fs").promises;
 const path = require("path");
 const { log } = require("../lib/logger");
-const { validateTranscriptFilename, setupProjectStructure } = require("./projectSetup");
-const { validateCredentials, invokeClaude } = require("./claudeRunner");
-const { checkOutputExists, copyToOutputDirectory, deployDashboard, persistToCosmos } = require("./deployer");
-const { validateAndRepairDashboard } = require("./dashboardValidator");
+const { setupProjectStructure } = require("./projectSetup");
+const {
+  ingestTranscript,
+  writeTranscriptSource,
+  writeTranscriptModel,
+} = require("./transcriptFormats");
+const { getAnalysisBackend } = require("./analysisBackend");
+const { runAnalysisWithRetries, markRunComplete } = require("./analysisResume");
+const { writeChunkPlan, runChunkedAnalysis } = require("./chunkedAnalysis");
+const { validateAndRepairAnalysis } = require("./analysisSchema");
+const { addUsage } = require("../lib/usage");
+const { getPromptVersion } = require("./dashboardVersions");
+const { writeOpenActionItems } = require("./actionItems");
+const { writeMeetingHistory } = require("./meetingHistory");
+const { writeMeetingMetrics } = require("./meetingMetrics");
+const {
+  getRedactionConfig,
+  redactTranscript,
+  redactAttendees,
+  writeRedactionRecord,
+} = require("./transcriptRedaction");
+const deployer = require("./deployer");
+const { checkOutputExists, copyToOutputDirectory } = deployer;
+const {
+  validateDashboard,
+  writeDashboardReport,
+  assertDashboardDeployable,
+  setAsideInvalidDashboard,
+} = require("./dashboardValidator");
+const { STAGES, withStage } = require("../lib/executionStatus");
 
 const ROOT_DIR = path.join(__dirname, "..");
 const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(ROOT_DIR, "output");
 
-async function processTranscript(transcriptPath, projectSlug) {
-  // Validate credentials first (fail fast)
-  validateCredentials();
+/**
+ * Run the full pipeline for one transcript.
+ *
+ * @param {string} transcriptPath
+ * @param {string} projectSlug
+ * @param {Object} [options] - overrides, mainly for offline runs and tests
+ * @param {Object} [options.backend] - analysis backend (default: getAnalysisBackend())
+ * @param {Function} [options.deployDashboard] - replaces blob deployment
+ * @param {Function} [options.persistToCosmos] - replaces persistence to the
+ *   meeting store (Cosmos DB, or local files without COSMOS_ENDPOINT)
+ * @param {string} [options.projectsDir] - where meeting folders are created
+ * @param {string} [options.outputDir] - convenience copy destination
+ * @param {boolean} [options.fresh] - don't resume from previous agent outputs
+ * @param {string} [options.format] - transcript format, skips detection
+ *   (see transcriptFormats.js)
+ * @param {Object} [options.retry] - runAnalysisWithRetries options
+ * @param {Object} [options.actionItemStore] - replaces the action item store
+ *   (see actionItems.js)
+ * @param {Object} [options.meetingStore] - replaces the meeting store read for
+ *   history.json (see meetingHistory.js)
+ */
+async function processTranscript(transcriptPath, projectSlug, options = {}) {
+  const backend = options.backend || getAnalysisBackend();
+  const deployDashboard = options.deployDashboard || deployer.deployDashboard;
+  const persistToCosmos = options.persistToCosmos || deployer.persistToCosmos;
+  const projectsDir = options.projectsDir || path.join(ROOT_DIR, "projects");
+  const outputDir = options.outputDir || OUTPUT_DIR;
+
+  // Validate credentials and deploy config first (fail fast)
+  backend.validateCredentials();
+  if (!options.deployDashboard) {
+    deployer.validateDeployConfig(projectSlug);
+  }
 
   // Validate transcript file exists
   try {
@@ -36,80 +118,185 @@ async function processTranscript(transcriptPath, projectSlug) {
     throw new Error(`Transcript file not found: ${transcriptPath}`);
   }
 
-  // Parse meeting info from filename
+  // Normalise the transcript and work out the meeting ID
   const resolvedPath = path.resolve(transcriptPath);
-  const { meetingId, meetingDate, meetingTime } = validateTranscriptFilename(resolvedPath);
+  const transcript = await ingestTranscript(resolvedPath, { format: options.format });
+  const { meetingId, meetingDate, meetingTime } = transcript;
   // Display name for Claude prompt / notifications (from env, set by entrypoint.sh)
   const displayName = process.env.PROJECT_NAME || projectSlug;
-  const projectPath = path.join(ROOT_DIR, "projects", projectSlug);
+  const projectPath = path.join(projectsDir, projectSlug);
   const meetingPath = path.join(projectPath, meetingId);
 
-  log("debug", "Initialized", { meetingId, meetingDate, meetingTime });
+  log("debug", "Initialized", { meetingId, meetingDate, meetingTime, backend: backend.name });
 
-  // Setup project structure
-  await setupProjectStructure({ meetingPath, transcriptPath: resolvedPath });
+  // Emails, phone numbers, card numbers, keys and project terms are replaced
+  // before the transcript is stored or analysed (see transcriptRedaction.js)
+  const redactionConfig = getRedactionConfig(projectSlug);
+  let redaction = redactionConfig.enabled
+    ? redactTranscript(transcript.vtt, { terms: redactionConfig.terms })
+    : null;
+  const transcriptVtt = redaction ? redaction.vtt : transcript.vtt;
 
-  // Invoke Claude Code CLI (uses display name for human-readable prompt)
-  await invokeClaude({
+  // Setup project structure (the invite list in attendees.json is redacted
+  // with the transcript's placeholders)
+  await setupProjectStructure({
+    meetingPath,
+    transcriptPath: resolvedPath,
+    transcriptContent: transcriptVtt,
+    fresh: options.fresh,
+    ...(redaction && {
+      redactAttendees: (attendees) => {
+        const result = redactAttendees(attendees, redaction, { terms: redactionConfig.terms });
+        redaction = result.redaction;
+        return result.attendees;
+      },
+    }),
+  });
+  await writeRedactionRecord({ meetingPath, redaction, key: redactionConfig.key });
+  await writeTranscriptSource(meetingPath, resolvedPath, transcript);
+  const transcriptModel = await writeTranscriptModel(meetingPath, transcriptVtt);
+
+  // Talk time, interruptions, participation and cost, computed in code so
+  // they're the same on every rerun (see meetingMetrics.js)
+  await writeMeetingMetrics({ meetingPath, model: transcriptModel });
+
+  // Meetings too long for one session are analysed in overlapping chunks
+  // (see chunkedAnalysis.js)
+  const chunkMap = await writeChunkPlan({ meetingPath, model: transcriptModel });
+
+  // Open action items from earlier meetings, for the accountability audit
+  // (non-fatal: the analysis just runs without them)
+  let openActionItemCount = 0;
+  try {
+    openActionItemCount = await writeOpenActionItems({
+      projectName: projectSlug,
+      meetingId,
+      meetingPath,
+      store: options.actionItemStore,
+    });
+  } catch (err) {
+    log("warn", "Could not load open action items (non-fatal)", { error: err.message });
+  }
+
+  // Prior meetings from the meeting store, for trends and recurring issues
+  // (non-fatal: the longitudinal analysis just has less to compare against)
+  let historyMeetingCount = 0;
+  try {
+    historyMeetingCount = await writeMeetingHistory({
+      projectName: projectSlug,
+      meetingId,
+      meetingDate,
+      meetingPath,
+      store: options.meetingStore,
+    });
+  } catch (err) {
+    log("warn", "Could not load meeting history (non-fatal)", { error: err.message });
+  }
+
+  // Uses display name for human-readable prompt
+  const analysisParams = {
     projectName: displayName,
     projectSlug,
     meetingId,
     meetingDate,
     meetingPath,
-    outputDir: OUTPUT_DIR,
+    outputDir,
     rootDir: ROOT_DIR,
-  });
+    openActionItemCount,
+    historyMeetingCount,
+  };
 
-  // Check output exists
-  const canonicalPath = await checkOutputExists({
-    meetingPath,
-    outputDir: OUTPUT_DIR,
-    projectName: projectSlug,
-    meetingId,
-  });
+  // Run the analysis
+  const analysis = await withStage(STAGES.ANALYSIS, () =>
+    chunkMap
+      ? runChunkedAnalysis(backend, analysisParams, chunkMap, options.retry)
+      : runAnalysisWithRetries(backend, analysisParams, options.retry),
+  );
+  let usage = analysis.usage;
 
-  // Guard against syntax errors in inline <script> blocks (mainly the
-  // tailwind.config block, which the model has been observed to corrupt
-  // in rare regenerations - see GitHub issue #98).
-  try {
-    await validateAndRepairDashboard(
-      canonicalPath,
+  const canonicalPath = await withStage(STAGES.VALIDATION, async () => {
+    // Check the agent outputs against their JSON Schema, re-prompting
+    // Claude with the errors if they drifted (non-fatal)
+    const { usage: repairUsage } = await validateAndRepairAnalysis(backend, analysisParams);
+    usage = addUsage(usage, repairUsage);
+
+    // Keep the run's token usage/cost with the analysis so persistToCosmos
+    // (and later re-deploys) can record it
+    if (usage) {
+      await fs.writeFile(
+        path.join(meetingPath, "analysis", "usage.json"),
+        JSON.stringify(usage, null, 2),
+      );
+    }
+
+    // Check output exists
+    const outputPath = await checkOutputExists({
+      meetingPath,
+      outputDir,
+      projectName: projectSlug,
+      meetingId,
+    });
+
+    // Repair corrupted inline <script> blocks (mainly the tailwind.config
+    // block, which the model has been observed to corrupt in rare
+    // regenerations - see GitHub issue #98), then check the structure.
+    // Critical failures block deployment.
+    const report = await validateDashboard(
+      outputPath,
       path.join(ROOT_DIR, "templates", "dashboard.html"),
     );
-  } catch (err) {
-    log("warn", "Dashboard validation step failed (non-fatal)", { error: err.message });
-  }
+    await writeDashboardReport(meetingPath, report);
+    if (!report.ok) await setAsideInvalidDashboard(meetingPath, outputPath);
+    assertDashboardDeployable(report);
 
-  // Deploy to Azure Blob Storage
-  const { deployedUrl, dashboardPath: storagePath } = await deployDashboard({
-    dashboardPath: canonicalPath,
-    projectName: projectSlug,
-    meetingId,
+    return outputPath;
   });
 
-  // Persist to Cosmos DB (non-fatal)
-  if (process.env.COSMOS_ENDPOINT) {
-    try {
-      await persistToCosmos({
+  // What produced this dashboard, recorded with its published version
+  const versionInfo = {
+    model: usage?.model || backend.model || null,
+    promptVersion: getPromptVersion(ROOT_DIR),
+    backend: backend.name,
+  };
+
+  // Deploy to the project's publish target
+  const { deployedUrl, dashboardPath: storagePath, version } = await withStage(
+    STAGES.DEPLOY,
+    () =>
+      deployDashboard({
+        dashboardPath: canonicalPath,
+        projectName: projectSlug,
+        meetingId,
+        version: versionInfo,
+      }),
+  );
+
+  // A rerun of this transcript starts over rather than resuming
+  await markRunComplete(meetingPath);
+
+  // Persist to the meeting store (non-fatal)
+  try {
+    await withStage(STAGES.PERSIST, () =>
+      persistToCosmos({
         projectName: projectSlug,
         meetingId,
         meetingDate,
         dashboardPath: storagePath,
         meetingPath,
-      });
-    } catch (err) {
-      log("error", "Failed to persist to Cosmos DB (non-fatal)", {
-        error: err.message,
-      });
-    }
-  } else {
-    log("warn", "COSMOS_ENDPOINT not set, skipping Cosmos DB persistence");
+        usage,
+        version,
+      }),
+    );
+  } catch (err) {
+    log("error", "Failed to persist meeting (non-fatal)", {
+      error: err.message,
+    });
   }
 
   // Copy to output directory for convenience
   const outputCopyPath = await copyToOutputDirectory({
     sourcePath: canonicalPath,
-    outputDir: OUTPUT_DIR,
+    outputDir,
     projectName: projectSlug,
     meetingId,
   });
@@ -121,15 +308,20 @@ async function processTranscript(transcriptPath, projectSlug) {
     dashboardPath: canonicalPath,
     outputCopyPath,
     deployedUrl,
+    version,
+    usage,
   };
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const fresh = process.argv.includes("--fresh");
+  const args = process.argv.slice(2).filter((arg) => arg !== "--fresh");
+  const formatIndex = args.indexOf("--format");
+  const format = formatIndex === -1 ? undefined : args.splice(formatIndex, 2)[1];
 
   if (args.length < 2) {
     console.error(
-      "Usage: node processor/index.js <transcript-file-path> <project-name>",
+      "Usage: node processor/index.js <transcript-file-path> <project-name> [--fresh] [--format <format>]",
     );
     console.error(
       "Example: node processor/index.js ./transcripts/2026-01-22-094557.vtt yakshaver",
@@ -143,7 +335,7 @@ async function main() {
   const [transcriptPath, projectName] = args;
 
   try {
-    const result = await processTranscript(transcriptPath, projectName);
+    const result = await processTranscript(transcriptPath, projectName, { fresh, format });
     console.error(
       JSON.stringify({
         level: "info",
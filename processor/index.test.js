@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { processTranscript } = require("./index");
+const { getAnalysisBackend } = require("./analysisBackend");
+const { extractInlineScripts, findSyntaxError } = require("./dashboardValidator");
+
+describe("getAnalysisBackend", () => {
+  it("rejects unknown backends", () => {
+    assert.throws(() => getAnalysisBackend("gpt"), /Unknown ANALYSIS_BACKEND "gpt"/);
+  });
+
+  it("loads the fixture backend without credentials", () => {
+    const backend = getAnalysisBackend("fixture");
+    assert.equal(backend.name, "fixture");
+    assert.doesNotThrow(() => backend.validateCredentials());
+  });
+});
+
+describe("processTranscript with the fixture backend", () => {
+  let tmpDir;
+  let transcriptPath;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-pipeline-"));
+    transcriptPath = path.join(tmpDir, "2026-03-02-100000.vtt");
+    await fs.writeFile(
+      transcriptPath,
+      "WEBVTT\n\n00:00:01.000 --> 00:00:04.000\n<v Alice>Morning all</v>\n",
+    );
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("runs the whole pipeline offline and hands the dashboard to deploy/persist", async () => {
+    const deployCalls = [];
+    const persistCalls = [];
+
+    const result = await processTranscript(transcriptPath, "yakshaver", {
+      backend: getAnalysisBackend("fixture"),
+      projectsDir: path.join(tmpDir, "projects"),
+      outputDir: path.join(tmpDir, "output"),
+      deployDashboard: async (args) => {
+        deployCalls.push(args);
+        return {
+          deployedUrl: "https://dashboards.example.com/yakshaver/2026-03-02-100000/",
+          dashboardPath: "yakshaver/2026-03-02-100000/index.html",
+          version: { versionId: "20260302T100500Z" },
+        };
+      },
+      persistToCosmos: async (args) => {
+        persistCalls.push(args);
+      },
+    });
+
+    const meetingPath = path.join(tmpDir, "projects", "yakshaver", "2026-03-02-100000");
+    const dashboardPath = path.join(meetingPath, "dashboard", "index.html");
+
+    assert.equal(result.meetingId, "2026-03-02-100000");
+    assert.equal(result.meetingDate, "2026-03-02");
+    assert.equal(result.dashboardPath, dashboardPath);
+    assert.equal(result.usage, null);
+
+    assert.equal(deployCalls.length, 1);
+    const { version: versionInfo, ...deployArgs } = deployCalls[0];
+    assert.deepEqual(deployArgs, {
+      dashboardPath,
+      projectName: "yakshaver",
+      meetingId: "2026-03-02-100000",
+    });
+    assert.equal(versionInfo.model, "fixture");
+    assert.equal(versionInfo.backend, "fixture");
+    assert.match(versionInfo.promptVersion, /^[0-9a-f]{12}$/);
+    assert.deepEqual(persistCalls, [
+      {
+        projectName: "yakshaver",
+        meetingId: "2026-03-02-100000",
+        meetingDate: "2026-03-02",
+        dashboardPath: "yakshaver/2026-03-02-100000/index.html",
+        meetingPath,
+        usage: null,
+        version: { versionId: "20260302T100500Z" },
+      },
+    ]);
+
+    const consolidated = JSON.parse(
+      await fs.readFile(path.join(meetingPath, "analysis", "consolidated.json"), "utf-8"),
+    );
+    assert.ok(consolidated.summary.length > 0);
+
+    const html = await fs.readFile(dashboardPath, "utf-8");
+    assert.doesNotMatch(html, /\{\{[A-Z_]+\}\}/);
+    assert.match(html, /yakshaver/);
+    for (const script of extractInlineScripts(html)) {
+      assert.equal(findSyntaxError(script.body), null);
+    }
+
+    await fs.access(path.join(tmpDir, "output", "yakshaver-2026-03-02-100000.html"));
+
+    const dashboardReport = JSON.parse(
+      await fs.readFile(path.join(meetingPath, "analysis", "dashboard-report.json"), "utf-8"),
+    );
+    assert.equal(dashboardReport.ok, true);
+    // so a rerun of the same transcript analyses it again
+    await fs.access(path.join(meetingPath, "analysis", "run-complete.json"));
+  });
+
+  it("persists to the local store when COSMOS_ENDPOINT isn't set", async () => {
+    const env = { ...process.env };
+    delete process.env.COSMOS_ENDPOINT;
+    process.env.LOCAL_STORE_DIR = path.join(tmpDir, "store");
+    process.env.DASHBOARD_PUBLISHER = "local";
+    process.env.DASHBOARD_LOCAL_DIR = path.join(tmpDir, "published");
+
+    try {
+      await processTranscript(transcriptPath, "yakshaver", {
+        backend: getAnalysisBackend("fixture"),
+        fresh: true,
+        projectsDir: path.join(tmpDir, "projects"),
+        outputDir: path.join(tmpDir, "output"),
+        deployDashboard: async () => ({
+          deployedUrl: "http://localhost:8080/yakshaver/2026-03-02-100000",
+          dashboardPath: "yakshaver/2026-03-02-100000",
+          version: { versionId: "20260302T100500Z" },
+        }),
+      });
+
+      const { getMeeting, queryActionItems } = require("../lib/localStore");
+      const meeting = await getMeeting("yakshaver", "2026-03-02-100000");
+      assert.equal(meeting.latestVersionId, "20260302T100500Z");
+      assert.ok(meeting.consolidated.summary.length > 0);
+      assert.deepEqual(meeting.metadata.recurringIssues, [
+        { issue: "Login regression", meetingsSeen: 2 },
+      ]);
+      assert.equal(
+        (await queryActionItems({ projectName: "yakshaver" })).length,
+        meeting.consolidated.actionItems.length,
+      );
+
+      const projectIndex = await fs.readFile(
+        path.join(tmpDir, "published", "yakshaver", "index.html"),
+        "utf-8",
+      );
+      assert.match(projectIndex, /2026-03-02-100000/);
+    } finally {
+      process.env = env;
+    }
+  });
+
+  it("does not deploy a dashboard that fails critical checks", async () => {
+    const fixture = getAnalysisBackend("fixture");
+    const backend = {
+      ...fixture,
+      runAnalysis: async (params) => {
+        const result = await fixture.runAnalysis(params);
+        const dashboardPath = path.join(params.meetingPath, "dashboard", "index.html");
+        const html = await fs.readFile(dashboardPath, "utf-8");
+        await fs.writeFile(dashboardPath, html.replace("</main>", "{{TRENDS_CONTENT}}</main>"));
+        return result;
+      },
+    };
+    let deployed = false;
+
+    await assert.rejects(
+      processTranscript(transcriptPath, "blocked", {
+        backend,
+        fresh: true,
+        projectsDir: path.join(tmpDir, "projects"),
+        outputDir: path.join(tmpDir, "output"),
+        deployDashboard: async () => {
+          deployed = true;
+        },
+        persistToCosmos: async () => {},
+      }),
+      /Dashboard failed validation, not deploying \(placeholders/,
+    );
+    assert.equal(deployed, false);
+    // the next run resumes from this one's outputs, but renders the
+    // dashboard again instead of reusing the blocked one
+    const meetingPath = path.join(tmpDir, "projects", "blocked", "2026-03-02-100000");
+    await assert.rejects(fs.access(path.join(meetingPath, "analysis", "run-complete.json")), {
+      code: "ENOENT",
+    });
+    await assert.rejects(fs.access(path.join(meetingPath, "dashboard", "index.html")), {
+      code: "ENOENT",
+    });
+    assert.match(
+      await fs.readFile(path.join(meetingPath, "analysis", "dashboard.invalid.html"), "utf-8"),
+      /\{\{TRENDS_CONTENT\}\}/,
+    );
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Generated landing pages for the published dashboards.
+ *
+ *   index.html             - the projects published to the same place,
+ *                            with meeting counts
+ *   <project>/index.html   - the project's meetings, newest first, with
+ *                            grade, duration, participant and action-item
+ *                            counts from the Cosmos `metadata`
+ *
+ * Built from the meeting store (lib/store.js queryMeetings /
+ * listProjectSummaries: Cosmos DB, or local files without COSMOS_ENDPOINT)
+ * and republished through the project's publisher after every successful
+ * persistToCosmos, so the pages always match what is stored. Each publisher
+ * gets its own root index, listing only the projects published through it
+ * (see DASHBOARD_PUBLISHER_BY_PROJECT), so its links resolve.
+ *
+ * Nothing is published from a store that doesn't outlive the run (see
+ * lib/store.js isPersistentStore): its pages would list only this meeting.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const { log } = require("../lib/logger");
+const { queryMeetings, listProjectSummaries, isPersistentStore } = require("../lib/store");
+const { getPublisher, publisherNameFor } = require("./publisher");
+
+const STYLES = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0; color: #333; background: #f5f5f5; }
+  header { background: #cc4141; color: #fff; padding: 1.5rem 2rem; }
+  header h1 { margin: 0; font-size: 1.5rem; }
+  header a { color: #fff; }
+  main { padding: 1.5rem 2rem; }
+  table { border-collapse: collapse; width: 100%; background: #fff; }
+  th, td { text-align: left; padding: .6rem .8rem; border-bottom: 1px solid #e5e5e5; }
+  th { background: #fafafa; font-size: .85rem; text-transform: uppercase; color: #797979; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  a { color: #cc4141; }
+  .empty { color: #797979; }`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function page(title, heading, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}
+</style>
+</head>
+<body>
+<header><h1>${heading}</h1></header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function cell(value, className) {
+  const text = value === null || value === undefined ? "–" : escapeHtml(value);
+  return className ? `<td class="${className}">${text}</td>` : `<td>${text}</td>`;
+}
+
+/**
+ * @param {string} projectName
+ * @param {Object[]} meetings - queryMeetings results (any order)
+ * @returns {string} HTML
+ */
+function renderProjectIndex(projectName, meetings) {
+  const sorted = [...meetings].sort(
+    (a, b) =>
+      (b.meetingDate || "").localeCompare(a.meetingDate || "") ||
+      (b.meetingId || "").localeCompare(a.meetingId || ""),
+  );
+
+  const rows = sorted.map((meeting) => {
+    const metadata = meeting.metadata || {};
+    return [
+      "<tr>",
+      cell(meeting.meetingDate),
+      `<td><a href="./${encodeURIComponent(meeting.meetingId)}/">${escapeHtml(meeting.meetingId)}</a></td>`,
+      cell(metadata.grade),
+      cell(metadata.totalDurationMinutes, "num"),
+      cell(metadata.participantCount, "num"),
+      cell(metadata.actionItemsCount, "num"),
+      "</tr>",
+    ].join("");
+  });
+
+  const body = rows.length
+    ? `<table>
+<thead><tr><th>Date</th><th>Meeting</th><th>Grade</th><th>Minutes</th><th>Participants</th><th>Action items</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`
+    : '<p class="empty">No meetings yet.</p>';
+
+  return page(
+    `${projectName} meetings`,
+    `<a href="../">Meetings</a> / ${escapeHtml(projectName)}`,
+    body,
+  );
+}
+
+/**
+ * @param {Object[]} projects - [{ projectName, meetingCount, latestMeetingDate }]
+ * @returns {string} HTML
+ */
+function renderRootIndex(projects) {
+  const sorted = [...projects].sort((a, b) => a.projectName.localeCompare(b.projectName));
+  const rows = sorted.map((project) =>
+    [
+      "<tr>",
+      `<td><a href="./${encodeURIComponent(project.projectName)}/">${escapeHtml(project.projectName)}</a></td>`,
+      cell(project.meetingCount, "num"),
+      cell(project.latestMeetingDate),
+      "</tr>",
+    ].join(""),
+  );
+
+  const body = rows.length
+    ? `<table>
+<thead><tr><th>Project</th><th>Meetings</th><th>Latest meeting</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`
+    : '<p class="empty">No projects yet.</p>';
+
+  return page("Meetings", "Meetings", body);
+}
+
+async function publishPage(publisher, storagePath, html) {
+  const stagedDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-index-"));
+  try {
+    await fs.writeFile(path.join(stagedDir, "index.html"), html);
+    return await publisher.publish({ sourceDir: stagedDir, storagePath });
+  } finally {
+    await fs.rm(stagedDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Regenerate and publish the project's index and its publisher's root index.
+ *
+ * @param {string} projectName
+ * @param {Object} [options]
+ * @param {Object} [options.publisher] - default: getPublisher(projectName)
+ * @param {Object} [options.cosmos] - { queryMeetings, listProjectSummaries }, default lib/store
+ * @param {boolean} [options.persistent] - default: lib/store isPersistentStore()
+ * @returns {Promise<{projectUrl: string, rootUrl: string}|null>} null when skipped
+ */
+async function publishIndexPages(
+  projectName,
+  {
+    publisher = getPublisher(projectName),
+    cosmos = { queryMeetings, listProjectSummaries },
+    persistent = isPersistentStore(),
+  } = {},
+) {
+  if (!persistent) {
+    log("warn", "Meeting store isn't persistent, not publishing index pages", { projectName });
+    return null;
+  }
+
+  const projectMeetings = await cosmos.queryMeetings({ projectName, excludeConsolidated: true });
+  const projects = (await cosmos.listProjectSummaries()).filter(
+    (project) => publisherNameFor(project.projectName) === publisher.name,
+  );
+
+  const projectUrl = await publishPage(
+    publisher,
+    projectName,
+    renderProjectIndex(projectName, projectMeetings),
+  );
+  const rootUrl = await publishPage(publisher, "", renderRootIndex(projects));
+
+  log("info", "Published index pages", { projectUrl, rootUrl, projects: projects.length });
+  return { projectUrl, rootUrl };
+}
+
+module.exports = { renderProjectIndex, renderRootIndex, publishIndexPages };
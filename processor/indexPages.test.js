@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { renderProjectIndex, publishIndexPages } = require("./indexPages");
+const localDir = require("./publishers/localDir");
+
+const MEETINGS = {
+  yakshaver: [
+    {
+      meetingId: "2026-01-15-090000",
+      meetingDate: "2026-01-15",
+      metadata: { grade: "C", totalDurationMinutes: 45, participantCount: 4, actionItemsCount: 2 },
+    },
+    {
+      meetingId: "2026-01-22-094557",
+      meetingDate: "2026-01-22",
+      metadata: { grade: "B", totalDurationMinutes: 30, participantCount: 5, actionItemsCount: 7 },
+    },
+  ],
+  "tina-cms": [{ meetingId: "2026-02-01-100000", meetingDate: "2026-02-01", metadata: {} }],
+};
+
+const cosmos = {
+  listProjectSummaries: async () =>
+    Object.entries(MEETINGS).map(([projectName, meetings]) => ({
+      projectName,
+      meetingCount: meetings.length,
+      latestMeetingDate: meetings.map((m) => m.meetingDate).sort().pop(),
+    })),
+  queryMeetings: async ({ projectName }) => MEETINGS[projectName] || [],
+};
+
+describe("renderProjectIndex", () => {
+  it("lists meetings newest first with their metadata", () => {
+    const html = renderProjectIndex("yakshaver", MEETINGS.yakshaver);
+
+    const newer = html.indexOf('href="./2026-01-22-094557/"');
+    const older = html.indexOf('href="./2026-01-15-090000/"');
+    assert.ok(newer !== -1 && older !== -1 && newer < older);
+    assert.match(html, /<td>B<\/td><td class="num">30<\/td><td class="num">5<\/td><td class="num">7<\/td>/);
+  });
+
+  it("escapes project names and shows missing values as dashes", () => {
+    const html = renderProjectIndex("<script>", [
+      { meetingId: "2026-02-01-100000", meetingDate: "2026-02-01", metadata: {} },
+    ]);
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /<td>–<\/td>/);
+  });
+});
+
+describe("publishIndexPages", () => {
+  let tmpDir;
+  const env = { ...process.env };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-index-test-"));
+    process.env.DASHBOARD_LOCAL_DIR = tmpDir;
+    process.env.DASHBOARD_LOCAL_URL = "http://localhost:9090";
+    process.env.DASHBOARD_PUBLISHER = "local";
+    delete process.env.DASHBOARD_PUBLISHER_BY_PROJECT;
+  });
+
+  after(async () => {
+    process.env = { ...env };
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("publishes the project index and the root index next to the dashboards", async () => {
+    const publisher = { name: "local", ...localDir };
+
+    const result = await publishIndexPages("yakshaver", { publisher, cosmos });
+
+    assert.deepEqual(result, {
+      projectUrl: "http://localhost:9090/yakshaver",
+      rootUrl: "http://localhost:9090/",
+    });
+    const projectIndex = await fs.readFile(path.join(tmpDir, "yakshaver", "index.html"), "utf-8");
+    assert.match(projectIndex, /2026-01-22-094557/);
+
+    const rootIndex = await fs.readFile(path.join(tmpDir, "index.html"), "utf-8");
+    assert.match(rootIndex, /href="\.\/tina-cms\/">tina-cms<\/a><\/td><td class="num">1<\/td><td>2026-02-01<\/td>/);
+    assert.match(rootIndex, /href="\.\/yakshaver\/">yakshaver<\/a><\/td><td class="num">2<\/td><td>2026-01-22<\/td>/);
+  });
+
+  it("lists only the projects published to the same place in the root index", async () => {
+    process.env.DASHBOARD_PUBLISHER_BY_PROJECT = JSON.stringify({ "tina-cms": "s3" });
+    const publisher = { name: "local", ...localDir };
+
+    await publishIndexPages("yakshaver", { publisher, cosmos });
+
+    const rootIndex = await fs.readFile(path.join(tmpDir, "index.html"), "utf-8");
+    assert.match(rootIndex, /yakshaver/);
+    assert.doesNotMatch(rootIndex, /tina-cms/);
+    delete process.env.DASHBOARD_PUBLISHER_BY_PROJECT;
+  });
+
+  it("publishes nothing from a store that doesn't outlive the run", async () => {
+    const publisher = {
+      name: "local",
+      publish: async () => assert.fail("should not publish"),
+    };
+
+    assert.equal(await publishIndexPages("yakshaver", { publisher, cosmos, persistent: false }), null);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Prior meetings for the longitudinal analysis.
+ *
+ * In a fresh container the projects/ tree only holds the current meeting, so
+ * the longitudinal-analyzer has nothing to compare against. Before the
+ * analysis, the project's last MEETING_HISTORY_LIMIT meetings are read from
+ * the meeting store (see lib/store.js) and written to <meeting>/history.json
+ * in a compact form, newest first:
+ *
+ *   { projectName, meetings: [{ meetingId, meetingDate, meetingType, grade,
+ *       durationMinutes, participants, topics, decisions, actionItems,
+ *       recurringIssues }],
+ *     recurringTopics: [{ topic, meetingsSeen, lastSeen }] }
+ *
+ * Optional env vars:
+ *   MEETING_HISTORY_LIMIT  - prior meetings to include (default: 5, 0 disables)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+const { queryMeetingsPage } = require("../lib/store");
+
+const HISTORY_FILENAME = "history.json";
+const DEFAULT_HISTORY_LIMIT = 5;
+
+function getHistoryLimit() {
+  const limit = Number(process.env.MEETING_HISTORY_LIMIT ?? DEFAULT_HISTORY_LIMIT);
+  return Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+function names(list, key) {
+  return (Array.isArray(list) ? list : [])
+    .map((entry) => (typeof entry === "string" ? entry : entry?.[key]))
+    .filter(Boolean);
+}
+
+/**
+ * The parts of a stored meeting the longitudinal analysis needs.
+ */
+function summarizeMeeting(meeting) {
+  const consolidated = meeting.consolidated || {};
+  const metadata = meeting.metadata || {};
+  return {
+    meetingId: meeting.meetingId,
+    meetingDate: meeting.meetingDate,
+    meetingType: consolidated.meetingType ?? null,
+    grade: metadata.grade ?? null,
+    durationMinutes:
+      metadata.totalDurationMinutes ?? consolidated.meetingDuration?.totalMinutes ?? null,
+    participants: names(consolidated.participants, "name"),
+    topics: names(consolidated.topics, "title"),
+    decisions: names(consolidated.decisions, "decision"),
+    actionItems: (consolidated.actionItems || []).map(({ owner, task, due }) => ({
+      owner: owner ?? null,
+      task,
+      due: due ?? null,
+    })),
+    recurringIssues: metadata.recurringIssues || [],
+  };
+}
+
+/**
+ * Topics raised in more than one of the given meetings (matched
+ * case-insensitively), most frequent first.
+ */
+function findRecurringTopics(meetings) {
+  const byTopic = new Map();
+  for (const meeting of meetings) {
+    const seen = new Set();
+    for (const topic of meeting.topics) {
+      const key = topic.trim().toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = byTopic.get(key) || { topic, meetingsSeen: 0, lastSeen: meeting.meetingDate };
+      entry.meetingsSeen++;
+      if (meeting.meetingDate > entry.lastSeen) entry.lastSeen = meeting.meetingDate;
+      byTopic.set(key, entry);
+    }
+  }
+  return [...byTopic.values()]
+    .filter((entry) => entry.meetingsSeen > 1)
+    .sort((a, b) => b.meetingsSeen - a.meetingsSeen || b.lastSeen.localeCompare(a.lastSeen));
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {Object[]} params.meetings - stored meeting records, newest first
+ * @returns {Object} history.json content
+ */
+function buildMeetingHistory({ projectName, meetings }) {
+  const summaries = meetings.map(summarizeMeeting);
+  return {
+    projectName,
+    meetings: summaries,
+    recurringTopics: findRecurringTopics(summaries),
+  };
+}
+
+const defaultStore = { queryMeetingsPage };
+
+/**
+ * Write the project's last meetings before this one to
+ * <meeting>/history.json. Removes a stale file when there are none.
+ *
+ * @param {Object} params
+ * @param {string} params.projectName
+ * @param {string} params.meetingId
+ * @param {string} params.meetingDate
+ * @param {string} params.meetingPath
+ * @param {number} [params.limit] - default: MEETING_HISTORY_LIMIT
+ * @param {Object} [params.store] - { queryMeetingsPage }, default lib/store
+ * @returns {Promise<number>} number of prior meetings written
+ */
+async function writeMeetingHistory({
+  projectName,
+  meetingId,
+  meetingDate,
+  meetingPath,
+  limit = getHistoryLimit(),
+  store = defaultStore,
+}) {
+  const filePath = path.join(meetingPath, HISTORY_FILENAME);
+  if (limit === 0) {
+    await fs.rm(filePath, { force: true });
+    return 0;
+  }
+
+  // One page, newest first. A reprocessed meeting (or a later one the same
+  // day) can be in it too, so fetch a few spare and keep only earlier ones.
+  const { items } = await store.queryMeetingsPage({
+    projectName,
+    endDate: meetingDate,
+    maxItemCount: limit + 5,
+  });
+  const meetings = items.filter((meeting) => meeting.meetingId < meetingId).slice(0, limit);
+
+  if (meetings.length === 0) {
+    await fs.rm(filePath, { force: true });
+    return 0;
+  }
+
+  const history = buildMeetingHistory({ projectName, meetings });
+  await fs.writeFile(filePath, JSON.stringify(history, null, 2));
+  log("info", "Wrote meeting history for the longitudinal analysis", {
+    meetings: meetings.length,
+    recurringTopics: history.recurringTopics.length,
+  });
+  return meetings.length;
+}
+
+module.exports = {
+  HISTORY_FILENAME,
+  buildMeetingHistory,
+  writeMeetingHistory,
+};
@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { HISTORY_FILENAME, buildMeetingHistory, writeMeetingHistory } = require("./meetingHistory");
+const { buildAnalysisPrompt } = require("./claudeRunner");
+
+function storedMeeting(meetingId, { topics = [], grade = null, recurringIssues } = {}) {
+  return {
+    id: `yakshaver-${meetingId}`,
+    projectName: "yakshaver",
+    meetingId,
+    meetingDate: meetingId.slice(0, 10),
+    consolidated: {
+      meetingType: "Sprint Review",
+      meetingDuration: { totalMinutes: 42, formatted: "42 min" },
+      summary: ["Long summary that history.json leaves out"],
+      participants: [{ name: "Alex Chen", role: "Product Owner" }, { name: "Sam Patel" }],
+      topics: topics.map((title) => ({ title, minutes: 10 })),
+      decisions: ["Ship the export flow behind a feature flag"],
+      actionItems: [{ owner: "Sam Patel", task: "Fix login regression on iOS", due: "2026-03-06" }],
+    },
+    metadata: { grade, totalDurationMinutes: 42, ...(recurringIssues && { recurringIssues }) },
+  };
+}
+
+// Newest first, like queryMeetingsPage
+const STORED = [
+  storedMeeting("2026-03-16-140000", { topics: ["Later the same day"] }),
+  storedMeeting("2026-03-16-100000", { topics: ["Current meeting"] }),
+  storedMeeting("2026-03-09-100000", {
+    topics: ["Login regression", "Next sprint scope"],
+    grade: "B",
+    recurringIssues: [{ issue: "Login regression", meetingsSeen: 2 }],
+  }),
+  storedMeeting("2026-03-02-100000", { topics: ["login regression", "Export flow demo"], grade: "C" }),
+  storedMeeting("2026-02-23-100000", { topics: ["Export flow demo", "Login regression"] }),
+];
+
+function memoryStore(meetings = STORED) {
+  const calls = [];
+  return {
+    calls,
+    queryMeetingsPage: async (params) => {
+      calls.push(params);
+      const items = meetings.filter((m) => !params.endDate || m.meetingDate <= params.endDate);
+      return { items: items.slice(0, params.maxItemCount), continuationToken: null, requestCharge: 0 };
+    },
+  };
+}
+
+describe("buildMeetingHistory", () => {
+  it("keeps the compact fields and finds topics raised in more than one meeting", () => {
+    const history = buildMeetingHistory({ projectName: "yakshaver", meetings: STORED.slice(2) });
+
+    assert.deepEqual(history.meetings[0], {
+      meetingId: "2026-03-09-100000",
+      meetingDate: "2026-03-09",
+      meetingType: "Sprint Review",
+      grade: "B",
+      durationMinutes: 42,
+      participants: ["Alex Chen", "Sam Patel"],
+      topics: ["Login regression", "Next sprint scope"],
+      decisions: ["Ship the export flow behind a feature flag"],
+      actionItems: [{ owner: "Sam Patel", task: "Fix login regression on iOS", due: "2026-03-06" }],
+      recurringIssues: [{ issue: "Login regression", meetingsSeen: 2 }],
+    });
+    assert.deepEqual(history.recurringTopics, [
+      { topic: "Login regression", meetingsSeen: 3, lastSeen: "2026-03-09" },
+      { topic: "Export flow demo", meetingsSeen: 2, lastSeen: "2026-03-02" },
+    ]);
+  });
+});
+
+describe("writeMeetingHistory", () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-history-"));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes the last N meetings before this one, newest first", async () => {
+    const store = memoryStore();
+
+    const count = await writeMeetingHistory({
+      projectName: "yakshaver",
+      meetingId: "2026-03-16-100000",
+      meetingDate: "2026-03-16",
+      meetingPath: tmpDir,
+      limit: 2,
+      store,
+    });
+
+    const history = JSON.parse(await fs.readFile(path.join(tmpDir, HISTORY_FILENAME), "utf-8"));
+    assert.equal(count, 2);
+    assert.deepEqual(history.meetings.map((m) => m.meetingId), ["2026-03-09-100000", "2026-03-02-100000"]);
+    assert.equal(store.calls[0].endDate, "2026-03-16");
+    assert.equal("summary" in history.meetings[0], false);
+  });
+
+  it("removes a stale history.json when there are no earlier meetings", async () => {
+    await fs.writeFile(path.join(tmpDir, HISTORY_FILENAME), "{}");
+
+    const count = await writeMeetingHistory({
+      projectName: "yakshaver",
+      meetingId: "2026-02-23-100000",
+      meetingDate: "2026-02-23",
+      meetingPath: tmpDir,
+      store: memoryStore(),
+    });
+
+    assert.equal(count, 0);
+    await assert.rejects(fs.access(path.join(tmpDir, HISTORY_FILENAME)), { code: "ENOENT" });
+  });
+
+  it("points the longitudinal analyzer at history.json in the prompt", () => {
+    const prompt = buildAnalysisPrompt({
+      projectName: "YakShaver",
+      meetingId: "2026-03-16-100000",
+      meetingDate: "2026-03-16",
+      meetingPath: path.join("/app", "projects", "yakshaver", "2026-03-16-100000"),
+      rootDir: "/app",
+      historyMeetingCount: 3,
+    });
+
+    assert.match(prompt, /Previous meetings \(3, newest first\): projects\/yakshaver\/2026-03-16-100000\/history\.json/);
+    assert.doesNotMatch(
+      buildAnalysisPrompt({
+        projectName: "YakShaver",
+        meetingId: "2026-03-16-100000",
+        meetingDate: "2026-03-16",
+        meetingPath: "/app/projects/yakshaver/2026-03-16-100000",
+        rootDir: "/app",
+      }),
+      /history\.json/,
+    );
+  });
+});
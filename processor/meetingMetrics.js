@@ -0,0 +1,222 @@
+/**
+ * Deterministic meeting metrics.
+ *
+ * Computed from the transcript model (<meeting>/transcript.json, see
+ * lib/vtt.js) before the analysis and written to analysis/metrics.json.
+ * The prompt gives them to the agents as ground truth, so talk time, cost
+ * and participation numbers are the same on every rerun:
+ *
+ *   { durationSeconds, durationMinutes, speechSeconds, silenceSeconds,
+ *     silenceRatio, turnCount, interruptionCount, participationGini,
+ *     longestMonologue: { speaker, start, end, durationSeconds },
+ *     participants: [{ name, spoke, talkSeconds, talkShare, turns,
+ *       longestTurnSeconds, interruptionsMade, interruptionsReceived,
+ *       role, hourlyRate, cost }],
+ *     cost: { currency, total, hourlyRateSource } }
+ *
+ * Participants are the tagged speakers plus invitees from attendees.json
+ * who never spoke (they still cost their time).
+ *
+ * Hourly rates come from a rate table, as JSON in MEETING_RATES or a file
+ * at MEETING_RATES_FILE:
+ *
+ *   { "currency": "AUD", "defaultRate": 150,
+ *     "roles": { "Solution Architect": 220, "Developer": 160 },
+ *     "people": { "Alice Smith": "Solution Architect" } }
+ *
+ * Optional env vars:
+ *   MEETING_RATES       - rate table JSON
+ *   MEETING_RATES_FILE  - path to a rate table JSON file
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+
+const METRICS_FILENAME = "metrics.json";
+
+// Overlapping speech at least this long counts as an interruption; shorter
+// overlaps are mostly "yeah" and "mm" while someone else talks
+const INTERRUPTION_MIN_SECONDS = 1;
+
+const DEFAULT_RATES = { currency: "AUD", defaultRate: 150, roles: {}, people: {} };
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function nameKey(name) {
+  return String(name).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * @returns {Promise<{currency: string, defaultRate: number, roles: Object, people: Object, source: string}>}
+ */
+async function loadRateTable() {
+  let raw = process.env.MEETING_RATES;
+  let source = "MEETING_RATES";
+  if (!raw && process.env.MEETING_RATES_FILE) {
+    raw = await fs.readFile(process.env.MEETING_RATES_FILE, "utf-8");
+    source = process.env.MEETING_RATES_FILE;
+  }
+  if (!raw) return { ...DEFAULT_RATES, source: "default" };
+
+  let table;
+  try {
+    table = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+  const defaultRate = table.defaultRate ?? DEFAULT_RATES.defaultRate;
+  if (typeof defaultRate !== "number" || defaultRate < 0) {
+    throw new Error(`${source}: defaultRate must be a non-negative number`);
+  }
+  return {
+    currency: table.currency || DEFAULT_RATES.currency,
+    defaultRate,
+    roles: table.roles || {},
+    people: table.people || {},
+    source,
+  };
+}
+
+/**
+ * @returns {{role: string|null, hourlyRate: number}}
+ */
+function rateFor(name, rates) {
+  const people = new Map(Object.entries(rates.people).map(([person, role]) => [nameKey(person), role]));
+  const role = people.get(nameKey(name)) ?? null;
+  const hourlyRate = role !== null && typeof rates.roles[role] === "number" ? rates.roles[role] : rates.defaultRate;
+  return { role, hourlyRate };
+}
+
+/**
+ * Gini coefficient of talk time: 0 when everyone talks equally, towards 1
+ * when one person does all the talking.
+ */
+function gini(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (values.length < 2 || total === 0) return 0;
+  let differences = 0;
+  for (const a of values) {
+    for (const b of values) differences += Math.abs(a - b);
+  }
+  return differences / (2 * values.length * total);
+}
+
+/**
+ * @param {Object} model - transcript model (see lib/vtt.analyzeCues)
+ * @param {Object} [options]
+ * @param {string[]} [options.invitees] - invitee names, for people who didn't speak
+ * @param {Object} [options.rates] - rate table (see loadRateTable)
+ * @returns {Object} metrics.json content
+ */
+function computeMeetingMetrics(model, { invitees = [], rates = { ...DEFAULT_RATES, source: "default" } } = {}) {
+  const interruptions = model.overlaps.filter((overlap) => overlap.duration >= INTERRUPTION_MIN_SECONDS);
+  const made = new Map();
+  const received = new Map();
+  for (const { speakers: [interrupted, interrupter] } of interruptions) {
+    made.set(interrupter, (made.get(interrupter) || 0) + 1);
+    received.set(interrupted, (received.get(interrupted) || 0) + 1);
+  }
+
+  const hours = model.durationSeconds / 3600;
+  const speakerKeys = new Set(model.speakers.map((speaker) => nameKey(speaker.speaker)));
+  const silent = [...new Set(invitees.filter(Boolean))].filter((name) => !speakerKeys.has(nameKey(name)));
+
+  const participants = [
+    ...model.speakers.map((speaker) => ({
+      name: speaker.speaker,
+      spoke: true,
+      talkSeconds: speaker.talkSeconds,
+      talkShare: speaker.talkShare,
+      turns: speaker.turns,
+      longestTurnSeconds: speaker.longestTurnSeconds,
+      interruptionsMade: made.get(speaker.speaker) || 0,
+      interruptionsReceived: received.get(speaker.speaker) || 0,
+    })),
+    ...silent.map((name) => ({
+      name,
+      spoke: false,
+      talkSeconds: 0,
+      talkShare: 0,
+      turns: 0,
+      longestTurnSeconds: 0,
+      interruptionsMade: 0,
+      interruptionsReceived: 0,
+    })),
+  ].map((participant) => {
+    const { role, hourlyRate } = rateFor(participant.name, rates);
+    return { ...participant, role, hourlyRate, cost: round(hourlyRate * hours) };
+  });
+
+  const longest = model.turns
+    .filter((turn) => turn.speaker)
+    .reduce((best, turn) => (!best || turn.duration > best.duration ? turn : best), null);
+
+  return {
+    durationSeconds: model.durationSeconds,
+    durationMinutes: round(model.durationSeconds / 60, 1),
+    speechSeconds: model.speechSeconds,
+    silenceSeconds: model.silenceSeconds,
+    silenceRatio: model.durationSeconds > 0 ? round(model.silenceSeconds / model.durationSeconds, 4) : 0,
+    turnCount: model.turns.length,
+    interruptionCount: interruptions.length,
+    participationGini: round(gini(participants.map((participant) => participant.talkSeconds)), 4),
+    longestMonologue: longest
+      ? { speaker: longest.speaker, start: longest.start, end: longest.end, durationSeconds: longest.duration }
+      : null,
+    participants,
+    cost: {
+      currency: rates.currency,
+      total: round(participants.reduce((sum, participant) => sum + participant.cost, 0)),
+      hourlyRateSource: rates.source,
+    },
+  };
+}
+
+async function readInviteeNames(meetingPath) {
+  try {
+    const attendees = JSON.parse(await fs.readFile(path.join(meetingPath, "attendees.json"), "utf-8"));
+    return (attendees.invitees || []).map((invitee) => invitee.derivedName);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+/**
+ * Compute the metrics for a meeting and write analysis/metrics.json.
+ *
+ * @param {Object} params
+ * @param {string} params.meetingPath
+ * @param {Object} params.model - transcript model (see lib/vtt.analyzeCues)
+ * @param {Object} [params.rates] - default: loadRateTable()
+ * @returns {Promise<Object>} the metrics
+ */
+async function writeMeetingMetrics({ meetingPath, model, rates }) {
+  const metrics = computeMeetingMetrics(model, {
+    invitees: await readInviteeNames(meetingPath),
+    rates: rates || (await loadRateTable()),
+  });
+  await fs.mkdir(path.join(meetingPath, "analysis"), { recursive: true });
+  await fs.writeFile(
+    path.join(meetingPath, "analysis", METRICS_FILENAME),
+    JSON.stringify(metrics, null, 2),
+  );
+  log("info", "Wrote meeting metrics", {
+    participants: metrics.participants.length,
+    interruptions: metrics.interruptionCount,
+    cost: metrics.cost.total,
+    currency: metrics.cost.currency,
+  });
+  return metrics;
+}
+
+module.exports = {
+  METRICS_FILENAME,
+  loadRateTable,
+  computeMeetingMetrics,
+  writeMeetingMetrics,
+};
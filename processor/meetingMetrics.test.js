@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { loadRateTable, computeMeetingMetrics, writeMeetingMetrics } = require("./meetingMetrics");
+const { parseVtt, analyzeCues } = require("../lib/vtt");
+const { buildAnalysisPrompt } = require("./claudeRunner");
+
+// An hour-long meeting: Alice talks for 40 minutes, Bob cuts in twice
+const VTT = `WEBVTT
+
+1
+00:00:00.000 --> 00:40:00.000
+<v Alice Smith>The whole plan</v>
+
+2
+00:39:58.000 --> 00:50:00.000
+<v Bob Jones>Can I jump in here</v>
+
+3
+00:49:59.500 --> 00:55:00.000
+<v Alice Smith>Yeah</v>
+
+4
+00:54:00.000 --> 01:00:00.000
+<v Bob Jones>Wrapping up</v>
+`;
+
+const RATES = {
+  currency: "AUD",
+  defaultRate: 100,
+  roles: { "Solution Architect": 200 },
+  people: { "alice smith": "Solution Architect" },
+  source: "test",
+};
+
+describe("meeting metrics", () => {
+  const env = { ...process.env };
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-metrics-"));
+  });
+
+  after(async () => {
+    process.env = { ...env };
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("computes talk time, interruptions, participation and cost", () => {
+    const metrics = computeMeetingMetrics(analyzeCues(parseVtt(VTT)), {
+      invitees: ["Alice Smith", "Carol White"],
+      rates: RATES,
+    });
+
+    assert.equal(metrics.durationMinutes, 60);
+    assert.equal(metrics.silenceRatio, 0);
+    assert.equal(metrics.turnCount, 4);
+    // The half-second overlap at 49:59.5 is too short to count
+    assert.equal(metrics.interruptionCount, 2);
+    assert.deepEqual(metrics.longestMonologue, {
+      speaker: "Alice Smith",
+      start: 0,
+      end: 2400,
+      durationSeconds: 2400,
+    });
+    assert.deepEqual(
+      metrics.participants.map((p) => [p.name, p.spoke, p.talkSeconds, p.interruptionsMade, p.role, p.cost]),
+      [
+        ["Alice Smith", true, 2700.5, 0, "Solution Architect", 200],
+        ["Bob Jones", true, 962, 2, null, 100],
+        ["Carol White", false, 0, 0, null, 100],
+      ],
+    );
+    assert.deepEqual(metrics.cost, { currency: "AUD", total: 400, hourlyRateSource: "test" });
+    assert.equal(metrics.participationGini, 0.4916);
+  });
+
+  it("reads the rate table from the environment and rejects bad JSON", async () => {
+    delete process.env.MEETING_RATES;
+    delete process.env.MEETING_RATES_FILE;
+    assert.equal((await loadRateTable()).source, "default");
+
+    const file = path.join(tmpDir, "rates.json");
+    await fs.writeFile(file, JSON.stringify({ defaultRate: 120, roles: { Developer: 160 } }));
+    process.env.MEETING_RATES_FILE = file;
+    assert.deepEqual(await loadRateTable(), {
+      currency: "AUD",
+      defaultRate: 120,
+      roles: { Developer: 160 },
+      people: {},
+      source: file,
+    });
+
+    process.env.MEETING_RATES = "{not json";
+    await assert.rejects(loadRateTable(), /MEETING_RATES is not valid JSON/);
+  });
+
+  it("writes analysis/metrics.json, counting silent invitees", async () => {
+    await fs.writeFile(
+      path.join(tmpDir, "attendees.json"),
+      JSON.stringify({ invitees: [{ derivedName: "Carol White", role: "attendee" }] }),
+    );
+
+    await writeMeetingMetrics({ meetingPath: tmpDir, model: analyzeCues(parseVtt(VTT)), rates: RATES });
+
+    const written = JSON.parse(await fs.readFile(path.join(tmpDir, "analysis", "metrics.json"), "utf-8"));
+    assert.deepEqual(written.participants.map((p) => p.name), ["Alice Smith", "Bob Jones", "Carol White"]);
+  });
+
+  it("gives the metrics to the agents as ground truth", () => {
+    const prompt = buildAnalysisPrompt({
+      projectName: "YakShaver",
+      meetingId: "2026-03-16-100000",
+      meetingDate: "2026-03-16",
+      meetingPath: "/app/projects/yakshaver/2026-03-16-100000",
+      rootDir: "/app",
+    });
+
+    assert.match(prompt, /GROUND TRUTH.*projects\/yakshaver\/2026-03-16-100000\/analysis\/metrics\.json/);
+  });
+});
@@ -5,43 +5,42 @@ const {
   fetchSswProfileSlugs,
   resolveSswProfileSlug,
 } = require("../lib/sswPeopleResolver");
+const { isRunComplete } = require("./analysisResume");
 
 /**
- * Validate transcript filename matches YYYY-MM-DD-HHmmss.vtt pattern.
- * @returns {{ meetingId: string, meetingDate: string, meetingTime: string }}
+ * True if the meeting folder already holds this exact transcript, i.e. this
+ * is a retry of the same meeting rather than a new transcript.
  */
-function validateTranscriptFilename(transcriptPath) {
-  const filename = path.basename(transcriptPath, ".vtt");
-
-  const dateTimePattern = /^(\d{4}-\d{2}-\d{2})-(\d{6})$/;
-  const match = filename.match(dateTimePattern);
-
-  if (!match) {
-    throw new Error(
-      `Invalid transcript filename: ${path.basename(transcriptPath)}\n` +
-        "Transcript files must be named: YYYY-MM-DD-HHmmss.vtt\n" +
-        "Example: 2026-01-22-094557.vtt",
-    );
-  }
-
-  if (path.extname(transcriptPath) !== ".vtt") {
-    throw new Error(
-      `Invalid transcript file extension: ${path.basename(transcriptPath)}\n` +
-        "Only .vtt files are supported",
-    );
+async function isSameTranscript(meetingTranscriptPath, incoming) {
+  try {
+    const existing = await fs.readFile(meetingTranscriptPath);
+    return existing.equals(incoming);
+  } catch (error) {
+    return false;
   }
-
-  return {
-    meetingId: filename,
-    meetingDate: match[1],
-    meetingTime: match[2],
-  };
 }
 
 /**
  * Create project directory structure and copy transcript + attendees.
+ *
+ * Previous agent outputs are kept when the transcript is unchanged and the
+ * run that wrote them didn't finish, so a failed run can resume (see
+ * analysisResume.js); pass fresh to discard them anyway.
+ *
+ * transcriptContent is the normalised VTT for transcripts converted from
+ * another format (see transcriptFormats.js); without it the file is copied.
+ *
+ * redactAttendees, when redaction is on, replaces the invitee UPNs and
+ * names in attendees.json the same way as the transcript (see
+ * transcriptRedaction.js redactAttendees).
  */
-async function setupProjectStructure({ meetingPath, transcriptPath }) {
+async function setupProjectStructure({
+  meetingPath,
+  transcriptPath,
+  transcriptContent,
+  fresh = false,
+  redactAttendees = (attendees) => attendees,
+}) {
   const dirs = [
     meetingPath,
     path.join(meetingPath, "analysis"),
@@ -52,12 +51,28 @@ async function setupProjectStructure({ meetingPath, transcriptPath }) {
     await fs.mkdir(dir, { recursive: true });
   }
 
-  // Copy transcript to meeting folder
   const meetingTranscriptPath = path.join(meetingPath, "transcript.vtt");
+  let incoming = null;
   try {
-    await fs.copyFile(transcriptPath, meetingTranscriptPath);
+    incoming =
+      transcriptContent !== undefined
+        ? Buffer.from(transcriptContent, "utf-8")
+        : await fs.readFile(transcriptPath);
   } catch (error) {
-    log("warn", "Failed to copy transcript", { error: error.message });
+    log("warn", "Failed to read transcript", { error: error.message });
+  }
+  const sameTranscript =
+    !fresh && incoming !== null && (await isSameTranscript(meetingTranscriptPath, incoming));
+  const previousRunComplete = sameTranscript && (await isRunComplete(meetingPath));
+  const keepAnalysis = sameTranscript && !previousRunComplete;
+
+  // Copy transcript to meeting folder
+  if (incoming !== null) {
+    try {
+      await fs.writeFile(meetingTranscriptPath, incoming);
+    } catch (error) {
+      log("warn", "Failed to copy transcript", { error: error.message });
+    }
   }
 
   // Write attendees.json from meeting invite list (if available via env var)
@@ -101,8 +116,7 @@ async function setupProjectStructure({ meetingPath, transcriptPath }) {
       }
 
       const attendeesData = {
-        invitees,
-        vttInfo,
+        ...redactAttendees({ invitees, vttInfo }),
         note: "Invitees are derived from the meeting invite list (UPNs). Use as a suggestion for name resolution — speaker <v> tags in the VTT are authoritative and take priority. The 'sswProfileSlug' field (when present) is the resolved SSW.People.Profiles folder name; use it to build the profile photo URL. If sswProfileSlug is null, render the initials placeholder instead of guessing a slug from the display name.",
       };
       const attendeesPath = path.join(meetingPath, "attendees.json");
@@ -122,6 +136,14 @@ async function setupProjectStructure({ meetingPath, transcriptPath }) {
     });
   }
 
+  if (keepAnalysis) {
+    log("info", "Same transcript as an interrupted run, keeping existing analysis outputs");
+    return;
+  }
+  if (previousRunComplete) {
+    log("info", "Same transcript as a completed run, analysing it again");
+  }
+
   // Clean up previous analysis for this specific meeting (if exists)
   const analysisDir = path.join(meetingPath, "analysis");
   try {
@@ -134,6 +156,7 @@ async function setupProjectStructure({ meetingPath, transcriptPath }) {
   } catch (error) {
     // Directory might not exist or be empty - that's fine
   }
+  await fs.rm(path.join(analysisDir, "chunks"), { recursive: true, force: true });
 }
 
-module.exports = { validateTranscriptFilename, setupProjectStructure };
+module.exports = { setupProjectStructure };
@@ -0,0 +1,65 @@
+/**
+ * Dashboard publish target selection.
+ *
+ * Every publisher exposes the same interface:
+ *   validateConfig()                      - throw if the target isn't configured
+ *   publish({ sourceDir, storagePath })   - upload the dashboard folder to
+ *                                           storagePath (e.g. "<project>/<meetingId>",
+ *                                           see dashboardVersions.js); resolves the URL
+ *   remove({ storagePath })               - delete everything under storagePath
+ *   download({ storagePath, targetDir })  - copy everything under storagePath
+ *                                           into targetDir (both for erasure.js)
+ *
+ * Publishers:
+ *   azure  - Azure Blob Storage static website (default, used in production)
+ *   local  - a folder on disk, served by processor/serveDashboards.js
+ *   s3     - S3-compatible storage (AWS S3, MinIO)
+ *
+ * Env vars:
+ *   DASHBOARD_PUBLISHER             - default publisher (default: "azure")
+ *   DASHBOARD_PUBLISHER_BY_PROJECT  - per-project overrides as JSON,
+ *                                     e.g. {"yakshaver": "s3"}
+ */
+
+const PUBLISHERS = {
+  azure: () => require("./publishers/azureBlob"),
+  local: () => require("./publishers/localDir"),
+  s3: () => require("./publishers/s3"),
+};
+
+/**
+ * @param {string} [projectName]
+ * @returns {string} the publisher the project's dashboards go to
+ */
+function publisherNameFor(projectName) {
+  const overrides = process.env.DASHBOARD_PUBLISHER_BY_PROJECT;
+  if (overrides && projectName) {
+    let byProject;
+    try {
+      byProject = JSON.parse(overrides);
+    } catch (error) {
+      throw new Error(`DASHBOARD_PUBLISHER_BY_PROJECT is not valid JSON: ${error.message}`);
+    }
+    if (byProject[projectName]) return byProject[projectName];
+  }
+  return process.env.DASHBOARD_PUBLISHER || "azure";
+}
+
+/**
+ * @param {string} [projectName] - project slug, for per-project overrides
+ * @returns {{name: string, validateConfig: Function, publish: Function,
+ *   remove: Function, download: Function}}
+ */
+function getPublisher(projectName) {
+  const name = publisherNameFor(projectName);
+  const load = PUBLISHERS[name];
+  if (!load) {
+    throw new Error(
+      `Unknown dashboard publisher "${name}". Use one of: ${Object.keys(PUBLISHERS).join(", ")}`,
+    );
+  }
+  const { validateConfig, publish, remove, download } = load();
+  return { name, validateConfig, publish, remove, download };
+}
+
+module.exports = { publisherNameFor, getPublisher };
@@ -0,0 +1,166 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { getPublisher } = require("./publisher");
+const azureBlob = require("./publishers/azureBlob");
+const s3 = require("./publishers/s3");
+
+describe("getPublisher", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("defaults to azure and honours per-project overrides", () => {
+    delete process.env.DASHBOARD_PUBLISHER;
+    process.env.DASHBOARD_PUBLISHER_BY_PROJECT = JSON.stringify({ yakshaver: "s3" });
+
+    assert.equal(getPublisher("tina-cms").name, "azure");
+    assert.equal(getPublisher("yakshaver").name, "s3");
+  });
+
+  it("rejects unknown publishers and malformed overrides", () => {
+    process.env.DASHBOARD_PUBLISHER = "ftp";
+    assert.throws(() => getPublisher("yakshaver"), /Unknown dashboard publisher "ftp"/);
+
+    process.env.DASHBOARD_PUBLISHER_BY_PROJECT = "{yakshaver: s3}";
+    assert.throws(() => getPublisher("yakshaver"), /not valid JSON/);
+  });
+});
+
+describe("publishers", () => {
+  let sourceDir;
+  const env = { ...process.env };
+
+  before(async () => {
+    sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-publish-"));
+    await fs.writeFile(path.join(sourceDir, "index.html"), "<html></html>");
+  });
+
+  after(async () => {
+    await fs.rm(sourceDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("azure: builds the URL from DASHBOARD_BASE_URL", async () => {
+    process.env.DASHBOARD_BASE_URL = "https://dashboards.sswtiger.com/";
+    const uploaded = [];
+    const container = {
+      url: "http://127.0.0.1:10000/devstoreaccount1/$web",
+      getBlockBlobClient: (blobName) => ({ uploadFile: async () => uploaded.push(blobName) }),
+    };
+
+    const url = await azureBlob.publish({
+      sourceDir,
+      storagePath: "yakshaver/2026-01-22-094557",
+      containerClient: container,
+    });
+
+    assert.equal(url, "https://dashboards.sswtiger.com/yakshaver/2026-01-22-094557");
+    assert.deepEqual(uploaded, ["yakshaver/2026-01-22-094557/index.html"]);
+  });
+
+  it("azure: removes and downloads only the blobs under the meeting's prefix", async () => {
+    const blobs = [
+      "yakshaver/2026-01-22-094557/index.html",
+      "yakshaver/2026-01-22-094557/versions/20260122T100000Z/index.html",
+      "yakshaver/2026-01-22-094557-rerun/index.html",
+    ];
+    const deleted = [];
+    const container = {
+      listBlobsFlat: async function* ({ prefix }) {
+        for (const name of blobs.filter((blob) => blob.startsWith(prefix))) yield { name };
+      },
+      deleteBlob: async (name) => deleted.push(name),
+      getBlobClient: (name) => ({
+        downloadToFile: (destination) => fs.writeFile(destination, `blob ${name}`),
+      }),
+    };
+    const targetDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-download-"));
+
+    try {
+      const downloaded = await azureBlob.download({
+        storagePath: "yakshaver/2026-01-22-094557",
+        targetDir,
+        containerClient: container,
+      });
+      const removed = await azureBlob.remove({
+        storagePath: "yakshaver/2026-01-22-094557",
+        containerClient: container,
+      });
+
+      assert.equal(downloaded, 2);
+      assert.equal(
+        await fs.readFile(path.join(targetDir, "versions", "20260122T100000Z", "index.html"), "utf-8"),
+        "blob yakshaver/2026-01-22-094557/versions/20260122T100000Z/index.html",
+      );
+      assert.equal(removed, 2);
+      assert.deepEqual(deleted, blobs.slice(0, 2));
+    } finally {
+      await fs.rm(targetDir, { recursive: true, force: true });
+    }
+  });
+
+  it("s3: PUTs each file path-style to a MinIO-compatible endpoint", async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on("end", () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers });
+        res.writeHead(200, { ETag: '"abc"' }).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}`;
+
+    process.env.DASHBOARD_S3_BUCKET = "dashboards";
+    process.env.DASHBOARD_S3_ENDPOINT = endpoint;
+    process.env.AWS_ACCESS_KEY_ID = "minioadmin";
+    process.env.AWS_SECRET_ACCESS_KEY = "minioadmin";
+
+    try {
+      const { S3Client } = require("@aws-sdk/client-s3");
+      const client = new S3Client({ region: "us-east-1", endpoint, forcePathStyle: true });
+
+      const url = await s3.publish({
+        sourceDir,
+        storagePath: "yakshaver/2026-01-22-094557",
+        client,
+      });
+
+      assert.equal(url, `${endpoint}/dashboards/yakshaver/2026-01-22-094557`);
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].method, "PUT");
+      assert.equal(requests[0].url.split("?")[0], "/dashboards/yakshaver/2026-01-22-094557/index.html");
+      assert.equal(requests[0].headers["content-type"], "text/html; charset=utf-8");
+      assert.equal(requests[0].headers["cache-control"], "no-cache");
+    } finally {
+      server.close();
+    }
+  });
+
+  it("s3: throws with the keys DeleteObjects could not remove", async () => {
+    process.env.DASHBOARD_S3_BUCKET = "dashboards";
+    const { ListObjectsV2Command } = require("@aws-sdk/client-s3");
+    const keys = ["yakshaver/2026-01-22-094557/index.html", "yakshaver/2026-01-22-094557/latest.json"];
+    const client = {
+      send: async (command) =>
+        command instanceof ListObjectsV2Command
+          ? { Contents: keys.map((Key) => ({ Key })) }
+          : { Errors: [{ Key: keys[1], Code: "AccessDenied", Message: "Access Denied" }] },
+    };
+
+    await assert.rejects(
+      s3.remove({ storagePath: "yakshaver/2026-01-22-094557", client }),
+      /Could not delete 1 of 2 S3 objects: yakshaver\/2026-01-22-094557\/latest\.json \(AccessDenied\)/,
+    );
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Azure Blob Storage publisher ("azure", the default).
+ *
+ * Uploads to the storage account's static website container (`$web`); see
+ * lib/blobStorage.js for auth and endpoint env vars.
+ *
+ * Optional env vars:
+ *   DASHBOARD_BASE_URL  - public host of the static website
+ *                         (e.g. dashboards.sswtiger.com)
+ */
+
+const { log } = require("../../lib/logger");
+const {
+  getWebContainer,
+  uploadDirectory,
+  deletePrefix,
+  downloadPrefix,
+} = require("../../lib/blobStorage");
+
+function validateConfig() {
+  if (!process.env.DASHBOARD_STORAGE_ACCOUNT && !process.env.DASHBOARD_STORAGE_CONNECTION_STRING) {
+    throw new Error(
+      "Dashboard storage account is required for deployment.\n" +
+        "Set the DASHBOARD_STORAGE_ACCOUNT environment variable to the Azure Storage account name\n" +
+        "(or DASHBOARD_STORAGE_CONNECTION_STRING, e.g. for Azurite).",
+    );
+  }
+}
+
+/**
+ * Public base URL of the deployed dashboards (no trailing slash).
+ * DASHBOARD_BASE_URL in Azure; against Azurite or a custom endpoint the
+ * container URL itself is used.
+ */
+function baseUrl(containerClient) {
+  if (process.env.DASHBOARD_BASE_URL) {
+    return `https://${process.env.DASHBOARD_BASE_URL.replace(/^https?:\/\//, "").replace(/\/$/, "")}`;
+  }
+  if (process.env.DASHBOARD_STORAGE_CONNECTION_STRING || process.env.DASHBOARD_STORAGE_ENDPOINT) {
+    return containerClient.url.replace(/\/$/, "");
+  }
+  const host = `${process.env.DASHBOARD_STORAGE_ACCOUNT}.z8.web.core.windows.net`;
+  log("warn", "DASHBOARD_BASE_URL not set, using fallback hostname", { host });
+  return `https://${host}`;
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.sourceDir
+ * @param {string} params.storagePath       - "<project>/<meetingId>"
+ * @param {Object} [params.containerClient] - `$web` container (default: lib/blobStorage)
+ * @returns {Promise<string>} deployed URL
+ */
+async function publish({ sourceDir, storagePath, containerClient = getWebContainer() }) {
+  // Azurite starts without the static website container
+  if (process.env.DASHBOARD_STORAGE_CONNECTION_STRING) {
+    await containerClient.createIfNotExists();
+  }
+
+  await uploadDirectory({ sourceDir, prefix: storagePath, containerClient });
+  return `${baseUrl(containerClient)}/${storagePath}`;
+}
+
+/**
+ * Delete everything published under storagePath.
+ *
+ * @param {Object} params
+ * @param {string} params.storagePath       - "<project>/<meetingId>"
+ * @param {Object} [params.containerClient]
+ * @returns {Promise<number>} files deleted
+ */
+async function remove({ storagePath, containerClient = getWebContainer() }) {
+  return (await deletePrefix({ prefix: storagePath, containerClient })).length;
+}
+
+/**
+ * Copy everything published under storagePath into targetDir.
+ *
+ * @param {Object} params
+ * @param {string} params.storagePath
+ * @param {string} params.targetDir
+ * @param {Object} [params.containerClient]
+ * @returns {Promise<number>} files downloaded
+ */
+async function download({ storagePath, targetDir, containerClient = getWebContainer() }) {
+  return (await downloadPrefix({ prefix: storagePath, targetDir, containerClient })).length;
+}
+
+module.exports = { validateConfig, publish, remove, download };
@@ -0,0 +1,77 @@
+/**
+ * Local directory publisher ("local").
+ *
+ * Copies dashboards into a folder on disk, laid out like the `$web`
+ * container, so local runs need no cloud storage. Serve the folder with
+ * `node processor/serveDashboards.js`.
+ *
+ * Optional env vars:
+ *   DASHBOARD_LOCAL_DIR  - publish folder (default: <repo>/published)
+ *   DASHBOARD_LOCAL_URL  - URL the folder is served at (default: http://localhost:8080)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { listFiles } = require("../../lib/fileUpload");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "published");
+const DEFAULT_URL = "http://localhost:8080";
+
+function getLocalDir() {
+  return path.resolve(process.env.DASHBOARD_LOCAL_DIR || DEFAULT_DIR);
+}
+
+// Nothing to configure
+function validateConfig() {}
+
+/**
+ * @param {Object} params
+ * @param {string} params.sourceDir
+ * @param {string} params.storagePath - "<project>/<meetingId>"
+ * @returns {Promise<string>} deployed URL
+ */
+async function publish({ sourceDir, storagePath }) {
+  const destination = path.join(getLocalDir(), ...storagePath.split("/"));
+  await fs.mkdir(destination, { recursive: true });
+  await fs.cp(sourceDir, destination, { recursive: true, force: true });
+
+  const base = (process.env.DASHBOARD_LOCAL_URL || DEFAULT_URL).replace(/\/$/, "");
+  return `${base}/${storagePath}`;
+}
+
+/**
+ * Delete everything published under storagePath.
+ *
+ * @returns {Promise<number>} files deleted
+ */
+async function remove({ storagePath }) {
+  const target = path.join(getLocalDir(), ...storagePath.split("/"));
+  const files = await listFilesIfExists(target);
+  await fs.rm(target, { recursive: true, force: true });
+  return files.length;
+}
+
+/**
+ * Copy everything published under storagePath into targetDir.
+ *
+ * @returns {Promise<number>} files copied
+ */
+async function download({ storagePath, targetDir }) {
+  const source = path.join(getLocalDir(), ...storagePath.split("/"));
+  const files = await listFilesIfExists(source);
+  if (files.length > 0) {
+    await fs.cp(source, targetDir, { recursive: true, force: true });
+  }
+  return files.length;
+}
+
+async function listFilesIfExists(dir) {
+  try {
+    return await listFiles(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+module.exports = { validateConfig, publish, remove, download, getLocalDir };
@@ -0,0 +1,163 @@
+/**
+ * S3-compatible publisher ("s3") - AWS S3, MinIO, Cloudflare R2, etc.
+ *
+ * Credentials come from the AWS SDK default chain (AWS_ACCESS_KEY_ID /
+ * AWS_SECRET_ACCESS_KEY, profile, instance role). The SDK is only loaded
+ * when this publisher is selected.
+ *
+ * Required env vars:
+ *   DASHBOARD_S3_BUCKET
+ *
+ * Optional env vars:
+ *   DASHBOARD_S3_ENDPOINT    - e.g. http://localhost:9000 for MinIO (uses path-style URLs)
+ *   DASHBOARD_S3_REGION      - default: AWS_REGION or us-east-1
+ *   DASHBOARD_S3_PUBLIC_URL  - public base URL of the bucket
+ *                              (default: <endpoint>/<bucket>, or the AWS bucket URL)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { contentTypeFor, cacheControlFor } = require("../../lib/contentTypes");
+const { uploadDirectory } = require("../../lib/fileUpload");
+
+let _client = null;
+
+function validateConfig() {
+  if (!process.env.DASHBOARD_S3_BUCKET) {
+    throw new Error("DASHBOARD_S3_BUCKET is required for the s3 dashboard publisher.");
+  }
+}
+
+function getRegion() {
+  return process.env.DASHBOARD_S3_REGION || process.env.AWS_REGION || "us-east-1";
+}
+
+/**
+ * Get the S3 client (lazy singleton).
+ */
+function getClient() {
+  if (_client) return _client;
+
+  const { S3Client } = require("@aws-sdk/client-s3");
+  const endpoint = process.env.DASHBOARD_S3_ENDPOINT;
+  _client = new S3Client({
+    region: getRegion(),
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+  });
+  return _client;
+}
+
+function baseUrl(bucket) {
+  if (process.env.DASHBOARD_S3_PUBLIC_URL) {
+    return process.env.DASHBOARD_S3_PUBLIC_URL.replace(/\/$/, "");
+  }
+  if (process.env.DASHBOARD_S3_ENDPOINT) {
+    return `${process.env.DASHBOARD_S3_ENDPOINT.replace(/\/$/, "")}/${bucket}`;
+  }
+  return `https://${bucket}.s3.${getRegion()}.amazonaws.com`;
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.sourceDir
+ * @param {string} params.storagePath - "<project>/<meetingId>"
+ * @param {Object} [params.client]    - S3Client (default: lazy singleton)
+ * @returns {Promise<string>} deployed URL
+ */
+async function publish({ sourceDir, storagePath, client = getClient() }) {
+  const { PutObjectCommand } = require("@aws-sdk/client-s3");
+  const bucket = process.env.DASHBOARD_S3_BUCKET;
+
+  await uploadDirectory({
+    sourceDir,
+    prefix: storagePath,
+    uploadFile: async (filePath, key) =>
+      client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: await fs.readFile(filePath),
+          ContentType: contentTypeFor(filePath),
+          CacheControl: cacheControlFor(key),
+        }),
+      ),
+  });
+
+  return `${baseUrl(bucket)}/${storagePath}`;
+}
+
+/**
+ * Keys under `<storagePath>/`, following list pagination.
+ */
+async function listKeys(client, bucket, storagePath) {
+  const { ListObjectsV2Command } = require("@aws-sdk/client-s3");
+  const keys = [];
+  let ContinuationToken;
+  do {
+    const page = await client.send(
+      new ListObjectsV2Command({ Bucket: bucket, Prefix: `${storagePath}/`, ContinuationToken }),
+    );
+    keys.push(...(page.Contents || []).map((object) => object.Key));
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return keys;
+}
+
+/**
+ * Delete everything published under storagePath. DeleteObjects reports
+ * per-key failures in the response instead of rejecting, so those throw
+ * once every batch has been sent.
+ *
+ * @param {Object} params
+ * @param {string} params.storagePath - "<project>/<meetingId>"
+ * @param {Object} [params.client]
+ * @returns {Promise<number>} objects deleted
+ */
+async function remove({ storagePath, client = getClient() }) {
+  const { DeleteObjectsCommand } = require("@aws-sdk/client-s3");
+  const bucket = process.env.DASHBOARD_S3_BUCKET;
+  const keys = await listKeys(client, bucket, storagePath);
+  const failed = [];
+
+  // DeleteObjects takes at most 1000 keys per request
+  for (let i = 0; i < keys.length; i += 1000) {
+    const response = await client.send(
+      new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })), Quiet: true },
+      }),
+    );
+    failed.push(...(response.Errors || []));
+  }
+
+  if (failed.length > 0) {
+    const details = failed.map((error) => `${error.Key} (${error.Code || error.Message})`).join(", ");
+    throw new Error(`Could not delete ${failed.length} of ${keys.length} S3 objects: ${details}`);
+  }
+  return keys.length;
+}
+
+/**
+ * Copy everything published under storagePath into targetDir.
+ *
+ * @param {Object} params
+ * @param {string} params.storagePath
+ * @param {string} params.targetDir
+ * @param {Object} [params.client]
+ * @returns {Promise<number>} objects downloaded
+ */
+async function download({ storagePath, targetDir, client = getClient() }) {
+  const { GetObjectCommand } = require("@aws-sdk/client-s3");
+  const bucket = process.env.DASHBOARD_S3_BUCKET;
+  const keys = await listKeys(client, bucket, storagePath);
+
+  for (const key of keys) {
+    const destination = path.join(targetDir, ...key.slice(storagePath.length + 1).split("/"));
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    await fs.writeFile(destination, await Body.transformToByteArray());
+  }
+  return keys.length;
+}
+
+module.exports = { validateConfig, publish, remove, download };
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Report Execution Status
+ *
+ * Posts a status transition or stage event for the current run to the
+ * Function App's execution registry. Called from entrypoint.sh at each
+ * pipeline milestone (stages run inside processor/index.js report themselves).
+ *
+ * Usage:
+ *   node processor/reportStatus.js <status> [detail]
+ *   node processor/reportStatus.js stage <stage> <stageStatus>
+ *
+ * Environment Variables:
+ *   STATUS_REPORT_URL     - Signed ReportExecutionStatus URL (no-op if unset)
+ *   DEPLOYED_URL          - Dashboard URL (sent with "completed")
+ *   STATUS_ERROR          - Error message (sent with "failed" status or stage)
+ *
+ * Always exits 0 - status reporting must never fail the pipeline.
+ */
+
+const { log } = require("../lib/logger");
+const {
+  reportExecutionStatus,
+  reportStage,
+} = require("../lib/executionStatus");
+
+async function main() {
+  const [status, detail, stageStatus] = process.argv.slice(2);
+  if (!status) {
+    log("warn", "reportStatus: no status given");
+    return;
+  }
+
+  if (status === "stage") {
+    const fields = {};
+    if (stageStatus === "failed" && process.env.STATUS_ERROR) {
+      fields.error = process.env.STATUS_ERROR;
+    }
+    await reportStage(detail, stageStatus, fields);
+    return;
+  }
+
+  const fields = {};
+  if (detail) fields.detail = detail;
+  if (status === "completed" && process.env.DEPLOYED_URL) {
+    fields.deployedUrl = process.env.DEPLOYED_URL;
+  }
+  if (status === "failed" && process.env.STATUS_ERROR) {
+    fields.error = process.env.STATUS_ERROR;
+  }
+
+  await reportExecutionStatus(status, fields);
+}
+
+if (require.main === module) {
+  main().finally(() => process.exit(0));
+}
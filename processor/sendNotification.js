@@ -18,6 +18,9 @@
  *   PROJECT_NAME          - Project name
  *   PARTICIPANTS_JSON     - JSON array of participants [{userId}]
  *   NOTIFICATION_TYPE     - "started", "completed", or "failed"
+ *   CANCELLED_BY          - Display name of whoever cancelled (for "cancelled")
+ *   CANCELLED_AT          - ISO timestamp of the cancellation (for "cancelled")
+ *   STATUS_URL            - Processing status page URL (for "started")
  *
  * Output (JSON to stdout):
  *   Success: {"success": true, "recipientCount": N}
@@ -38,6 +41,9 @@ const CONFIG = {
   triggerUrl: process.env.TRIGGER_URL, // URL to manually trigger processing (for "skipped" notifications)
   restartUrl: process.env.RESTART_URL, // URL to restart processing (for "cancelled" and "failed" notifications)
   meetingDuration: process.env.MEETING_DURATION || null, // Pre-formatted duration string (e.g. "23 min", "1 hr 32 min")
+  cancelledBy: process.env.CANCELLED_BY || null, // Who stopped the run (from CheckCancellation, for "cancelled" notifications)
+  cancelledAt: process.env.CANCELLED_AT || null,
+  statusUrl: process.env.STATUS_URL, // Processing status page (for "started" notifications)
 };
 
 function outputResult(result) {
@@ -62,6 +68,19 @@ function parseParticipants() {
   }
 }
 
+function buildParticipantCancelUrl(cancelUrl, participant) {
+  try {
+    const url = new URL(cancelUrl);
+    url.searchParams.set("requestedBy", participant.userId);
+    if (participant.displayName) {
+      url.searchParams.set("requestedByName", participant.displayName);
+    }
+    return url.toString();
+  } catch {
+    return cancelUrl;
+  }
+}
+
 async function sendViaLogicApp(participants) {
   const payload = {
     notificationType: CONFIG.notificationType,
@@ -72,16 +91,27 @@ async function sendViaLogicApp(participants) {
     meetingDuration: CONFIG.meetingDuration,
   };
 
-  // Include cancelUrl for "started" notifications (allows user to cancel processing)
+  // Include cancelUrl for "started" notifications (allows user to cancel processing).
+  // Each participant also gets their own link tagged with requestedBy so the
+  // "cancelled" card can say who stopped the run.
   if (CONFIG.notificationType === "started" && CONFIG.cancelUrl) {
     payload.cancelUrl = CONFIG.cancelUrl;
     payload.executionId = CONFIG.executionId;
+    payload.participants = participants.map((p) => ({
+      ...p,
+      cancelUrl: buildParticipantCancelUrl(CONFIG.cancelUrl, p),
+    }));
     log("debug", "Including cancel URL in notification", {
       cancelUrl: CONFIG.cancelUrl,
       executionId: CONFIG.executionId,
     });
   }
 
+  // Include statusUrl for "started" notifications (stage-by-stage progress page)
+  if (CONFIG.notificationType === "started" && CONFIG.statusUrl) {
+    payload.statusUrl = CONFIG.statusUrl;
+  }
+
   // Include triggerUrl for "skipped" notifications (allows user to process anyway)
   if (CONFIG.notificationType === "skipped" && CONFIG.triggerUrl) {
     payload.triggerUrl = CONFIG.triggerUrl;
@@ -105,6 +135,12 @@ async function sendViaLogicApp(participants) {
     });
   }
 
+  // Include who cancelled for "cancelled" notifications
+  if (CONFIG.notificationType === "cancelled" && CONFIG.cancelledBy) {
+    payload.cancelledBy = CONFIG.cancelledBy;
+    payload.cancelledAt = CONFIG.cancelledAt;
+  }
+
   const response = await fetch(CONFIG.logicAppUrl, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
@@ -161,4 +197,9 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { sendViaLogicApp, parseParticipants, CONFIG };
+module.exports = {
+  sendViaLogicApp,
+  parseParticipants,
+  buildParticipantCancelUrl,
+  CONFIG,
+};
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Tiny static server for dashboards published with DASHBOARD_PUBLISHER=local.
+ *
+ * Behaves like the Azure static website for what dashboards need: serves
+ * index.html for folders and redirects "/project/meeting" to
+ * "/project/meeting/" so relative asset links resolve.
+ *
+ * Usage:
+ *   node processor/serveDashboards.js [--port 8080] [directory]
+ *
+ * Defaults to DASHBOARD_LOCAL_DIR (or ./published) and port 8080.
+ */
+
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const http = require("http");
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+const { contentTypeFor, cacheControlFor } = require("../lib/contentTypes");
+const { getLocalDir } = require("./publishers/localDir");
+
+const DEFAULT_PORT = 8080;
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} rootDir - folder to serve
+ * @returns {http.Server} not yet listening
+ */
+function createStaticServer(rootDir) {
+  const root = path.resolve(rootDir);
+
+  return http.createServer(async (req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch {
+      res.writeHead(400).end("Bad request");
+      return;
+    }
+
+    let filePath = path.join(root, pathname);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      res.writeHead(403).end("Forbidden");
+      return;
+    }
+
+    let stat = await statOrNull(filePath);
+    if (stat?.isDirectory()) {
+      if (!pathname.endsWith("/")) {
+        res.writeHead(301, { Location: `${pathname}/` }).end();
+        return;
+      }
+      filePath = path.join(filePath, "index.html");
+      stat = await statOrNull(filePath);
+    }
+    if (!stat?.isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": contentTypeFor(filePath),
+      "Cache-Control": cacheControlFor(path.relative(root, filePath)),
+      "Content-Length": stat.size,
+    });
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    res.end(await fs.readFile(filePath));
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf("--port");
+  const port = portIndex === -1 ? DEFAULT_PORT : parseInt(args[portIndex + 1], 10);
+  const rest = portIndex === -1 ? args : args.filter((_, i) => i !== portIndex && i !== portIndex + 1);
+  const rootDir = rest[0] ? path.resolve(rest[0]) : getLocalDir();
+
+  createStaticServer(rootDir).listen(port, () => {
+    log("info", "Serving dashboards", { rootDir, url: `http://localhost:${port}/` });
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createStaticServer };
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+
+const { createStaticServer } = require("./serveDashboards");
+
+describe("createStaticServer", () => {
+  let rootDir;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-serve-"));
+    await fs.mkdir(path.join(rootDir, "yakshaver", "2026-01-22-094557"), { recursive: true });
+    await fs.writeFile(path.join(rootDir, "yakshaver", "2026-01-22-094557", "index.html"), "<html>ok</html>");
+    await fs.writeFile(path.join(os.tmpdir(), "tiger-serve-secret.txt"), "secret");
+
+    server = createStaticServer(rootDir);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await fs.rm(rootDir, { recursive: true, force: true });
+    await fs.rm(path.join(os.tmpdir(), "tiger-serve-secret.txt"), { force: true });
+  });
+
+  it("redirects a meeting folder to its trailing-slash URL and serves index.html", async () => {
+    const redirect = await fetch(`${baseUrl}/yakshaver/2026-01-22-094557`, { redirect: "manual" });
+    assert.equal(redirect.status, 301);
+    assert.equal(redirect.headers.get("location"), "/yakshaver/2026-01-22-094557/");
+
+    const res = await fetch(`${baseUrl}/yakshaver/2026-01-22-094557/`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "text/html; charset=utf-8");
+    assert.equal(await res.text(), "<html>ok</html>");
+  });
+
+  it("404s missing files and refuses paths outside the root", async () => {
+    assert.equal((await fetch(`${baseUrl}/nope/`)).status, 404);
+    const escape = await fetch(`${baseUrl}/%2e%2e/tiger-serve-secret.txt`);
+    assert.notEqual(escape.status, 200);
+  });
+});
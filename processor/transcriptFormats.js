@@ -0,0 +1,267 @@
+/**
+ * Transcript ingestion: turns a transcript in any supported format into
+ * canonical cues (lib/transcriptCues.js) and the Teams-style VTT the rest
+ * of the pipeline reads as <meeting>/transcript.vtt.
+ *
+ * Formats (see transcriptFormats/), detected from the extension and content:
+ *   vtt          - Teams (<v Speaker> tags) and Zoom ("Speaker: text") WebVTT
+ *   srt          - SubRip subtitles
+ *   zoom-json    - Zoom JSON transcripts
+ *   teams-docx   - Teams transcripts downloaded as Word documents
+ *   google-meet  - Google Meet transcripts saved from Docs (.txt or .docx)
+ *   plain-text   - "Speaker: text" lines
+ *
+ * The meeting ID (YYYY-MM-DD-HHmmss, local Sydney time like
+ * downloadTranscript.js) comes from the first of:
+ *   1. the filename, when it follows the convention
+ *   2. a sidecar next to the transcript, <name>.meeting.json:
+ *      { meetingId } | { startTime: ISO 8601 } | { meetingDate, meetingTime? },
+ *      optionally with { format } to skip detection
+ *   3. a start time inside the transcript (Zoom JSON, Google Meet title,
+ *      Teams recording name)
+ *   4. the file's modification time
+ *
+ * The normalised VTT is also parsed into the speaker turn model
+ * (lib/vtt.js) and written to <meeting>/transcript.json, so agents read
+ * talk time, silences and overlaps instead of estimating them.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { log } = require("../lib/logger");
+const { readDocxParagraphs } = require("../lib/docx");
+const { estimateTimings, renderVtt } = require("../lib/transcriptCues");
+const { parseVtt, analyzeCues } = require("../lib/vtt");
+const { convertToAustralianDate, convertToAustralianTime } = require("./downloadTranscript");
+
+const vtt = require("./transcriptFormats/vtt");
+const srt = require("./transcriptFormats/srt");
+const zoomJson = require("./transcriptFormats/zoomJson");
+const teamsDocx = require("./transcriptFormats/teamsDocx");
+const googleMeet = require("./transcriptFormats/googleMeet");
+const plainText = require("./transcriptFormats/plainText");
+
+const FORMATS = ["vtt", "srt", "zoom-json", "teams-docx", "google-meet", "plain-text"];
+const MEETING_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})-(\d{6})$/;
+const SIDECAR_SUFFIX = ".meeting.json";
+const SOURCE_FILENAME = "transcript-source.json";
+const MODEL_FILENAME = "transcript.json";
+
+function stemOf(transcriptPath) {
+  return path.basename(transcriptPath, path.extname(transcriptPath));
+}
+
+/**
+ * @returns {Promise<Object>} the sidecar's content, or {} when there is none
+ */
+async function readSidecar(transcriptPath) {
+  const sidecarPath = path.join(path.dirname(transcriptPath), `${stemOf(transcriptPath)}${SIDECAR_SUFFIX}`);
+  try {
+    return JSON.parse(await fs.readFile(sidecarPath, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw new Error(`Invalid transcript sidecar ${sidecarPath}: ${err.message}`);
+  }
+}
+
+function textLines(buffer, extension) {
+  if (extension === ".docx") {
+    return readDocxParagraphs(buffer).flatMap((paragraph) => paragraph.split("\n"));
+  }
+  return buffer.toString("utf-8").replace(/^\uFEFF/, "").split(/\r?\n/);
+}
+
+/**
+ * @param {string} transcriptPath
+ * @param {Buffer} buffer - file content
+ * @returns {string} one of FORMATS
+ */
+function detectTranscriptFormat(transcriptPath, buffer) {
+  const extension = path.extname(transcriptPath).toLowerCase();
+  if (extension === ".vtt") return "vtt";
+  if (extension === ".srt") return "srt";
+  if (extension === ".json") return "zoom-json";
+  if (extension === ".docx") {
+    const lines = textLines(buffer, extension);
+    if (googleMeet.detect(lines)) return "google-meet";
+    return teamsDocx.detect(lines) ? "teams-docx" : "plain-text";
+  }
+
+  const content = buffer.toString("utf-8").replace(/^\uFEFF/, "");
+  if (content.startsWith("WEBVTT")) return "vtt";
+  if (/^\s*\d+\r?\n\d+:\d{2}:\d{2},\d{3}\s+-->/.test(content)) return "srt";
+  if (zoomJson.detect(content)) return "zoom-json";
+  return googleMeet.detect(content.split(/\r?\n/)) ? "google-meet" : "plain-text";
+}
+
+function parseAs(format, transcriptPath, buffer) {
+  const extension = path.extname(transcriptPath).toLowerCase();
+  switch (format) {
+    case "vtt":
+      return vtt.parse(buffer.toString("utf-8"));
+    case "srt":
+      return srt.parse(buffer.toString("utf-8"));
+    case "zoom-json":
+      return zoomJson.parse(buffer.toString("utf-8"));
+    case "teams-docx":
+      return teamsDocx.parse(textLines(buffer, extension));
+    case "google-meet":
+      return googleMeet.parse(textLines(buffer, extension));
+    case "plain-text":
+      return plainText.parse(textLines(buffer, extension));
+    default:
+      throw new Error(`Unknown transcript format "${format}". Use one of: ${FORMATS.join(", ")}`);
+  }
+}
+
+/**
+ * Local date/time for a start time. ISO strings with a zone are converted
+ * to Sydney time; "YYYY-MM-DDTHH:mm:ss" without one is already local.
+ *
+ * @returns {{meetingDate: string, meetingTime: string}|null}
+ */
+function localDateTime(startTime) {
+  const local = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(startTime ?? ""));
+  if (local) {
+    return { meetingDate: local[1], meetingTime: `${local[2]}${local[3]}${local[4] || "00"}` };
+  }
+  if (!startTime || Number.isNaN(Date.parse(startTime))) return null;
+  return {
+    meetingDate: convertToAustralianDate(startTime),
+    meetingTime: convertToAustralianTime(startTime),
+  };
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.transcriptPath
+ * @param {Object} params.sidecar
+ * @param {string|null} params.startTime - from the transcript content
+ * @param {Date} params.modifiedAt
+ * @returns {{meetingId: string, meetingDate: string, meetingTime: string, meetingIdSource: string}}
+ */
+function resolveMeetingInfo({ transcriptPath, sidecar, startTime, modifiedAt }) {
+  const candidates = [
+    ["filename", () => MEETING_ID_PATTERN.exec(stemOf(transcriptPath))],
+    ["sidecar", () => MEETING_ID_PATTERN.exec(sidecar.meetingId || "")],
+    ["sidecar", () => localDateTime(sidecar.startTime)],
+    [
+      "sidecar",
+      () =>
+        /^\d{4}-\d{2}-\d{2}$/.test(sidecar.meetingDate || "") && {
+          meetingDate: sidecar.meetingDate,
+          meetingTime: /^\d{6}$/.test(sidecar.meetingTime || "") ? sidecar.meetingTime : "000000",
+        },
+    ],
+    ["transcript", () => localDateTime(startTime)],
+    ["file", () => localDateTime(modifiedAt.toISOString())],
+  ];
+
+  for (const [meetingIdSource, resolve] of candidates) {
+    const result = resolve();
+    if (!result) continue;
+    const [meetingDate, meetingTime] = Array.isArray(result)
+      ? [result[1], result[2]]
+      : [result.meetingDate, result.meetingTime];
+    return { meetingId: `${meetingDate}-${meetingTime}`, meetingDate, meetingTime, meetingIdSource };
+  }
+  throw new Error(`Could not determine the meeting date for ${path.basename(transcriptPath)}`);
+}
+
+/**
+ * Read, detect and normalise a transcript.
+ *
+ * @param {string} transcriptPath
+ * @param {Object} [options]
+ * @param {string} [options.format] - skip detection (one of FORMATS)
+ * @returns {Promise<{format: string, cues: Object[], vtt: string, timing: "recorded"|"estimated",
+ *   meetingId: string, meetingDate: string, meetingTime: string, meetingIdSource: string}>}
+ */
+async function ingestTranscript(transcriptPath, options = {}) {
+  const [buffer, stats, sidecar] = await Promise.all([
+    fs.readFile(transcriptPath),
+    fs.stat(transcriptPath),
+    readSidecar(transcriptPath),
+  ]);
+
+  const format = options.format || sidecar.format || detectTranscriptFormat(transcriptPath, buffer);
+  const parsed = parseAs(format, transcriptPath, buffer);
+  if (parsed.cues.length === 0) {
+    throw new Error(`No transcript text found in ${path.basename(transcriptPath)} (format: ${format})`);
+  }
+
+  const timing = parsed.cues.every((cue) => cue.start != null && cue.end != null) ? "recorded" : "estimated";
+  const cues = estimateTimings(parsed.cues);
+  const meeting = resolveMeetingInfo({
+    transcriptPath,
+    sidecar,
+    startTime: parsed.startTime ?? null,
+    modifiedAt: stats.mtime,
+  });
+
+  // A Teams VTT is already canonical; keep its bytes (and cue IDs) as-is
+  const content = format === "vtt" && parsed.canonical ? buffer.toString("utf-8") : renderVtt(cues);
+
+  log("info", "Ingested transcript", {
+    format,
+    cues: cues.length,
+    timing,
+    meetingId: meeting.meetingId,
+    meetingIdSource: meeting.meetingIdSource,
+  });
+  return { format, cues, vtt: content, timing, ...meeting };
+}
+
+/**
+ * Record where <meeting>/transcript.vtt came from.
+ */
+async function writeTranscriptSource(meetingPath, transcriptPath, transcript) {
+  const speakers = new Set(transcript.cues.map((cue) => cue.speaker).filter(Boolean));
+  await fs.writeFile(
+    path.join(meetingPath, SOURCE_FILENAME),
+    JSON.stringify(
+      {
+        filename: path.basename(transcriptPath),
+        format: transcript.format,
+        timing: transcript.timing,
+        meetingIdSource: transcript.meetingIdSource,
+        cueCount: transcript.cues.length,
+        speakerCount: speakers.size,
+      },
+      null,
+      2,
+    ),
+  );
+}
+
+/**
+ * Write <meeting>/transcript.json: the cues of the normalised VTT with
+ * speaker turns, talk time, silences and overlaps (see lib/vtt.js).
+ *
+ * @param {string} meetingPath
+ * @param {string} vttContent - the meeting's transcript.vtt
+ * @returns {Promise<Object>} the transcript model
+ */
+async function writeTranscriptModel(meetingPath, vttContent) {
+  const model = analyzeCues(parseVtt(vttContent));
+  await fs.writeFile(path.join(meetingPath, MODEL_FILENAME), JSON.stringify(model, null, 2));
+  log("info", "Wrote transcript model", {
+    durationSeconds: model.durationSeconds,
+    speakers: model.speakerCount,
+    turns: model.turns.length,
+    silences: model.silences.length,
+    overlaps: model.overlaps.length,
+  });
+  return model;
+}
+
+module.exports = {
+  FORMATS,
+  SOURCE_FILENAME,
+  MODEL_FILENAME,
+  detectTranscriptFormat,
+  resolveMeetingInfo,
+  ingestTranscript,
+  writeTranscriptSource,
+  writeTranscriptModel,
+};
@@ -0,0 +1,248 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+const os = require("os");
+const zlib = require("zlib");
+
+const {
+  detectTranscriptFormat,
+  ingestTranscript,
+  writeTranscriptModel,
+} = require("./transcriptFormats");
+const { setupProjectStructure } = require("./projectSetup");
+
+/**
+ * Minimal .docx: a zip with word/document.xml holding one <w:p> per paragraph.
+ */
+function buildDocx(paragraphs) {
+  const xml =
+    '<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraphs
+      .map((text) => `<w:p><w:pPr/><w:r><w:t xml:space="preserve">${text.replace(/&/g, "&amp;").replace(/\t/g, "</w:t><w:tab/><w:t>")}</w:t></w:r></w:p>`)
+      .join("") +
+    "</w:body></w:document>";
+  const name = Buffer.from("word/document.xml");
+  const data = zlib.deflateRawSync(Buffer.from(xml));
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(xml.length, 22);
+  local.writeUInt16LE(name.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(xml.length, 24);
+  central.writeUInt16LE(name.length, 28);
+  central.writeUInt32LE(0, 42);
+
+  const centralOffset = local.length + name.length + data.length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 8);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(central.length + name.length, 12);
+  eocd.writeUInt32LE(centralOffset, 16);
+
+  return Buffer.concat([local, name, data, central, name, eocd]);
+}
+
+const speakersAndText = (cues) => cues.map((cue) => [cue.speaker, cue.text]);
+
+describe("transcript ingestion", () => {
+  let tmpDir;
+
+  const write = async (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiger-ingest-"));
+  });
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("keeps a conventionally named Teams VTT byte for byte", async () => {
+    const content =
+      "WEBVTT\n\n3f1c/12-0\n00:00:01.000 --> 00:00:04.000\n<v Alice Smith>Morning all</v>\n\n" +
+      "3f1c/13-0\n00:00:04.500 --> 00:00:06.000\n<v Bob Jones>Morning</v>\n";
+    const transcript = await ingestTranscript(await write("2026-03-02-100000.vtt", content));
+
+    assert.equal(transcript.format, "vtt");
+    assert.equal(transcript.vtt, content);
+    assert.equal(transcript.timing, "recorded");
+    assert.equal(transcript.meetingId, "2026-03-02-100000");
+    assert.equal(transcript.meetingIdSource, "filename");
+    assert.deepEqual(transcript.cues[1], {
+      id: "3f1c/13-0",
+      start: 4.5,
+      end: 6,
+      speaker: "Bob Jones",
+      text: "Morning",
+    });
+  });
+
+  it("reads Zoom VTT speakers and SRT cues into Teams-style VTT", async () => {
+    const zoom = await ingestTranscript(
+      await write(
+        "zoom.vtt",
+        "WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nAlice Smith: Morning all\n\n2\n00:00:04.000 --> 00:00:06.000\nBob Jones: Morning\n",
+      ),
+    );
+    const subtitles = await ingestTranscript(
+      await write(
+        "review.srt",
+        "1\n00:00:01,000 --> 00:00:04,250\nAlice Smith: Let's demo\n\n2\n00:00:04,250 --> 00:00:09,000\nBob Jones: Sure\nsharing now\n",
+      ),
+    );
+
+    assert.deepEqual(speakersAndText(zoom.cues), [
+      ["Alice Smith", "Morning all"],
+      ["Bob Jones", "Morning"],
+    ]);
+    assert.match(zoom.vtt, /^WEBVTT\n\n1\n00:00:01\.000 --> 00:00:04\.000\n<v Alice Smith>Morning all<\/v>/);
+    assert.equal(subtitles.format, "srt");
+    assert.deepEqual(subtitles.cues[1], { start: 4.25, end: 9, speaker: "Bob Jones", text: "Sure\nsharing now" });
+  });
+
+  it("reads Teams DOCX exports in both layouts", async () => {
+    const current = await write(
+      "Sprint Review.docx",
+      buildDocx([
+        "Sprint Review-20260302_100012-Meeting Recording",
+        "45m 12s",
+        "Alice Smith\t0:03",
+        "Morning all & welcome",
+        "Bob Jones   1:15",
+        "Morning",
+      ]),
+    );
+    const older = await write(
+      "older.docx",
+      buildDocx(["0:0:3.450 --> 0:0:6.120", "Alice Smith", "Morning all"]),
+    );
+
+    const transcript = await ingestTranscript(current);
+
+    assert.equal(transcript.format, "teams-docx");
+    assert.deepEqual(speakersAndText(transcript.cues), [
+      ["Alice Smith", "Morning all & welcome"],
+      ["Bob Jones", "Morning"],
+    ]);
+    // No end times in the export: each cue lasts as long as its text takes to say
+    assert.deepEqual(
+      transcript.cues.map((cue) => [cue.start, cue.end]),
+      [[3, 5], [75, 76]],
+    );
+    assert.equal(transcript.timing, "estimated");
+    assert.equal(transcript.meetingId, "2026-03-02-100012");
+    assert.equal(transcript.meetingIdSource, "transcript");
+
+    const { cues } = await ingestTranscript(older, { format: "teams-docx" });
+    assert.deepEqual(cues, [{ start: 3.45, end: 6.12, speaker: "Alice Smith", text: "Morning all" }]);
+  });
+
+  it("reads Zoom JSON and Google Meet text, with the start time from the transcript", async () => {
+    const zoom = await ingestTranscript(
+      await write(
+        "zoom-transcript.json",
+        JSON.stringify({
+          start_time: "2026-03-01T23:00:00Z",
+          timeline: [
+            { ts: "00:00:01.000", end_time: "00:00:03.000", username: "Alice Smith", text: "Morning" },
+            { ts: "00:00:03.000", end_time: "00:00:05.000", users: [{ username: "Bob Jones" }], text: "Hi" },
+          ],
+        }),
+      ),
+    );
+    const meet = await ingestTranscript(
+      await write(
+        "weekly-sync.txt",
+        [
+          "Weekly sync (2026-03-02 09:30 GMT+11) - Transcript",
+          "Attendees",
+          "Alice Smith, Bob Jones",
+          "Transcript",
+          "00:00:00",
+          "Alice Smith: Morning all",
+          "Bob Jones: Morning, shall we start with the demo",
+          "00:05:00",
+          "Alice Smith: Next item",
+        ].join("\n"),
+      ),
+    );
+
+    assert.equal(zoom.format, "zoom-json");
+    assert.deepEqual(speakersAndText(zoom.cues), [["Alice Smith", "Morning"], ["Bob Jones", "Hi"]]);
+    // 23:00 UTC is 10:00 the next day in Sydney (AEDT)
+    assert.equal(zoom.meetingId, "2026-03-02-100000");
+
+    assert.equal(meet.format, "google-meet");
+    assert.equal(meet.meetingId, "2026-03-02-093000");
+    assert.deepEqual(
+      meet.cues.map((cue) => [cue.speaker, cue.start]),
+      [["Alice Smith", 0], ["Bob Jones", 1], ["Alice Smith", 300]],
+    );
+  });
+
+  it("takes the meeting ID from a sidecar, then the file time, for plain text", async () => {
+    const notes = await write("standup.txt", "Alice Smith: Morning all\nstill on the login bug\nBob Jones: Same here\n");
+    await write("standup.meeting.json", JSON.stringify({ startTime: "2026-03-02T10:00:00+11:00" }));
+    const undated = await write("retro.txt", "Alice Smith: What went well?\n");
+    await fs.utimes(undated, new Date("2026-03-04T01:30:00Z"), new Date("2026-03-04T01:30:00Z"));
+
+    const transcript = await ingestTranscript(notes);
+    const fromFile = await ingestTranscript(undated);
+
+    assert.equal(transcript.format, "plain-text");
+    assert.deepEqual(speakersAndText(transcript.cues), [
+      ["Alice Smith", "Morning all\nstill on the login bug"],
+      ["Bob Jones", "Same here"],
+    ]);
+    assert.equal(transcript.meetingId, "2026-03-02-100000");
+    assert.equal(transcript.meetingIdSource, "sidecar");
+    assert.equal(fromFile.meetingId, "2026-03-04-123000");
+    assert.equal(fromFile.meetingIdSource, "file");
+  });
+
+  it("detects formats from content when the extension doesn't say", () => {
+    assert.equal(detectTranscriptFormat("meeting.txt", Buffer.from("WEBVTT\n\n")), "vtt");
+    assert.equal(detectTranscriptFormat("meeting", Buffer.from("1\n00:00:01,000 --> 00:00:02,000\nHi\n")), "srt");
+    assert.equal(detectTranscriptFormat("meeting", Buffer.from('{"segments": []}')), "zoom-json");
+    assert.equal(detectTranscriptFormat("meeting.md", Buffer.from("Alice: Hi\n")), "plain-text");
+  });
+
+  it("writes the normalised VTT into the meeting folder and resumes when it's unchanged", async () => {
+    const meetingPath = path.join(tmpDir, "projects", "yakshaver", "2026-03-02-100000");
+    const transcriptPath = path.join(tmpDir, "standup.txt");
+    const vtt = "WEBVTT\n\n1\n00:00:00.000 --> 00:00:02.000\n<v Alice Smith>Morning all</v>\n";
+
+    await setupProjectStructure({ meetingPath, transcriptPath, transcriptContent: vtt });
+    await fs.writeFile(path.join(meetingPath, "analysis", "timeline.json"), "{}");
+    await setupProjectStructure({ meetingPath, transcriptPath, transcriptContent: vtt });
+
+    assert.equal(await fs.readFile(path.join(meetingPath, "transcript.vtt"), "utf-8"), vtt);
+    await fs.access(path.join(meetingPath, "analysis", "timeline.json"));
+  });
+
+  it("writes the speaker turn model to transcript.json", async () => {
+    const meetingPath = path.join(tmpDir, "projects", "yakshaver", "2026-03-02-100000");
+    await writeTranscriptModel(
+      meetingPath,
+      "WEBVTT\n\n1\n00:00:00.000 --> 00:00:02.000\n<v Alice Smith>Morning all</v>\n",
+    );
+
+    const model = JSON.parse(await fs.readFile(path.join(meetingPath, "transcript.json"), "utf-8"));
+    assert.equal(model.durationSeconds, 2);
+    assert.deepEqual(model.speakers.map((s) => [s.speaker, s.talkSeconds]), [["Alice Smith", 2]]);
+    assert.equal(model.cues[0].id, "1");
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Google Meet transcripts, saved from Google Docs as .txt or .docx
+ * ("google-meet"):
+ *
+ *   Weekly sync (2026-03-02 10:00 GMT+10) - Transcript
+ *   Attendees
+ *   Alice Smith, Bob Jones
+ *   Transcript
+ *   00:00:00
+ *   Alice Smith: Morning all
+ *   Bob Jones: Morning
+ *   00:05:00
+ *   ...
+ *
+ * Timestamps only mark every few minutes, so cues in between get
+ * estimated times (see lib/transcriptCues.js estimateTimings).
+ */
+
+const { parseTimestamp } = require("../../lib/transcriptCues");
+
+const TIMESTAMP_LINE = /^\d{1,2}:\d{2}:\d{2}$/;
+const SPEAKER_LINE = /^([^:]{1,60}):\s+(.+)$/;
+const TITLE_TIME = /\((\d{4}-\d{2}-\d{2}) (\d{1,2}):(\d{2}) GMT([+-])(\d{1,2})(?::?(\d{2}))?\)/;
+
+function titleStartTime(header) {
+  for (const line of header) {
+    const match = TITLE_TIME.exec(line);
+    if (match) {
+      const [, date, hours, minutes, sign, offsetHours, offsetMinutes = "00"] = match;
+      return `${date}T${hours.padStart(2, "0")}:${minutes}:00${sign}${offsetHours.padStart(2, "0")}:${offsetMinutes}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {{ cues: Object[], startTime: string|null }}
+ */
+function parse(lines) {
+  const cues = [];
+  const header = [];
+  let blockStart = null;
+  let started = false;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    if (TIMESTAMP_LINE.test(line)) {
+      blockStart = parseTimestamp(line);
+      started = true;
+      continue;
+    }
+    if (!started) {
+      header.push(line);
+      continue;
+    }
+
+    const speakerLine = SPEAKER_LINE.exec(line);
+    if (speakerLine) {
+      cues.push({ start: blockStart, end: null, speaker: speakerLine[1].trim(), text: speakerLine[2].trim() });
+      // Only the first cue after a timestamp starts at it
+      blockStart = null;
+    } else if (cues.length > 0) {
+      cues[cues.length - 1].text += `\n${line}`;
+    }
+  }
+
+  return { cues, startTime: titleStartTime(header) };
+}
+
+/**
+ * True when there's a standalone timestamp followed by "Name: text" lines.
+ */
+function detect(lines) {
+  const first = lines.findIndex((line) => TIMESTAMP_LINE.test(line.trim()));
+  return first !== -1 && lines.slice(first + 1).some((line) => SPEAKER_LINE.test(line.trim()));
+}
+
+module.exports = { name: "google-meet", parse, detect };
@@ -0,0 +1,52 @@
+/**
+ * Plain-text transcripts ("plain-text"), one "Speaker: text" line per
+ * turn, optionally with a timestamp in front:
+ *
+ *   Alice Smith: Morning all
+ *   [00:01:05] Bob Jones: Morning
+ *   00:02:10 Alice Smith: Let's start with the demo
+ *
+ * Lines without a speaker continue the previous turn. Missing times are
+ * estimated (see lib/transcriptCues.js estimateTimings).
+ */
+
+const { parseTimestamp } = require("../../lib/transcriptCues");
+
+const TURN_LINE = /^(?:\[?(\d{1,2}:\d{2}(?::\d{2})?)\]?\s+)?([^:\n]{1,60}):\s+(.+)$/;
+
+/**
+ * @param {string[]} lines
+ * @returns {{ cues: Object[] }}
+ */
+function parse(lines) {
+  const cues = [];
+  let paragraphBreak = true;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) {
+      paragraphBreak = true;
+      continue;
+    }
+
+    const turn = TURN_LINE.exec(line);
+    if (turn) {
+      cues.push({
+        start: turn[1] ? parseTimestamp(turn[1]) : null,
+        end: null,
+        speaker: turn[2].trim(),
+        text: turn[3].trim(),
+      });
+    } else if (cues.length > 0 && !(paragraphBreak && cues[cues.length - 1].speaker === null)) {
+      cues[cues.length - 1].text += `\n${line}`;
+    } else {
+      // No speakers at all: one cue per paragraph
+      cues.push({ start: null, end: null, speaker: null, text: line });
+    }
+    paragraphBreak = false;
+  }
+
+  return { cues };
+}
+
+module.exports = { name: "plain-text", parse };
@@ -0,0 +1,36 @@
+/**
+ * SubRip (.srt) transcripts: numbered cues with "00:00:01,000 --> ..."
+ * timings, speakers as "Name: text" when present.
+ */
+
+const { parseTimestamp, splitSpeakerPrefixes } = require("../../lib/transcriptCues");
+
+const TIMING = /^(\S+)\s+-->\s+(\S+)/;
+
+/**
+ * @param {string} content
+ * @returns {{ cues: Object[] }}
+ */
+function parse(content) {
+  const cues = [];
+  const blocks = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").trim().split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => TIMING.test(line));
+    if (timingIndex === -1) continue;
+
+    const [, startValue, endValue] = TIMING.exec(lines[timingIndex]);
+    const text = lines
+      .slice(timingIndex + 1)
+      .map((line) => line.replace(/<\/?[^>]+>/g, "").trim())
+      .filter(Boolean)
+      .join("\n");
+    if (!text) continue;
+    cues.push({ start: parseTimestamp(startValue), end: parseTimestamp(endValue), speaker: null, text });
+  }
+
+  return { cues: splitSpeakerPrefixes(cues) };
+}
+
+module.exports = { name: "srt", parse };
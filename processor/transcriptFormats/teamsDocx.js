@@ -0,0 +1,75 @@
+/**
+ * Teams transcript exports downloaded as .docx ("teams-docx").
+ *
+ * Two layouts, depending on the Teams version:
+ *
+ *   Alice Smith   0:03          0:0:3.450 --> 0:0:6.120
+ *   Morning all                 Alice Smith
+ *                               Morning all
+ *
+ * Paragraphs before the first cue are the header (title, date, duration).
+ * A recording name like "Weekly Sync-20260302_100012-Meeting Recording"
+ * gives the local start time.
+ */
+
+const { parseTimestamp } = require("../../lib/transcriptCues");
+
+const SPEAKER_LINE = /^(.+?)[\t ]+(\d{1,2}(?::\d{1,2}){1,2})$/;
+const TIMING_LINE = /^(\S+)\s+-->\s+(\S+)$/;
+const RECORDING_NAME = /(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/;
+
+function headerStartTime(header) {
+  for (const line of header) {
+    const match = RECORDING_NAME.exec(line);
+    if (match) {
+      const [, year, month, day, hours, minutes, seconds] = match;
+      return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string[]} lines - document paragraphs
+ * @returns {{ cues: Object[], startTime: string|null }}
+ */
+function parse(lines) {
+  const cues = [];
+  const header = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const timing = TIMING_LINE.exec(line);
+    const speakerLine = !timing && SPEAKER_LINE.exec(line);
+
+    if (timing) {
+      current = {
+        start: parseTimestamp(timing[1]),
+        end: parseTimestamp(timing[2]),
+        speaker: lines[i + 1]?.trim() || null,
+        text: "",
+      };
+      cues.push(current);
+      i++;
+    } else if (speakerLine) {
+      current = { start: parseTimestamp(speakerLine[2]), end: null, speaker: speakerLine[1].trim(), text: "" };
+      cues.push(current);
+    } else if (current) {
+      current.text = current.text ? `${current.text}\n${line}` : line;
+    } else {
+      header.push(line);
+    }
+  }
+
+  return { cues: cues.filter((cue) => cue.text), startTime: headerStartTime(header) };
+}
+
+/**
+ * True when the paragraphs look like either Teams layout.
+ */
+function detect(lines) {
+  return lines.some((line) => TIMING_LINE.test(line.trim()) || SPEAKER_LINE.test(line.trim()));
+}
+
+module.exports = { name: "teams-docx", parse, detect };
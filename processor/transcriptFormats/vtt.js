@@ -0,0 +1,24 @@
+/**
+ * WebVTT transcripts ("teams-vtt", "zoom-vtt").
+ *
+ * Teams tags speakers with <v Name>...</v> (parsed by lib/vtt.js); Zoom
+ * writes "Name: text" cues.
+ */
+
+const { splitSpeakerPrefixes } = require("../../lib/transcriptCues");
+const { parseVtt } = require("../../lib/vtt");
+
+/**
+ * @param {string} content
+ * @returns {{ cues: Object[], canonical: boolean }}
+ */
+function parse(content) {
+  const cues = parseVtt(content);
+
+  // Unchanged when the speakers were tagged (or there were none), so the
+  // original file can be kept as the canonical transcript
+  const split = splitSpeakerPrefixes(cues);
+  return { cues: split, canonical: split === cues };
+}
+
+module.exports = { name: "vtt", parse };
@@ -0,0 +1,73 @@
+/**
+ * Zoom JSON transcripts.
+ *
+ * Zoom's exports and API responses differ in shape, so the segment list is
+ * taken from the first of `timeline`, `transcript`, `segments` or `results`
+ * (or the document itself, when it's an array), with each segment's
+ * fields read leniently:
+ *
+ *   start    - start_time | start | ts | startTime (seconds or "HH:MM:SS.mmm")
+ *   end      - end_time | end | endTime
+ *   speaker  - speaker | speaker_name | username | users[0].username
+ *   text     - text | content
+ *
+ * The meeting start comes from `start_time`, `recording_start` or
+ * `meeting.start_time` when present.
+ */
+
+const { parseTimestamp } = require("../../lib/transcriptCues");
+
+const SEGMENT_KEYS = ["timeline", "transcript", "segments", "results"];
+
+function toSeconds(value) {
+  if (value == null) return null;
+  if (typeof value === "number") return value;
+  return parseTimestamp(value);
+}
+
+function segmentsOf(document) {
+  if (Array.isArray(document)) return document;
+  const key = SEGMENT_KEYS.find((name) => Array.isArray(document?.[name]));
+  return key ? document[key] : null;
+}
+
+/**
+ * @param {string} content
+ * @returns {{ cues: Object[], startTime: string|null }}
+ */
+function parse(content) {
+  const document = JSON.parse(content);
+  const segments = segmentsOf(document);
+  if (!segments) {
+    throw new Error(`Zoom JSON transcript has no ${SEGMENT_KEYS.join("/")} array`);
+  }
+
+  const cues = segments
+    .map((segment) => ({
+      start: toSeconds(segment.start_time ?? segment.start ?? segment.ts ?? segment.startTime),
+      end: toSeconds(segment.end_time ?? segment.end ?? segment.endTime),
+      speaker:
+        segment.speaker ?? segment.speaker_name ?? segment.username ?? segment.users?.[0]?.username ?? null,
+      text: String(segment.text ?? segment.content ?? "").trim(),
+    }))
+    .filter((cue) => cue.text);
+
+  const startTime = Array.isArray(document)
+    ? null
+    : document.start_time ?? document.recording_start ?? document.meeting?.start_time ?? null;
+
+  return { cues, startTime };
+}
+
+/**
+ * True for JSON content this parser understands.
+ */
+function detect(content) {
+  try {
+    return segmentsOf(JSON.parse(content)) !== null;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { name: "zoom-json", parse, detect };
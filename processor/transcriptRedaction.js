@@ -0,0 +1,326 @@
+/**
+ * PII and secret redaction of the canonical transcript.
+ *
+ * Runs on the normalised VTT (see transcriptFormats.js) before it is
+ * written to <meeting>/transcript.vtt, so neither Claude nor anything
+ * stored from the meeting folder sees the original values. Cue text and
+ * speaker tags are redacted; timing lines and cue IDs are left alone.
+ *
+ * Detectors, in the order they run:
+ *   secret    - AWS, GitHub, Slack, Anthropic/OpenAI and Google API keys,
+ *               JWTs, and AccountKey= / SharedAccessKey= / sig= values
+ *   password  - the value after "password is", "passcode:" etc.
+ *   email
+ *   card      - 13-19 digit card numbers that pass the Luhn check
+ *   phone     - numbers starting with +, 0 or (area code), 9-15 digits
+ *   term      - the project's custom term list, whole words, any case
+ *
+ * Each distinct value gets a stable placeholder ("[EMAIL_1]", "[PHONE_2]"),
+ * so the analysis can still tell that two mentions are the same address.
+ * The invite list in <meeting>/attendees.json (UPNs) goes through the same
+ * detectors with the transcript's placeholders (see redactAttendees).
+ * The placeholder -> original map is only kept when TRANSCRIPT_REDACTION_KEY
+ * is set, encrypted (AES-256-GCM) in <meeting>/redaction-map.enc.json.
+ * Counts per detector go to <meeting>/redaction.json and the meeting
+ * metadata (see deployer.persistToCosmos).
+ *
+ * Optional env vars:
+ *   TRANSCRIPT_REDACTION                   - "off" disables redaction (default: on)
+ *   TRANSCRIPT_REDACTION_TERMS_BY_PROJECT  - custom terms as JSON, "*" for every project,
+ *                                            e.g. {"*": ["Project Falcon"], "yakshaver": ["Contoso"]}
+ *   TRANSCRIPT_REDACTION_KEY               - base64 32-byte key; without it the map isn't kept
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { log } = require("../lib/logger");
+const { buildNamePattern } = require("./erasure");
+
+const SUMMARY_FILENAME = "redaction.json";
+const MAP_FILENAME = "redaction-map.enc.json";
+
+const TIMING = /^\S+\s+-->\s+\S+/;
+// Split on placeholders already inserted, so later detectors can't match
+// inside them (e.g. a custom term "email" in "[EMAIL_1]")
+const PLACEHOLDER = /(\[(?:SECRET|PASSWORD|EMAIL|CARD|PHONE|TERM)_\d+\])/;
+// Placeholder text, e.g. "[EMAIL_2]" -> ["email", 2]
+const PLACEHOLDER_PARTS = /^\[([A-Z]+)_(\d+)\]$/;
+
+const DETECTORS = [
+  {
+    type: "secret",
+    patterns: [
+      /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+      /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g,
+      /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g,
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g,
+      /\bsk-(?:ant-)?[A-Za-z0-9_-]{20,}/g,
+      /\bAIza[0-9A-Za-z_-]{35}\b/g,
+      /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+      // Only the value of connection string / SAS parameters
+      /(?<=\b(?:AccountKey|SharedAccessKey|sig)=)[A-Za-z0-9+/%]{20,}={0,2}/g,
+    ],
+  },
+  {
+    type: "password",
+    // Trailing punctuation belongs to the sentence, not the password
+    patterns: [/(?<=\b(?:password|passcode|passphrase|passwd)(?:\s+is|\s*[:=])\s*)[^\s"'<]+?(?=[.,;:!?]*(?:\s|<|$))/gi],
+  },
+  {
+    type: "email",
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+    normalize: (value) => value.toLowerCase(),
+  },
+  {
+    type: "card",
+    patterns: [/(?<![\w.])\d(?:[ -]?\d){12,18}(?![\w.])/g],
+    normalize: (value) => value.replace(/\D/g, ""),
+    accept: (value) => luhnValid(value.replace(/\D/g, "")),
+  },
+  {
+    type: "phone",
+    patterns: [/(?<![\w+])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?|\(\d{2,4}\)[\s.-]?|0)\d(?:[\s.-]?\d){5,13}(?![\w])/g],
+    normalize: (value) => value.replace(/\D/g, ""),
+    accept: (value) => {
+      const digits = value.replace(/\D/g, "").length;
+      return digits >= 9 && digits <= 15;
+    },
+  },
+];
+
+function luhnValid(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function parseTermsConfig() {
+  const raw = process.env.TRANSCRIPT_REDACTION_TERMS_BY_PROJECT;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`TRANSCRIPT_REDACTION_TERMS_BY_PROJECT is not valid JSON: ${error.message}`);
+  }
+}
+
+function parseKey(value) {
+  const key = Buffer.from(value, "base64");
+  if (key.length !== 32) {
+    throw new Error("TRANSCRIPT_REDACTION_KEY must be a base64-encoded 32-byte key");
+  }
+  return key;
+}
+
+/**
+ * @param {string} projectName
+ * @returns {{enabled: boolean, terms: string[], key: Buffer|null}}
+ */
+function getRedactionConfig(projectName) {
+  const byProject = parseTermsConfig();
+  const terms = [...(byProject["*"] || []), ...(byProject[projectName] || [])];
+  const key = process.env.TRANSCRIPT_REDACTION_KEY;
+  return {
+    enabled: String(process.env.TRANSCRIPT_REDACTION || "").toLowerCase() !== "off",
+    terms,
+    key: key ? parseKey(key) : null,
+  };
+}
+
+/**
+ * Detectors and placeholder state shared by everything redacted for one
+ * meeting. seed is an earlier result, so its values keep their placeholders.
+ */
+function createRedactor(terms, seed = null) {
+  const detectors = [...DETECTORS];
+  if (terms.some((term) => String(term ?? "").trim())) {
+    detectors.push({
+      type: "term",
+      patterns: [buildNamePattern(terms)],
+      normalize: (value) => value.toLowerCase().replace(/\s+/g, " "),
+    });
+  }
+
+  const keyFor = (detector, value) =>
+    `${detector.type}:${detector.normalize ? detector.normalize(value) : value}`;
+  const placeholders = new Map();
+  const map = { ...(seed?.map || {}) };
+  const counts = { ...(seed?.counts || {}) };
+  const next = {};
+
+  for (const [placeholder, value] of Object.entries(map)) {
+    const [, type, index] = placeholder.match(PLACEHOLDER_PARTS) || [];
+    const detector = detectors.find((candidate) => candidate.type === type?.toLowerCase());
+    if (!detector) continue;
+    placeholders.set(keyFor(detector, value), placeholder);
+    next[detector.type] = Math.max(next[detector.type] || 0, Number(index));
+  }
+
+  const placeholderFor = (detector, value) => {
+    const key = keyFor(detector, value);
+    if (!placeholders.has(key)) {
+      next[detector.type] = (next[detector.type] || 0) + 1;
+      const placeholder = `[${detector.type.toUpperCase()}_${next[detector.type]}]`;
+      placeholders.set(key, placeholder);
+      map[placeholder] = value;
+    }
+    counts[detector.type] = (counts[detector.type] || 0) + 1;
+    return placeholders.get(key);
+  };
+
+  const redactText = (line) => {
+    let text = line;
+    for (const detector of detectors) {
+      for (const pattern of detector.patterns) {
+        text = text
+          .split(PLACEHOLDER)
+          .map((part, j) =>
+            j % 2 === 1
+              ? part
+              : part.replace(pattern, (value) =>
+                  detector.accept && !detector.accept(value) ? value : placeholderFor(detector, value),
+                ),
+          )
+          .join("");
+      }
+    }
+    return text;
+  };
+
+  const result = () => ({
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    map,
+  });
+
+  return { redactText, result };
+}
+
+/**
+ * Redact a VTT transcript.
+ *
+ * @param {string} vtt
+ * @param {Object} [options]
+ * @param {string[]} [options.terms] - custom terms to redact
+ * @returns {{vtt: string, counts: Object<string, number>, total: number,
+ *   map: Object<string, string>}} map is placeholder -> original value
+ */
+function redactTranscript(vtt, { terms = [] } = {}) {
+  const redactor = createRedactor(terms);
+  const lines = vtt.split("\n");
+  const redacted = lines.map((line, i) =>
+    // Header, timing lines and cue IDs (the line before a timing line)
+    i === 0 || TIMING.test(line) || TIMING.test(lines[i + 1] || "") ? line : redactor.redactText(line),
+  );
+  return { vtt: redacted.join("\n"), ...redactor.result() };
+}
+
+/**
+ * Redact every string in the attendee data (invitee UPNs, names, tagged
+ * speakers) with the same detectors as the transcript. Values already seen
+ * in the transcript keep its placeholders.
+ *
+ * @param {*} attendees
+ * @param {Object} redaction - from redactTranscript
+ * @param {Object} [options]
+ * @param {string[]} [options.terms]
+ * @returns {{attendees: *, redaction: Object}} redaction is the transcript's
+ *   with the attendee counts and placeholders added
+ */
+function redactAttendees(attendees, redaction, { terms = [] } = {}) {
+  const redactor = createRedactor(terms, redaction);
+  const walk = (value) => {
+    if (typeof value === "string") return redactor.redactText(value);
+    if (Array.isArray(value)) return value.map(walk);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, walk(inner)]));
+    }
+    return value;
+  };
+  const redacted = walk(attendees);
+  return { attendees: redacted, redaction: { ...redaction, ...redactor.result() } };
+}
+
+/**
+ * @param {Object<string, string>} map - placeholder -> original value
+ * @param {Buffer} key - 32 bytes
+ * @returns {Object} { algorithm, keyId, iv, tag, data } (base64)
+ */
+function encryptRedactionMap(map, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(map), "utf-8"), cipher.final()]);
+  return {
+    algorithm: "aes-256-gcm",
+    // Which key was used, without revealing it
+    keyId: crypto.createHash("sha256").update(key).digest("hex").slice(0, 16),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * @param {Object} payload - from encryptRedactionMap
+ * @param {Buffer} key
+ * @returns {Object<string, string>} placeholder -> original value
+ */
+function decryptRedactionMap(payload, key) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(payload.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+  const data = Buffer.concat([decipher.update(Buffer.from(payload.data, "base64")), decipher.final()]);
+  return JSON.parse(data.toString("utf-8"));
+}
+
+/**
+ * Record a redaction in the meeting folder: counts in redaction.json, the
+ * encrypted map when there's a key. Files from an earlier run are removed
+ * when there's nothing to keep, so a map can't outlive the transcript it
+ * belongs to.
+ *
+ * @param {Object} params
+ * @param {string} params.meetingPath
+ * @param {Object|null} params.redaction - from redactTranscript, null when disabled
+ * @param {Buffer|null} params.key
+ * @returns {Promise<Object|null>} the redaction.json summary
+ */
+async function writeRedactionRecord({ meetingPath, redaction, key }) {
+  const mapPath = path.join(meetingPath, MAP_FILENAME);
+  if (!redaction) {
+    await fs.rm(mapPath, { force: true });
+    await fs.rm(path.join(meetingPath, SUMMARY_FILENAME), { force: true });
+    return null;
+  }
+
+  const mapStored = Boolean(key) && redaction.total > 0;
+  if (mapStored) {
+    await fs.writeFile(mapPath, JSON.stringify(encryptRedactionMap(redaction.map, key), null, 2));
+  } else {
+    await fs.rm(mapPath, { force: true });
+  }
+
+  const summary = { total: redaction.total, counts: redaction.counts, mapStored };
+  await fs.writeFile(path.join(meetingPath, SUMMARY_FILENAME), JSON.stringify(summary, null, 2));
+  log("info", "Redacted transcript", summary);
+  return summary;
+}
+
+module.exports = {
+  SUMMARY_FILENAME,
+  MAP_FILENAME,
+  getRedactionConfig,
+  redactTranscript,
+  redactAttendees,
+  encryptRedactionMap,
+  decryptRedactionMap,
+  writeRedactionRecord,
+};
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Claude usage report - per-project monthly token and cost totals.
+ *
+ * Reads the `metadata.usage` recorded on each meeting in Cosmos DB (or the
+ * local store when COSMOS_ENDPOINT isn't set, see lib/store.js).
+ *
+ * Usage:
+ *   node processor/usageReport.js [project-name] [--from YYYY-MM] [--to YYYY-MM]
+ *
+ * Examples:
+ *   node processor/usageReport.js yakshaver
+ *   node processor/usageReport.js --from 2026-01 --to 2026-03   (all projects)
+ *
+ * Prerequisites:
+ *   - COSMOS_ENDPOINT set in .env, and az login (or managed identity);
+ *     without it the local store is read
+ *
+ * Output (JSON to stdout):
+ *   [{ projectName, months: [{ month, meetings, inputTokens, ..., totalCostUsd }] }]
+ */
+
+require("dotenv").config({ path: require("path").join(__dirname, "..", ".env") });
+const { log } = require("../lib/logger");
+const { getMonthlyUsage, listProjects } = require("../lib/store");
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+function parseArgs(args) {
+  const options = { projectName: null, fromMonth: null, toMonth: null };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--from") {
+      options.fromMonth = args[++i];
+    } else if (args[i] === "--to") {
+      options.toMonth = args[++i];
+    } else {
+      options.projectName = args[i];
+    }
+  }
+
+  for (const month of [options.fromMonth, options.toMonth]) {
+    if (month && !MONTH_PATTERN.test(month)) {
+      throw new Error(`Invalid month "${month}" (expected YYYY-MM)`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  try {
+    const { projectName, fromMonth, toMonth } = parseArgs(process.argv.slice(2));
+    // meetingDate is YYYY-MM-DD, so a month bound covers every day in it
+    const startDate = fromMonth ? `${fromMonth}-01` : undefined;
+    const endDate = toMonth ? `${toMonth}-31` : undefined;
+
+    const projects = projectName ? [projectName] : await listProjects();
+    const report = [];
+    for (const project of projects) {
+      const months = await getMonthlyUsage({ projectName: project, startDate, endDate });
+      report.push({ projectName: project, months });
+    }
+
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+  } catch (error) {
+    log("error", "Usage report failed", { error: error.message });
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}